@@ -0,0 +1,85 @@
+// mock/fixtures.js
+
+/**
+ * Mock Fixtures
+ * -------------
+ * Deterministic Galaxy view rows for the mock servers.
+ * Features:
+ *  - Customers (zh_Customers_fin) with increasing THIRDPARTYREVNUM; every
+ *    third one holds a member card, every tenth is inactive
+ *  - One affiliate (ZH_AFFILIATE) per card holder, sharing its revision
+ *    number (AFFILIATES_REVNUM = customer THIRDPARTYREVNUM)
+ *  - One contact person (ZH_CONTACTS) per customer
+ *  - Valid, distinct Greek AFMs (TIN / AFF_TIN)
+ */
+
+const BASE_REV = 1000;
+
+/** Galaxy JSON date for a fixed base time plus `days` */
+function glxDate(days) {
+  return `/Date(${Date.UTC(2025, 0, 1) + days * 86_400_000}+0200)/`;
+}
+
+/** A valid Greek AFM: `base` as 8 digits plus its check digit */
+function validAfm(base) {
+  const s = String(base).padStart(8, "0");
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += Number(s[i]) * 2 ** (8 - i);
+  return s + ((sum % 11) % 10);
+}
+
+/**
+ * Build mock data for the Galaxy views
+ * @param {Object} [options]
+ * @param {number} [options.customers=25] - Number of customers
+ * @returns {{customers:Array<Object>, affiliates:Array<Object>, contacts:Array<Object>}}
+ */
+function buildFixtures({ customers: count = 25 } = {}) {
+  const customers = [];
+  const affiliates = [];
+  const contacts = [];
+
+  for (let n = 1; n <= count; n++) {
+    const id = `TR${String(n).padStart(5, "0")}`;
+    const rev = BASE_REV + n;
+    const cardHolder = n % 3 === 0;
+    customers.push({
+      TRDRID: id,
+      TRDRCODE: `C${n}`,
+      TRDRNAME: `Customer ${n}`,
+      TIN: validAfm(10000000 + n),
+      TRDSPHONE1: `+30 210 ${String(1000000 + n)}`,
+      TRDSSTREET: `Odos ${n}`,
+      PREFDESCR: "Attica",
+      CNTRCODE: "GR",
+      BALANCE: n * 100,
+      MAXBALANCE: n * 10,
+      THIRDPARTYREVNUM: rev,
+      ZH_CUSTOMERS_MEMBER_CARDNO: cardHolder ? `CARD${n}` : null,
+      ISACTIVE: n % 10 === 0 ? 0 : 1,
+      UPDDATE: glxDate(n),
+    });
+    if (cardHolder) {
+      affiliates.push({
+        AFFILIATES_TRDRID: `AF${String(n).padStart(5, "0")}`,
+        AFF_NAME: `Affiliate of ${n}`,
+        AFF_TIN: validAfm(90000000 + n),
+        AFFILIATES_REVNUM: rev,
+      });
+    }
+    contacts.push({
+      CONTACTS_PRSNID: `P${String(n).padStart(5, "0")}`,
+      CONTACTS_TRDRID: id,
+      CNT_FIRSTNAME: "Person",
+      CNT_LASTNAME: `No${n}`,
+      CNT_EMAIL: `person${n}@example.com`,
+      CNT_MOBILE: `69${String(10000000 + n)}`,
+      CNT_JOBTITLE: "Buyer",
+      CONTACTS_REVNUM: BASE_REV + n,
+    });
+  }
+
+  return { customers, affiliates, contacts };
+}
+
+module.exports = { buildFixtures, validAfm, BASE_REV };
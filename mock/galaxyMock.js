@@ -0,0 +1,361 @@
+// mock/galaxyMock.js
+
+/**
+ * Galaxy ERP Mock
+ * ---------------
+ * Express app that stands in for the Galaxy API in local end-to-end runs.
+ * Features:
+ *  - Login: POST /auth/credentials (JSON body) and legacy GET /auth?username=&password=;
+ *    sets ss-id (session) and ss-pid (permanent id) cookies
+ *  - Session expiry: requests without a live ss-id get 401, like an
+ *    expired ServiceStack session
+ *  - Views: zh_Customers_fin, ZH_AFFILIATE, ZH_CONTACTS with the
+ *    `filters=[{FIELD:[value,Op]}]` syntax, `sort` (FIELD or -FIELD),
+ *    `take` and `skip`
+ *  - Customer write-back: PATCH /api/glx/entities/Customer/:TRDRID (bumps
+ *    THIRDPARTYREVNUM and UPDDATE like the ERP does)
+ *  - Test hooks: POST /__mock/expire-sessions, GET /__mock/state;
+ *    `app.state.dropRequest(req)` returning true drops that /api request's
+ *    connection (a network error for the client)
+ *
+ * Filters: every {FIELD:[...values, Op]} pair must match (AND). Ops: Equal,
+ * NotEqual, Greater, GreaterOrEqual, Less, LessOrEqual, Between, In, Like
+ * (% wildcards), IsNull, IsNotNull. Values are numbers, "quoted strings" or
+ * bare tokens; nested [..] lists are flattened (for In).
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const VIEWS = {
+  zh_Customers_fin: "customers",
+  ZH_AFFILIATE: "affiliates",
+  ZH_CONTACTS: "contacts",
+};
+
+/**
+ * Parse a Galaxy filter string into [{ field, op, values }] conditions
+ * @param {string} raw - e.g. `[{THIRDPARTYREVNUM:[100,Greater]}]`
+ * @returns {Array<{field:string, op:string, values:Array}>}
+ * @throws {Error} On malformed input
+ */
+function parseGalaxyFilter(raw) {
+  const s = String(raw);
+  let i = 0;
+  const fail = (msg) => {
+    throw new Error(`Invalid filters at ${i}: ${msg}`);
+  };
+  const ws = () => {
+    while (/\s/.test(s[i] || "")) i++;
+  };
+  const expect = (ch) => {
+    ws();
+    if (s[i] !== ch) fail(`expected "${ch}"`);
+    i++;
+  };
+  const token = () => {
+    ws();
+    if (s[i] === '"') {
+      let out = "";
+      for (i++; i < s.length && s[i] !== '"'; i++) {
+        if (s[i] === "\\") i++;
+        out += s[i];
+      }
+      if (s[i] !== '"') fail("unterminated string");
+      i++;
+      return { quoted: true, value: out };
+    }
+    const start = i;
+    while (i < s.length && !/[,\[\]{}:]/.test(s[i])) i++;
+    const text = s.slice(start, i).trim();
+    if (!text) fail("empty value");
+    return { quoted: false, value: text };
+  };
+  const value = () => {
+    ws();
+    if (s[i] === "[") {
+      i++;
+      const out = [];
+      ws();
+      if (s[i] === "]") {
+        i++;
+        return out;
+      }
+      for (;;) {
+        out.push(value());
+        ws();
+        if (s[i] === ",") i++;
+        else if (s[i] === "]") {
+          i++;
+          return out;
+        } else fail('expected "," or "]"');
+      }
+    }
+    const t = token();
+    if (!t.quoted && /^-?\d+(\.\d+)?$/.test(t.value)) return Number(t.value);
+    return t.value;
+  };
+
+  const conditions = [];
+  expect("[");
+  ws();
+  if (s[i] === "]") return conditions;
+  for (;;) {
+    expect("{");
+    for (;;) {
+      const field = token();
+      if (field.quoted) fail("field names are not quoted");
+      expect(":");
+      const args = value();
+      if (!Array.isArray(args) || args.length < 1)
+        fail("expected [values, Op]");
+      const op = args[args.length - 1];
+      conditions.push({
+        field: field.value,
+        op: String(op),
+        values: args.slice(0, -1).flat(Infinity),
+      });
+      ws();
+      if (s[i] === ",") {
+        i++;
+        continue;
+      }
+      expect("}");
+      break;
+    }
+    ws();
+    if (s[i] === ",") {
+      i++;
+      continue;
+    }
+    expect("]");
+    break;
+  }
+  ws();
+  if (i < s.length) fail("trailing characters");
+  return conditions;
+}
+
+/**
+ * Compare two filter operands: numerically when both are numeric
+ * @returns {number} <0, 0, >0
+ */
+function compare(a, b) {
+  // ServiceStack dates ("/Date(ms+zone)/") by their instant
+  const da = /^\/Date\((-?\d+)[+-]?\d*\)\/$/.exec(String(a));
+  const db = /^\/Date\((-?\d+)[+-]?\d*\)\/$/.exec(String(b));
+  if (da && db) return Number(da[1]) - Number(db[1]);
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== "" && b !== "" && Number.isFinite(na) && Number.isFinite(nb)) {
+    return na - nb;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+const isNull = (v) => v === undefined || v === null || v === "";
+
+/**
+ * @param {Object} row
+ * @param {{field:string, op:string, values:Array}} c
+ * @returns {boolean}
+ * @throws {Error} On an unknown operator
+ */
+function matches(row, { field, op, values }) {
+  const v = row[field];
+  const [a, b] = values;
+  switch (op) {
+    case "IsNull":
+      return isNull(v);
+    case "IsNotNull":
+      return !isNull(v);
+  }
+  if (isNull(v)) return false;
+  switch (op) {
+    case "Equal":
+      return compare(v, a) === 0;
+    case "NotEqual":
+      return compare(v, a) !== 0;
+    case "Greater":
+      return compare(v, a) > 0;
+    case "GreaterOrEqual":
+      return compare(v, a) >= 0;
+    case "Less":
+      return compare(v, a) < 0;
+    case "LessOrEqual":
+      return compare(v, a) <= 0;
+    case "Between":
+      return compare(v, a) >= 0 && compare(v, b) <= 0;
+    case "In":
+      return values.some((x) => compare(v, x) === 0);
+    case "Like": {
+      const re = new RegExp(
+        "^" +
+          String(a)
+            .split("%")
+            .map((p) => p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+            .join(".*") +
+          "$",
+        "i"
+      );
+      return re.test(String(v));
+    }
+    default:
+      throw new Error(`Unknown filter operator "${op}"`);
+  }
+}
+
+/**
+ * @param {string} header - Cookie request header
+ * @returns {Object<string,string>}
+ */
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const k = part.split("=")[0].trim();
+    if (k) out[k] = part.slice(part.indexOf("=") + 1).trim();
+  }
+  return out;
+}
+
+/** ServiceStack-style error body */
+function errorBody(code, message) {
+  return { ResponseStatus: { ErrorCode: code, Message: message } };
+}
+
+/**
+ * Create the Galaxy mock app
+ * @param {Object} options
+ * @param {{customers:Array, affiliates:Array, contacts:Array}} options.data - View rows (mutated by write-back)
+ * @param {string} [options.username="mock"]
+ * @param {string} [options.password="mock"]
+ * @param {number} [options.sessionTtlMs=1800000] - Session lifetime
+ * @returns {import("express").Express & { state: Object }} App; `state`
+ *   exposes data, sessions, expireSessions() and request counters.
+ */
+function createGalaxyMock({
+  data,
+  username = "mock",
+  password = "mock",
+  sessionTtlMs = 30 * 60 * 1000,
+}) {
+  const sessions = new Map(); // ss-id → expiresAt
+  const state = {
+    data,
+    sessions,
+    logins: 0,
+    unauthorized: 0,
+    requests: 0,
+    expireSessions: () => sessions.clear(),
+    dropRequest: null,
+  };
+  const app = express();
+  app.use(express.json({ strict: false }));
+  app.state = state;
+
+  const login = (req, res, creds) => {
+    const user = creds?.username ?? creds?.UserName;
+    const pass = creds?.password ?? creds?.Password;
+    if (user !== username || pass !== password) {
+      return res
+        .status(401)
+        .json(errorBody("Unauthorized", "Invalid UserName or Password"));
+    }
+    const sid = crypto.randomBytes(12).toString("base64url");
+    sessions.set(sid, Date.now() + sessionTtlMs);
+    state.logins++;
+    const pid =
+      parseCookies(req.headers.cookie)["ss-pid"] ||
+      crypto.randomBytes(12).toString("base64url");
+    res.cookie("ss-id", sid, { path: "/", httpOnly: true });
+    res.cookie("ss-pid", pid, { path: "/", httpOnly: true });
+    return res.json({ SessionId: sid, UserName: user, ResponseStatus: {} });
+  };
+  app.post("/auth/credentials", (req, res) => login(req, res, req.body));
+  app.get("/auth", (req, res) => login(req, res, req.query));
+
+  app.post("/__mock/expire-sessions", (req, res) => {
+    state.expireSessions();
+    res.json({ ok: true });
+  });
+  app.get("/__mock/state", (req, res) => {
+    res.json({
+      customers: data.customers.length,
+      affiliates: data.affiliates.length,
+      contacts: data.contacts.length,
+      sessions: sessions.size,
+      logins: state.logins,
+      unauthorized: state.unauthorized,
+      requests: state.requests,
+    });
+  });
+
+  // Every /api call needs a live session
+  app.use("/api", (req, res, next) => {
+    state.requests++;
+    if (state.dropRequest?.(req)) return req.socket.destroy();
+    const sid = parseCookies(req.headers.cookie)["ss-id"];
+    const expiresAt = sid && sessions.get(sid);
+    if (!expiresAt || expiresAt < Date.now()) {
+      if (sid) sessions.delete(sid);
+      state.unauthorized++;
+      return res
+        .status(401)
+        .json(errorBody("Unauthorized", "Session expired or missing"));
+    }
+    next();
+  });
+
+  app.get("/api/glx/views/Customer/custom/:view", (req, res) => {
+    const key = VIEWS[req.params.view];
+    if (!key) {
+      return res
+        .status(404)
+        .json(errorBody("NotFound", `Unknown view ${req.params.view}`));
+    }
+    let rows = data[key];
+    try {
+      if (req.query.filters) {
+        const conditions = parseGalaxyFilter(req.query.filters);
+        rows = rows.filter((r) => conditions.every((c) => matches(r, c)));
+      }
+    } catch (err) {
+      return res.status(400).json(errorBody("ArgumentException", err.message));
+    }
+    const sort = String(req.query.sort || "");
+    if (sort) {
+      const desc = sort.startsWith("-");
+      const field = desc ? sort.slice(1) : sort;
+      rows = [...rows].sort(
+        (a, b) => (desc ? -1 : 1) * compare(a[field] ?? "", b[field] ?? "")
+      );
+    }
+    const skip = Number(req.query.skip) || 0;
+    const take = Number(req.query.take) || rows.length;
+    res.json({ Items: rows.slice(skip, skip + take), Total: rows.length });
+  });
+
+  app.patch("/api/glx/entities/Customer/:trdrid", (req, res) => {
+    const row = data.customers.find(
+      (c) => String(c.TRDRID).toUpperCase() === req.params.trdrid.toUpperCase()
+    );
+    if (!row) {
+      return res
+        .status(404)
+        .json(errorBody("NotFound", `Customer ${req.params.trdrid}`));
+    }
+    const maxRev = Math.max(
+      0,
+      ...data.customers.map((c) => Number(c.THIRDPARTYREVNUM) || 0)
+    );
+    Object.assign(row, req.body || {}, {
+      THIRDPARTYREVNUM: maxRev + 1,
+      UPDDATE: `/Date(${Date.now()}+0000)/`,
+    });
+    res.json({ Item: row, ResponseStatus: {} });
+  });
+
+  return app;
+}
+
+module.exports = { createGalaxyMock, parseGalaxyFilter };
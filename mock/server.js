@@ -0,0 +1,157 @@
+// mock/server.js
+
+/**
+ * Mock Servers
+ * ------------
+ * Starts the Galaxy and Zoho mocks for offline end-to-end runs of the job.
+ * Features:
+ *  - startMockServers(): both mocks on given (or ephemeral) ports, for tests
+ *  - `npm run mock`: runs them until stopped and prints the env that points
+ *    the job at them (BASE_URL, ZOHO_API_URL, ZOHO_ACCOUNTS_URL, credentials)
+ *  - Per-row Zoho errors on demand for chosen Trader_IDs (MOCK_FAIL_TRADER_IDS)
+ *
+ * Env (npm run mock):
+ *  - MOCK_GALAXY_PORT (4010), MOCK_ZOHO_PORT (4020)
+ *  - MOCK_CUSTOMERS: number of generated customers (25)
+ *  - MOCK_FAIL_TRADER_IDS: comma-separated Trader_IDs Zoho rejects
+ */
+
+const { createGalaxyMock } = require("./galaxyMock");
+const { createZohoMock } = require("./zohoMock");
+const { buildFixtures } = require("./fixtures");
+
+const CREDENTIALS = Object.freeze({
+  username: "mock",
+  password: "mock",
+  clientId: "mock-client",
+  clientSecret: "mock-secret",
+  refreshToken: "mock-refresh",
+});
+
+/**
+ * Listen on a port (0 = any free port)
+ * @returns {Promise<import("http").Server>}
+ */
+function listen(app, port) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, "127.0.0.1", (err) =>
+      err ? reject(err) : resolve(server)
+    );
+    server.on("error", reject);
+  });
+}
+
+/**
+ * Start both mocks
+ * @param {Object} [options]
+ * @param {number} [options.galaxyPort=0]
+ * @param {number} [options.zohoPort=0]
+ * @param {Object} [options.fixtures] - Galaxy view rows (default: buildFixtures())
+ * @param {Object<string,Array<Object>>} [options.zohoRecords] - Initial Zoho records per module
+ * @param {Array<string>} [options.failTraderIds=[]] - Trader_IDs whose upserts fail per row
+ * @param {number} [options.sessionTtlMs] - Galaxy session lifetime
+ * @returns {Promise<{galaxy:Object, zoho:Object, urls:{galaxy:string, zoho:string}, env:Object<string,string>, close:Function}>}
+ *   galaxy/zoho are the mock apps (see their `state`); env holds the
+ *   variables that point the job at the mocks.
+ */
+async function startMockServers({
+  galaxyPort = 0,
+  zohoPort = 0,
+  fixtures = buildFixtures(),
+  zohoRecords = {},
+  failTraderIds = [],
+  sessionTtlMs,
+} = {}) {
+  const failing = new Set(failTraderIds.map((id) => String(id).toUpperCase()));
+  const galaxy = createGalaxyMock({
+    data: fixtures,
+    username: CREDENTIALS.username,
+    password: CREDENTIALS.password,
+    ...(sessionTtlMs ? { sessionTtlMs } : {}),
+  });
+  const zoho = createZohoMock({
+    records: zohoRecords,
+    clientId: CREDENTIALS.clientId,
+    clientSecret: CREDENTIALS.clientSecret,
+    refreshToken: CREDENTIALS.refreshToken,
+    failRow: (module, row) =>
+      row.Trader_ID && failing.has(String(row.Trader_ID).toUpperCase())
+        ? {
+            code: "DUPLICATE_DATA",
+            message: "duplicate data",
+            details: { api_name: "Account_AFM" },
+          }
+        : null,
+  });
+
+  const servers = [];
+  try {
+    servers.push(await listen(galaxy, galaxyPort));
+    servers.push(await listen(zoho, zohoPort));
+  } catch (err) {
+    servers.forEach((s) => s.close());
+    throw err;
+  }
+  const url = (s) => `http://127.0.0.1:${s.address().port}`;
+  const urls = { galaxy: url(servers[0]), zoho: url(servers[1]) };
+
+  return {
+    galaxy,
+    zoho,
+    urls,
+    env: {
+      BASE_URL: urls.galaxy,
+      AUTH_USERNAME: CREDENTIALS.username,
+      AUTH_PASSWORD: CREDENTIALS.password,
+      ZOHO_API_URL: urls.zoho,
+      ZOHO_ACCOUNTS_URL: urls.zoho,
+      ZOHO_CLIENT_ID: CREDENTIALS.clientId,
+      ZOHO_CLIENT_SECRET: CREDENTIALS.clientSecret,
+      ZOHO_REFRESH_TOKEN: CREDENTIALS.refreshToken,
+      // The Zoho mock starts empty: the first run syncs every customer
+      CUSTOMERS_CHECKPOINT_SEED: "0",
+    },
+    close: () =>
+      Promise.all(
+        servers.map(
+          (s) =>
+            new Promise((resolve) => {
+              s.closeAllConnections?.();
+              s.close(() => resolve());
+            })
+        )
+      ),
+  };
+}
+
+module.exports = { startMockServers, CREDENTIALS };
+
+if (require.main === module) {
+  startMockServers({
+    galaxyPort: Number(process.env.MOCK_GALAXY_PORT) || 4010,
+    zohoPort: Number(process.env.MOCK_ZOHO_PORT) || 4020,
+    fixtures: buildFixtures({
+      customers: Number(process.env.MOCK_CUSTOMERS) || 25,
+    }),
+    failTraderIds: (process.env.MOCK_FAIL_TRADER_IDS || "")
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean),
+  }).then(
+    (mocks) => {
+      console.log(`Galaxy mock: ${mocks.urls.galaxy}`);
+      console.log(`Zoho mock:   ${mocks.urls.zoho}`);
+      console.log("Point the job at them with:");
+      for (const [k, v] of Object.entries(mocks.env)) {
+        console.log(`  export ${k}=${v}`);
+      }
+      const stop = () => mocks.close().then(() => process.exit(0));
+      process.on("SIGINT", stop);
+      process.on("SIGTERM", stop);
+    },
+    (err) => {
+      console.error("Could not start mocks:", err.message);
+      process.exitCode = 1;
+    }
+  );
+}
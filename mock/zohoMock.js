@@ -0,0 +1,491 @@
+// mock/zohoMock.js
+
+/**
+ * Zoho CRM Mock
+ * -------------
+ * Express app that stands in for Zoho Accounts (OAuth) and the CRM API in
+ * local end-to-end runs. Serves both the ZOHO_ACCOUNTS_URL and the
+ * ZOHO_API_URL routes, so both can point at it.
+ * Features:
+ *  - OAuth: POST /oauth/v2/token (refresh_token grant, params in query or
+ *    form body); bad credentials answer 200 { error }, like Zoho
+ *  - Auth: CRM calls need a live "Zoho-oauthtoken" header, else 401
+ *    INVALID_TOKEN
+ *  - GET /crm/v2/:module with fields, sort_by, sort_order, per_page, page
+ *  - POST /crm/v8/:module/upsert with duplicate_check_fields and a status
+ *    per row (HTTP 200, as the push modules expect)
+ *  - PUT /crm/v8/:module (update by id), DELETE /crm/v8/:module?ids=...,
+ *    POST /crm/v8/:module/actions/add_tags
+ *  - POST /crm/v8/coql for the query shapes the job uses (see runCoql)
+ *  - GET /crm/v8/users?type=CurrentUser
+ *  - Test hooks: POST /__mock/expire-tokens, GET /__mock/state;
+ *    `app.state.coqlStatus` set to an HTTP status makes COQL answer it,
+ *    `app.state.upsertStatus` the same for upserts
+ *
+ * Per-row errors: MANDATORY_NOT_FOUND for a missing Account_Name (Accounts)
+ * or Last_Name (Contacts), INVALID_DATA for an Email without "@" or a
+ * lookup ({ id }) to an unknown Account, plus anything `failRow` returns.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const MANDATORY = { Accounts: "Account_Name", Contacts: "Last_Name" };
+const USER = { id: "100000000000000001", full_name: "Integration User" };
+
+/** Zoho-style timestamp: 2026-01-31T10:00:00+00:00 */
+function zohoTime(ms = Date.now()) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "+00:00");
+}
+
+/**
+ * Compare two values: ids/numbers numerically, dates and text as strings
+ * @returns {number}
+ */
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  if (/^\d+$/.test(String(a)) && /^\d+$/.test(String(b))) {
+    const ba = BigInt(a);
+    const bb = BigInt(b);
+    return ba < bb ? -1 : ba > bb ? 1 : 0;
+  }
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  const ta = Date.parse(a);
+  const tb = Date.parse(b);
+  if (
+    /\d{4}-\d\d-\d\dT/.test(a) &&
+    Number.isFinite(ta) &&
+    Number.isFinite(tb)
+  ) {
+    return ta - tb;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/** Parse a COQL literal: 'text' or a number */
+function literal(raw) {
+  const t = raw.trim();
+  if (/^'.*'$/.test(t)) return t.slice(1, -1).replace(/''/g, "'");
+  return Number.isFinite(Number(t)) ? Number(t) : t;
+}
+
+/**
+ * Run a COQL query. Supported shape:
+ *   select f1, f2 from Module
+ *   [where COND [and COND ...]]
+ *   [order by f [asc|desc][, ...]]
+ *   [limit [offset,] count]
+ * COND: f in (...), f is [not] null, f = | != | > | >= | < | <= literal
+ * @param {Object<string,Map>} modules - Module name → Map(id → record)
+ * @param {string} query
+ * @returns {{ rows:Array<Object>, more:boolean }}
+ * @throws {Error} On an unsupported query
+ */
+function runCoql(modules, query) {
+  const m =
+    /^\s*select\s+(.+?)\s+from\s+(\w+)(?:\s+where\s+(.+?))?(?:\s+order\s+by\s+(.+?))?(?:\s+limit\s+(?:(\d+)\s*,\s*)?(\d+))?\s*$/i.exec(
+      query
+    );
+  if (!m) throw new Error(`Unsupported COQL: ${query}`);
+  const [, fieldList, moduleName, where, orderBy, offsetRaw, countRaw] = m;
+  const fields = fieldList.split(",").map((f) => f.trim());
+  let rows = Array.from((modules[moduleName] || new Map()).values());
+
+  for (const cond of where ? where.split(/\s+and\s+/i) : []) {
+    let c;
+    if ((c = /^(\w+)\s+in\s*\((.*)\)$/i.exec(cond.trim()))) {
+      const [, f, list] = c;
+      const values = list.match(/'(?:[^']|'')*'|[^,\s]+/g).map(literal);
+      rows = rows.filter((r) => values.some((v) => compare(r[f], v) === 0));
+    } else if ((c = /^(\w+)\s+is\s+(not\s+)?null$/i.exec(cond.trim()))) {
+      const [, f, not] = c;
+      rows = rows.filter(
+        (r) => (r[f] === null || r[f] === undefined) !== !!not
+      );
+    } else if ((c = /^(\w+)\s*(=|!=|>=|<=|>|<)\s*(.+)$/.exec(cond.trim()))) {
+      const [, f, op, raw] = c;
+      const v = literal(raw);
+      const test = {
+        "=": (d) => d === 0,
+        "!=": (d) => d !== 0,
+        ">": (d) => d > 0,
+        ">=": (d) => d >= 0,
+        "<": (d) => d < 0,
+        "<=": (d) => d <= 0,
+      }[op];
+      rows = rows.filter(
+        (r) => r[f] !== null && r[f] !== undefined && test(compare(r[f], v))
+      );
+    } else {
+      throw new Error(`Unsupported COQL condition: ${cond}`);
+    }
+  }
+
+  if (orderBy) {
+    const keys = orderBy.split(",").map((k) => {
+      const [f, dir] = k.trim().split(/\s+/);
+      return { f, sign: /^desc$/i.test(dir || "") ? -1 : 1 };
+    });
+    rows.sort((a, b) => {
+      for (const { f, sign } of keys) {
+        const d = compare(a[f], b[f]);
+        if (d) return sign * d;
+      }
+      return 0;
+    });
+  }
+
+  const offset = Number(offsetRaw) || 0;
+  const count = Math.min(Number(countRaw) || 200, 2000);
+  const page = rows.slice(offset, offset + count).map((r) => {
+    const out = {};
+    for (const f of fields) out[f] = r[f] ?? null;
+    return out;
+  });
+  return { rows: page, more: offset + count < rows.length };
+}
+
+/**
+ * Create the Zoho mock app
+ * @param {Object} [options]
+ * @param {Object<string,Array<Object>>} [options.records] - Initial records per module (ids assigned when missing)
+ * @param {string} [options.clientId="mock-client"]
+ * @param {string} [options.clientSecret="mock-secret"]
+ * @param {string} [options.refreshToken="mock-refresh"]
+ * @param {number} [options.tokenTtlSec=3600]
+ * @param {Function} [options.failRow] - (module, row) → {code, message, details} | null, to inject row errors
+ * @returns {import("express").Express & { state: Object }} App; `state`
+ *   exposes modules (Map per module), tokens, expireTokens(), counters and
+ *   the size of every upsert batch.
+ */
+function createZohoMock({
+  records = {},
+  clientId = "mock-client",
+  clientSecret = "mock-secret",
+  refreshToken = "mock-refresh",
+  tokenTtlSec = 3600,
+  failRow = () => null,
+} = {}) {
+  let nextId = 5000000000000000001n;
+  const newId = () => String(nextId++);
+  const modules = {};
+  const moduleMap = (name) => (modules[name] = modules[name] || new Map());
+  for (const [name, list] of Object.entries(records)) {
+    for (const r of list) {
+      const id = r.id || newId();
+      moduleMap(name).set(id, { ...r, id });
+    }
+  }
+
+  const tokens = new Map(); // access token → expiresAt
+  const state = {
+    modules,
+    tokens,
+    tokenRefreshes: 0,
+    requests: 0,
+    upserts: 0,
+    upsertBatches: [], // { module, size } per upsert call
+    expireTokens: () => tokens.clear(),
+    coqlStatus: null,
+    upsertStatus: null,
+  };
+  const app = express();
+  app.use(express.json({ limit: "10mb", strict: false }));
+  app.use(express.urlencoded({ extended: false }));
+  app.state = state;
+
+  app.post("/oauth/v2/token", (req, res) => {
+    const p = { ...req.query, ...(req.body || {}) };
+    if (
+      p.grant_type !== "refresh_token" ||
+      p.client_id !== clientId ||
+      p.client_secret !== clientSecret ||
+      p.refresh_token !== refreshToken
+    ) {
+      return res.json({ error: "invalid_code" });
+    }
+    const token = `1000.${crypto.randomBytes(16).toString("hex")}`;
+    tokens.set(token, Date.now() + tokenTtlSec * 1000);
+    state.tokenRefreshes++;
+    res.json({
+      access_token: token,
+      api_domain: `${req.protocol}://${req.get("host")}`,
+      token_type: "Bearer",
+      expires_in: tokenTtlSec,
+    });
+  });
+
+  app.post("/__mock/expire-tokens", (req, res) => {
+    state.expireTokens();
+    res.json({ ok: true });
+  });
+  app.get("/__mock/state", (req, res) => {
+    res.json({
+      modules: Object.fromEntries(
+        Object.entries(modules).map(([k, v]) => [k, v.size])
+      ),
+      tokens: tokens.size,
+      tokenRefreshes: state.tokenRefreshes,
+      requests: state.requests,
+      upserts: state.upserts,
+    });
+  });
+
+  app.use("/crm", (req, res, next) => {
+    state.requests++;
+    const token = /^Zoho-oauthtoken\s+(.+)$/.exec(
+      req.headers.authorization || ""
+    )?.[1];
+    const expiresAt = token && tokens.get(token);
+    if (!expiresAt || expiresAt < Date.now()) {
+      return res.status(401).json({
+        code: "INVALID_TOKEN",
+        details: {},
+        message: "invalid oauth token",
+        status: "error",
+      });
+    }
+    next();
+  });
+
+  app.get("/crm/v8/users", (req, res) => {
+    res.json({ users: [USER] });
+  });
+
+  app.get("/crm/v2/:module", (req, res) => {
+    const { fields, sort_by, sort_order } = req.query;
+    const perPage = Math.min(Number(req.query.per_page) || 200, 200);
+    const page = Number(req.query.page) || 1;
+    let rows = Array.from(moduleMap(req.params.module).values());
+    if (sort_by) {
+      const sign = sort_order === "desc" ? -1 : 1;
+      rows.sort((a, b) => sign * compare(a[sort_by], b[sort_by]));
+    }
+    const slice = rows.slice((page - 1) * perPage, page * perPage);
+    if (!slice.length) return res.status(204).end();
+    const pick = fields ? ["id", ...String(fields).split(",")] : null;
+    res.json({
+      data: slice.map((r) =>
+        pick ? Object.fromEntries(pick.map((f) => [f, r[f] ?? null])) : r
+      ),
+      info: {
+        per_page: perPage,
+        count: slice.length,
+        page,
+        more_records: page * perPage < rows.length,
+      },
+    });
+  });
+
+  /**
+   * Validate one row for a write
+   * @returns {Object|null} Zoho row error, or null when valid
+   */
+  const rowError = (moduleName, row, { requireMandatory }) => {
+    const mandatory = MANDATORY[moduleName];
+    if (requireMandatory && mandatory && !row[mandatory]) {
+      return {
+        code: "MANDATORY_NOT_FOUND",
+        details: { api_name: mandatory, json_path: `$.data[0].${mandatory}` },
+        message: "required field not found",
+        status: "error",
+      };
+    }
+    for (const [field, v] of Object.entries(row)) {
+      const invalid =
+        (field === "Email" && v && !String(v).includes("@")) ||
+        (v &&
+          typeof v === "object" &&
+          !Array.isArray(v) &&
+          field !== "Owner" &&
+          v.id &&
+          !moduleMap("Accounts").has(String(v.id)));
+      if (invalid) {
+        return {
+          code: "INVALID_DATA",
+          details: { api_name: field, json_path: `$.data[0].${field}` },
+          message: "invalid data",
+          status: "error",
+        };
+      }
+    }
+    const custom = failRow(moduleName, row);
+    return custom ? { status: "error", details: {}, ...custom } : null;
+  };
+
+  app.post("/crm/v8/:module/upsert", (req, res) => {
+    const moduleName = req.params.module;
+    const rows = req.body?.data;
+    if (!Array.isArray(rows) || !rows.length || rows.length > 100) {
+      return res.status(400).json({
+        code: "INVALID_DATA",
+        details: {},
+        message: "data must hold 1 to 100 records",
+        status: "error",
+      });
+    }
+    state.upsertBatches.push({ module: moduleName, size: rows.length });
+    if (state.upsertStatus) {
+      return res.status(state.upsertStatus).json({
+        code: "INTERNAL_ERROR",
+        details: {},
+        message: "mock upsert failure",
+        status: "error",
+      });
+    }
+    const dupFields = String(
+      req.query.duplicate_check_fields || req.body.duplicate_check_fields || ""
+    )
+      .split(",")
+      .map((f) => f.trim())
+      .filter(Boolean);
+    const store = moduleMap(moduleName);
+    const now = zohoTime();
+
+    const data = rows.map((row) => {
+      let existing = null;
+      let duplicateField = null;
+      for (const f of dupFields) {
+        if (row[f] === undefined || row[f] === null || row[f] === "") continue;
+        existing = Array.from(store.values()).find((r) => r[f] === row[f]);
+        if (existing) {
+          duplicateField = f;
+          break;
+        }
+      }
+      const error = rowError(moduleName, row, {
+        requireMandatory: !existing,
+      });
+      if (error) return error;
+
+      state.upserts++;
+      const id = existing?.id || newId();
+      const record = {
+        ...(existing || { Created_Time: now }),
+        ...row,
+        id,
+        Modified_Time: now,
+        Modified_By: { id: USER.id, name: USER.full_name },
+      };
+      store.set(id, record);
+      return {
+        code: "SUCCESS",
+        duplicate_field: duplicateField,
+        action: existing ? "update" : "insert",
+        details: { id, Modified_Time: now, Created_Time: record.Created_Time },
+        message: existing ? "record updated" : "record added",
+        status: "success",
+      };
+    });
+    res.json({ data });
+  });
+
+  app.put("/crm/v8/:module", (req, res) => {
+    const store = moduleMap(req.params.module);
+    const now = zohoTime();
+    const data = (req.body?.data || []).map((row) => {
+      const existing = store.get(String(row.id));
+      if (!existing) {
+        return {
+          code: "INVALID_DATA",
+          details: { api_name: "id" },
+          message: "the related id given seems to be invalid",
+          status: "error",
+        };
+      }
+      const error = rowError(req.params.module, row, {
+        requireMandatory: false,
+      });
+      if (error) return error;
+      store.set(existing.id, { ...existing, ...row, Modified_Time: now });
+      return {
+        code: "SUCCESS",
+        details: { id: existing.id, Modified_Time: now },
+        message: "record updated",
+        status: "success",
+      };
+    });
+    res.json({ data });
+  });
+
+  app.delete("/crm/v8/:module", (req, res) => {
+    const store = moduleMap(req.params.module);
+    const ids = String(req.query.ids || "")
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+    if (!ids.length || ids.length > 100) {
+      return res.status(400).json({
+        code: "INVALID_DATA",
+        details: {},
+        message: "ids must hold 1 to 100 record ids",
+        status: "error",
+      });
+    }
+    const data = ids.map((id) => {
+      if (!store.delete(id)) {
+        return {
+          code: "INVALID_DATA",
+          details: { id },
+          message: "the related id given seems to be invalid",
+          status: "error",
+        };
+      }
+      return {
+        code: "SUCCESS",
+        details: { id },
+        message: "record deleted",
+        status: "success",
+      };
+    });
+    res.json({ data });
+  });
+
+  app.post("/crm/v8/:module/actions/add_tags", (req, res) => {
+    const store = moduleMap(req.params.module);
+    const names = (req.body?.tags || []).map((t) => t.name);
+    const data = (req.body?.ids || []).map((id) => {
+      const rec = store.get(String(id));
+      if (!rec) {
+        return { code: "INVALID_DATA", details: { id }, status: "error" };
+      }
+      const current = (rec.Tag || []).map((t) => t.name);
+      rec.Tag = [...new Set([...current, ...names])].map((name) => ({ name }));
+      return { code: "SUCCESS", details: { id }, status: "success" };
+    });
+    res.json({ data });
+  });
+
+  app.post("/crm/v8/coql", (req, res) => {
+    if (state.coqlStatus) {
+      return res.status(state.coqlStatus).json({
+        code: "INTERNAL_ERROR",
+        details: {},
+        message: "mock COQL failure",
+        status: "error",
+      });
+    }
+    let result;
+    try {
+      result = runCoql(modules, String(req.body?.select_query || ""));
+    } catch (err) {
+      return res.status(400).json({
+        code: "SYNTAX_ERROR",
+        details: {},
+        message: err.message,
+        status: "error",
+      });
+    }
+    if (!result.rows.length) return res.status(204).end();
+    res.json({
+      data: result.rows,
+      info: { count: result.rows.length, more_records: result.more },
+    });
+  });
+
+  return app;
+}
+
+module.exports = { createZohoMock, runCoql };
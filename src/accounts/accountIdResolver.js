@@ -0,0 +1,151 @@
+// src/accounts/accountIdResolver.js
+
+/**
+ * Account Id Resolver
+ * -------------------
+ * Resolves Trader_IDs to Zoho Account record ids for lookups (Affiliate_To,
+ * a contact's parent Account), whether the Account was upserted in this run
+ * or in an earlier one.
+ * Features:
+ *  - Ids upserted in this run (remember()) come first
+ *  - Then the local cache (utils/accountIdStore.js), if one is given
+ *  - Then Zoho: COQL on Trader_ID in batches of 50; found ids are cached
+ *  - Trader_IDs found nowhere are returned as `unresolved`; those of a
+ *    failed Zoho lookup (non-200/204) as `failed`, so callers can retry
+ *    them instead of reporting them as missing
+ */
+
+const { zohoApi } = require("../api/zohoClient");
+const { normId } = require("../utils/normalize");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("RESOLVER");
+
+// COQL accepts at most 50 values inside an IN (...) clause.
+const COQL_IN_LIMIT = 50;
+
+/**
+ * Look up Zoho Account IDs by Trader_ID using COQL, in chunks of 50.
+ * Trader_IDs not found in Zoho are simply absent from `ids`; those of a
+ * chunk Zoho did not answer are listed in `failed`.
+ *
+ * @param {string[]} traderIds - Normalized (uppercase) Trader_IDs.
+ * @returns {Promise<{ ids:Map<string,string>, failed:Array<string> }>}
+ *   Trader_ID → Zoho Account ID, and the Trader_IDs of failed lookups.
+ */
+async function resolveAccountIdsByTraderId(traderIds) {
+  const out = new Map();
+  const failed = [];
+  const ids = Array.from(new Set(traderIds || [])).filter(Boolean);
+
+  for (let i = 0; i < ids.length; i += COQL_IN_LIMIT) {
+    const chunk = ids.slice(i, i + COQL_IN_LIMIT);
+    const inList = chunk
+      .map((id) => `'${String(id).replace(/'/g, "\\'")}'`)
+      .join(",");
+    const res = await zohoApi("POST", "/crm/v8/coql", {
+      select_query: `select id, Trader_ID from Accounts where Trader_ID in (${inList}) limit 200`,
+    });
+
+    // 204 = no matching records
+    if (res.status === 204) continue;
+    if (res.status !== 200 || !Array.isArray(res.data?.data)) {
+      log.warn(`Account lookup HTTP ${res.status}. Body:`, res.data);
+      failed.push(...chunk);
+      continue;
+    }
+    for (const rec of res.data.data) {
+      const trader = normId(rec?.Trader_ID);
+      if (trader && rec?.id) out.set(trader, rec.id);
+    }
+  }
+
+  return { ids: out, failed };
+}
+
+/**
+ * AccountIdResolver class
+ */
+class AccountIdResolver {
+  /**
+   * Constructor
+   * @param {Object} [options]
+   * @param {AccountIdStore} [options.store] - Local cache across runs
+   * @param {Function} [options.lookup=resolveAccountIdsByTraderId] - Zoho lookup
+   */
+  constructor({ store = null, lookup = resolveAccountIdsByTraderId } = {}) {
+    this.store = store;
+    this.lookup = lookup;
+    this.known = new Map(); // ids seen in this run
+    this.stats = { known: 0, cached: 0, zoho: 0, unresolved: 0, failed: 0 };
+  }
+
+  /**
+   * Record ids returned by upserts of this run (and cache them)
+   * @param {Map<string,string>|Iterable<[string,string]>} idByTraderId
+   */
+  remember(idByTraderId) {
+    for (const [trader, id] of idByTraderId || []) {
+      if (!trader || !id) continue;
+      this.known.set(trader, id);
+      this.store?.set(trader, id);
+    }
+  }
+
+  /**
+   * Resolve Trader_IDs to Zoho Account ids
+   * @param {Array<string>} traderIds - Normalized Trader_IDs
+   * @returns {Promise<{ ids:Map<string,string>, unresolved:Array<string>, failed:Array<string> }>}
+   *   `unresolved`: not in Zoho; `failed`: the Zoho lookup failed (unknown).
+   */
+  async resolve(traderIds) {
+    const ids = new Map();
+    const missing = [];
+    for (const trader of new Set(traderIds || [])) {
+      if (!trader) continue;
+      const known = this.known.get(trader);
+      const cached = known ? undefined : this.store?.get(trader);
+      if (known) {
+        ids.set(trader, known);
+        this.stats.known++;
+      } else if (cached) {
+        ids.set(trader, cached);
+        this.stats.cached++;
+      } else {
+        missing.push(trader);
+      }
+    }
+
+    const unresolved = [];
+    const failed = [];
+    if (missing.length) {
+      const found = await this.lookup(missing);
+      const failedSet = new Set(found.failed);
+      for (const trader of missing) {
+        const id = found.ids.get(trader);
+        if (!id && failedSet.has(trader)) {
+          failed.push(trader);
+          continue;
+        }
+        if (!id) {
+          unresolved.push(trader);
+          continue;
+        }
+        ids.set(trader, id);
+        this.known.set(trader, id);
+        this.store?.set(trader, id);
+      }
+      const resolved = missing.length - unresolved.length - failed.length;
+      this.stats.zoho += resolved;
+      this.stats.unresolved += unresolved.length;
+      this.stats.failed += failed.length;
+      log.info(`Resolved ${resolved}/${missing.length} Trader_ID(s) via Zoho.`);
+      if (failed.length) {
+        log.warn(`Zoho lookup failed for ${failed.length} Trader_ID(s).`);
+      }
+    }
+    return { ids, unresolved, failed };
+  }
+}
+
+module.exports = { AccountIdResolver, resolveAccountIdsByTraderId };
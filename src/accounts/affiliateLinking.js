@@ -0,0 +1,155 @@
+// src/accounts/affiliateLinking.js
+
+/**
+ * Affiliate Linking
+ * -----------------
+ * Pure helpers behind the customer → affiliate link (Affiliate_To).
+ * Linking Strategy: an affiliate belongs to the customer that shares its
+ * revision number (AFFILIATES_REVNUM = THIRDPARTYREVNUM), and only customers
+ * holding a member card (ZH_CUSTOMERS_MEMBER_CARDNO) have affiliates.
+ * Features:
+ *  - Card-holder selection and their revision numbers
+ *  - RevNum → affiliate map and affiliate dedupe by latest revision
+ *  - RevNum → every affiliate of that revision (junction link mode)
+ *  - Restricting affiliates to the card-holders of a chunk
+ *  - RevNum → affiliate Zoho ID map for the customer upsert
+ */
+
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("AFFILIATES");
+
+function upper(s) {
+  return String(s || "").toUpperCase();
+}
+
+/**
+ * Pick the customers that hold a member card and have a revision number
+ * @param {Array<Object>} items - Galaxy customer rows
+ * @returns {{ revNums:Array<number>, cardHolders:Array<Object> }}
+ */
+function selectCardHolders(items) {
+  const revNums = [];
+  const cardHolders = [];
+  for (const it of items || []) {
+    if (
+      it?.ZH_CUSTOMERS_MEMBER_CARDNO != null &&
+      it.ZH_CUSTOMERS_MEMBER_CARDNO !== ""
+    ) {
+      const rev = Number(it.THIRDPARTYREVNUM);
+      if (Number.isFinite(rev) && rev > 0) {
+        revNums.push(rev);
+        cardHolders.push(it);
+      }
+    }
+  }
+  return { revNums, cardHolders };
+}
+
+/**
+ * Map affiliates by their AFFILIATES_REVNUM (for linking) and dedupe them
+ * by Trader_ID, keeping the row with the latest revision (for the upsert).
+ * Rows without a revision or Trader_ID are ignored.
+ * @param {Array<Object>} allAffRows - Galaxy affiliate rows
+ * @returns {{ affRevToAffTrader:Map<number,{affTraderId:string, rev:number}>, uniqueAffRows:Array<Object> }}
+ */
+function buildAffiliateMaps(allAffRows) {
+  const affRevToAffTrader = new Map(); // AFFILIATES_REVNUM -> { affTraderId, rev }
+  const byAffTrader = new Map(); // affiliate Trader_ID -> chosen row (for upsert)
+
+  for (const row of allAffRows || []) {
+    const affRev = Number(row?.AFFILIATES_REVNUM) || 0;
+    const affTrader = upper(row?.AFFILIATES_TRDRID || "");
+    if (!affRev || !affTrader) continue;
+
+    // 1. Group by Affiliate Rev Number (for Customer linking):
+    // Choose the LATEST affiliate (by its own AFFILIATES_REVNUM) for a given AFFILIATES_REVNUM group.
+    const prevAffRev = affRevToAffTrader.get(affRev);
+    if (!prevAffRev || affRev > (prevAffRev.rev || 0)) {
+      affRevToAffTrader.set(affRev, { affTraderId: affTrader, rev: affRev });
+    }
+
+    // 2. Deduplicate for Upserting:
+    // Deduplicate affiliates by their Trader_ID (as before) to prepare for upsert.
+    const prevAff = byAffTrader.get(affTrader);
+    if (!prevAff || affRev > (Number(prevAff?.AFFILIATES_REVNUM) || 0)) {
+      byAffTrader.set(affTrader, row);
+    }
+  }
+
+  log.info(`Built RevNum→affiliate map: ${affRevToAffTrader.size} entries.`);
+  const uniqueAffRows = Array.from(byAffTrader.values());
+  log.info(
+    `Unique affiliate rows (before batch filter): ${uniqueAffRows.length}`
+  );
+
+  if (log.isDebug()) {
+    const sampleRevNum = Array.from(affRevToAffTrader.entries()).slice(0, 5);
+    const sampleAff = uniqueAffRows.slice(0, 5).map((r) => ({
+      AFFILIATES_TRDRID: r.AFFILIATES_TRDRID,
+      AFF_NAME: r.AFF_NAME,
+      AFFILIATES_REVNUM: r.AFFILIATES_REVNUM,
+    }));
+    log.debug("Sample RevNum→affiliate (link):", sampleRevNum);
+    log.debug("Sample unique affiliates (before filter):", sampleAff);
+  }
+
+  return { affRevToAffTrader, uniqueAffRows };
+}
+
+/**
+ * Group every affiliate by its AFFILIATES_REVNUM, for the junction link mode
+ * where a customer keeps all its affiliates instead of the latest one.
+ * Rows without a revision or Trader_ID are ignored.
+ * @param {Array<Object>} allAffRows - Galaxy affiliate rows
+ * @returns {Map<number,Array<string>>} RevNum → affiliate Trader_IDs (unique, sorted)
+ */
+function buildAffiliatePairs(allAffRows) {
+  const byRev = new Map();
+  for (const row of allAffRows || []) {
+    const affRev = Number(row?.AFFILIATES_REVNUM) || 0;
+    const affTrader = upper(row?.AFFILIATES_TRDRID || "");
+    if (!affRev || !affTrader) continue;
+    if (!byRev.has(affRev)) byRev.set(affRev, new Set());
+    byRev.get(affRev).add(affTrader);
+  }
+  return new Map(
+    Array.from(byRev, ([rev, traders]) => [rev, Array.from(traders).sort()])
+  );
+}
+
+/**
+ * Keep the affiliates whose revision matches a card-holder of the chunk
+ * @param {Array<Object>} affRows - Deduplicated affiliate rows
+ * @param {Set<number>} revNumSet - Card-holder THIRDPARTYREVNUMs
+ * @returns {Array<Object>}
+ */
+function filterAffiliatesByRevNum(affRows, revNumSet) {
+  return affRows.filter((affRow) =>
+    revNumSet.has(Number(affRow.AFFILIATES_REVNUM))
+  );
+}
+
+/**
+ * Customer RevNum → affiliate Zoho ID, for affiliates that were upserted
+ * (i.e. have a Zoho ID)
+ * @param {Map<number,{affTraderId:string}>} affRevToAffTrader - From buildAffiliateMaps()
+ * @param {Map<string,string>} idByTraderId - Affiliate Trader_ID → Zoho ID
+ * @returns {Map<number,string>}
+ */
+function linkRevNumsToAffiliateIds(affRevToAffTrader, idByTraderId) {
+  const affiliateIdByCustomerRevNum = new Map();
+  for (const [revNum, { affTraderId }] of affRevToAffTrader.entries()) {
+    const zid = idByTraderId.get(affTraderId);
+    if (zid) affiliateIdByCustomerRevNum.set(revNum, zid);
+  }
+  return affiliateIdByCustomerRevNum;
+}
+
+module.exports = {
+  selectCardHolders,
+  buildAffiliateMaps,
+  buildAffiliatePairs,
+  filterAffiliatesByRevNum,
+  linkRevNumsToAffiliateIds,
+};
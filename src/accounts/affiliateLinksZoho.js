@@ -0,0 +1,263 @@
+// src/accounts/affiliateLinksZoho.js
+
+/**
+ * Customer ↔ Affiliate Links (junction module)
+ * --------------------------------------------
+ * With AFFILIATE_LINK_MODE=junction, every Galaxy customer–affiliate pair is
+ * kept as one record of a Zoho linking module (AFFILIATE_LINK_MODULE,
+ * default "Customer_Affiliates") instead of the single Affiliate_To lookup.
+ * Features:
+ *  - Link records keyed by Link_Key ("<customer Trader_ID>:<affiliate Trader_ID>"),
+ *    with Customer/Affiliate lookups to Accounts, both Trader_IDs as text,
+ *    Start_Date and End_Date
+ *  - Only new (or re-appearing) pairs are upserted; a live link keeps its
+ *    Start_Date
+ *  - Live links of a customer that Galaxy no longer has are ended
+ *    (End_Date = today) or deleted (AFFILIATE_LINK_ON_REMOVE)
+ *  - Dry run: the upserts and removals are written to the report
+ *
+ * Field API names of the linking module: Name, Link_Key (unique),
+ * Customer, Affiliate (lookups to Accounts), Customer_Trader_ID,
+ * Affiliate_Trader_ID, Start_Date, End_Date.
+ */
+
+const { zohoApi } = require("../api/zohoClient");
+const cfg = require("../config");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("AFF-LINKS");
+
+// Zoho caps upserts, updates and deletes at 100 records per call
+const BATCH_SIZE = 100;
+// COQL accepts at most 50 values inside an IN (...) clause
+const COQL_IN_LIMIT = 50;
+// COQL returns at most 200 rows per query
+const COQL_PAGE_SIZE = 200;
+
+/**
+ * @param {string} customer - Customer Trader_ID
+ * @param {string} affiliate - Affiliate Trader_ID
+ * @returns {string} Link_Key of the pair
+ */
+function linkKey(customer, affiliate) {
+  return `${customer}:${affiliate}`;
+}
+
+/** @returns {string} Today as a Zoho date (YYYY-MM-DD) */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * List the live (no End_Date) links of the given customers, paging by id.
+ *
+ * @param {Array<string>} customerTraderIds - Normalized customer Trader_IDs
+ * @param {string} [moduleName=cfg.affiliateLinks.module]
+ * @returns {Promise<Array<{id:string, Link_Key:string, Customer_Trader_ID:string, Affiliate_Trader_ID:string}>>}
+ * @throws {Error} On a failed query (links must not be removed on a
+ *   partial list)
+ */
+async function listAffiliateLinks(
+  customerTraderIds,
+  moduleName = cfg.affiliateLinks.module
+) {
+  const ids = Array.from(new Set(customerTraderIds || [])).filter(Boolean);
+  const out = [];
+
+  for (let i = 0; i < ids.length; i += COQL_IN_LIMIT) {
+    const inList = ids
+      .slice(i, i + COQL_IN_LIMIT)
+      .map((id) => `'${String(id).replace(/'/g, "\\'")}'`)
+      .join(",");
+    let lastId = "0";
+    for (;;) {
+      const res = await zohoApi("POST", "/crm/v8/coql", {
+        select_query:
+          `select id, Link_Key, Customer_Trader_ID, Affiliate_Trader_ID from ${moduleName}` +
+          ` where Customer_Trader_ID in (${inList}) and End_Date is null and id > ${lastId}` +
+          ` order by id asc limit ${COQL_PAGE_SIZE}`,
+      });
+      // 204 = no (more) matching records
+      if (res.status === 204) break;
+      if (res.status !== 200 || !Array.isArray(res.data?.data)) {
+        throw new Error(
+          `Affiliate link listing failed: HTTP ${res.status} ${JSON.stringify(
+            res.data
+          )}`
+        );
+      }
+      const rows = res.data.data;
+      out.push(...rows.filter((r) => r?.id && r.Link_Key));
+      if (rows.length < COQL_PAGE_SIZE || !res.data.info?.more_records) break;
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Tally one Zoho write response into `result`
+ * @param {Object} res - zohoApi() response
+ * @param {Array<Object>} group - Records (or ids) of the request
+ * @param {"linked"|"removed"} okKey - Counter for successful rows
+ * @param {Object} result - Counters and `errors` samples
+ */
+function tallyWrite(res, group, okKey, result) {
+  if (res.status !== 200 || !Array.isArray(res.data?.data)) {
+    result.failed += group.length;
+    if (result.errors.length < 5) {
+      result.errors.push({ code: `HTTP_${res.status}`, details: res.data });
+    }
+    return;
+  }
+  for (const row of res.data.data) {
+    if (row.status === "success") {
+      result[okKey]++;
+      continue;
+    }
+    result.failed++;
+    if (result.errors.length < 5) {
+      result.errors.push({
+        code: row.code || "UNKNOWN",
+        message: row.message || "",
+        details: row.details || null,
+      });
+    }
+  }
+}
+
+/**
+ * Sync the customer–affiliate links of a set of customers: upsert the pairs
+ * Galaxy has that are not live in Zoho, then end (or delete) the live links
+ * Galaxy no longer has. Only the links of the given customers are touched.
+ *
+ * @param {Array<{traderId:string, id:string, affiliates:Array<string>}>} customers
+ *   Customers with their Zoho id and every affiliate Trader_ID Galaxy has
+ *   for them (empty: all their links are removed).
+ * @param {Map<string,string>} affiliateIds - Affiliate Trader_ID → Zoho id;
+ *   pairs without an affiliate id are left as they are.
+ * @param {{ report?: DryRunReport, moduleName?: string, onRemove?: "end"|"delete" }} [options]
+ * @returns {Promise<{ linked:number, unchanged:number, removed:number, failed:number, skipped:number, errors:Array<Object> }>}
+ *   `skipped`: pairs whose affiliate has no Zoho id.
+ */
+async function syncAffiliateLinks(
+  customers,
+  affiliateIds,
+  {
+    report,
+    moduleName = cfg.affiliateLinks.module,
+    onRemove = cfg.affiliateLinks.onRemove,
+  } = {}
+) {
+  const result = {
+    linked: 0,
+    unchanged: 0,
+    removed: 0,
+    failed: 0,
+    skipped: 0,
+    errors: [],
+  };
+  const list = (customers || []).filter((c) => c?.traderId && c.id);
+  if (!list.length) return result;
+
+  const live = new Map(
+    (
+      await listAffiliateLinks(
+        list.map((c) => c.traderId),
+        moduleName
+      )
+    ).map((l) => [l.Link_Key, l])
+  );
+
+  const start = today();
+  const toUpsert = [];
+  const wanted = new Set();
+  for (const c of list) {
+    for (const affiliate of c.affiliates || []) {
+      const key = linkKey(c.traderId, affiliate);
+      wanted.add(key);
+      if (live.has(key)) {
+        result.unchanged++;
+        continue;
+      }
+      const affId = affiliateIds?.get(affiliate);
+      if (!affId) {
+        result.skipped++;
+        continue;
+      }
+      toUpsert.push({
+        Name: key,
+        Link_Key: key,
+        Customer: { id: c.id },
+        Affiliate: { id: affId },
+        Customer_Trader_ID: c.traderId,
+        Affiliate_Trader_ID: affiliate,
+        Start_Date: start,
+        // Clears the end of an earlier, ended link of the same pair
+        End_Date: null,
+      });
+    }
+  }
+  const toRemove = Array.from(live.values()).filter(
+    (l) => !wanted.has(l.Link_Key)
+  );
+
+  const upsertBatches = Math.ceil(toUpsert.length / BATCH_SIZE);
+  for (let i = 0; i < toUpsert.length; i += BATCH_SIZE) {
+    const group = toUpsert.slice(i, i + BATCH_SIZE);
+    if (report) {
+      report.batch(
+        "affiliateLinks",
+        {
+          module: moduleName,
+          duplicateCheckField: "Link_Key",
+          batch: i / BATCH_SIZE + 1,
+          of: upsertBatches,
+        },
+        group
+      );
+      result.linked += group.length;
+      continue;
+    }
+    const res = await zohoApi(
+      "POST",
+      `/crm/v8/${moduleName}/upsert`,
+      { data: group },
+      { duplicate_check_fields: "Link_Key" }
+    );
+    tallyWrite(res, group, "linked", result);
+  }
+
+  for (let i = 0; i < toRemove.length; i += BATCH_SIZE) {
+    const group = toRemove.slice(i, i + BATCH_SIZE);
+    if (report) {
+      for (const l of group) {
+        report.unlink({ module: moduleName, action: onRemove, ...l });
+      }
+      result.removed += group.length;
+      continue;
+    }
+    const res =
+      onRemove === "delete"
+        ? await zohoApi("DELETE", `/crm/v8/${moduleName}`, undefined, {
+            ids: group.map((l) => l.id).join(","),
+          })
+        : await zohoApi("PUT", `/crm/v8/${moduleName}`, {
+            data: group.map((l) => ({ id: l.id, End_Date: start })),
+          });
+    tallyWrite(res, group, "removed", result);
+  }
+
+  log.info(
+    `Links → linked: ${result.linked}, unchanged: ${result.unchanged}, ${
+      onRemove === "delete" ? "deleted" : "ended"
+    }: ${result.removed}, failed: ${result.failed}, no affiliate id: ${
+      result.skipped
+    }`
+  );
+  if (result.errors.length) log.warn("Sample link errors:", result.errors);
+  return result;
+}
+
+module.exports = { linkKey, listAffiliateLinks, syncAffiliateLinks };
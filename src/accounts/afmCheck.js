@@ -0,0 +1,223 @@
+// src/accounts/afmCheck.js
+
+/**
+ * AFM Check
+ * ---------
+ * Validates the Greek tax id (AFM) of mapped Account payloads (customers and
+ * affiliates) and finds Accounts that share an AFM under different
+ * Trader_IDs.
+ * Features:
+ *  - Greek 9-digit AFM checksum; EL/GR VAT prefixes and separators are
+ *    already removed by the normAfm normalizer (see utils/normalize.js)
+ *  - An invalid AFM is never sent as Account_AFM: with AFM_INVALID_FIELD
+ *    set it goes to that field instead, which is cleared once the AFM is
+ *    valid again
+ *  - Shared AFMs within the run (AFM_DUPLICATE_CHECK=run) and also against
+ *    existing Zoho Accounts (=zoho, COQL on Account_AFM in batches of 50)
+ *  - Duplicates report: NDJSON, one line per shared AFM, rewritten by every
+ *    run and removed when there are none (AFM_DUPLICATES_REPORT)
+ */
+
+const fs = require("fs");
+const { zohoApi } = require("../api/zohoClient");
+const cfg = require("../config");
+const { normAfm, normId } = require("../utils/normalize");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("AFM");
+
+// COQL accepts at most 50 values inside an IN (...) clause.
+const COQL_IN_LIMIT = 50;
+// First invalid AFMs / duplicates kept for the job result
+const SAMPLE_SIZE = 100;
+
+/**
+ * Greek AFM checksum: the first 8 digits weighted by 2^8 … 2^1, summed,
+ * mod 11, mod 10 must equal the 9th digit.
+ * @param {string} afm - Normalized AFM (no prefix or separators)
+ * @returns {boolean}
+ */
+function isValidAfm(afm) {
+  const s = String(afm ?? "");
+  if (!/^\d{9}$/.test(s) || s === "000000000") return false;
+  let sum = 0;
+  for (let i = 0; i < 8; i++) sum += Number(s[i]) * 2 ** (8 - i);
+  return (sum % 11) % 10 === Number(s[8]);
+}
+
+/**
+ * Look up Zoho Accounts by Account_AFM using COQL, in chunks of 50.
+ * A failed query is logged and skipped (duplicate detection is a report,
+ * never a reason to stop the sync).
+ *
+ * @param {Array<string>} afms - Valid, normalized AFMs
+ * @returns {Promise<Array<{id:string, Trader_ID:string|null, Account_AFM:string}>>}
+ */
+async function findAccountsByAfm(afms) {
+  const out = [];
+  const list = Array.from(new Set(afms || [])).filter(Boolean);
+
+  for (let i = 0; i < list.length; i += COQL_IN_LIMIT) {
+    const inList = list
+      .slice(i, i + COQL_IN_LIMIT)
+      .map((afm) => `'${afm}'`)
+      .join(",");
+    const res = await zohoApi("POST", "/crm/v8/coql", {
+      select_query: `select id, Trader_ID, Account_AFM from Accounts where Account_AFM in (${inList}) limit 200`,
+    });
+    // 204 = no matching records
+    if (res.status === 204) continue;
+    if (res.status !== 200 || !Array.isArray(res.data?.data)) {
+      log.warn(`AFM lookup HTTP ${res.status}. Body:`, res.data);
+      continue;
+    }
+    out.push(...res.data.data.filter((r) => r?.id));
+  }
+
+  return out;
+}
+
+/**
+ * AfmCheck class
+ */
+class AfmCheck {
+  /**
+   * Constructor
+   * @param {Object} [options]
+   * @param {string|null} [options.invalidField=cfg.afm.invalidField] - Zoho
+   *   field for invalid AFMs (null: they are only left out and counted)
+   * @param {"off"|"run"|"zoho"} [options.duplicateCheck=cfg.afm.duplicateCheck]
+   * @param {Function} [options.lookup=findAccountsByAfm] - Zoho lookup
+   */
+  constructor({
+    invalidField = cfg.afm.invalidField,
+    duplicateCheck = cfg.afm.duplicateCheck,
+    lookup = findAccountsByAfm,
+  } = {}) {
+    this.invalidField = invalidField;
+    this.duplicateCheck = duplicateCheck;
+    this.lookup = lookup;
+    // AFM → Map(account key → { Trader_ID, entity, id? })
+    this.accountsByAfm = new Map();
+    this.pending = new Set(); // AFMs not yet looked up in Zoho
+    this.lookedUp = new Set();
+    this.invalid = []; // first SAMPLE_SIZE { Trader_ID, entity, value }
+    this.stats = { valid: 0, invalid: 0 };
+  }
+
+  /**
+   * Validate the Account_AFM of a mapped payload (mutates it) and remember
+   * a valid AFM for duplicate detection
+   * @param {Object} record - Mapped Zoho Account payload
+   * @param {"customers"|"affiliates"} entity
+   * @returns {boolean} false when the AFM was invalid and taken out
+   */
+  check(record, entity) {
+    const value = record.Account_AFM;
+    const empty = value === undefined || value === null || value === "";
+    if (empty || isValidAfm(value)) {
+      if (this.invalidField) record[this.invalidField] = null;
+      if (!empty) {
+        this.stats.valid++;
+        this._add(value, { Trader_ID: record.Trader_ID, entity });
+      }
+      return true;
+    }
+
+    delete record.Account_AFM;
+    if (this.invalidField) record[this.invalidField] = String(value);
+    this.stats.invalid++;
+    if (this.invalid.length < SAMPLE_SIZE) {
+      this.invalid.push({ Trader_ID: record.Trader_ID, entity, value });
+    }
+    log.debug(`Invalid AFM for ${record.Trader_ID}: "${value}"`);
+    return false;
+  }
+
+  /**
+   * Remember an Account holding `afm`
+   * @private
+   */
+  _add(afm, account) {
+    if (this.duplicateCheck === "off") return;
+    const key = account.Trader_ID || `id:${account.id}`;
+    if (!this.accountsByAfm.has(afm)) this.accountsByAfm.set(afm, new Map());
+    const accounts = this.accountsByAfm.get(afm);
+    accounts.set(key, { ...account, ...accounts.get(key) });
+    if (this.duplicateCheck === "zoho" && !this.lookedUp.has(afm)) {
+      this.pending.add(afm);
+    }
+  }
+
+  /**
+   * Look up the AFMs seen since the last call in Zoho (AFM_DUPLICATE_CHECK
+   * =zoho), so Accounts of other Trader_IDs (or none) join the duplicates
+   */
+  async checkZoho() {
+    if (!this.pending.size) return;
+    const afms = Array.from(this.pending);
+    this.pending.clear();
+    for (const afm of afms) this.lookedUp.add(afm);
+
+    for (const rec of await this.lookup(afms)) {
+      const afm = normAfm(rec.Account_AFM);
+      if (!this.accountsByAfm.has(afm)) continue;
+      const trader = normId(rec.Trader_ID) || null;
+      const accounts = this.accountsByAfm.get(afm);
+      const known = trader && accounts.get(trader);
+      if (known) known.id = known.id || rec.id;
+      else this._add(afm, { Trader_ID: trader, entity: "zoho", id: rec.id });
+    }
+  }
+
+  /**
+   * AFMs held by more than one Account (distinct Trader_IDs)
+   * @returns {Array<{ afm:string, accounts:Array<{Trader_ID:string|null, entity:string, id?:string}> }>}
+   */
+  duplicates() {
+    const out = [];
+    for (const [afm, accounts] of this.accountsByAfm) {
+      if (accounts.size > 1)
+        out.push({ afm, accounts: [...accounts.values()] });
+    }
+    return out;
+  }
+
+  /**
+   * Write the duplicates report (or remove a stale one) and summarize the run
+   * @param {Object} [options]
+   * @param {string} [options.path=cfg.afm.duplicatesReport]
+   * @param {boolean} [options.write=true] - Write or remove the report file;
+   *   false for targeted and dry runs, which keep the last full run's report
+   * @returns {{ afmInvalid:number, afmDuplicates:number, invalidAfms?:Array<Object>, afmDuplicateList?:Array<Object> }}
+   *   The lists hold the first 100 entries and are left out when empty.
+   */
+  report({ path = cfg.afm.duplicatesReport, write = true } = {}) {
+    const duplicates = this.duplicates();
+    if (write && duplicates.length) {
+      fs.writeFileSync(
+        path,
+        duplicates.map((d) => JSON.stringify(d) + "\n").join(""),
+        "utf-8"
+      );
+    } else if (write && this.duplicateCheck !== "off") {
+      fs.rmSync(path, { force: true });
+    }
+    if (this.stats.invalid || duplicates.length) {
+      log.warn(
+        `Invalid AFMs: ${this.stats.invalid}. AFMs shared by several Accounts: ${duplicates.length}` +
+          (duplicates.length && write ? ` (see ${path})` : "")
+      );
+    }
+    return {
+      afmInvalid: this.stats.invalid,
+      afmDuplicates: duplicates.length,
+      ...(this.invalid.length ? { invalidAfms: this.invalid } : {}),
+      ...(duplicates.length
+        ? { afmDuplicateList: duplicates.slice(0, SAMPLE_SIZE) }
+        : {}),
+    };
+  }
+}
+
+module.exports = { AfmCheck, isValidAfm, findAccountsByAfm };
@@ -0,0 +1,204 @@
+// src/accounts/deactivateAccountsZoho.js
+
+/**
+ * Zoho Account Deactivation
+ * -------------------------
+ * Provides utilities to:
+ *  - List every synced Zoho Account key (Trader_ID → Zoho ID) for the
+ *    periodic full-key comparison with Galaxy
+ *  - Tell whether a Galaxy customer row is flagged inactive
+ *  - Deactivate Accounts whose Galaxy trader is inactive or gone
+ *
+ * Notes:
+ *  - Never deletes: deactivation sets a status field, adds a tag and/or moves
+ *    the record to another owner, as configured (DEACTIVATE_STATUS_FIELD /
+ *    DEACTIVATE_STATUS_VALUE, DEACTIVATE_TAG, DEACTIVATE_OWNER_ID)
+ *  - With no action configured, matching Accounts are only reported
+ */
+
+const { zohoApi } = require("../api/zohoClient");
+const { normId } = require("../utils/normalize");
+const cfg = require("../config");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("DEACTIVATE");
+
+// Zoho caps record updates and tag actions at 100 records per call
+const BATCH_SIZE = 100;
+// COQL returns at most 200 rows per query
+const COQL_PAGE_SIZE = 200;
+
+/**
+ * @returns {boolean} Whether any deactivation action is configured
+ */
+function hasDeactivationAction() {
+  const d = cfg.deactivation;
+  return Boolean((d.statusField && d.statusValue) || d.tag || d.ownerId);
+}
+
+/**
+ * Whether a Galaxy customer row is flagged inactive (GLX_ACTIVE_FIELD holds
+ * one of GLX_INACTIVE_VALUES). Rows without the column count as active.
+ * @param {Object} row - Galaxy customer row
+ * @returns {boolean}
+ */
+function isInactiveGalaxyRow(row) {
+  const v = row?.[cfg.deactivation.activeField];
+  if (v === undefined || v === null || v === "") return false;
+  return cfg.deactivation.inactiveValues.includes(
+    String(v).trim().toLowerCase()
+  );
+}
+
+/**
+ * List all Zoho Accounts that carry a Trader_ID, paging by id.
+ * When a status field is configured its value is returned as `status`, so
+ * Accounts that are already deactivated can be skipped.
+ *
+ * @returns {Promise<Array<{id:string, Trader_ID:string, status?:any}>>}
+ * @throws {Error} On a failed query (the comparison must not run on a
+ *   partial key list)
+ */
+async function listZohoAccountKeys() {
+  const statusField = cfg.deactivation.statusField;
+  const select = ["id", "Trader_ID", ...(statusField ? [statusField] : [])];
+  const out = [];
+  let lastId = "0";
+
+  for (;;) {
+    const res = await zohoApi("POST", "/crm/v8/coql", {
+      select_query:
+        `select ${select.join(", ")} from Accounts` +
+        ` where Trader_ID is not null and id > ${lastId}` +
+        ` order by id asc limit ${COQL_PAGE_SIZE}`,
+    });
+    // 204 = no (more) matching records
+    if (res.status === 204) break;
+    if (res.status !== 200 || !Array.isArray(res.data?.data)) {
+      throw new Error(
+        `Zoho Account key listing failed: HTTP ${res.status} ${JSON.stringify(
+          res.data
+        )}`
+      );
+    }
+    for (const rec of res.data.data) {
+      const trader = normId(rec?.Trader_ID);
+      if (!trader || !rec?.id) continue;
+      out.push({
+        id: rec.id,
+        Trader_ID: trader,
+        ...(statusField ? { status: rec[statusField] ?? null } : {}),
+      });
+    }
+    const rows = res.data.data;
+    if (rows.length < COQL_PAGE_SIZE || !res.data.info?.more_records) break;
+    lastId = rows[rows.length - 1].id;
+  }
+
+  log.info(`Zoho Accounts with Trader_ID: ${out.length}.`);
+  return out;
+}
+
+/**
+ * Build the field update of a deactivation (status field and/or owner)
+ * @returns {Object} Fields to set, empty when only tagging
+ */
+function deactivationFields() {
+  const d = cfg.deactivation;
+  return {
+    ...(d.statusField && d.statusValue
+      ? { [d.statusField]: d.statusValue }
+      : {}),
+    ...(d.ownerId ? { Owner: { id: d.ownerId } } : {}),
+  };
+}
+
+/**
+ * Deactivate Zoho Accounts.
+ *
+ * @param {Array<{id:string, Trader_ID:string, reason:string}>} targets
+ * @param {{ report?: DryRunReport }} [options]
+ *   - report: dry run; deactivations are written to the report instead
+ * @returns {Promise<{ success:number, failed:number, outcomes:Array<{id:string, Trader_ID:string, reason:string, ok:boolean, error?:Object}> }>}
+ *   A record only counts as ok when every configured action succeeded. With
+ *   no action configured, targets are only logged and `outcomes` is empty.
+ */
+async function deactivateAccounts(targets, { report } = {}) {
+  const list = Array.isArray(targets) ? targets : [];
+  const fields = deactivationFields();
+  const tag = cfg.deactivation.tag;
+  const errorsById = new Map();
+
+  if (!list.length) return { success: 0, failed: 0, outcomes: [] };
+  if (!hasDeactivationAction()) {
+    log.warn(
+      `${list.length} Account(s) to deactivate, but no action is configured (DEACTIVATE_STATUS_FIELD/_VALUE, DEACTIVATE_TAG, DEACTIVATE_OWNER_ID). Sample:`,
+      list.slice(0, 5)
+    );
+    return { success: 0, failed: 0, outcomes: [] };
+  }
+
+  for (let i = 0; i < list.length; i += BATCH_SIZE) {
+    const group = list.slice(i, i + BATCH_SIZE);
+    if (report) {
+      for (const t of group) {
+        report.deactivation({ ...t, fields, tag: tag || undefined });
+      }
+      continue;
+    }
+
+    if (Object.keys(fields).length) {
+      const res = await zohoApi("PUT", "/crm/v8/Accounts", {
+        data: group.map((t) => ({ id: t.id, ...fields })),
+      });
+      if (res.status !== 200 || !Array.isArray(res.data?.data)) {
+        for (const t of group) {
+          errorsById.set(t.id, {
+            code: `HTTP_${res.status}`,
+            message: "Update request failed",
+          });
+        }
+      } else {
+        res.data.data.forEach((row, k) => {
+          if (row.status !== "success" && group[k]) {
+            errorsById.set(group[k].id, {
+              code: row.code || "UNKNOWN",
+              message: row.message || "",
+            });
+          }
+        });
+      }
+    }
+
+    if (tag) {
+      const res = await zohoApi("POST", "/crm/v8/Accounts/actions/add_tags", {
+        tags: [{ name: tag }],
+        ids: group.map((t) => t.id),
+      });
+      if (res.status !== 200) {
+        for (const t of group) {
+          if (!errorsById.has(t.id)) {
+            errorsById.set(t.id, {
+              code: `HTTP_${res.status}`,
+              message: "Tag request failed",
+            });
+          }
+        }
+      }
+    }
+  }
+
+  const outcomes = list.map((t) => {
+    const error = errorsById.get(t.id);
+    return error ? { ...t, ok: false, error } : { ...t, ok: true };
+  });
+  const failed = outcomes.filter((o) => !o.ok).length;
+  return { success: outcomes.length - failed, failed, outcomes };
+}
+
+module.exports = {
+  hasDeactivationAction,
+  isInactiveGalaxyRow,
+  listZohoAccountKeys,
+  deactivateAccounts,
+};
@@ -5,32 +5,201 @@
  * ---------------------
  * Provides helper functions to interact with the Galaxy API:
  *  - Fetching data with optional revision-based filtering
+ *  - Paging through a view in revision order (async iterator; THIRDPARTYREVNUM
+ *    by default, any revision column such as CONTACTS_REVNUM)
  *  - Determining the highest THIRDPARTYREVNUM (watermark) from a dataset
  */
 
+const cfg = require("../config");
+const { where, and, buildFilter, withFilters } = require("../utils/filters");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("GLX");
+const authLog = createLogger("AUTH");
+
 /**
  * Fetches data from Galaxy API, optionally filtered by THIRDPARTYREVNUM.
  * If a watermark (maxRev) is provided, only items with a higher revision
- * number will be returned.
+ * number will be returned. An extra `filter` (utils/filters.js) is ANDed
+ * with the revision clause and runs server-side.
  *
  * @param {AxiosInstance} api - Preconfigured Galaxy API client.
  * @param {string} path - API endpoint path (e.g., accounts or contacts).
  * @param {number} maxRev - Last processed THIRDPARTYREVNUM (0 = no filter).
+ * @param {Object} [params] - Extra query params (e.g. paging/sorting).
+ * @param {Object} [filter] - Extra clause or group, e.g. a card number check.
+ * @param {string} [revField="THIRDPARTYREVNUM"] - Revision column of the view.
  * @returns {Promise<AxiosResponse>} The raw API response.
  */
 
-async function fetchGalaxyData(api, path, maxRev) {
-  let finalPath = path;
+async function fetchGalaxyData(
+  api,
+  path,
+  maxRev,
+  params,
+  filter,
+  revField = "THIRDPARTYREVNUM"
+) {
+  const revClause =
+    maxRev > 0 ? where(revField, "Greater", Number(maxRev)) : null;
+  const combined = and(revClause, filter);
 
   if (maxRev > 0) {
-    const filterString = `[{THIRDPARTYREVNUM:[${maxRev},Greater]}]`;
-    finalPath += `?filters=${filterString}`;
-    console.log(`[GLX] Fetching items with THIRDPARTYREVNUM > ${maxRev}`);
+    log.info(`Fetching items with ${revField} > ${maxRev}`);
   } else {
-    console.log("[GLX] Fetching ALL items (maxRev is 0 or less).");
+    log.info("Fetching ALL items (maxRev is 0 or less).");
   }
+  if (filter) log.debug("Filter:", buildFilter(combined));
+
+  return api.get(withFilters(path, combined), params ? { params } : undefined);
+}
+
+/**
+ * Pages through a Galaxy view in ascending revision order (THIRDPARTYREVNUM
+ * unless `revField` names another revision column).
+ * Uses keyset paging: each page asks for up to `pageSize` items with a
+ * revision greater than the highest one seen so far, so only one page is
+ * held in memory and a failure costs at most the page being fetched.
+ *
+ * Several rows can share a revision, so a full page may end partway through
+ * its last revision group. One row past the page is requested to tell: if
+ * it has the page's last revision, that group is held back and starts the
+ * next page (the cursor stays below it). A full page holding a single
+ * revision is replaced by every row of that revision (`Equal` query, no
+ * `take`).
+ *
+ * On 401/403 the optional `onUnauthorized` callback is awaited (to
+ * re-authenticate) and the page is requested once more.
+ *
+ * Errors carry a `stage` (fetch:page, fetch:reauth, fetch:http,
+ * fetch:bad-response) and, for HTTP failures, `status`/`statusText`/`body`.
+ *
+ * @param {AxiosInstance} api - Preconfigured Galaxy API client.
+ * @param {string} path - API endpoint path of the view.
+ * @param {Object} [options]
+ * @param {number} [options.sinceRev=0] - Only items above this revision.
+ * @param {number} [options.pageSize=cfg.galaxyPageSize] - Items per page.
+ * @param {Function} [options.onUnauthorized] - Async re-auth hook.
+ * @param {Object} [options.filter] - Extra server-side filter for every page.
+ * @param {string} [options.revField="THIRDPARTYREVNUM"] - Revision column to
+ *   page by.
+ * @yields {{ page:number, items:Array<Object>, cursor:number }} One page of items;
+ *   `cursor` is the highest revision in the page, and every row up to it has
+ *   been yielded.
+ */
 
-  return api.get(finalPath);
+async function* fetchGalaxyPages(
+  api,
+  path,
+  {
+    sinceRev = 0,
+    pageSize = cfg.galaxyPageSize,
+    onUnauthorized,
+    filter,
+    revField = "THIRDPARTYREVNUM",
+  } = {}
+) {
+  /**
+   * One request, re-authenticated once on 401/403
+   * @returns {Promise<Array<Object>>} The items of a 2xx response
+   */
+  const request = async (maxRev, params, extraFilter) => {
+    let res;
+    let stage = "fetch:page";
+    try {
+      res = await fetchGalaxyData(
+        api,
+        path,
+        maxRev,
+        params,
+        extraFilter,
+        revField
+      );
+      if ((res?.status === 401 || res?.status === 403) && onUnauthorized) {
+        authLog.warn(
+          `Session invalid (status ${res.status}). Re-authenticating...`
+        );
+        stage = "fetch:reauth";
+        await onUnauthorized();
+        res = await fetchGalaxyData(
+          api,
+          path,
+          maxRev,
+          params,
+          extraFilter,
+          revField
+        );
+      }
+    } catch (err) {
+      err.stage = err.stage || stage;
+      throw err;
+    }
+
+    if (!res || typeof res.status !== "number") {
+      const err = new Error("No/invalid response object from Galaxy");
+      err.stage = "fetch:bad-response";
+      throw err;
+    }
+    if (res.status < 200 || res.status >= 300) {
+      const err = new Error(
+        `Galaxy API failed. Status: ${res.status} ${res.statusText}`
+      );
+      err.stage = "fetch:http";
+      err.status = res.status;
+      err.statusText = res.statusText;
+      err.body = JSON.stringify(res.data) || "No response body";
+      throw err;
+    }
+    return Array.isArray(res.data?.Items) ? res.data.Items : [];
+  };
+
+  let cursor = sinceRev;
+  for (let page = 1; ; page++) {
+    // One row past the page shows whether its last revision goes on
+    const fetched = await request(
+      cursor,
+      { sort: revField, take: pageSize + 1 },
+      filter
+    );
+    const items = fetched.slice(0, pageSize);
+    log.info(
+      `Page ${page}: ${items.length} item(s) above ${revField} ${cursor}.`
+    );
+    if (!items.length) return;
+
+    const pageMax = maxThirdPartyRevNum(items, revField);
+    // Guard against a view that ignores the filter: never loop on the same cursor.
+    if (pageMax === null || pageMax <= cursor) {
+      yield { page, items, cursor };
+      return;
+    }
+    const next = fetched[pageSize];
+    if (!next || Number(next[revField]) !== pageMax) {
+      cursor = pageMax;
+      yield { page, items, cursor };
+      if (!next) return;
+      continue;
+    }
+
+    // The last revision group goes on past the page: hold it back
+    const head = items.filter((it) => Number(it?.[revField]) !== pageMax);
+    if (maxThirdPartyRevNum(head, revField) !== null) {
+      cursor = maxThirdPartyRevNum(head, revField);
+      yield { page, items: head, cursor };
+      continue;
+    }
+
+    log.info(
+      `Page ${page}: ${revField} ${pageMax} fills the page; fetching all of its rows.`
+    );
+    const group = await request(
+      0,
+      { sort: revField },
+      and(where(revField, "Equal", pageMax), filter)
+    );
+    cursor = pageMax;
+    yield { page, items: group.length ? group : items, cursor };
+  }
 }
 
 /**
@@ -41,13 +210,14 @@ async function fetchGalaxyData(api, path, maxRev) {
  * Typically used to track the latest watermark for incremental syncs.
  *
  * @param {Array<Object>} items - List of records containing THIRDPARTYREVNUM.
+ * @param {string} [field="THIRDPARTYREVNUM"] - Revision column to read.
  * @returns {number|null} Highest THIRDPARTYREVNUM found, or null if none.
  */
 
-function maxThirdPartyRevNum(items) {
+function maxThirdPartyRevNum(items, field = "THIRDPARTYREVNUM") {
   let max = null;
   for (const it of items || []) {
-    const v = Number(it?.THIRDPARTYREVNUM);
+    const v = Number(it?.[field]);
     if (!Number.isNaN(v)) {
       if (max === null || v > max) max = v;
     }
@@ -57,5 +227,6 @@ function maxThirdPartyRevNum(items) {
 
 module.exports = {
   fetchGalaxyData,
+  fetchGalaxyPages,
   maxThirdPartyRevNum,
 };
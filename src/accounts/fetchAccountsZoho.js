@@ -0,0 +1,123 @@
+// src/accounts/fetchAccountsZoho.js
+
+/**
+ * Zoho Accounts Fetch (reverse sync)
+ * ----------------------------------
+ * Reads Accounts edited in Zoho so the changes can be written back to Galaxy:
+ *  - Resolves the integration user (whose own writes are ignored)
+ *  - Pages through Accounts modified after a timestamp, oldest first (COQL)
+ */
+
+const { zohoApi } = require("../api/zohoClient");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("ZOHO->GLX");
+
+// COQL returns at most 200 rows per query
+const COQL_PAGE_SIZE = 200;
+
+/**
+ * Format epoch ms as a COQL datetime literal (ISO 8601 with offset)
+ * @param {number} ms
+ * @returns {string}
+ */
+function coqlDateTime(ms) {
+  return new Date(ms).toISOString().replace(/\.\d{3}Z$/, "+00:00");
+}
+
+/**
+ * Get the Zoho user id the OAuth token belongs to (the integration user).
+ * @returns {Promise<string|null>} User id, or null if it cannot be resolved
+ */
+async function getZohoCurrentUserId() {
+  const res = await zohoApi("GET", "/crm/v8/users", null, {
+    type: "CurrentUser",
+  });
+  if (res.status !== 200) {
+    log.warn(`Current user lookup HTTP ${res.status}. Body:`, res.data);
+    return null;
+  }
+  return res.data?.users?.[0]?.id || null;
+}
+
+/**
+ * Page through Zoho Accounts modified after `sinceMs`, ascending by
+ * Modified_Time. Records without a Trader_ID (not created by the sync) and
+ * records last modified by `excludeUserId` are skipped.
+ *
+ * @param {Object} options
+ * @param {number} options.sinceMs - Only records modified after this (epoch ms)
+ * @param {string[]} options.fields - Account fields to select (besides id,
+ *   Trader_ID, Rev_Number, Modified_Time, Modified_By)
+ * @param {string|null} [options.excludeUserId] - Ignore edits by this user
+ * @yields {{ page:number, records:Array<Object>, skippedTimes:number[] }} One
+ *   page; each record gets `modifiedMs` (Modified_Time as epoch ms) and
+ *   `skippedTimes` holds the Modified_Time of skipped records, so the caller
+ *   can move its watermark past them
+ * @throws {Error} With `stage: "zoho:fetch"` on a failed query
+ */
+async function* fetchModifiedZohoAccounts({
+  sinceMs,
+  fields,
+  excludeUserId = null,
+}) {
+  const select = Array.from(
+    new Set([
+      "id",
+      "Trader_ID",
+      "Rev_Number",
+      "Modified_Time",
+      "Modified_By",
+      ...fields,
+    ])
+  ).join(", ");
+
+  for (let page = 1; ; page++) {
+    const offset = (page - 1) * COQL_PAGE_SIZE;
+    const res = await zohoApi("POST", "/crm/v8/coql", {
+      select_query:
+        `select ${select} from Accounts` +
+        ` where Modified_Time > '${coqlDateTime(sinceMs)}'` +
+        ` order by Modified_Time asc, id asc` +
+        ` limit ${offset}, ${COQL_PAGE_SIZE}`,
+    });
+
+    // 204 = no matching records
+    if (res.status === 204) return;
+    if (res.status !== 200 || !Array.isArray(res.data?.data)) {
+      const err = new Error(
+        `Zoho modified Accounts query failed: HTTP ${res.status}`
+      );
+      err.stage = "zoho:fetch";
+      err.status = res.status;
+      err.body = JSON.stringify(res.data) || "No response body";
+      throw err;
+    }
+
+    const rows = res.data.data;
+    const records = [];
+    const skippedTimes = [];
+    for (const rec of rows) {
+      const modifiedMs = Date.parse(rec?.Modified_Time);
+      if (
+        !rec?.Trader_ID ||
+        (excludeUserId && rec.Modified_By?.id === excludeUserId)
+      ) {
+        skippedTimes.push(modifiedMs);
+        continue;
+      }
+      records.push({ ...rec, modifiedMs });
+    }
+    log.info(
+      `Page ${page}: ${rows.length} modified Account(s), ${skippedTimes.length} skipped.`
+    );
+    yield { page, records, skippedTimes };
+
+    if (!res.data.info?.more_records) return;
+  }
+}
+
+module.exports = {
+  getZohoCurrentUserId,
+  fetchModifiedZohoAccounts,
+};
@@ -1,5 +1,34 @@
 // src/accounts/fetchAffiliatesGlx.js
 
+const { where, and, buildFilter, withFilters } = require("../utils/filters");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("AFFILIATES");
+
+const AFFILIATE_PATH = "/api/glx/views/Customer/custom/ZH_AFFILIATE";
+
+/**
+ * GET a Galaxy URL, retrying thrown errors with a fixed backoff
+ * @param {AxiosInstance} api
+ * @param {string} url
+ * @param {{ timeoutMs:number, retry:number }} options
+ * @returns {Promise<AxiosResponse>}
+ * @throws {Error} If all attempts fail
+ */
+async function getWithRetry(api, url, { timeoutMs, retry }) {
+  let lastErr;
+  for (let attempt = 0; attempt <= retry; attempt++) {
+    try {
+      return await api.get(url, { timeout: timeoutMs });
+    } catch (e) {
+      lastErr = e;
+      // brief backoff before retry
+      await new Promise((r) => setTimeout(r, 750));
+    }
+  }
+  throw lastErr || new Error("Unknown affiliates fetch error");
+}
+
 /**
  * Fetch affiliates from Galaxy where AFFILIATES_REVNUM >= minRev.
  *
@@ -9,9 +38,10 @@
  *
  * @param {AxiosInstance} api - Authenticated Galaxy API client.
  * @param {number} minRev - Minimum AFFILIATES_REVNUM (inclusive).
- * @param {{ timeoutMs?: number, retry?: number }} [options]
+ * @param {{ timeoutMs?: number, retry?: number, filter?: Object }} [options]
  *   - timeoutMs: Request timeout in milliseconds (default 20000).
  *   - retry: Number of retry attempts after the initial request (default 1).
+ *   - filter: Extra server-side clause or group (utils/filters.js), ANDed.
  * @returns {Promise<AxiosResponse>} The successful Axios response.
  * @throws {Error} If all attempts fail or input is invalid.
  */
@@ -19,36 +49,106 @@
 async function fetchAffiliatesSince(
   api,
   minRev,
-  { timeoutMs = 20000, retry = 1 } = {}
+  { timeoutMs = 20000, retry = 1, filter } = {}
 ) {
   if (!(Number.isFinite(minRev) && minRev >= 0)) {
     return { status: 400, data: { message: "Invalid minRev" } };
   }
 
-  const path = "/api/glx/views/Customer/custom/ZH_AFFILIATE";
-  // Numeric minRev (no quotes) to avoid %22 in logs
-  const filters = buildRawFilter(
-    "AFFILIATES_REVNUM",
-    Number(minRev),
-    "GreaterOrEqual"
+  const combined = and(
+    where("AFFILIATES_REVNUM", "GreaterOrEqual", Number(minRev)),
+    filter
   );
-  const finalUrl = `${path}?filters=${filters}`;
+  // The raw filter reads better than the encoded URL
+  log.debug("Request:", AFFILIATE_PATH, buildFilter(combined));
+  return getWithRetry(api, withFilters(AFFILIATE_PATH, combined), {
+    timeoutMs,
+    retry,
+  });
+}
 
-  let lastErr;
-  for (let attempt = 0; attempt <= retry; attempt++) {
-    try {
-      if (IS_DEBUG) {
-        console.log("[AFFILIATES] Request:", finalUrl);
+/**
+ * Fetch the affiliates of exactly these customer revisions
+ * (AFFILIATES_REVNUM In revNums), so the cost follows the batch size rather
+ * than the affiliate table.
+ *
+ * - Revisions are deduplicated and sent in `In` queries of `chunkSize`,
+ *   at most `concurrency` of them in flight.
+ * - Each query retries like fetchAffiliatesSince(); a non-2xx answer stops
+ *   the remaining queries and is returned as the combined status.
+ *
+ * @param {AxiosInstance} api - Authenticated Galaxy API client.
+ * @param {Array<number>} revNums - Customer revisions (card-holders of a page).
+ * @param {{ chunkSize?: number, concurrency?: number, timeoutMs?: number, retry?: number }} [options]
+ *   - chunkSize: Revisions per query (default 100).
+ *   - concurrency: Queries in flight (default 3).
+ *   - timeoutMs, retry: As for fetchAffiliatesSince().
+ * @returns {Promise<{ status:number, statusText?:string, data:{ Items:Array<Object> }, requests:number }>}
+ *   Response-shaped result: the rows of every query, or the first failure
+ *   with no rows.
+ * @throws {Error} If all attempts of a query fail.
+ */
+async function fetchAffiliatesByRevNums(
+  api,
+  revNums,
+  { chunkSize = 100, concurrency = 3, timeoutMs = 20000, retry = 1 } = {}
+) {
+  const revs = [
+    ...new Set(
+      (revNums || []).map(Number).filter((r) => Number.isFinite(r) && r > 0)
+    ),
+  ].sort((a, b) => a - b);
+  const chunks = [];
+  for (let i = 0; i < revs.length; i += chunkSize) {
+    chunks.push(revs.slice(i, i + chunkSize));
+  }
+
+  const rowsByChunk = []; // in chunk order, whatever order queries finish in
+  let next = 0;
+  let requests = 0;
+  let failed = null;
+  let aborted = false;
+  const worker = async () => {
+    while (next < chunks.length && !failed && !aborted) {
+      const index = next++;
+      const chunk = chunks[index];
+      const filter = where("AFFILIATES_REVNUM", "In", chunk);
+      log.debug(
+        `Request: ${AFFILIATE_PATH} (${chunk.length} revision(s) ${chunk[0]}..${
+          chunk[chunk.length - 1]
+        })`
+      );
+      requests++;
+      let res;
+      try {
+        res = await getWithRetry(api, withFilters(AFFILIATE_PATH, filter), {
+          timeoutMs,
+          retry,
+        });
+      } catch (err) {
+        aborted = true;
+        throw err;
       }
-      const res = await api.get(finalUrl, { timeout: timeoutMs });
-      return res;
-    } catch (e) {
-      lastErr = e;
-      // brief backoff before retry
-      await new Promise((r) => setTimeout(r, 750));
+      if (!(res?.status >= 200 && res.status < 300)) {
+        failed = failed || res || { status: 0 };
+        return;
+      }
+      rowsByChunk[index] = Array.isArray(res.data?.Items) ? res.data.Items : [];
     }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, chunks.length) }, worker)
+  );
+
+  if (failed) {
+    return {
+      status: failed.status,
+      statusText: failed.statusText,
+      data: { Items: [] },
+      requests,
+    };
   }
-  throw lastErr || new Error("Unknown affiliates fetch error");
+  return { status: 200, data: { Items: rowsByChunk.flat() }, requests };
 }
 
-module.exports = { fetchAffiliatesSince };
+module.exports = { fetchAffiliatesSince, fetchAffiliatesByRevNums };
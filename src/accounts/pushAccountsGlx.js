@@ -0,0 +1,104 @@
+// src/accounts/pushAccountsGlx.js
+
+/**
+ * Galaxy Customer Write-back (reverse sync)
+ * -----------------------------------------
+ * Provides helpers to:
+ *  - Read the current Galaxy customer record of a Trader_ID
+ *  - Write changed columns of a customer back to Galaxy
+ *
+ * Both go through the Galaxy API client from createApiClient() and retry once
+ * after re-authenticating on 401/403 (via the optional `onUnauthorized` hook).
+ * The write endpoint is deployment specific: GLX_CUSTOMER_UPDATE_PATH, with
+ * `{TRDRID}` replaced by the (URL-encoded) trader id.
+ */
+
+const cfg = require("../config");
+const { where, withFilters } = require("../utils/filters");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("ZOHO->GLX");
+const authLog = createLogger("AUTH");
+
+/**
+ * Run a Galaxy request, re-authenticating once on 401/403
+ * @param {Function} send - () => Promise<AxiosResponse>
+ * @param {Function} [onUnauthorized] - Async re-auth hook
+ * @returns {Promise<AxiosResponse>}
+ */
+async function withReauth(send, onUnauthorized) {
+  let res = await send();
+  if ((res?.status === 401 || res?.status === 403) && onUnauthorized) {
+    authLog.warn(
+      `Session invalid (status ${res.status}). Re-authenticating...`
+    );
+    await onUnauthorized();
+    res = await send();
+  }
+  return res;
+}
+
+/**
+ * Fetch the current Galaxy customer record of one trader.
+ *
+ * @param {AxiosInstance} api - Preconfigured Galaxy API client.
+ * @param {string} traderId - Galaxy TRDRID.
+ * @param {{ onUnauthorized?: Function }} [options]
+ * @returns {Promise<Object|null>} Customer record, or null if not found
+ * @throws {Error} On a non-2xx response
+ */
+async function fetchGalaxyCustomer(api, traderId, { onUnauthorized } = {}) {
+  const url = withFilters(
+    cfg.galaxyCustomerPath,
+    where("TRDRID", "Equal", String(traderId))
+  );
+  const res = await withReauth(() => api.get(url), onUnauthorized);
+  if (!res || res.status < 200 || res.status >= 300) {
+    throw new Error(
+      `Galaxy customer fetch failed for ${traderId}: HTTP ${res?.status}`
+    );
+  }
+  const items = Array.isArray(res.data?.Items) ? res.data.Items : [];
+  return (
+    items.find((it) => String(it?.TRDRID).trim().toUpperCase() === traderId) ||
+    null
+  );
+}
+
+/**
+ * Write changed columns of one Galaxy customer.
+ *
+ * @param {AxiosInstance} api - Preconfigured Galaxy API client.
+ * @param {string} traderId - Galaxy TRDRID.
+ * @param {Object} changes - Galaxy column → new value.
+ * @param {{ onUnauthorized?: Function }} [options]
+ * @returns {Promise<{ ok:boolean, status:number, body?:any }>}
+ */
+async function updateGalaxyCustomer(
+  api,
+  traderId,
+  changes,
+  { onUnauthorized } = {}
+) {
+  const path = cfg.galaxyCustomerUpdatePath.replace(
+    "{TRDRID}",
+    encodeURIComponent(traderId)
+  );
+  const res = await withReauth(
+    () =>
+      api.patch(path, changes, {
+        headers: { "Content-Type": "application/json" },
+      }),
+    onUnauthorized
+  );
+  const ok = res?.status >= 200 && res?.status < 300;
+  if (!ok) {
+    log.warn(
+      `Galaxy update of ${traderId} HTTP ${res?.status}. Body:`,
+      res?.data
+    );
+  }
+  return { ok, status: res?.status, ...(ok ? {} : { body: res?.data }) };
+}
+
+module.exports = { fetchGalaxyCustomer, updateGalaxyCustomer };
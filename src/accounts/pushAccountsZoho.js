@@ -4,197 +4,87 @@
  * Zoho Accounts Integration
  * --------------------------
  * Provides utilities to:
- *  - Normalize Galaxy records into Zoho Accounts format
- *  - Retrieve the latest revision watermark from Zoho
+ *  - Map Galaxy records into Zoho Accounts format (declarative field mapping)
  *  - Upsert Accounts into Zoho CRM (with optional Affiliate_To linking)
  *
  * Notes:
- *  - Upsert only (no delete)
+ *  - Upsert only (no delete); inactive/deleted traders are handled by
+ *    deactivateAccountsZoho.js
  *  - Supports batch processing with logging and error aggregation
  *  - Affiliate linking is based on Rev_Number if mapping is provided
  */
 
-const axios = require("axios");
-const https = require("https");
-const { getZohoAccessToken, getZohoBaseUrl } = require("../auth/zohoAuth");
+const { zohoApi } = require("../api/zohoClient");
 const cfg = require("../config");
+const {
+  getMapper,
+  missingRequired,
+  stripInternal,
+} = require("../mappings/fieldMapper");
+const PayloadHashStore = require("../utils/payloadHashStore");
+const { createLogger } = require("../utils/logger");
+const { AfmCheck } = require("./afmCheck");
+
+const log = createLogger("ZOHO");
 
-const keepAliveAgent = new https.Agent({ keepAlive: true });
 // Many Zoho APIs cap at 100 records per call. Keep it safe.
 const BATCH_SIZE = 100;
 
-// Normalization helpers — sanitize and standardize Galaxy values before mapping
-// - Strings: trim, uppercase, or undefined
-// - Digits: strip non-numeric
-// - Numbers: parse or undefined
-// - Phone: strict validation (E.164-like, 8–15 digits)
+// Compiled from mappings/fieldMappings.json; throws at load if invalid
+const accountMapper = getMapper("accounts");
 
-const normStr = (v) => (v == null ? undefined : String(v).trim());
-const normId = (v) => {
-  const s = normStr(v);
-  return s ? s.toUpperCase() : undefined;
-};
-const normDigits = (v) => {
-  if (v == null) return undefined;
-  const s = String(v).replace(/\D+/g, "");
-  return s.length ? s : undefined;
-};
-const num = (v) => {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : undefined;
-};
-const normPhone = (v) => {
-  if (!v) return null;
-  let s = String(v)
-    .trim()
-    .replace(/[.\-\s()]/g, "");
-  if (!/^\+?\d{8,15}$/.test(s)) return null;
-  return s;
-};
+// Bookkeeping fields left out of the content hash: Rev_Number moves with
+// every Galaxy revision, so Zoho keeps the revision of the last real change
+const HASH_EXCLUDED_FIELDS = ["Rev_Number"];
+
+// Zoho fields the reverse sync writes back to Galaxy: their last upserted
+// values are kept with the payload hash, so it can tell which columns
+// changed in Galaxy since they reached Zoho (Rev_Number cannot, see above)
+const reverseMapper = getMapper("zohoToGalaxy");
+const SYNCED_VALUE_FIELDS = reverseMapper
+  ? Array.from(new Set(reverseMapper.fields.flatMap((f) => f.sources)))
+  : [];
 
 /**
- * Generic Zoho API request wrapper.
- * Handles token injection, JSON headers, timeout, compression, and keep-alive.
- * Returns raw Axios response without throwing on non-200 status.
- *
- * @param {"GET"|"POST"|"PUT"|"DELETE"} method
- * @param {string} path - API endpoint path (relative to base URL).
- * @param {Object|null} body - Request payload (if any).
- * @param {Object} params - Query string params.
- * @returns {Promise<AxiosResponse>}
+ * @param {Object} m - Mapped record as sent
+ * @returns {Object|undefined} Its SYNCED_VALUE_FIELDS values
  */
+function syncedValues(m) {
+  if (!SYNCED_VALUE_FIELDS.length) return undefined;
+  return Object.fromEntries(SYNCED_VALUE_FIELDS.map((f) => [f, m[f] ?? null]));
+}
 
-async function zohoApi(method, path, body, params) {
-  const token = await getZohoAccessToken();
-  const base = getZohoBaseUrl();
-  const url = `${base}${path}`;
-  return axios({
-    method,
-    url,
-    data: body,
-    params,
-    headers: {
-      Authorization: `Zoho-oauthtoken ${token}`,
-      "Content-Type": "application/json",
-    },
-    timeout: cfg.timeoutMs,
-    decompress: true,
-    validateStatus: () => true,
-    proxy: false,
-    httpsAgent: keepAliveAgent,
-  });
+/**
+ * Content hash of a mapped Account payload (see utils/payloadHashStore.js)
+ * @param {Object} m - Mapped record, after affiliate linking
+ * @returns {string}
+ */
+function payloadHash(m) {
+  const content = { ...m };
+  for (const f of HASH_EXCLUDED_FIELDS) delete content[f];
+  return PayloadHashStore.hashOf(content);
 }
 
 /**
  * Map a single Galaxy customer record into Zoho Accounts format.
- * Applies normalization to ensure consistent IDs, numbers, and phone formats.
- *
- * - Uses Trader_ID as the unique external key
- * - Attempts multiple fallbacks for Account_Name
- * - Includes financial and turnover fields if available
- * - Attaches Rev_Number for watermark tracking
- * - Temporary debug fields (__GX_*) are added for diagnostics and later stripped
+ * Fields, sources and normalizers come from the "accounts" section of the
+ * field mapping definition (Trader_ID is the unique external key and
+ * Rev_Number drives watermark tracking).
  *
  * @param {Object} gx - Galaxy customer record
  * @returns {Object} Normalized Zoho Account record
  */
 
 function mapGalaxyToZohoAccount(gx) {
-  const name =
-    normStr(gx.TRDRNAME) ||
-    normStr(gx.COMPTITLE) ||
-    normStr(gx.CUSTCODE) ||
-    normStr(gx.TRDRCODE);
-
-  const tinDigits = normDigits(gx.TIN);
-  const revNum = num(gx.THIRDPARTYREVNUM);
-
-  return {
-    Trader_ID: normId(gx.TRDRID),
-    Account_Name: name,
-    Account_AFM: tinDigits,
-    Phone: normPhone(gx.TRDSPHONE1),
-    Billing_Street: normStr(gx.TRDSSTREET),
-    Shipping_Street: normStr(gx.TRDSSTREET),
-    Billing_State: normStr(gx.PREFDESCR),
-    Shipping_State: normStr(gx.PREFDESCR),
-    Billing_Country: normStr(gx.CNTRCODE),
-    Shipping_Country: normStr(gx.CNTRCODE),
-    Industry: normStr(gx.CAT_EPAGG),
-    Account_Category: normStr(gx.CATEGDISCOUNT),
-    Credit_Limit: num(gx.BALANCE),
-    Open_Balance: num(gx.MAXBALANCE),
-    Watt: num(gx.WATT_CY),
-    Turnover_YTD: num(gx.TURNOVER_YTD),
-    Turnover_LTD: num(gx.TURNOVER_LTD),
-    Turnover_LY: num(gx.TURVOVER_LY),
-    // Use the calculated revNum value
-    Rev_Number: revNum,
-    SALESNAME: normStr(gx.SALESNAME),
-
-    // temp debug helpers (removed before send)
-    __GX_TRDRID: normId(gx.TRDRID),
-    __GX_TIN: tinDigits,
-    __GX_NAME: name,
-    // NEW: Debug helper for the Rev_Number used for linking
-    __GX_REVNUM: revNum,
-  };
-}
-
-/**
- * Fetch the highest Rev_Number currently stored in Zoho Accounts.
- * Used as a watermark for incremental sync from Galaxy.
- *
- * @returns {Promise<number>} The latest Rev_Number, or 0 on error/empty.
- */
-
-async function getMaxZohoRevNumber() {
-  try {
-    /**
-     * Fetch single record sorted by Rev_Number descending
-     * use v2 because v8 does not support sorting
-     * https://www.zoho.com/crm/developer/docs/api/v2/get-records.html
-     * sort_by: string, optional
-     * Specify the API name of the field based on which the records must be sorted. The default value is id. If you provide invalid values, default sorting will take
-     * Possible values: Field API names
-     * v3 up to v8 do not support sort_by by custom fields
-     */
-    const res = await zohoApi("GET", "/crm/v2/Accounts", null, {
-      fields: "Rev_Number",
-      sort_by: "Rev_Number",
-      sort_order: "desc",
-      per_page: 1,
-      page: 1,
-    });
-
-    if (res.status !== 200) {
-      console.log(
-        `[ZOHO] Max Rev Fetch failed (status ${res.status}). Response:`,
-        res.data
-      );
-      return 0;
-    }
-
-    const records = Array.isArray(res.data?.data) ? res.data.data : [];
-    if (records.length > 0) {
-      const rev = Number(records[0].Rev_Number);
-      return Number.isFinite(rev) ? rev : 0;
-    }
-    return 0;
-  } catch (err) {
-    console.error(
-      "[ZOHO] Max Rev Fetch API call error:",
-      err.message || String(err)
-    );
-    return 0;
-  }
+  return accountMapper(gx);
 }
 
 /**
  * Upsert Galaxy records into Zoho Accounts.
  *
  * - Groups records into batches of 100 (Zoho API limit)
- * - Drops items missing mandatory fields (Trader_ID, Account_Name)
+ * - Drops items missing fields marked required in the mapping definition
+ * - Validates Account_AFM (invalid AFMs are not sent, see accounts/afmCheck.js)
  * - Optionally links Affiliate_To field if a Rev_Number → Zoho ID map is provided
  * - Logs progress: batch results, error tallies, sample errors
  *
@@ -203,7 +93,20 @@ async function getMaxZohoRevNumber() {
  * @param {boolean} [options.debug] - Include debug info in return object
  * @param {Map<number,string>} [options.affiliateIdByCustomerRevNum] - Map of Rev_Number → Affiliate Zoho ID
  * @param {string} [options.affiliateFieldApiName="Affiliate_To"] - Field API name for affiliate link
- * @returns {Promise<{ success:number, failed:number, details:Array, debug?:Object }>}
+ * @param {DryRunReport} [options.report] - Dry run: write batches, drops and links here instead of calling Zoho
+ * @param {PayloadHashStore} [options.hashes] - Skip records whose payload hash (after affiliate linking) matches the last successful upsert; updated on success
+ * @param {boolean} [options.force] - Send every record, ignoring `hashes` (hashes are still updated)
+ * @param {Function} [options.shouldStop] - Checked before each batch; once it returns true the remaining records are not sent (counted as `deferred`)
+ * @param {AfmCheck} [options.afm] - AFM validation and duplicate tracking shared by the run
+ * @returns {Promise<{ success:number, failed:number, skippedUnchanged:number, deferred:number, details:Array, idByTraderId:Map<string,string>, outcomes:Array<{key:string, rev:number, ok:boolean, transient?:boolean}>, failures:Array<Object>, debug?:Object }>}
+ *   `outcomes` holds one entry per input record (dropped records count as ok
+ *   with `dropped: true`, since retrying them cannot succeed; unchanged ones
+ *   as ok with `skipped: true`) for checkpoint tracking.
+ *   `failures` holds each failed row with its Galaxy source, mapped payload
+ *   and Zoho error, for the dead-letter queue; `transient` marks rows of a
+ *   batch that failed as a whole (HTTP error) rather than individually.
+ *   Deferred records have a `transient` outcome flagged `deferred` and no
+ *   failure entry.
  */
 
 async function upsertAccounts(
@@ -213,39 +116,52 @@ async function upsertAccounts(
     debug,
     affiliateIdByCustomerRevNum,
     affiliateFieldApiName = "Affiliate_To",
+    report,
+    hashes,
+    force = false,
+    shouldStop,
+    afm = new AfmCheck(),
   } = {}
 ) {
   const totalIn = Array.isArray(galaxyItems) ? galaxyItems.length : 0;
-  console.log(`[ZOHO] upsertAccounts() received ${totalIn} galaxy item(s).`);
+  log.info(`upsertAccounts() received ${totalIn} galaxy item(s).`);
 
   const mapped = [];
+  const outcomes = [];
+  const failures = [];
+  // Mapped record → original Galaxy record, for dead-lettering
+  const sourceOf = new WeakMap();
+  // Mapped record → payload hash, stored once the upsert succeeds
+  const hashOf = new WeakMap();
+  // Trader_ID → Zoho ID (upserted or skipped as unchanged), used to link
+  // Contacts to their parent Account
+  const idByTraderId = new Map();
   let dropped = 0;
+  let skippedUnchanged = 0;
   let affiliateAttachedCount = 0;
   const affiliateAttachSamples = [];
 
   for (const gx of Array.isArray(galaxyItems) ? galaxyItems : []) {
     const m = mapGalaxyToZohoAccount(gx);
-    if (!m.Account_Name) {
-      dropped++;
-      if (IS_DEBUG) {
-        console.warn("[ZOHO] Dropping item with no Account_Name", {
-          Trader_ID: m.__GX_TRDRID,
-          TIN: m.__GX_TIN,
-          Name: m.__GX_NAME,
-        });
-      }
-      continue;
-    }
-    if (!m.Trader_ID) {
+    sourceOf.set(m, gx);
+    const missing = missingRequired(accountMapper, m);
+    if (missing.length) {
       dropped++;
-      if (IS_DEBUG) {
-        console.warn("[ZOHO] Dropping item with no Trader_ID", {
-          Trader_ID: m.__GX_TRDRID,
-          Name: m.__GX_NAME,
-        });
-      }
+      outcomes.push({
+        key: m.Trader_ID,
+        rev: m.Rev_Number,
+        ok: true,
+        dropped: true,
+      });
+      report?.dropped("customers", `no ${missing[0]}`, m);
+      log.debug(`Dropping item with no ${missing.join(", ")}`, {
+        Trader_ID: m.Trader_ID,
+        TIN: m.Account_AFM,
+        Name: m.Account_Name,
+      });
       continue;
     }
+    afm.check(m, "customers");
 
     // Attach Affiliate lookup if a matching Rev_Number is found
 
@@ -254,6 +170,11 @@ async function upsertAccounts(
       if (affZohoId) {
         m[affiliateFieldApiName] = { id: affZohoId };
         affiliateAttachedCount++;
+        report?.link({
+          Trader_ID: m.Trader_ID,
+          Rev_Number: m.Rev_Number,
+          [affiliateFieldApiName]: affZohoId,
+        });
         if (affiliateAttachSamples.length < 5) {
           affiliateAttachSamples.push({
             Rev_Number: m.Rev_Number,
@@ -263,18 +184,32 @@ async function upsertAccounts(
       }
     }
 
-    // Clean up temp debug fields
-    delete m.__GX_TRDRID;
-    delete m.__GX_TIN;
-    delete m.__GX_NAME;
-    delete m.__GX_REVNUM; // NEW: remove Rev_Number debug field
+    stripInternal(m);
+    if (hashes) {
+      const hash = payloadHash(m);
+      const prev = hashes.get(m.Trader_ID);
+      if (!force && prev?.hash === hash) {
+        skippedUnchanged++;
+        outcomes.push({
+          key: m.Trader_ID,
+          rev: m.Rev_Number,
+          ok: true,
+          skipped: true,
+        });
+        if (prev.id) idByTraderId.set(m.Trader_ID, prev.id);
+        continue;
+      }
+      hashOf.set(m, hash);
+    }
 
     mapped.push(m);
   }
 
-  console.log(`[ZOHO] Mapped ${mapped.length} item(s). Dropped: ${dropped}.`);
-  console.log(
-    `[ZOHO] Affiliate lookups attached: ${affiliateAttachedCount}${
+  log.info(
+    `Mapped ${mapped.length} item(s). Dropped: ${dropped}. Unchanged (skipped): ${skippedUnchanged}.`
+  );
+  log.info(
+    `Affiliate lookups attached: ${affiliateAttachedCount}${
       affiliateAttachSamples.length
         ? " (sample: " + JSON.stringify(affiliateAttachSamples) + ")"
         : ""
@@ -285,7 +220,12 @@ async function upsertAccounts(
     return {
       success: 0,
       failed: 0,
+      skippedUnchanged,
+      deferred: 0,
       details: [],
+      idByTraderId,
+      outcomes,
+      failures,
       debug: { dropped, affiliateAttachedCount },
     };
   }
@@ -296,11 +236,59 @@ async function upsertAccounts(
   );
 
   let success = 0,
-    failed = 0;
+    failed = 0,
+    deferred = 0;
   const details = [];
 
   for (let gi = 0; gi < groups.length; gi++) {
     const group = groups[gi];
+    // Stop requested (time budget, shutdown): leave the remaining batches
+    // to the next run; they hold the checkpoint but are not dead-lettered
+    if (shouldStop?.()) {
+      const rest = groups.slice(gi).flat();
+      for (const m of rest) {
+        outcomes.push({
+          key: m.Trader_ID,
+          rev: m.Rev_Number,
+          ok: false,
+          transient: true,
+          deferred: true,
+        });
+      }
+      deferred = rest.length;
+      log.warn(
+        `Stopping before batch ${gi + 1}/${
+          groups.length
+        }: ${deferred} record(s) deferred.`
+      );
+      break;
+    }
+    // Dry run: record the exact batch instead of sending it
+    if (report) {
+      report.batch(
+        "customers",
+        {
+          module: "Accounts",
+          duplicateCheckField: "Trader_ID",
+          batch: gi + 1,
+          of: groups.length,
+        },
+        group
+      );
+      for (const m of group) {
+        success += 1;
+        outcomes.push({ key: m.Trader_ID, rev: m.Rev_Number, ok: true });
+        if (m.Trader_ID)
+          idByTraderId.set(m.Trader_ID, `dry-run:${m.Trader_ID}`);
+      }
+      log.info(
+        `Dry run: batch ${gi + 1}/${groups.length} (${
+          group.length
+        } record(s)) written to report.`
+      );
+      continue;
+    }
+
     const res = await zohoApi(
       "POST",
       "/crm/v8/Accounts/upsert",
@@ -313,10 +301,28 @@ async function upsertAccounts(
 
     if (httpStatus !== 200 || !Array.isArray(body?.data)) {
       failed += group.length;
-      console.warn(
-        `[ZOHO] Upsert batch ${gi + 1}/${
-          groups.length
-        } HTTP ${httpStatus}. Body:`,
+      for (const m of group) {
+        outcomes.push({
+          key: m.Trader_ID,
+          rev: m.Rev_Number,
+          ok: false,
+          transient: true,
+        });
+        failures.push({
+          key: m.Trader_ID,
+          rev: m.Rev_Number,
+          source: sourceOf.get(m),
+          payload: m,
+          error: {
+            code: `HTTP_${httpStatus}`,
+            message: "Batch request failed",
+            details: body ?? null,
+          },
+          transient: true,
+        });
+      }
+      log.warn(
+        `Upsert batch ${gi + 1}/${groups.length} HTTP ${httpStatus}. Body:`,
         body
       );
       details.push({ status: "http_error", httpStatus, payload: body });
@@ -330,8 +336,25 @@ async function upsertAccounts(
 
     for (let i = 0; i < body.data.length; i++) {
       const row = body.data[i];
+      const sent = group[i];
+      outcomes.push({
+        key: sent?.Trader_ID,
+        rev: sent?.Rev_Number,
+        ok: row.status === "success",
+      });
       if (row.status === "success") {
         success += 1;
+        if (row.details?.id && sent?.Trader_ID) {
+          idByTraderId.set(sent.Trader_ID, row.details.id);
+          if (hashOf.has(sent)) {
+            hashes.set(
+              sent.Trader_ID,
+              hashOf.get(sent),
+              row.details.id,
+              syncedValues(sent)
+            );
+          }
+        }
         details.push({
           status: "success",
           action: row.action,
@@ -343,6 +366,13 @@ async function upsertAccounts(
         const msg = row.message || "";
         const d = row.details || null;
         details.push({ status: "error", code, message: msg, details: d });
+        failures.push({
+          key: sent?.Trader_ID,
+          rev: sent?.Rev_Number,
+          source: sourceOf.get(sent),
+          payload: sent,
+          error: { code, message: msg, details: d },
+        });
 
         errorTally.set(code, (errorTally.get(code) || 0) + 1);
         if (sampleErrors.length < 5) {
@@ -353,24 +383,33 @@ async function upsertAccounts(
 
     // Print a compact summary for this batch
     if (errorTally.size) {
-      console.warn(
-        `[ZOHO] Batch ${gi + 1}/${groups.length} — errors by code:`,
+      log.warn(
+        `Batch ${gi + 1}/${groups.length} — errors by code:`,
         Object.fromEntries(errorTally.entries())
       );
-      console.warn(
-        `[ZOHO] Batch ${gi + 1}/${groups.length} — sample errors:`,
+      log.warn(
+        `Batch ${gi + 1}/${groups.length} — sample errors:`,
         sampleErrors
       );
     } else {
-      console.log(
-        `[ZOHO] Batch ${gi + 1}/${groups.length} — all ${
+      log.info(
+        `Batch ${gi + 1}/${groups.length} — all ${
           group.length
         } records succeeded.`
       );
     }
   }
 
-  const out = { success, failed, details };
+  const out = {
+    success,
+    failed,
+    skippedUnchanged,
+    deferred,
+    details,
+    idByTraderId,
+    outcomes,
+    failures,
+  };
   // Changed debug key to reflect the new map key
   if (debug)
     out.debug = { dropped, affiliateAttachedCount, affiliateAttachSamples };
@@ -380,5 +419,4 @@ async function upsertAccounts(
 module.exports = {
   upsertAccounts,
   mapGalaxyToZohoAccount,
-  getMaxZohoRevNumber,
 };
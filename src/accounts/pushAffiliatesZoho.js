@@ -4,98 +4,81 @@
  * Upsert Affiliates into Zoho Accounts (enhanced logging)
  * -------------------------------------------------------
  * Maps affiliates from Galaxy to Zoho Accounts and performs upsert operations.
- * Key fields:
- *  - Trader_ID = AFFILIATES_TRDRID
- *  - Account_Name = AFF_NAME
- *  - Account_AFM = AFF_TIN
- *  - Rev_Number = AFFILIATES_REVNUM
+ * Fields come from the "affiliates" section of mappings/fieldMappings.json
+ * (by default Trader_ID = AFFILIATES_TRDRID, Account_Name = AFF_NAME,
+ * Account_AFM = AFF_TIN, Rev_Number = AFFILIATES_REVNUM).
  * Deduplicates by Trader_ID keeping latest Rev_Number.
+ * Invalid AFMs are not sent (see accounts/afmCheck.js).
  * Logs HTTP responses, errors tally, and sample errors for debugging.
  */
 
-const axios = require("axios");
-const https = require("https");
-const { getZohoAccessToken, getZohoBaseUrl } = require("../auth/zohoAuth");
-const cfg = require("../config");
+const { zohoApi } = require("../api/zohoClient");
+const { num } = require("../utils/normalize");
+const {
+  getMapper,
+  missingRequired,
+  stripInternal,
+} = require("../mappings/fieldMapper");
+const { createLogger } = require("../utils/logger");
+const { AfmCheck } = require("./afmCheck");
 
-const keepAliveAgent = new https.Agent({ keepAlive: true });
-const BATCH_SIZE = 100;
-
-// Helper: Normalize string
-const normStr = (v) => (v == null ? undefined : String(v).trim());
+const log = createLogger("AFF->ZOHO");
 
-// Helper: Normalize ID (uppercase)
-const normId = (v) => {
-  const s = normStr(v);
-  return s ? s.toUpperCase() : undefined;
-};
+const BATCH_SIZE = 100;
 
-// Helper: Convert to number safely
-const num = (v) => {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : undefined;
-};
-
-/**
- * Generic Zoho API call wrapper
- * Adds OAuth token, handles keep-alive, disables proxy, and validates status.
- */
-async function zohoApi(method, path, body, params) {
-  const token = await getZohoAccessToken();
-  const base = getZohoBaseUrl();
-  const url = `${base}${path}`;
-  return axios({
-    method,
-    url,
-    data: body,
-    params,
-    headers: {
-      Authorization: `Zoho-oauthtoken ${token}`,
-      "Content-Type": "application/json",
-    },
-    timeout: cfg.timeoutMs,
-    decompress: true,
-    validateStatus: () => true,
-    proxy: false,
-    httpsAgent: keepAliveAgent,
-  });
-}
+// Compiled from mappings/fieldMappings.json; throws at load if invalid
+const affiliateMapper = getMapper("affiliates");
 
 /**
  * Map Galaxy affiliate row to Zoho account fields
+ * ("affiliates" section of the field mapping definition)
  */
 function mapAffToZohoAccount(row) {
-  return {
-    Trader_ID: normId(row?.AFFILIATES_TRDRID),
-    Account_Name: normStr(row?.AFF_NAME),
-    Account_AFM: normStr(row?.AFF_TIN),
-    Rev_Number: num(row?.AFFILIATES_REVNUM),
-    __GX_AFF_TRDRID: normId(row?.AFFILIATES_TRDRID),
-  };
+  return stripInternal(affiliateMapper(row));
 }
 
 /**
  * Upsert affiliates and return Zoho ID map: Trader_ID -> ZohoID
  * Logs HTTP status, tally of errors, and sample errors for debugging.
+ * With `report` (dry run), batches are written to the report instead of Zoho
+ * and idByTraderId holds "dry-run:<Trader_ID>" placeholders.
+ * Also returns `outcomes` ({ key, rev, ok } per sent record) for checkpoint
+ * tracking and `failures` (failed rows with Galaxy source, payload and Zoho
+ * error) for the dead-letter queue.
+ * `shouldStop` is checked before each batch; once it returns true the
+ * remaining rows are not sent and are counted as `deferred` (transient
+ * outcomes, no failures).
+ * `afm` (AfmCheck) validates Account_AFM and tracks AFMs for the run's
+ * duplicate detection.
  */
-async function upsertAffiliates(affRows, { debug } = {}) {
-  const mappedAll = (Array.isArray(affRows) ? affRows : []).map(
-    mapAffToZohoAccount
-  );
+async function upsertAffiliates(
+  affRows,
+  { debug, report, shouldStop, afm = new AfmCheck() } = {}
+) {
+  // Mapped record → original Galaxy row, for dead-lettering
+  const sourceOf = new WeakMap();
+  const mappedAll = (Array.isArray(affRows) ? affRows : []).map((row) => {
+    const m = mapAffToZohoAccount(row);
+    sourceOf.set(m, row);
+    return m;
+  });
 
   // Deduplicate by Trader_ID keeping latest Rev_Number
   const byTrader = new Map();
   for (const rec of mappedAll) {
-    if (!rec.Trader_ID || !rec.Account_Name) continue;
+    const missing = missingRequired(affiliateMapper, rec);
+    if (missing.length) {
+      report?.dropped("affiliates", `no ${missing[0]}`, rec);
+      continue;
+    }
+    afm.check(rec, "affiliates");
     const prev = byTrader.get(rec.Trader_ID);
     if (!prev || (num(rec.Rev_Number) || 0) > (num(prev.Rev_Number) || 0)) {
       byTrader.set(rec.Trader_ID, rec);
     }
   }
   const mapped = Array.from(byTrader.values());
-  console.log(
-    `[AFF->ZOHO] Affiliates mapped (unique by Trader_ID): ${mapped.length}`
-  );
+  log.info(`Affiliates mapped (unique by Trader_ID): ${mapped.length}`);
 
   if (debug) {
     const sample = mapped.slice(0, 5).map((x) => ({
@@ -103,15 +86,26 @@ async function upsertAffiliates(affRows, { debug } = {}) {
       Account_Name: x.Account_Name,
       Rev_Number: x.Rev_Number,
     }));
-    console.log("[AFF->ZOHO] Sample mapped:", sample);
+    log.info("Sample mapped:", sample);
   }
 
   if (!mapped.length)
-    return { success: 0, failed: 0, idByTraderId: new Map(), details: [] };
+    return {
+      success: 0,
+      failed: 0,
+      deferred: 0,
+      idByTraderId: new Map(),
+      details: [],
+      outcomes: [],
+      failures: [],
+    };
 
   let success = 0,
-    failed = 0;
+    failed = 0,
+    deferred = 0;
   const details = [];
+  const outcomes = [];
+  const failures = [];
   const idByTraderId = new Map();
 
   // Split into batches
@@ -122,6 +116,53 @@ async function upsertAffiliates(affRows, { debug } = {}) {
 
   for (let gi = 0; gi < groups.length; gi++) {
     const group = groups[gi];
+    // Stop requested (time budget, shutdown): leave the remaining batches
+    // to the next run; they hold the checkpoint but are not dead-lettered
+    if (shouldStop?.()) {
+      const rest = groups.slice(gi).flat();
+      for (const m of rest) {
+        outcomes.push({
+          key: m.Trader_ID,
+          rev: m.Rev_Number,
+          ok: false,
+          transient: true,
+          deferred: true,
+        });
+      }
+      deferred = rest.length;
+      log.warn(
+        `Stopping before batch ${gi + 1}/${
+          groups.length
+        }: ${deferred} record(s) deferred.`
+      );
+      break;
+    }
+    // Dry run: record the exact batch instead of sending it
+    if (report) {
+      report.batch(
+        "affiliates",
+        {
+          module: "Accounts",
+          duplicateCheckField: "Trader_ID",
+          batch: gi + 1,
+          of: groups.length,
+        },
+        group
+      );
+      for (const m of group) {
+        success += 1;
+        outcomes.push({ key: m.Trader_ID, rev: m.Rev_Number, ok: true });
+        if (m.Trader_ID)
+          idByTraderId.set(m.Trader_ID, `dry-run:${m.Trader_ID}`);
+      }
+      log.info(
+        `Dry run: batch ${gi + 1}/${groups.length} (${
+          group.length
+        } record(s)) written to report.`
+      );
+      continue;
+    }
+
     const res = await zohoApi(
       "POST",
       "/crm/v8/Accounts/upsert",
@@ -134,10 +175,28 @@ async function upsertAffiliates(affRows, { debug } = {}) {
 
     if (httpStatus !== 200 || !Array.isArray(body?.data)) {
       failed += group.length;
-      console.warn(
-        `[AFF->ZOHO] Upsert batch ${gi + 1}/${
-          groups.length
-        } HTTP ${httpStatus}. Body:`,
+      for (const m of group) {
+        outcomes.push({
+          key: m.Trader_ID,
+          rev: m.Rev_Number,
+          ok: false,
+          transient: true,
+        });
+        failures.push({
+          key: m.Trader_ID,
+          rev: m.Rev_Number,
+          source: sourceOf.get(m),
+          payload: m,
+          error: {
+            code: `HTTP_${httpStatus}`,
+            message: "Batch request failed",
+            details: body ?? null,
+          },
+          transient: true,
+        });
+      }
+      log.warn(
+        `Upsert batch ${gi + 1}/${groups.length} HTTP ${httpStatus}. Body:`,
         body
       );
       details.push({ status: "http_error", httpStatus, payload: body });
@@ -150,6 +209,11 @@ async function upsertAffiliates(affRows, { debug } = {}) {
     for (let i = 0; i < body.data.length; i++) {
       const rowRes = body.data[i];
       const sent = group[i];
+      outcomes.push({
+        key: sent?.Trader_ID,
+        rev: sent?.Rev_Number,
+        ok: rowRes.status === "success",
+      });
 
       if (rowRes.status === "success") {
         success += 1;
@@ -174,6 +238,14 @@ async function upsertAffiliates(affRows, { debug } = {}) {
           trader: sent?.Trader_ID,
         });
 
+        failures.push({
+          key: sent?.Trader_ID,
+          rev: sent?.Rev_Number,
+          source: sourceOf.get(sent),
+          payload: sent,
+          error: { code, message: msg, details: d },
+        });
+
         errorTally.set(code, (errorTally.get(code) || 0) + 1);
         if (sampleErrors.length < 5) {
           sampleErrors.push({ code, message: msg, details: d });
@@ -182,32 +254,40 @@ async function upsertAffiliates(affRows, { debug } = {}) {
     }
 
     if (errorTally.size) {
-      console.warn(
-        `[AFF->ZOHO] Batch ${gi + 1}/${groups.length} — errors by code:`,
+      log.warn(
+        `Batch ${gi + 1}/${groups.length} — errors by code:`,
         Object.fromEntries(errorTally.entries())
       );
-      console.warn(
-        `[AFF->ZOHO] Batch ${gi + 1}/${groups.length} — sample errors:`,
+      log.warn(
+        `Batch ${gi + 1}/${groups.length} — sample errors:`,
         sampleErrors
       );
     } else {
-      console.log(
-        `[AFF->ZOHO] Batch ${gi + 1}/${groups.length} — all ${
+      log.info(
+        `Batch ${gi + 1}/${groups.length} — all ${
           group.length
         } records succeeded.`
       );
     }
   }
 
-  console.log(
-    `[AFF->ZOHO] Upsert result → success: ${success}, failed: ${failed}, idMap size: ${idByTraderId.size}`
+  log.info(
+    `Upsert result → success: ${success}, failed: ${failed}, idMap size: ${idByTraderId.size}`
   );
   if (debug) {
     const sample = Array.from(idByTraderId.entries()).slice(0, 5);
-    console.log("[AFF->ZOHO] Sample Trader_ID→ZohoID:", sample);
+    log.info("Sample Trader_ID→ZohoID:", sample);
   }
 
-  return { success, failed, idByTraderId, details };
+  return {
+    success,
+    failed,
+    deferred,
+    idByTraderId,
+    details,
+    outcomes,
+    failures,
+  };
 }
 
 module.exports = { upsertAffiliates };
@@ -0,0 +1,370 @@
+// src/adminServer.js
+
+/**
+ * Admin Server
+ * ------------
+ * Optional HTTP server to trigger and inspect syncs (`npm run admin`).
+ * Features:
+ *  - POST /sync: full sync; POST /resync: targeted resync of Trader_IDs
+ *  - One run at a time: a trigger while a run is active gets 409, also when
+ *    the run belongs to another process (daemon, CLI) holding the sync lock
+ *  - GET /status, /watermarks, /session: checkpoints, DLQ counts, Galaxy
+ *    session state (presence only) and the active run
+ *  - GET /runs, /runs/trends: recent run reports and failure trends
+ *  - GET /failed-rows: dead-letter items (failed Zoho rows)
+ *  - Auth: API key (X-API-Key or Authorization: Bearer) and/or a session
+ *    login (POST /login); only GET /health is open
+ *
+ * Triggers answer 202 right away; add `?wait=1` to get the job result.
+ */
+
+// Run directly: load `.env` before config.js reads the environment
+if (require.main === module) require("dotenv").config({ quiet: true });
+
+const crypto = require("crypto");
+const express = require("express");
+const session = require("express-session");
+const cfg = require("./config");
+const { STATUS } = require("./utils/deadLetterStore");
+const { createSyncLock } = require("./utils/runLock");
+const { failureTrends } = require("./utils/runHistory");
+const {
+  loadCheckpoints,
+  loadDeadLetters,
+  openRunHistory,
+  galaxySessionState,
+  getSyncStatus,
+} = require("./utils/syncStatus");
+const { normId } = require("./utils/normalize");
+const { createLogger, redact } = require("./utils/logger");
+
+const log = createLogger("ADMIN");
+
+/**
+ * Check the admin settings: some form of auth must be configured
+ * @param {Object} settings - cfg.admin
+ * @throws {Error} On a missing or invalid setting
+ */
+function validateAdminSettings(settings) {
+  const { apiKey, username, password, sessionSecret, port } = settings;
+  if (!apiKey && !(username && password)) {
+    throw new Error(
+      "Admin server needs ADMIN_API_KEY and/or ADMIN_USERNAME + ADMIN_PASSWORD"
+    );
+  }
+  if ((username || password) && !(username && password)) {
+    throw new Error("Set both ADMIN_USERNAME and ADMIN_PASSWORD");
+  }
+  if (username && !sessionSecret) {
+    throw new Error("ADMIN_SESSION_SECRET is required for the admin login");
+  }
+  if (!(Number.isInteger(port) && port >= 0 && port < 65536)) {
+    throw new Error(`Invalid ADMIN_PORT value: "${port}"`);
+  }
+}
+
+/**
+ * Constant-time string comparison
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(String(a)).digest();
+  const hb = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb) && String(a) === String(b);
+}
+
+/**
+ * API key from X-API-Key or "Authorization: Bearer <key>"
+ * @returns {string|null}
+ */
+function requestApiKey(req) {
+  const header = req.get("x-api-key");
+  if (header) return header;
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  return m ? m[1] : null;
+}
+
+/**
+ * @param {any} v - Query value
+ * @param {number} fallback
+ * @param {number} max
+ * @returns {number} Positive integer up to max
+ */
+function limitParam(v, fallback, max) {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? Math.min(n, max) : fallback;
+}
+
+const truthy = (v) => ["1", "true", "yes"].includes(String(v).toLowerCase());
+
+/**
+ * Create the admin app
+ * @param {Object} [options]
+ * @param {Function} [options.runJob] - Runs a sync (default: runJobOnce from index.js)
+ * @param {Object} [options.settings=cfg.admin] - Auth and session settings
+ * @param {RunLock} [options.lock=createSyncLock()] - Cross-process lock held
+ *   while a run is active
+ * @returns {import("express").Express} App; `app.locals.runGuard` exposes
+ *   the active run (`active`) and the result of the last one (`last`).
+ */
+function createAdminServer({
+  runJob,
+  settings = cfg.admin,
+  lock = createSyncLock(),
+} = {}) {
+  validateAdminSettings(settings);
+  const runSync = runJob || require("./index").runJobOnce;
+
+  // Only one run at a time: triggers while `active` is set are refused
+  const runGuard = { active: null, last: null };
+
+  /**
+   * Start a run unless one is active here or another process holds the lock
+   * @param {string} job - "sync" or "resync"
+   * @param {Object} options - runJobOnce options
+   * @returns {Promise<Object>|null} The run's outcome, or null if busy
+   */
+  function startRun(job, options) {
+    if (runGuard.active) return null;
+    if (!lock.acquire()) return null;
+    const active = {
+      job,
+      startedAt: new Date().toISOString(),
+      ...(options.scope ? { scope: options.scope } : {}),
+    };
+    runGuard.active = active;
+    log.info(`Starting ${job} run.`, options.scope || "");
+    const outcome = Promise.resolve()
+      .then(() => runSync(options))
+      .catch((err) => ({
+        ok: false,
+        stage: err?.stage || "fatal",
+        error: err?.message || String(err),
+      }))
+      .then((result) => {
+        lock.release();
+        runGuard.last = {
+          ...active,
+          finishedAt: new Date().toISOString(),
+          result,
+        };
+        runGuard.active = null;
+        if (!result.ok) log.error(`${job} run failed at ${result.stage}.`);
+        return result;
+      });
+    active.done = outcome;
+    return outcome;
+  }
+
+  const publicRun = (r) => (r ? { ...r, done: undefined } : null);
+
+  const app = express();
+  app.locals.runGuard = runGuard;
+  app.disable("x-powered-by");
+  app.use(express.json());
+
+  const loginEnabled = Boolean(settings.username && settings.password);
+  if (loginEnabled) {
+    app.use(
+      session({
+        name: "glx-zoho-admin",
+        secret: settings.sessionSecret,
+        resave: false,
+        saveUninitialized: false,
+        cookie: {
+          httpOnly: true,
+          sameSite: "strict",
+          maxAge: settings.sessionTtlMinutes * 60 * 1000,
+        },
+      })
+    );
+  }
+
+  app.get("/health", (req, res) => {
+    res.json({ ok: true, running: Boolean(runGuard.active) });
+  });
+
+  app.post("/login", (req, res, next) => {
+    if (!loginEnabled) return res.status(404).json({ error: "Not found" });
+    const { username, password } = req.body || {};
+    if (
+      !safeEqual(username || "", settings.username) ||
+      !safeEqual(password || "", settings.password)
+    ) {
+      log.warn("Failed admin login.");
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    req.session.regenerate((err) => {
+      if (err) return next(err);
+      req.session.user = settings.username;
+      res.json({ ok: true, user: settings.username });
+    });
+  });
+
+  app.post("/logout", (req, res, next) => {
+    if (!req.session) return res.json({ ok: true });
+    req.session.destroy((err) => (err ? next(err) : res.json({ ok: true })));
+  });
+
+  // Everything below needs an API key or a logged-in session
+  app.use((req, res, next) => {
+    const key = requestApiKey(req);
+    if (settings.apiKey && key && safeEqual(key, settings.apiKey)) {
+      return next();
+    }
+    if (req.session?.user) return next();
+    res.status(401).json({ error: "Unauthorized" });
+  });
+
+  /**
+   * Answer a trigger: 409 when busy, else 202 (or the result with ?wait=1)
+   */
+  async function trigger(req, res, job, options) {
+    const outcome = startRun(job, options);
+    if (!outcome && !runGuard.active) {
+      const { pid, host, acquiredAt } = lock.read() || {};
+      return res.status(409).json({
+        error: "A sync is running in another process",
+        lock: { path: lock.path, pid, host, acquiredAt },
+      });
+    }
+    if (!outcome) {
+      return res.status(409).json({
+        error: "A sync is already running",
+        running: publicRun(runGuard.active),
+      });
+    }
+    if (truthy(req.query.wait)) {
+      const result = await outcome;
+      return res.status(result.ok ? 200 : 500).json(result);
+    }
+    res.status(202).json({ started: true, ...publicRun(runGuard.active) });
+  }
+
+  app.post("/sync", (req, res) => {
+    const body = req.body || {};
+    return trigger(req, res, "sync", {
+      dryRun: body.dryRun === undefined ? cfg.dryRun : truthy(body.dryRun),
+      force: body.force === undefined ? cfg.forceUpsert : truthy(body.force),
+    });
+  });
+
+  app.post("/resync", (req, res) => {
+    const body = req.body || {};
+    const raw = Array.isArray(body.traderIds)
+      ? body.traderIds
+      : String(body.traderIds || "").split(",");
+    const traderIds = [...new Set(raw.map(normId).filter(Boolean))];
+    if (!traderIds.length) {
+      return res.status(400).json({ error: "traderIds is required" });
+    }
+    return trigger(req, res, "resync", {
+      dryRun: truthy(body.dryRun),
+      force: true,
+      scope: { traderIds },
+    });
+  });
+
+  app.get("/status", async (req, res) => {
+    res.json({
+      ...(await getSyncStatus()),
+      running: publicRun(runGuard.active),
+      lastTriggered: publicRun(runGuard.last),
+    });
+  });
+
+  app.get("/watermarks", async (req, res) => {
+    res.json({ checkpoints: (await loadCheckpoints()).toJSON() });
+  });
+
+  app.get("/session", (req, res) => {
+    res.json(galaxySessionState());
+  });
+
+  app.get("/runs", async (req, res) => {
+    const history = openRunHistory();
+    const runs = history
+      ? await history.recent(limitParam(req.query.limit, 20, 200))
+      : [];
+    res.json({ runs });
+  });
+
+  app.get("/runs/trends", async (req, res) => {
+    const history = openRunHistory();
+    if (!history) return res.json({ runs: 0 });
+    res.json(
+      await failureTrends(history, limitParam(req.query.limit, 50, 500))
+    );
+  });
+
+  app.get("/failed-rows", async (req, res) => {
+    const { entity, status = STATUS.PENDING } = req.query;
+    const statuses = [...Object.values(STATUS), "all"];
+    if (!statuses.includes(status)) {
+      return res
+        .status(400)
+        .json({ error: `status must be one of: ${statuses.join(", ")}` });
+    }
+    const items = (await loadDeadLetters())
+      .list({ entity, status: status === "all" ? undefined : status })
+      .sort((a, b) =>
+        String(b.lastFailedAt).localeCompare(String(a.lastFailedAt))
+      );
+    const limit = limitParam(req.query.limit, 100, 1000);
+    res.json({
+      total: items.length,
+      items: redact(items.slice(0, limit)),
+    });
+  });
+
+  app.use((req, res) => res.status(404).json({ error: "Not found" }));
+
+  // Express tells error handlers apart by their four parameters
+  app.use((err, req, res, _next) => {
+    log.error(`${req.method} ${req.path} failed:`, err);
+    res
+      .status(err.status || 500)
+      .json({ error: err.expose ? err.message : "Internal error" });
+  });
+
+  return app;
+}
+
+/**
+ * Validate the config and start listening on ADMIN_HOST:ADMIN_PORT.
+ * SIGTERM/SIGINT stop accepting requests and wait for an active run.
+ * @returns {Promise<import("http").Server>}
+ */
+function startAdminServer() {
+  cfg.validateConfig();
+  const app = createAdminServer();
+  const { host, port } = cfg.admin;
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, (err) => {
+      if (err) return reject(err);
+      log.info(`Listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+    const stop = async (signal) => {
+      log.info(`${signal}: shutting down.`);
+      server.close();
+      const active = app.locals.runGuard.active;
+      if (active) {
+        log.info(`Waiting for the active ${active.job} run to finish...`);
+        await active.done;
+      }
+      process.exit(0);
+    };
+    process.once("SIGTERM", () => stop("SIGTERM"));
+    process.once("SIGINT", () => stop("SIGINT"));
+  });
+}
+
+module.exports = { createAdminServer, startAdminServer, validateAdminSettings };
+
+if (require.main === module) {
+  startAdminServer().catch((err) => {
+    log.error("Could not start admin server:", err.message);
+    process.exitCode = 1;
+  });
+}
@@ -7,12 +7,15 @@
  * Features:
  *  - Keep-alive HTTPS agent
  *  - Automatic session cookie injection (ss-id)
- *  - Debug logging of final request URL and attached cookies
+ *  - Debug logging of the final request URL (secrets redacted)
  */
 
 const axios = require("axios");
 const https = require("https");
 const cfg = require("../config");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("API");
 
 // Keep-alive agent reused across requests
 const keepAliveAgent = new https.Agent({ keepAlive: true });
@@ -27,7 +30,7 @@ function createApiClient(getSessionId) {
   try {
     base = new URL(cfg.baseURL);
   } catch (e) {
-    console.error("[API] Invalid cfg.baseURL:", cfg.baseURL);
+    log.error("Invalid cfg.baseURL:", cfg.baseURL);
     throw e;
   }
 
@@ -51,14 +54,12 @@ function createApiClient(getSessionId) {
       const sid = getSessionId?.();
       if (sid) {
         req.headers["Cookie"] = `ss-id=${sid}`;
-        if (processIS_DEBUG) {
-          console.log("[REQ] Attaching ss-id cookie:", sid.slice(0, 6) + "...");
-        }
+        log.debug("Attaching ss-id cookie.");
       }
     }
 
-    // Debug: log final request URL
-    if (IS_DEBUG) {
+    // Debug: log final request URL (secrets are redacted by the logger)
+    if (log.isDebug()) {
       try {
         const u = new URL(req.url || "", api.defaults.baseURL);
         if (req.params && typeof req.params === "object") {
@@ -67,9 +68,9 @@ function createApiClient(getSessionId) {
               u.searchParams.append(k, String(v));
           }
         }
-        console.log("[FINAL REQ URL]", u.toString());
+        log.debug("Request URL:", u.toString());
       } catch (e) {
-        console.log("[REQ URL] (failed to render)", e.message);
+        log.debug("Request URL (failed to render):", e.message);
       }
     }
     return req;
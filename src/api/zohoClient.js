@@ -0,0 +1,232 @@
+// src/api/zohoClient.js
+
+/**
+ * Zoho API Client Module
+ * ----------------------
+ * Single request wrapper for every Zoho CRM call made by the sync.
+ * Features:
+ *  - Token injection, JSON headers, timeout, compression, keep-alive
+ *  - 429: waits for Retry-After (or the rate-limit reset) and retries
+ *  - 5xx / network errors: exponential backoff with jitter
+ *  - 401 INVALID_TOKEN: drops the cached token and retries once
+ *  - Tracks Zoho's API credit headers and pauses when credits run out
+ *  - Per-run counters (requests, retries, credits) for the job result
+ *
+ * Like the original per-module wrappers, it resolves with the raw Axios
+ * response (no throw on non-2xx) once retries are exhausted, so callers keep
+ * their own per-status handling. Network errors are rethrown after the last
+ * attempt.
+ */
+
+const axios = require("axios");
+const https = require("https");
+const {
+  getZohoAccessToken,
+  getZohoBaseUrl,
+  invalidateZohoAccessToken,
+} = require("../auth/zohoAuth");
+const cfg = require("../config");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("ZOHO");
+
+const keepAliveAgent = new https.Agent({ keepAlive: true });
+
+// Network error codes worth retrying
+const RETRYABLE_NET_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ENOTFOUND",
+]);
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Per-run counters, see getZohoStats()
+let stats;
+// Last seen credit state from Zoho's X-RATELIMIT-* headers
+let credits;
+
+/** Reset per-run counters (call at the start of each job run) */
+function resetZohoStats() {
+  stats = {
+    requests: 0,
+    retries: 0,
+    throttled: 0,
+    serverErrors: 0,
+    networkErrors: 0,
+    tokenRefreshes: 0,
+    creditsUsed: 0,
+    creditsRemaining: null,
+    creditLimit: null,
+    waitedMs: 0,
+  };
+  credits = { remaining: null, resetAt: null };
+}
+resetZohoStats();
+
+/**
+ * @returns {Object} Snapshot of this run's Zoho request/credit counters
+ */
+function getZohoStats() {
+  return { ...stats };
+}
+
+/**
+ * Parse a reset/retry header into an absolute timestamp (ms).
+ * Accepts delta seconds, epoch seconds, epoch milliseconds or an HTTP date.
+ * @param {string|undefined} v
+ * @returns {number|null}
+ */
+function parseResetAt(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  if (Number.isFinite(n)) {
+    if (n > 1e12) return n; // epoch ms
+    if (n > 1e9) return n * 1000; // epoch s
+    return Date.now() + n * 1000; // delta s
+  }
+  const t = Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * Record Zoho's credit headers from a response
+ * @param {Object} headers - Axios response headers (lowercased)
+ */
+function trackCredits(headers) {
+  const remaining = Number(headers?.["x-ratelimit-remaining"]);
+  const limit = Number(headers?.["x-ratelimit-limit"]);
+  if (Number.isFinite(limit)) stats.creditLimit = limit;
+  if (!Number.isFinite(remaining)) return;
+  if (credits.remaining !== null && remaining < credits.remaining) {
+    stats.creditsUsed += credits.remaining - remaining;
+  }
+  credits.remaining = remaining;
+  credits.resetAt = parseResetAt(headers?.["x-ratelimit-reset"]);
+  stats.creditsRemaining = remaining;
+}
+
+/**
+ * Wait, capped at cfg.zohoMaxRetryWaitMs, and count the time
+ * @param {number} ms
+ */
+async function wait(ms) {
+  const d = Math.max(0, Math.min(ms, cfg.zohoMaxRetryWaitMs));
+  stats.waitedMs += d;
+  await sleep(d);
+}
+
+/**
+ * Exponential backoff delay with full jitter for a retry attempt
+ * @param {number} attempt - 0-based retry number
+ * @returns {number} Delay in ms
+ */
+function backoffMs(attempt) {
+  const ceiling = cfg.zohoRetryBaseMs * 2 ** attempt;
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * Generic Zoho API request wrapper with retries.
+ *
+ * @param {"GET"|"POST"|"PUT"|"DELETE"} method
+ * @param {string} path - API endpoint path (relative to base URL).
+ * @param {Object|null} body - Request payload (if any).
+ * @param {Object} params - Query string params.
+ * @returns {Promise<AxiosResponse>}
+ */
+async function zohoApi(method, path, body, params) {
+  const url = `${getZohoBaseUrl()}${path}`;
+  let tokenRetried = false;
+
+  for (let attempt = 0; ; attempt++) {
+    // Out of credits for this window: wait for the reset before spending more
+    if (credits.remaining === 0 && credits.resetAt > Date.now()) {
+      const ms = credits.resetAt - Date.now();
+      log.warn(
+        `API credits exhausted; waiting ${Math.ceil(ms / 1000)}s for reset.`
+      );
+      await wait(ms);
+      credits.remaining = null;
+    }
+
+    const token = await getZohoAccessToken();
+    stats.requests++;
+    let res;
+    try {
+      res = await axios({
+        method,
+        url,
+        data: body,
+        params,
+        headers: {
+          Authorization: `Zoho-oauthtoken ${token}`,
+          "Content-Type": "application/json",
+        },
+        timeout: cfg.timeoutMs,
+        decompress: true,
+        validateStatus: () => true,
+        proxy: false,
+        httpsAgent: keepAliveAgent,
+      });
+    } catch (err) {
+      stats.networkErrors++;
+      const retryable = !err.response && RETRYABLE_NET_CODES.has(err.code);
+      if (!retryable || attempt >= cfg.zohoMaxRetries) throw err;
+      const ms = backoffMs(attempt);
+      log.warn(
+        `${method} ${path} network error (${err.code}); retry ${attempt + 1}/${
+          cfg.zohoMaxRetries
+        } in ${ms}ms.`
+      );
+      stats.retries++;
+      await wait(ms);
+      continue;
+    }
+
+    trackCredits(res.headers);
+
+    // Expired/revoked token: refresh once, does not count as a retry attempt
+    if (
+      res.status === 401 &&
+      res.data?.code === "INVALID_TOKEN" &&
+      !tokenRetried
+    ) {
+      log.warn("INVALID_TOKEN; refreshing access token.");
+      invalidateZohoAccessToken();
+      tokenRetried = true;
+      stats.tokenRefreshes++;
+      attempt--;
+      continue;
+    }
+
+    const throttled = res.status === 429;
+    const serverError = res.status >= 500;
+    if (throttled) stats.throttled++;
+    if (serverError) stats.serverErrors++;
+    if ((!throttled && !serverError) || attempt >= cfg.zohoMaxRetries) {
+      return res;
+    }
+
+    let ms = backoffMs(attempt);
+    if (throttled) {
+      const at =
+        parseResetAt(res.headers?.["retry-after"]) ??
+        parseResetAt(res.headers?.["x-ratelimit-reset"]);
+      if (at) ms = Math.max(at - Date.now(), 0);
+    }
+    log.warn(
+      `${method} ${path} HTTP ${res.status}; retry ${attempt + 1}/${
+        cfg.zohoMaxRetries
+      } in ${ms}ms.`
+    );
+    stats.retries++;
+    await wait(ms);
+  }
+}
+
+module.exports = { zohoApi, getZohoStats, resetZohoStats };
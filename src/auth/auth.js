@@ -8,10 +8,17 @@
  *  - Session management via cookies
  *  - Extracts ss-pid for session continuity
  *  - Throws errors for failed authentication
+ *  - GET /auth?username=... by default (GLX_AUTH_MODE=query); the logger
+ *    redacts the credentials. GLX_AUTH_MODE=body opts in to POST
+ *    /auth/credentials with a JSON body, for servers that serve that route
+ *  - Session ids are registered with the logger so they are redacted
  */
 
 const axios = require("axios");
 const cfg = require("../config");
+const { createLogger, registerSecret } = require("../utils/logger");
+
+const log = createLogger("AUTH");
 
 /**
  * Extract value from Set-Cookie headers
@@ -36,12 +43,13 @@ function extractCookieValue(setCookieHeaders, name) {
 
 /**
  * Build authentication URL
+ * @param {string} [path="/auth"]
  */
-function buildAuthUrl() {
+function buildAuthUrl(path = "/auth") {
   try {
-    return new URL("/auth", cfg.baseURL).toString();
+    return new URL(path, cfg.baseURL).toString();
   } catch (e) {
-    console.error("[AUTH] Invalid BASE_URL when building /auth:", cfg.baseURL);
+    log.error("Invalid BASE_URL when building /auth:", cfg.baseURL);
     throw e;
   }
 }
@@ -52,11 +60,9 @@ function buildAuthUrl() {
  * @returns {Promise<{sessionId:string, ssPid:string|null}>}
  */
 async function authenticate(currentSsPid = null) {
-  const url = buildAuthUrl();
   const base = new URL(cfg.baseURL);
-
-  const res = await axios.get(url, {
-    params: { username: cfg.username, password: cfg.password },
+  const credentials = { username: cfg.username, password: cfg.password };
+  const options = {
     headers: {
       Accept: "application/json",
       ...(currentSsPid ? { Cookie: `ss-pid=${currentSsPid}` } : {}),
@@ -65,7 +71,15 @@ async function authenticate(currentSsPid = null) {
     timeout: cfg.timeoutMs,
     validateStatus: () => true,
     proxy: false,
-  });
+  };
+
+  const res =
+    cfg.galaxyAuthMode === "body"
+      ? await axios.post(buildAuthUrl("/auth/credentials"), credentials, {
+          ...options,
+          headers: { ...options.headers, "Content-Type": "application/json" },
+        })
+      : await axios.get(buildAuthUrl(), { ...options, params: credentials });
 
   const maybeNewPid = extractCookieValue(res.headers?.["set-cookie"], "ss-pid");
 
@@ -73,6 +87,8 @@ async function authenticate(currentSsPid = null) {
     const sessionId = res.data?.SessionId;
     if (!sessionId)
       throw new Error("Auth succeeded but no SessionId in payload.");
+    registerSecret(sessionId);
+    registerSecret(maybeNewPid);
     return { sessionId, ssPid: maybeNewPid || currentSsPid || null };
   }
 
@@ -6,31 +6,91 @@
  * Handles OAuth authentication for Zoho CRM integration.
  * Features:
  *  - Refresh token workflow
- *  - Token caching in memory
- *  - Base URL resolution per Zoho data center (DC)
+ *  - Token caching in memory (invalidated on INVALID_TOKEN responses)
+ *  - Optional token store so access tokens survive across job runs
+ *  - Base URL resolution per Zoho data center (DC), with URL overrides
  */
 
 const axios = require("axios");
 const https = require("https");
 const cfg = require("../config");
+const { createStateBackend } = require("../utils/stateBackend");
+const { createLogger, registerSecret } = require("../utils/logger");
+
+const log = createLogger("ZOHO AUTH");
 
 const keepAliveAgent = new https.Agent({ keepAlive: true });
 
 /**
- * Map Zoho DCs to their API & Accounts URLs
+ * Zoho DCs and their Accounts & API URLs
+ */
+const ZOHO_DOMAINS = Object.freeze({
+  us: {
+    accounts: "https://accounts.zoho.com",
+    api: "https://www.zohoapis.com",
+  },
+  eu: {
+    accounts: "https://accounts.zoho.eu",
+    api: "https://www.zohoapis.eu",
+  },
+  in: {
+    accounts: "https://accounts.zoho.in",
+    api: "https://www.zohoapis.in",
+  },
+  au: {
+    accounts: "https://accounts.zoho.com.au",
+    api: "https://www.zohoapis.com.au",
+  },
+  jp: {
+    accounts: "https://accounts.zoho.jp",
+    api: "https://www.zohoapis.jp",
+  },
+  ca: {
+    accounts: "https://accounts.zohocloud.ca",
+    api: "https://www.zohoapis.ca",
+  },
+  uk: {
+    accounts: "https://accounts.zoho.uk",
+    api: "https://www.zohoapis.uk",
+  },
+  cn: {
+    accounts: "https://accounts.zoho.com.cn",
+    api: "https://www.zohoapis.com.cn",
+  },
+  sa: {
+    accounts: "https://accounts.zoho.sa",
+    api: "https://www.zohoapis.sa",
+  },
+});
+
+// Accept domain suffixes as aliases, e.g. "com" → us, "com.cn" → cn
+const DC_ALIASES = Object.freeze({
+  com: "us",
+  "com.au": "au",
+  "com.cn": "cn",
+  zohocloud: "ca",
+});
+
+/**
+ * Map a Zoho DC to its API & Accounts URLs, applying the
+ * ZOHO_ACCOUNTS_URL / ZOHO_API_URL overrides (e.g. for sandbox orgs).
+ * @param {string} dcRaw - DC code or domain suffix
+ * @returns {{accounts:string, api:string}|undefined}
  */
 function zohoDomains(dcRaw) {
-  const dc = String(dcRaw || "").toLowerCase();
-  const map = {
-    eu: {
-      accounts: "https://accounts.zoho.eu",
-      api: "https://www.zohoapis.eu",
-    },
-    // Add other DCs if needed: us, in, au, jp, ca
-  };
-  return map[dc];
+  const dc = String(dcRaw || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^\./, "");
+  const dom = ZOHO_DOMAINS[DC_ALIASES[dc] || dc];
+  const accounts = cfg.zoho.accountsUrl || dom?.accounts;
+  const api = cfg.zoho.apiUrl || dom?.api;
+  if (!accounts && !api) return undefined;
+  return { accounts, api };
 }
 
+const DC_LIST = Object.keys(ZOHO_DOMAINS).join(", ");
+
 /**
  * Get Zoho API base URL for configured DC
  */
@@ -38,14 +98,75 @@ function getZohoBaseUrl() {
   const dom = zohoDomains(cfg.zoho.dc);
   if (!dom || !dom.api) {
     throw new Error(
-      `Invalid ZOHO_DC "${cfg.zoho.dc}". Use one of: us, eu, in, au, jp, ca.`
+      `Invalid ZOHO_DC "${cfg.zoho.dc}". Use one of: ${DC_LIST} (or set ZOHO_API_URL).`
     );
   }
-  return dom.api;
+  return dom.api.replace(/\/+$/, "");
 }
 
 // In-memory cache for OAuth token
 let tokenCache = { accessToken: null, expiresAt: 0 };
+// Optional persistent store ({ load, save }, see utils/stateBackend.js)
+let tokenStore = null;
+// Set when Zoho rejected the token, so the stored copy is not reused
+let storedTokenRejected = false;
+
+/**
+ * Persist access tokens across runs through a state backend.
+ * Pass null to keep tokens in memory only.
+ * @param {{ load: Function, save: Function }|null} store
+ */
+function setZohoTokenStore(store) {
+  tokenStore = store || null;
+  storedTokenRejected = false;
+}
+
+/**
+ * Set up the token store selected by ZOHO_TOKEN_STORE:
+ * "memory" (none), "file" or "catalyst-cache".
+ * @param {{ catalystApp?: Object }} [options]
+ *   - catalystApp: initialized Catalyst app, required for "catalyst-cache"
+ */
+function configureZohoTokenStore({ catalystApp } = {}) {
+  const kind = cfg.zoho.tokenStore;
+  if (kind === "memory") return setZohoTokenStore(null);
+  setZohoTokenStore(
+    createStateBackend({
+      kind,
+      filePath: cfg.zoho.tokenFile,
+      catalystApp,
+      key: "zoho_access_token",
+      segment: cfg.zoho.tokenCacheSegment,
+      expiryHours: 1,
+    })
+  );
+}
+
+// Identifies the OAuth client + accounts server a stored token belongs to
+function tokenOwner(accountsUrl) {
+  return `${cfg.zoho.clientId}@${accountsUrl}`;
+}
+
+/**
+ * Read a still-valid token from the token store, if any
+ * @returns {Promise<{accessToken:string, expiresAt:number}|null>}
+ */
+async function loadStoredToken(accountsUrl) {
+  if (!tokenStore || storedTokenRejected) return null;
+  try {
+    const doc = await tokenStore.load();
+    if (
+      doc?.accessToken &&
+      doc.owner === tokenOwner(accountsUrl) &&
+      Date.now() < Number(doc.expiresAt) - 10_000
+    ) {
+      return { accessToken: doc.accessToken, expiresAt: Number(doc.expiresAt) };
+    }
+  } catch (err) {
+    log.warn("Could not read token store:", err.message);
+  }
+  return null;
+}
 
 /**
  * Fetch Zoho access token using refresh token, caching it until expiry
@@ -59,7 +180,7 @@ async function getZohoAccessToken() {
   const dom = zohoDomains(cfg.zoho.dc);
   if (!dom || !dom.accounts) {
     throw new Error(
-      `Invalid ZOHO_DC "${cfg.zoho.dc}" (no accounts URL). Use: us, eu, in, au, jp, ca.`
+      `Invalid ZOHO_DC "${cfg.zoho.dc}" (no accounts URL). Use: ${DC_LIST} (or set ZOHO_ACCOUNTS_URL).`
     );
   }
   if (!cfg.zoho.clientId || !cfg.zoho.clientSecret || !cfg.zoho.refreshToken) {
@@ -68,7 +189,15 @@ async function getZohoAccessToken() {
     );
   }
 
-  const url = `${dom.accounts}/oauth/v2/token`;
+  const accountsUrl = dom.accounts.replace(/\/+$/, "");
+  const stored = await loadStoredToken(accountsUrl);
+  if (stored) {
+    registerSecret(stored.accessToken);
+    tokenCache = stored;
+    return tokenCache.accessToken;
+  }
+
+  const url = `${accountsUrl}/oauth/v2/token`;
   const params = {
     grant_type: "refresh_token",
     refresh_token: cfg.zoho.refreshToken,
@@ -76,8 +205,9 @@ async function getZohoAccessToken() {
     client_secret: cfg.zoho.clientSecret,
   };
 
-  const res = await axios.post(url, null, {
-    params,
+  // Sent as a form body, so the refresh token never appears in a URL
+  const res = await axios.post(url, new URLSearchParams(params).toString(), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
     timeout: cfg.timeoutMs,
     validateStatus: () => true,
     proxy: false,
@@ -92,9 +222,41 @@ async function getZohoAccessToken() {
     );
   }
 
+  registerSecret(res.data.access_token);
   tokenCache.accessToken = res.data.access_token;
   tokenCache.expiresAt = now + Number(res.data.expires_in || 3600) * 1000;
+
+  if (tokenStore) {
+    try {
+      await tokenStore.save({
+        accessToken: tokenCache.accessToken,
+        expiresAt: tokenCache.expiresAt,
+        owner: tokenOwner(accountsUrl),
+      });
+      storedTokenRejected = false;
+    } catch (err) {
+      // A token that cannot be stored still works for this run
+      log.warn("Could not persist access token:", err.message);
+    }
+  }
   return tokenCache.accessToken;
 }
 
-module.exports = { getZohoAccessToken, getZohoBaseUrl };
+/**
+ * Drop the cached access token so the next call refreshes it
+ * (used when Zoho rejects a token before its expected expiry)
+ */
+function invalidateZohoAccessToken() {
+  tokenCache = { accessToken: null, expiresAt: 0 };
+  storedTokenRejected = true;
+}
+
+module.exports = {
+  getZohoAccessToken,
+  getZohoBaseUrl,
+  invalidateZohoAccessToken,
+  setZohoTokenStore,
+  configureZohoTokenStore,
+  zohoDomains,
+  ZOHO_DOMAINS,
+};
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+// src/cli.js
+
+/**
+ * Command-Line Interface
+ * ----------------------
+ * Operates the sync outside Catalyst (local runs, servers, cron).
+ * Features:
+ *  - run: full sync through the Catalyst job handler, with a local context
+ *  - backfill --from-rev N [--to-rev M]: customers with THIRDPARTYREVNUM in
+ *    (N, M], checkpoints untouched
+ *  - resync --trader-id X [--trader-id Y | X,Y]: those customers, always
+ *    re-sent (payload hashes ignored)
+ *  - preview: dry run; payloads go to the dry-run report, not to Zoho
+ *  - status: checkpoints, dead-letter queue and the last run report
+ *  - auth-check: logs in to Galaxy and calls Zoho with a fresh token
+ *  - run/backfill/resync/preview hold the sync lock (DAEMON_LOCK_FILE), so
+ *    they never overlap a daemon or admin server run
+ *  - Exit codes by failed stage (see EXIT_CODES)
+ *  - Settings from a `.env` file in the working directory (variables
+ *    already set in the environment win)
+ *
+ * Usage: node src/cli.js <command> [options]   (npm start = run)
+ */
+
+// Before config.js, which reads the environment once on import
+require("dotenv").config({ quiet: true });
+
+const cfg = require("./config");
+const { normId } = require("./utils/normalize");
+const { createSyncLock } = require("./utils/runLock");
+const { createLogger, setLogLevel } = require("./utils/logger");
+
+const log = createLogger("CLI");
+
+/**
+ * Process exit codes. A failed run exits with the code of its `stage`
+ * (see stageExitCode); row-level Zoho errors do not fail a run.
+ */
+const EXIT_CODES = Object.freeze({
+  OK: 0,
+  FATAL: 1, // unexpected error, or a stage without its own code
+  USAGE: 2, // unknown command or bad option
+  CONFIG: 3, // missing or invalid configuration (incl. the checkpoint seed)
+  AUTH: 4, // Galaxy or Zoho authentication
+  FETCH: 5, // Galaxy customer/affiliate fetch (fetch:*)
+  CONTACTS: 6, // Galaxy contacts fetch (contacts:*)
+  LOCKED: 7, // another process holds the sync lock
+});
+
+const USAGE = `Usage: node src/cli.js <command> [options]
+
+Commands:
+  run                          Full sync (like the Catalyst job)
+  backfill --from-rev N [--to-rev M]
+                               Sync customers with N < THIRDPARTYREVNUM <= M
+  resync --trader-id X[,Y]     Sync the given traders (repeatable option)
+  preview                      Dry run: write the would-be payloads to the
+                               dry-run report (--out FILE) instead of Zoho
+  status                       Show checkpoints, DLQ and the last run
+  auth-check                   Verify Galaxy and Zoho credentials
+
+Options:
+  --dry-run                    run/backfill/resync without Zoho writes
+  --force                      Ignore payload hashes (run/backfill)
+  --json                       Print the result as JSON
+  --log-level LEVEL            error, warn, info or debug
+  -h, --help                   Show this help`;
+
+class UsageError extends Error {}
+
+// Options that take a value; everything else is a boolean flag
+const VALUE_OPTIONS = new Set([
+  "from-rev",
+  "to-rev",
+  "trader-id",
+  "out",
+  "log-level",
+]);
+const FLAG_OPTIONS = new Set(["dry-run", "force", "json", "help"]);
+const COMMANDS = new Set([
+  "run",
+  "backfill",
+  "resync",
+  "preview",
+  "status",
+  "auth-check",
+]);
+
+/**
+ * Parse `<command> [--opt value | --opt=value | --flag]...`
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{ command:string|null, options:Object }} Repeated value options
+ *   are collected into arrays.
+ * @throws {UsageError} On unknown or incomplete options
+ */
+function parseArgs(argv) {
+  const options = {};
+  let command = null;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      if (command) throw new UsageError(`Unexpected argument "${arg}"`);
+      command = arg;
+      continue;
+    }
+    const eq = arg.indexOf("=");
+    const name = arg.slice(2, eq === -1 ? undefined : eq);
+    if (FLAG_OPTIONS.has(name)) {
+      if (eq !== -1) throw new UsageError(`--${name} takes no value`);
+      options[name] = true;
+    } else if (VALUE_OPTIONS.has(name)) {
+      const value = eq === -1 ? argv[++i] : arg.slice(eq + 1);
+      if (value === undefined || value.startsWith("--")) {
+        throw new UsageError(`--${name} needs a value`);
+      }
+      options[name] = [...(options[name] || []), value];
+    } else {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+  }
+  return { command, options };
+}
+
+/**
+ * Last value of a value option
+ * @returns {string|undefined}
+ */
+function single(options, name) {
+  return options[name]?.[options[name].length - 1];
+}
+
+/**
+ * @param {string|undefined} raw
+ * @param {string} name - Option name, for the error message
+ * @returns {number|undefined}
+ * @throws {UsageError} Unless a non-negative integer
+ */
+function revOption(raw, name) {
+  if (raw === undefined) return undefined;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`);
+  }
+  return n;
+}
+
+/**
+ * Exit code for a failed stage
+ * @param {string} [stage] - e.g. "auth", "fetch:page", "contacts:fetch"
+ * @returns {number}
+ */
+function stageExitCode(stage) {
+  const s = String(stage || "");
+  // "checkpoint": first run without CUSTOMERS_CHECKPOINT_SEED
+  if (s === "config" || s === "checkpoint") return EXIT_CODES.CONFIG;
+  if (s === "auth" || s.startsWith("auth:")) return EXIT_CODES.AUTH;
+  if (s.startsWith("fetch")) return EXIT_CODES.FETCH;
+  if (s.startsWith("contacts")) return EXIT_CODES.CONTACTS;
+  if (s === "lock") return EXIT_CODES.LOCKED;
+  return EXIT_CODES.FATAL;
+}
+
+/**
+ * Print a command result
+ * @param {Object} result
+ * @param {boolean} json - Whole result as JSON, else a short summary
+ */
+function printResult(result, json) {
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  const {
+    ok,
+    stage,
+    error,
+    runId,
+    processed,
+    success,
+    failed,
+    notFound,
+    report,
+  } = result;
+  const lines = [
+    `${ok ? "OK" : `FAILED at ${stage}`}${runId ? ` (run ${runId})` : ""}`,
+  ];
+  if (error) lines.push(`Error: ${error}`);
+  if (processed !== undefined) {
+    lines.push(
+      `Customers: ${processed} processed, ${success} succeeded, ${failed} failed`
+    );
+  }
+  if (result.contactsFetched !== undefined) {
+    lines.push(
+      `Contacts: ${result.contactsFetched} fetched, ${result.contactsSuccess} succeeded, ${result.contactsFailed} failed`
+    );
+  }
+  if (notFound?.length) lines.push(`Not found: ${notFound.join(", ")}`);
+  if (report) lines.push(`Dry-run report: ${report}`);
+  console.log(lines.join("\n"));
+}
+
+/**
+ * Run the sync through the Catalyst handler with a local context
+ * @returns {Promise<Object>} Job result
+ */
+async function runCommand({ dryRun, force }) {
+  const handler = require("./index");
+  // The handler reports its outcome here; the CLI uses the returned result
+  const context = { closeWithSuccess: () => {}, closeWithFailure: () => {} };
+  const params = {
+    getJobParam: (name) =>
+      ({
+        dryRun: dryRun ? "true" : undefined,
+        force: force ? "true" : undefined,
+      }[name]),
+  };
+  return handler(params, context);
+}
+
+/**
+ * Hold the sync lock while `fn` runs
+ * @param {Function} fn - Starts the run
+ * @returns {Promise<Object>} Its result, or stage "lock" if another process
+ *   holds the lock
+ */
+async function withSyncLock(fn) {
+  const lock = createSyncLock();
+  if (!lock.acquire()) {
+    const { pid, host } = lock.read() || {};
+    return {
+      ok: false,
+      stage: "lock",
+      error: `Another sync holds ${lock.path} (pid ${pid} on ${host})`,
+    };
+  }
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Run a sync via runJobOnce, turning a thrown error into a failed result
+ * @returns {Promise<Object>} Job result
+ */
+async function runJob(options) {
+  const { runJobOnce } = require("./index");
+  try {
+    return await runJobOnce(options);
+  } catch (err) {
+    return { ok: false, stage: err.stage || "fatal", error: err.message };
+  }
+}
+
+/**
+ * Checkpoints, dead-letter counts, Galaxy session and the last run report
+ * @returns {Promise<Object>}
+ */
+async function statusCommand() {
+  const { getSyncStatus } = require("./utils/syncStatus");
+  return { ok: true, ...(await getSyncStatus()) };
+}
+
+/**
+ * Print status as text
+ * @param {Object} status - From statusCommand()
+ */
+function printStatus(status) {
+  console.log("Checkpoints:");
+  const entries = Object.entries(status.checkpoints);
+  if (!entries.length) console.log("  (none yet)");
+  for (const [entity, { rev, updatedAt }] of entries) {
+    console.log(`  ${entity}: ${rev} (updated ${updatedAt})`);
+  }
+  console.log("Dead-letter queue:", JSON.stringify(status.deadLetters));
+  const session = status.galaxySession;
+  console.log(
+    `Galaxy session stored: ${session.sessionStored ? "yes" : "no"}${
+      session.updatedAt ? ` (updated ${session.updatedAt})` : ""
+    }`
+  );
+  const r = status.lastRun;
+  console.log(
+    r
+      ? `Last run: ${r.runId} (${r.job}) ${r.startedAt}, ${r.durationMs}ms, ${
+          r.ok ? "ok" : `failed at ${r.stage}: ${r.error}`
+        }`
+      : "Last run: none recorded"
+  );
+}
+
+/**
+ * Log in to Galaxy and make an authenticated Zoho call
+ * @returns {Promise<Object>} `{ ok, galaxy, zoho }`, stage "auth" on failure
+ */
+async function authCheckCommand() {
+  const { authenticate } = require("./auth/auth");
+  const { zohoApi } = require("./api/zohoClient");
+  const SessionStore = require("./utils/sessionStore");
+
+  const check = async (fn) => {
+    try {
+      return { ok: true, ...(await fn()) };
+    } catch (err) {
+      return { ok: false, error: err?.message || String(err) };
+    }
+  };
+  const galaxy = await check(async () => {
+    const { sessionId } = await authenticate(
+      new SessionStore(cfg.sessionFile).getSsPid()
+    );
+    if (!sessionId) throw new Error("No session id returned");
+    return { baseURL: cfg.baseURL };
+  });
+  const zoho = await check(async () => {
+    const res = await zohoApi("GET", "/crm/v8/users", null, {
+      type: "CurrentUser",
+    });
+    if (res.status !== 200) {
+      throw new Error(
+        `HTTP ${res.status}: ${JSON.stringify(res.data ?? null)}`
+      );
+    }
+    const user = res.data?.users?.[0];
+    return { user: user?.full_name || user?.email || user?.id || null };
+  });
+
+  const ok = galaxy.ok && zoho.ok;
+  return { ok, ...(ok ? {} : { stage: "auth" }), galaxy, zoho };
+}
+
+/**
+ * Run one CLI invocation
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+  let command, options;
+  try {
+    ({ command, options } = parseArgs(argv));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+  }
+  if (!COMMANDS.has(command)) {
+    console.error(`Unknown command "${command}"\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const logLevel = single(options, "log-level");
+  try {
+    if (logLevel) setLogLevel(logLevel);
+  } catch (err) {
+    console.error(err.message);
+    return EXIT_CODES.USAGE;
+  }
+  try {
+    cfg.validateConfig();
+  } catch (err) {
+    console.error(`Configuration error: ${err.message}`);
+    return EXIT_CODES.CONFIG;
+  }
+
+  const json = Boolean(options.json);
+  const dryRun = Boolean(options["dry-run"]);
+  const force = Boolean(options.force);
+  let result;
+  try {
+    switch (command) {
+      case "run":
+        result = await withSyncLock(() => runCommand({ dryRun, force }));
+        break;
+      case "backfill": {
+        const fromRev = revOption(single(options, "from-rev"), "from-rev");
+        const toRev = revOption(single(options, "to-rev"), "to-rev");
+        if (fromRev === undefined) {
+          throw new UsageError("backfill needs --from-rev");
+        }
+        if (toRev !== undefined && toRev <= fromRev) {
+          throw new UsageError("--to-rev must be greater than --from-rev");
+        }
+        result = await withSyncLock(() =>
+          runJob({
+            dryRun,
+            force,
+            scope: { fromRev, ...(toRev !== undefined ? { toRev } : {}) },
+          })
+        );
+        break;
+      }
+      case "resync": {
+        const traderIds = [
+          ...new Set(
+            (options["trader-id"] || [])
+              .flatMap((v) => v.split(","))
+              .map(normId)
+              .filter(Boolean)
+          ),
+        ];
+        if (!traderIds.length) {
+          throw new UsageError("resync needs --trader-id");
+        }
+        result = await withSyncLock(() =>
+          runJob({ dryRun, force: true, scope: { traderIds } })
+        );
+        break;
+      }
+      case "preview": {
+        const out = single(options, "out");
+        if (out) cfg.dryRunReportFile = out;
+        result = await withSyncLock(() => runJob({ dryRun: true, force }));
+        break;
+      }
+      case "status":
+        result = await statusCommand();
+        if (!json) {
+          printStatus(result);
+          return EXIT_CODES.OK;
+        }
+        break;
+      case "auth-check":
+        result = await authCheckCommand();
+        if (!json) {
+          for (const name of ["galaxy", "zoho"]) {
+            const r = result[name];
+            console.log(
+              `${name === "galaxy" ? "Galaxy" : "Zoho"}: ${
+                r.ok
+                  ? `OK${r.user ? ` (user: ${r.user})` : ""}`
+                  : `FAILED: ${r.error}`
+              }`
+            );
+          }
+          return result.ok ? EXIT_CODES.OK : EXIT_CODES.AUTH;
+        }
+        break;
+    }
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n\n${USAGE}`);
+      return EXIT_CODES.USAGE;
+    }
+    log.error("Fatal error:", err);
+    return EXIT_CODES.FATAL;
+  }
+
+  printResult(result, json);
+  return result.ok ? EXIT_CODES.OK : stageExitCode(result.stage);
+}
+
+module.exports = { main, parseArgs, stageExitCode, EXIT_CODES };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -3,13 +3,24 @@
 /**
  * Configuration Module
  * --------------------
- * Loads environment variables and validates essential config.
+ * Loads environment variables; validateConfig() checks essential config.
  * Features:
  *  - Base URL validation
  *  - Credentials check
  *  - Session file and Zoho config
+ *  - Sync state backend (checkpoints, dead-letter queue)
+ *  - Field mapping definition file
+ *  - Reverse sync (Zoho → Galaxy) settings
+ *  - Deactivation of Accounts for inactive/deleted Galaxy traders
+ *  - Run history (structured run reports)
+ *  - Logging (level, text/JSON format)
+ *  - Admin server (port, API key, login)
+ *  - Scheduler daemon (lock file, overlap policy)
+ *  - Execution-time safety margin
  */
 
+const path = require("path");
+
 function cleanUrl(s) {
   return String(s || "")
     .trim()
@@ -22,29 +33,311 @@ const cfg = {
   username: process.env.AUTH_USERNAME,
   password: process.env.AUTH_PASSWORD,
   ssPid: process.env.SS_PID_COOKIE || null,
+  // Galaxy login: "query" (GET /auth, the documented route) or opt-in
+  // "body" (POST /auth/credentials, for servers that serve it)
+  galaxyAuthMode: process.env.GLX_AUTH_MODE || "query",
   cronExpr: process.env.CRON || "* * * * *",
   timeoutMs: Number(process.env.TIMEOUT_MS || 20000),
+  // Catalyst execution-time budget: no new Galaxy page or Zoho batch is
+  // started with less than this much time left
+  timeSafetyMarginMs: Number(process.env.TIME_SAFETY_MARGIN_MS || 60000),
+  galaxyPageSize: Number(process.env.GLX_PAGE_SIZE || 500),
+  // Affiliates of a page: revision numbers per `In` query, queries in flight
+  affiliateFetchChunkSize: Number(
+    process.env.AFFILIATE_FETCH_CHUNK_SIZE || 100
+  ),
+  affiliateFetchConcurrency: Number(
+    process.env.AFFILIATE_FETCH_CONCURRENCY || 3
+  ),
+  // Customer → affiliate links: "lookup" (one Affiliate_To per customer) or
+  // "junction" (every pair as a record of a Zoho linking module)
+  affiliateLinks: {
+    mode: process.env.AFFILIATE_LINK_MODE || "lookup",
+    module: process.env.AFFILIATE_LINK_MODULE || "Customer_Affiliates",
+    // Links gone from Galaxy: "end" (set End_Date) or "delete"
+    onRemove: process.env.AFFILIATE_LINK_ON_REMOVE || "end",
+  },
   sessionFile: process.env.SESSION_FILE || "./.session.json",
+  // Sync state (checkpoints): "file" or "catalyst" (Data Store table)
+  stateBackend: process.env.STATE_BACKEND || "file",
+  checkpointFile: process.env.CHECKPOINT_FILE || "./.checkpoints.json",
+  // First run only: customers checkpoint to start from (the last Galaxy
+  // THIRDPARTYREVNUM already in Zoho; 0 syncs every customer)
+  customersCheckpointSeed:
+    process.env.CUSTOMERS_CHECKPOINT_SEED === undefined ||
+    process.env.CUSTOMERS_CHECKPOINT_SEED === ""
+      ? null
+      : Number(process.env.CUSTOMERS_CHECKPOINT_SEED),
+  catalystStateTable: process.env.CATALYST_STATE_TABLE || "SyncState",
+  // Dead-letter queue for failed Zoho upsert rows
+  deadLetterFile: process.env.DLQ_FILE || "./.dead-letters.json",
+  dlqMaxAttempts: Number(process.env.DLQ_MAX_ATTEMPTS || 5),
+  // Content-hash change detection: skip customers whose payload is unchanged
+  payloadHashFile: process.env.PAYLOAD_HASH_FILE || "./.payload-hashes.json",
+  // Local cache of Zoho Account ids by Trader_ID (Affiliate_To, contact links)
+  accountIdCacheFile:
+    process.env.ACCOUNT_ID_CACHE_FILE || "./.account-ids.json",
+  accountIdCacheMaxAgeHours: Number(
+    process.env.ACCOUNT_ID_CACHE_MAX_AGE_HOURS || 24
+  ),
+  // Greek AFM (tax id) checks on Accounts, see accounts/afmCheck.js
+  afm: {
+    // Zoho field that receives an invalid AFM instead of Account_AFM
+    invalidField: process.env.AFM_INVALID_FIELD || null,
+    // Shared AFMs under different Trader_IDs: "off", "run" or "zoho"
+    duplicateCheck: process.env.AFM_DUPLICATE_CHECK || "zoho",
+    duplicatesReport:
+      process.env.AFM_DUPLICATES_REPORT || "./afm-duplicates.ndjson",
+  },
+  forceUpsert: process.env.FORCE_UPSERT === "1",
+  // Dry run: build the Zoho payloads into a report instead of upserting
+  dryRun: process.env.DRY_RUN === "1",
+  dryRunReportFile: process.env.DRY_RUN_REPORT || "./dry-run-report.ndjson",
+  // Run history: "file" (NDJSON), "catalyst" (Data Store table) or "off";
+  // follows STATE_BACKEND by default
+  runHistory:
+    process.env.RUN_HISTORY ||
+    (process.env.STATE_BACKEND === "catalyst" ? "catalyst" : "file"),
+  runHistoryFile: process.env.RUN_HISTORY_FILE || "./run-history.ndjson",
+  runHistoryTable: process.env.RUN_HISTORY_TABLE || "SyncRunHistory",
+  // Declarative Galaxy → Zoho field mapping (see mappings/fieldMappings.json)
+  fieldMappingFile:
+    process.env.FIELD_MAPPING_FILE ||
+    path.join(__dirname, "mappings", "fieldMappings.json"),
+  // Reverse sync (Zoho Account edits → Galaxy), see reverseSync.js
+  reverseConflictPolicy: process.env.REVERSE_CONFLICT_POLICY || "galaxy-wins",
+  reverseConflictLog:
+    process.env.REVERSE_CONFLICT_LOG || "./reverse-conflicts.ndjson",
+  galaxyCustomerPath:
+    process.env.GLX_CUSTOMER_PATH ||
+    "/api/glx/views/Customer/custom/zh_Customers_fin",
+  galaxyCustomerUpdatePath:
+    process.env.GLX_CUSTOMER_UPDATE_PATH ||
+    "/api/glx/entities/Customer/{TRDRID}",
+  galaxyModifiedField: process.env.GLX_MODIFIED_FIELD || "UPDDATE",
+  // Deactivation of Zoho Accounts whose Galaxy trader is inactive or deleted
+  deactivation: {
+    enabled: process.env.DEACTIVATION === "1",
+    activeField: process.env.GLX_ACTIVE_FIELD || "ISACTIVE",
+    inactiveValues: (process.env.GLX_INACTIVE_VALUES || "0,false,n,no")
+      .split(",")
+      .map((v) => v.trim().toLowerCase())
+      .filter(Boolean),
+    scanIntervalHours: Number(
+      process.env.DEACTIVATION_SCAN_INTERVAL_HOURS || 24
+    ),
+    maxRatio: Number(process.env.DEACTIVATION_MAX_RATIO || 0.2),
+    statusField: process.env.DEACTIVATE_STATUS_FIELD || null,
+    statusValue: process.env.DEACTIVATE_STATUS_VALUE || "Inactive",
+    tag: process.env.DEACTIVATE_TAG || null,
+    ownerId: process.env.DEACTIVATE_OWNER_ID || null,
+    file: process.env.DEACTIVATION_FILE || "./.deactivations.json",
+  },
   IS_DEBUG: process.env.DEBUG === "1",
+  // Logging: error | warn | info | debug, and "text" or "json" lines
+  logLevel:
+    process.env.LOG_LEVEL || (process.env.DEBUG === "1" ? "debug" : "info"),
+  logFormat: process.env.LOG_FORMAT || "text",
+  // Zoho API client retries (429, 5xx, network errors)
+  zohoMaxRetries: Number(process.env.ZOHO_MAX_RETRIES || 4),
+  zohoRetryBaseMs: Number(process.env.ZOHO_RETRY_BASE_MS || 1000),
+  zohoMaxRetryWaitMs: Number(process.env.ZOHO_MAX_RETRY_WAIT_MS || 60000),
   zoho: {
     clientId: process.env.ZOHO_CLIENT_ID,
     clientSecret: process.env.ZOHO_CLIENT_SECRET,
     refreshToken: process.env.ZOHO_REFRESH_TOKEN,
     dc: process.env.ZOHO_DC || "eu",
+    // Optional overrides of the DC URLs (e.g. sandbox orgs)
+    accountsUrl: cleanUrl(process.env.ZOHO_ACCOUNTS_URL) || null,
+    apiUrl: cleanUrl(process.env.ZOHO_API_URL) || null,
+    // Access token persistence: "memory", "file" or "catalyst-cache"
+    tokenStore: process.env.ZOHO_TOKEN_STORE || "file",
+    tokenFile: process.env.ZOHO_TOKEN_FILE || "./.zoho-token.json",
+    tokenCacheSegment: process.env.ZOHO_TOKEN_CACHE_SEGMENT || null,
+    // User whose edits the reverse sync ignores (default: token owner)
+    integrationUserId: process.env.ZOHO_INTEGRATION_USER_ID || null,
+  },
+  // Admin/status HTTP server (src/adminServer.js); API key and/or login
+  admin: {
+    host: process.env.ADMIN_HOST || "127.0.0.1",
+    port: Number(process.env.ADMIN_PORT || 3000),
+    apiKey: process.env.ADMIN_API_KEY || null,
+    username: process.env.ADMIN_USERNAME || null,
+    password: process.env.ADMIN_PASSWORD || null,
+    sessionSecret: process.env.ADMIN_SESSION_SECRET || null,
+    sessionTtlMinutes: Number(process.env.ADMIN_SESSION_TTL_MINUTES || 60),
+  },
+  // Self-hosted scheduler (src/daemon.js): runs the sync on CRON
+  daemon: {
+    lockFile: process.env.DAEMON_LOCK_FILE || "./.sync.lock",
+    staleLockMinutes: Number(process.env.DAEMON_STALE_LOCK_MINUTES || 10),
+    // A tick while a run is active: "skip" it or "queue" one follow-up run
+    overlap: process.env.DAEMON_OVERLAP || "skip",
+    timezone: process.env.DAEMON_TIMEZONE || null,
+    runOnStart: process.env.DAEMON_RUN_ON_START === "1",
   },
 };
 
-// Validate mandatory config
-if (!cfg.baseURL) {
-  throw new Error("Missing BASE_URL");
-}
-try {
-  new URL(cfg.baseURL);
-} catch (e) {
-  throw new Error(`Invalid BASE_URL value: "${cfg.baseURL}" (${e.message})`);
-}
-if (!cfg.username || !cfg.password) {
-  throw new Error("Missing AUTH_USERNAME and/or AUTH_PASSWORD in .env");
+/**
+ * Validate the loaded config. Entry points call this before a run;
+ * importing the module never throws, so modules can be loaded (and tested)
+ * without a complete environment.
+ * @throws {Error} On the first missing or invalid setting
+ */
+function validateConfig() {
+  if (!cfg.baseURL) {
+    throw new Error("Missing BASE_URL");
+  }
+  try {
+    new URL(cfg.baseURL);
+  } catch (e) {
+    throw new Error(`Invalid BASE_URL value: "${cfg.baseURL}" (${e.message})`);
+  }
+  if (!(Number.isInteger(cfg.galaxyPageSize) && cfg.galaxyPageSize > 0)) {
+    throw new Error(
+      `Invalid GLX_PAGE_SIZE value: "${process.env.GLX_PAGE_SIZE}"`
+    );
+  }
+  if (
+    !(
+      Number.isInteger(cfg.affiliateFetchChunkSize) &&
+      cfg.affiliateFetchChunkSize > 0
+    )
+  ) {
+    throw new Error(
+      `Invalid AFFILIATE_FETCH_CHUNK_SIZE value: "${process.env.AFFILIATE_FETCH_CHUNK_SIZE}"`
+    );
+  }
+  if (
+    !(
+      Number.isInteger(cfg.affiliateFetchConcurrency) &&
+      cfg.affiliateFetchConcurrency > 0
+    )
+  ) {
+    throw new Error(
+      `Invalid AFFILIATE_FETCH_CONCURRENCY value: "${process.env.AFFILIATE_FETCH_CONCURRENCY}"`
+    );
+  }
+  if (!["lookup", "junction"].includes(cfg.affiliateLinks.mode)) {
+    throw new Error(
+      `Invalid AFFILIATE_LINK_MODE value: "${cfg.affiliateLinks.mode}" (use lookup or junction)`
+    );
+  }
+  if (!/^\w+$/.test(cfg.affiliateLinks.module)) {
+    throw new Error(
+      `Invalid AFFILIATE_LINK_MODULE value: "${cfg.affiliateLinks.module}"`
+    );
+  }
+  if (!["end", "delete"].includes(cfg.affiliateLinks.onRemove)) {
+    throw new Error(
+      `Invalid AFFILIATE_LINK_ON_REMOVE value: "${cfg.affiliateLinks.onRemove}" (use end or delete)`
+    );
+  }
+  if (cfg.afm.invalidField && !/^\w+$/.test(cfg.afm.invalidField)) {
+    throw new Error(
+      `Invalid AFM_INVALID_FIELD value: "${cfg.afm.invalidField}"`
+    );
+  }
+  if (!["off", "run", "zoho"].includes(cfg.afm.duplicateCheck)) {
+    throw new Error(
+      `Invalid AFM_DUPLICATE_CHECK value: "${cfg.afm.duplicateCheck}" (use off, run or zoho)`
+    );
+  }
+  if (!(Number.isInteger(cfg.dlqMaxAttempts) && cfg.dlqMaxAttempts > 0)) {
+    throw new Error(
+      `Invalid DLQ_MAX_ATTEMPTS value: "${process.env.DLQ_MAX_ATTEMPTS}"`
+    );
+  }
+  if (
+    cfg.customersCheckpointSeed !== null &&
+    !(
+      Number.isInteger(cfg.customersCheckpointSeed) &&
+      cfg.customersCheckpointSeed >= 0
+    )
+  ) {
+    throw new Error(
+      `Invalid CUSTOMERS_CHECKPOINT_SEED value: "${process.env.CUSTOMERS_CHECKPOINT_SEED}"`
+    );
+  }
+  if (
+    !(
+      Number.isFinite(cfg.accountIdCacheMaxAgeHours) &&
+      cfg.accountIdCacheMaxAgeHours >= 0
+    )
+  ) {
+    throw new Error(
+      `Invalid ACCOUNT_ID_CACHE_MAX_AGE_HOURS value: "${process.env.ACCOUNT_ID_CACHE_MAX_AGE_HOURS}"`
+    );
+  }
+  const { maxRatio, scanIntervalHours } = cfg.deactivation;
+  if (!(Number.isFinite(maxRatio) && maxRatio > 0 && maxRatio <= 1)) {
+    throw new Error(
+      `Invalid DEACTIVATION_MAX_RATIO value: "${process.env.DEACTIVATION_MAX_RATIO}"`
+    );
+  }
+  if (!(Number.isFinite(scanIntervalHours) && scanIntervalHours >= 0)) {
+    throw new Error(
+      `Invalid DEACTIVATION_SCAN_INTERVAL_HOURS value: "${process.env.DEACTIVATION_SCAN_INTERVAL_HOURS}"`
+    );
+  }
+  if (
+    !["galaxy-wins", "zoho-wins", "newest-wins"].includes(
+      cfg.reverseConflictPolicy
+    )
+  ) {
+    throw new Error(
+      `Invalid REVERSE_CONFLICT_POLICY value: "${cfg.reverseConflictPolicy}" (use galaxy-wins, zoho-wins or newest-wins)`
+    );
+  }
+  if (!["file", "catalyst", "off"].includes(cfg.runHistory)) {
+    throw new Error(
+      `Invalid RUN_HISTORY value: "${cfg.runHistory}" (use file, catalyst or off)`
+    );
+  }
+  if (
+    !(Number.isFinite(cfg.timeSafetyMarginMs) && cfg.timeSafetyMarginMs >= 0)
+  ) {
+    throw new Error(
+      `Invalid TIME_SAFETY_MARGIN_MS value: "${process.env.TIME_SAFETY_MARGIN_MS}"`
+    );
+  }
+  if (!["body", "query"].includes(cfg.galaxyAuthMode)) {
+    throw new Error(
+      `Invalid GLX_AUTH_MODE value: "${cfg.galaxyAuthMode}" (use body or query)`
+    );
+  }
+  // NaN would retry a failing Zoho request forever
+  if (!(Number.isInteger(cfg.zohoMaxRetries) && cfg.zohoMaxRetries >= 0)) {
+    throw new Error(
+      `Invalid ZOHO_MAX_RETRIES value: "${process.env.ZOHO_MAX_RETRIES}"`
+    );
+  }
+  if (!(Number.isInteger(cfg.zohoRetryBaseMs) && cfg.zohoRetryBaseMs >= 0)) {
+    throw new Error(
+      `Invalid ZOHO_RETRY_BASE_MS value: "${process.env.ZOHO_RETRY_BASE_MS}"`
+    );
+  }
+  if (
+    !(Number.isInteger(cfg.zohoMaxRetryWaitMs) && cfg.zohoMaxRetryWaitMs >= 0)
+  ) {
+    throw new Error(
+      `Invalid ZOHO_MAX_RETRY_WAIT_MS value: "${process.env.ZOHO_MAX_RETRY_WAIT_MS}"`
+    );
+  }
+  if (!["error", "warn", "info", "debug"].includes(cfg.logLevel)) {
+    throw new Error(
+      `Invalid LOG_LEVEL value: "${cfg.logLevel}" (use error, warn, info or debug)`
+    );
+  }
+  if (!["text", "json"].includes(cfg.logFormat)) {
+    throw new Error(
+      `Invalid LOG_FORMAT value: "${cfg.logFormat}" (use text or json)`
+    );
+  }
+  if (!cfg.username || !cfg.password) {
+    throw new Error("Missing AUTH_USERNAME and/or AUTH_PASSWORD in .env");
+  }
 }
 
 module.exports = cfg;
+module.exports.validateConfig = validateConfig;
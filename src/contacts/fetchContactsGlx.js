@@ -0,0 +1,37 @@
+// src/contacts/fetchContactsGlx.js
+
+const { fetchGalaxyPages } = require("../accounts/fetchAccountsGlx.js");
+
+const CONTACTS_PATH = "/api/glx/views/Customer/custom/ZH_CONTACTS";
+
+/**
+ * Page through Galaxy contact persons where CONTACTS_REVNUM > sinceRev, in
+ * ascending CONTACTS_REVNUM order, the way customers are paged (see
+ * fetchGalaxyPages(): keyset paging, rows sharing a revision kept on one
+ * page, one re-authentication on 401/403).
+ *
+ * @param {AxiosInstance} api - Authenticated Galaxy API client.
+ * @param {Object} [options]
+ * @param {number} [options.sinceRev=0] - Last processed CONTACTS_REVNUM (0 = all).
+ * @param {number} [options.pageSize] - Rows per page (default GLX_PAGE_SIZE).
+ * @param {Function} [options.onUnauthorized] - Async re-auth hook.
+ * @yields {{ page:number, items:Array<Object>, cursor:number }} One page of contacts.
+ * @throws {Error} With a `stage` (fetch:page, fetch:reauth, fetch:http,
+ *   fetch:bad-response) when a page cannot be fetched.
+ */
+function fetchContactPages(
+  api,
+  { sinceRev = 0, pageSize, onUnauthorized } = {}
+) {
+  if (!(Number.isFinite(sinceRev) && sinceRev >= 0)) {
+    throw new Error(`Invalid contacts sinceRev: ${sinceRev}`);
+  }
+  return fetchGalaxyPages(api, CONTACTS_PATH, {
+    sinceRev,
+    ...(pageSize ? { pageSize } : {}),
+    onUnauthorized,
+    revField: "CONTACTS_REVNUM",
+  });
+}
+
+module.exports = { fetchContactPages };
@@ -0,0 +1,353 @@
+// src/contacts/pushContactsZoho.js
+
+/**
+ * Upsert Contacts into Zoho Contacts
+ * ----------------------------------
+ * Maps Galaxy contact persons (ZH_CONTACTS) to Zoho Contacts and performs
+ * upsert operations.
+ * Fields come from the "contacts" section of mappings/fieldMappings.json.
+ * Key fields:
+ *  - Galaxy_Person_ID = CONTACTS_PRSNID (unique external key)
+ *  - Account_Name = parent Account lookup, resolved from CONTACTS_TRDRID
+ *  - Rev_Number = CONTACTS_REVNUM
+ * Deduplicates by Galaxy_Person_ID keeping latest Rev_Number.
+ * Parent Accounts are resolved from the Trader_ID → Zoho ID map passed in by
+ * the caller; Trader_IDs missing from that map go through the account id
+ * resolver (local cache, then COQL).
+ */
+
+const { zohoApi } = require("../api/zohoClient");
+const { AccountIdResolver } = require("../accounts/accountIdResolver");
+const { normId, num } = require("../utils/normalize");
+const {
+  getMapper,
+  missingRequired,
+  stripInternal,
+} = require("../mappings/fieldMapper");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("CONTACTS->ZOHO");
+
+const BATCH_SIZE = 100;
+
+// Compiled from mappings/fieldMappings.json; throws at load if invalid
+const contactMapper = getMapper("contacts");
+
+/**
+ * Map Galaxy contact row to Zoho Contact fields
+ * ("contacts" section of the field mapping definition).
+ * Zoho requires Last_Name, so the default mapping falls back to the first
+ * name; in that case First_Name is left empty rather than repeated.
+ * The internal __GX_TRDRID field carries the parent Trader_ID for linking.
+ */
+function mapGalaxyToZohoContact(row) {
+  const m = contactMapper(row);
+  if (m.First_Name && m.First_Name === m.Last_Name) m.First_Name = undefined;
+  return m;
+}
+
+/**
+ * Upsert contacts into Zoho, linking each to its parent Account.
+ *
+ * @param {Array<Object>} contactRows - Raw Galaxy ZH_CONTACTS rows
+ * @param {Object} options
+ * @param {boolean} [options.debug] - Log mapped/linking samples
+ * @param {Map<string,string>} [options.accountIdByTraderId] - Known Trader_ID → Zoho Account ID
+ * @param {AccountIdResolver} [options.resolver] - Resolves the other parent Accounts (default: COQL only)
+ * @param {DryRunReport} [options.report] - Dry run: write batches and drops here instead of calling Zoho
+ * @param {Function} [options.shouldStop] - Checked before each batch; once it returns true the remaining rows are not sent (counted as `deferred`)
+ * @returns {Promise<{ success:number, failed:number, deferred:number, linked:number, unlinked:number, details:Array, outcomes:Array<{key:string, rev:number, ok:boolean, transient?:boolean}>, failures:Array<Object> }>}
+ *   `outcomes` holds one entry per input row (dropped rows count as ok, flagged `dropped`) for
+ *   checkpoint tracking; `failures` holds failed rows for the dead-letter queue.
+ */
+async function upsertContacts(
+  contactRows,
+  {
+    debug,
+    accountIdByTraderId = new Map(),
+    resolver = new AccountIdResolver(),
+    report,
+    shouldStop,
+  } = {}
+) {
+  // Mapped record → original Galaxy row, for dead-lettering
+  const sourceOf = new WeakMap();
+  const mappedAll = (Array.isArray(contactRows) ? contactRows : []).map(
+    (row) => {
+      const m = mapGalaxyToZohoContact(row);
+      sourceOf.set(m, row);
+      return m;
+    }
+  );
+
+  // Deduplicate by Galaxy_Person_ID keeping latest Rev_Number
+  const byPerson = new Map();
+  const outcomes = [];
+  const failures = [];
+  let dropped = 0;
+  for (const rec of mappedAll) {
+    const missingFields = missingRequired(contactMapper, rec);
+    if (missingFields.length) {
+      dropped++;
+      outcomes.push({
+        key: rec.Galaxy_Person_ID,
+        rev: rec.Rev_Number,
+        ok: true,
+        dropped: true,
+      });
+      report?.dropped("contacts", `no ${missingFields[0]}`, stripInternal(rec));
+      continue;
+    }
+    const prev = byPerson.get(rec.Galaxy_Person_ID);
+    if (!prev || (num(rec.Rev_Number) || 0) > (num(prev.Rev_Number) || 0)) {
+      byPerson.set(rec.Galaxy_Person_ID, rec);
+    }
+  }
+  const mapped = Array.from(byPerson.values());
+  log.info(
+    `Contacts mapped (unique by Galaxy_Person_ID): ${mapped.length}. Dropped: ${dropped}.`
+  );
+
+  if (!mapped.length)
+    return {
+      success: 0,
+      failed: 0,
+      deferred: 0,
+      linked: 0,
+      unlinked: 0,
+      details: [],
+      outcomes,
+      failures,
+    };
+
+  // Resolve parent Accounts not already known from this run
+  const accountIds = new Map(accountIdByTraderId);
+  const missing = mapped
+    .map((m) => m.__GX_TRDRID)
+    .filter((t) => t && !accountIds.has(t));
+  if (missing.length) {
+    const { ids: found } = await resolver.resolve(missing);
+    for (const [trader, zid] of found) accountIds.set(trader, zid);
+    log.info(
+      `Resolved ${found.size}/${
+        new Set(missing).size
+      } parent Account(s) not upserted in this run.`
+    );
+  }
+
+  let linked = 0;
+  const unlinkedSamples = [];
+  for (const m of mapped) {
+    const accountId = m.__GX_TRDRID ? accountIds.get(m.__GX_TRDRID) : null;
+    if (accountId) {
+      m.Account_Name = { id: accountId };
+      linked++;
+    } else if (unlinkedSamples.length < 5) {
+      unlinkedSamples.push({
+        Galaxy_Person_ID: m.Galaxy_Person_ID,
+        Trader_ID: m.__GX_TRDRID,
+      });
+    }
+    stripInternal(m);
+  }
+  const unlinked = mapped.length - linked;
+  log.info(
+    `Account links attached: ${linked}, unlinked: ${unlinked}${
+      unlinkedSamples.length
+        ? " (sample: " + JSON.stringify(unlinkedSamples) + ")"
+        : ""
+    }`
+  );
+
+  if (debug) {
+    const sample = mapped.slice(0, 5).map((x) => ({
+      Galaxy_Person_ID: x.Galaxy_Person_ID,
+      Last_Name: x.Last_Name,
+      Account_Name: x.Account_Name?.id,
+      Rev_Number: x.Rev_Number,
+    }));
+    log.info("Sample mapped:", sample);
+  }
+
+  let success = 0,
+    failed = 0,
+    deferred = 0;
+  const details = [];
+
+  // Split into batches
+  const groups = Array.from(
+    { length: Math.ceil(mapped.length / BATCH_SIZE) },
+    (_, i) => mapped.slice(i * BATCH_SIZE, i * BATCH_SIZE + BATCH_SIZE)
+  );
+
+  for (let gi = 0; gi < groups.length; gi++) {
+    const group = groups[gi];
+    // Stop requested (time budget, shutdown): leave the remaining batches
+    // to the next run; they hold the checkpoint but are not dead-lettered
+    if (shouldStop?.()) {
+      const rest = groups.slice(gi).flat();
+      for (const m of rest) {
+        outcomes.push({
+          key: m.Galaxy_Person_ID,
+          rev: m.Rev_Number,
+          ok: false,
+          transient: true,
+          deferred: true,
+        });
+      }
+      deferred = rest.length;
+      log.warn(
+        `Stopping before batch ${gi + 1}/${
+          groups.length
+        }: ${deferred} record(s) deferred.`
+      );
+      break;
+    }
+    // Dry run: record the exact batch instead of sending it
+    if (report) {
+      report.batch(
+        "contacts",
+        {
+          module: "Contacts",
+          duplicateCheckField: "Galaxy_Person_ID",
+          batch: gi + 1,
+          of: groups.length,
+        },
+        group
+      );
+      for (const m of group) {
+        success += 1;
+        outcomes.push({ key: m.Galaxy_Person_ID, rev: m.Rev_Number, ok: true });
+      }
+      log.info(
+        `Dry run: batch ${gi + 1}/${groups.length} (${
+          group.length
+        } record(s)) written to report.`
+      );
+      continue;
+    }
+
+    const res = await zohoApi(
+      "POST",
+      "/crm/v8/Contacts/upsert",
+      { data: group },
+      { duplicate_check_fields: "Galaxy_Person_ID" }
+    );
+
+    const httpStatus = res.status;
+    const body = res.data;
+
+    if (httpStatus !== 200 || !Array.isArray(body?.data)) {
+      failed += group.length;
+      for (const m of group) {
+        outcomes.push({
+          key: m.Galaxy_Person_ID,
+          rev: m.Rev_Number,
+          ok: false,
+          transient: true,
+        });
+        failures.push({
+          key: m.Galaxy_Person_ID,
+          rev: m.Rev_Number,
+          source: sourceOf.get(m),
+          payload: m,
+          error: {
+            code: `HTTP_${httpStatus}`,
+            message: "Batch request failed",
+            details: body ?? null,
+          },
+          transient: true,
+        });
+      }
+      log.warn(
+        `Upsert batch ${gi + 1}/${groups.length} HTTP ${httpStatus}. Body:`,
+        body
+      );
+      details.push({ status: "http_error", httpStatus, payload: body });
+      continue;
+    }
+
+    const errorTally = new Map();
+    const sampleErrors = [];
+
+    for (let i = 0; i < body.data.length; i++) {
+      const rowRes = body.data[i];
+      const sent = group[i];
+      outcomes.push({
+        key: sent?.Galaxy_Person_ID,
+        rev: sent?.Rev_Number,
+        ok: rowRes.status === "success",
+      });
+
+      if (rowRes.status === "success") {
+        success += 1;
+        details.push({
+          status: "success",
+          action: rowRes.action,
+          id: rowRes.details?.id,
+          person: sent?.Galaxy_Person_ID,
+        });
+      } else {
+        failed += 1;
+        const code = rowRes.code || "UNKNOWN";
+        const msg = rowRes.message || "";
+        const d = rowRes.details || null;
+        details.push({
+          status: "error",
+          code,
+          message: msg,
+          details: d,
+          person: sent?.Galaxy_Person_ID,
+        });
+
+        failures.push({
+          key: sent?.Galaxy_Person_ID,
+          rev: sent?.Rev_Number,
+          source: sourceOf.get(sent),
+          payload: sent,
+          error: { code, message: msg, details: d },
+        });
+
+        errorTally.set(code, (errorTally.get(code) || 0) + 1);
+        if (sampleErrors.length < 5) {
+          sampleErrors.push({ code, message: msg, details: d });
+        }
+      }
+    }
+
+    if (errorTally.size) {
+      log.warn(
+        `Batch ${gi + 1}/${groups.length} — errors by code:`,
+        Object.fromEntries(errorTally.entries())
+      );
+      log.warn(
+        `Batch ${gi + 1}/${groups.length} — sample errors:`,
+        sampleErrors
+      );
+    } else {
+      log.info(
+        `Batch ${gi + 1}/${groups.length} — all ${
+          group.length
+        } records succeeded.`
+      );
+    }
+  }
+
+  log.info(`Upsert result → success: ${success}, failed: ${failed}`);
+
+  return {
+    success,
+    failed,
+    deferred,
+    linked,
+    unlinked,
+    details,
+    outcomes,
+    failures,
+  };
+}
+
+module.exports = {
+  upsertContacts,
+  mapGalaxyToZohoContact,
+};
@@ -0,0 +1,191 @@
+// src/daemon.js
+
+/**
+ * Scheduler Daemon
+ * ----------------
+ * Runs the sync on `CRON` with node-cron, for plain Linux hosts and
+ * containers (`npm run daemon`); under Catalyst, its own cron does this.
+ * Features:
+ *  - No overlapping runs: a tick while a run is active is skipped, or
+ *    queued as one follow-up run (DAEMON_OVERLAP=queue)
+ *  - Cross-process lock file (utils/runLock.js) with stale-lock takeover,
+ *    so a crashed daemon never blocks the next one
+ *  - SIGTERM/SIGINT: no new ticks, the active run stops after its current
+ *    Zoho batch, then the lock is released and the process exits (a second
+ *    signal exits at once)
+ */
+
+// Run directly: load `.env` before config.js reads the environment
+if (require.main === module) require("dotenv").config({ quiet: true });
+
+const cron = require("node-cron");
+const cfg = require("./config");
+const { createSyncLock } = require("./utils/runLock");
+const { createLogger } = require("./utils/logger");
+
+const log = createLogger("DAEMON");
+
+const OVERLAP = ["skip", "queue"];
+
+/**
+ * Check the daemon settings
+ * @param {Object} settings - cfg.daemon plus `cronExpr`
+ * @throws {Error} On an invalid setting
+ */
+function validateDaemonSettings({ cronExpr, overlap, staleLockMinutes }) {
+  if (!cron.validate(cronExpr)) {
+    throw new Error(`Invalid CRON value: "${cronExpr}"`);
+  }
+  if (!OVERLAP.includes(overlap)) {
+    throw new Error(
+      `Invalid DAEMON_OVERLAP value: "${overlap}" (${OVERLAP.join(" | ")})`
+    );
+  }
+  if (!(staleLockMinutes > 0)) {
+    throw new Error(
+      `Invalid DAEMON_STALE_LOCK_MINUTES value: "${staleLockMinutes}"`
+    );
+  }
+}
+
+/**
+ * Scheduler state: decides what a tick does and runs the job under the lock
+ * @param {Object} options
+ * @param {Function} options.runJob - Runs one sync; receives `{ signal }`
+ * @param {RunLock} options.lock - Cross-process lock
+ * @param {string} [options.overlap="skip"] - "skip" or "queue"
+ * @returns {{ tick: Function, stop: Function, running: boolean }}
+ */
+function createScheduler({ runJob, lock, overlap = "skip" }) {
+  const controller = new AbortController();
+  let current = null;
+  let queued = false;
+  let stopping = false;
+
+  async function runOnce() {
+    const startedAt = Date.now();
+    try {
+      const result = await runJob({ signal: controller.signal });
+      const took = `${Date.now() - startedAt}ms`;
+      if (!result?.ok) {
+        log.error(`Run ${result?.runId} failed at ${result?.stage} (${took}).`);
+      } else if (result.partial) {
+        log.warn(`Run ${result.runId} stopped early (${took}).`);
+      } else {
+        log.info(`Run ${result.runId} done (${took}).`);
+      }
+    } catch (err) {
+      log.error(`Run failed at ${err?.stage || "fatal"}:`, err?.message || err);
+    }
+  }
+
+  /**
+   * One cron tick
+   * @returns {Promise<void>|null} The active run, or null if the tick did nothing
+   */
+  function tick() {
+    if (stopping) return null;
+    if (current) {
+      if (overlap === "queue" && !queued) {
+        queued = true;
+        log.info("Previous run still active: queued one follow-up run.");
+      } else {
+        log.info("Previous run still active: skipping this tick.");
+      }
+      return null;
+    }
+    if (!lock.acquire()) {
+      log.warn(`Lock ${lock.path} is held by another process: skipping.`);
+      return null;
+    }
+    current = (async () => {
+      try {
+        do {
+          queued = false;
+          await runOnce();
+        } while (queued && !stopping);
+      } finally {
+        lock.release();
+        current = null;
+      }
+    })();
+    return current;
+  }
+
+  /**
+   * Stop scheduling, ask the active run to stop after its current batch and
+   * wait for it
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    stopping = true;
+    controller.abort();
+    await current;
+  }
+
+  return {
+    tick,
+    stop,
+    get running() {
+      return current !== null;
+    },
+  };
+}
+
+/**
+ * Validate the config, schedule the sync on CRON and handle shutdown signals
+ * @returns {{ task: Object, scheduler: Object }}
+ */
+function startDaemon() {
+  cfg.validateConfig();
+  const settings = { ...cfg.daemon, cronExpr: cfg.cronExpr };
+  validateDaemonSettings(settings);
+  const { runJobOnce } = require("./index");
+
+  const lock = createSyncLock(settings);
+  const scheduler = createScheduler({
+    runJob: ({ signal }) => runJobOnce({ signal }),
+    lock,
+    overlap: settings.overlap,
+  });
+  const task = cron.schedule(settings.cronExpr, () => scheduler.tick(), {
+    ...(settings.timezone ? { timezone: settings.timezone } : {}),
+  });
+  log.info(
+    `Scheduled on "${settings.cronExpr}"${
+      settings.timezone ? ` (${settings.timezone})` : ""
+    }, overlap: ${settings.overlap}, lock: ${settings.lockFile}`
+  );
+  if (settings.runOnStart) scheduler.tick();
+
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) {
+      log.warn(`${signal} again: exiting now.`);
+      lock.release();
+      process.exit(1);
+    }
+    stopping = true;
+    task.stop();
+    if (scheduler.running) {
+      log.info(`${signal}: stopping after the current batch...`);
+    }
+    await scheduler.stop();
+    log.info("Stopped.");
+    process.exit(0);
+  };
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  return { task, scheduler };
+}
+
+module.exports = { createScheduler, startDaemon, validateDaemonSettings };
+
+if (require.main === module) {
+  try {
+    startDaemon();
+  } catch (err) {
+    log.error("Could not start daemon:", err.message);
+    process.exitCode = 1;
+  }
+}
@@ -1,349 +1,1480 @@
 /**
  * Catalyst Job Entry Point
  * Linking Strategy: Affiliates are linked to Customers if they share the same Rev_Number.
- * CRITICAL FIX: The minRev for fetching affiliates and the RevNum Set for filtering are
+ * CRITICAL FIX: The RevNums for fetching (and filtering) affiliates are
  * derived ONLY from customers that have a ZH_CUSTOMERS_MEMBER_CARDNO (Card No),
  * based on the assumption that only cardholders have affiliate relationships.
  */
 
+const catalyst = require("zcatalyst-sdk-node");
 const cfg = require("./config");
 const { authenticate } = require("./auth/auth.js");
 const { createApiClient } = require("./api/apiClient");
-const { fetchGalaxyData } = require("./accounts/fetchAccountsZoho.js");
+const { getZohoStats, resetZohoStats } = require("./api/zohoClient");
+const { configureZohoTokenStore } = require("./auth/zohoAuth");
+const { fetchGalaxyPages } = require("./accounts/fetchAccountsGlx.js");
+const { fetchGalaxyCustomer } = require("./accounts/pushAccountsGlx.js");
 const SessionStore = require("./utils/sessionStore");
 const {
-  upsertAccounts,
-  getMaxZohoRevNumber,
-} = require("./accounts/pushAccountsZoho.js");
-const { fetchAffiliatesSince } = require("./accounts/fetchAffiliates.js");
+  CheckpointStore,
+  ContiguousWatermark,
+  ENTITIES,
+} = require("./utils/checkpointStore");
+const { createStateBackend } = require("./utils/stateBackend");
+const {
+  DeadLetterStore,
+  isTransientFailure,
+} = require("./utils/deadLetterStore");
+const DryRunReport = require("./utils/dryRunReport");
+const { upsertAccounts } = require("./accounts/pushAccountsZoho.js");
+const {
+  fetchAffiliatesByRevNums,
+} = require("./accounts/fetchAffiliatesGlx.js");
+const {
+  selectCardHolders,
+  buildAffiliateMaps,
+  buildAffiliatePairs,
+  filterAffiliatesByRevNum,
+  linkRevNumsToAffiliateIds,
+} = require("./accounts/affiliateLinking.js");
 const { upsertAffiliates } = require("./accounts/pushAffiliatesZoho.js");
+const { syncAffiliateLinks } = require("./accounts/affiliateLinksZoho.js");
+const { fetchContactPages } = require("./contacts/fetchContactsGlx.js");
+const { upsertContacts } = require("./contacts/pushContactsZoho.js");
+const {
+  isInactiveGalaxyRow,
+  listZohoAccountKeys,
+  deactivateAccounts,
+} = require("./accounts/deactivateAccountsZoho.js");
+const DeactivationStore = require("./utils/deactivationStore");
+const PayloadHashStore = require("./utils/payloadHashStore");
+const AccountIdStore = require("./utils/accountIdStore");
+const { AccountIdResolver } = require("./accounts/accountIdResolver.js");
+const { AfmCheck } = require("./accounts/afmCheck.js");
+const { RunReport, createRunHistory } = require("./utils/runHistory");
+const { parseJobParams, ENTITY_NAMES } = require("./utils/jobParams");
+const { where } = require("./utils/filters");
+const { normId } = require("./utils/normalize");
+const { createLogger, withCorrelationId } = require("./utils/logger");
+
+const log = createLogger("JOB");
+const affLog = createLogger("AFFILIATES");
+const authLog = createLogger("AUTH");
+const contactsLog = createLogger("CONTACTS");
+const customersLog = createLogger("CUSTOMERS");
+const deactivateLog = createLogger("DEACTIVATE");
+const devLog = createLogger("DEV");
+const dlqLog = createLogger("DLQ");
+const runLog = createLogger("RUN");
+const stateLog = createLogger("STATE");
+const zohoLog = createLogger("ZOHO");
 
 // -------- helpers --------
 
-// REMOVED: parseSinceRevOverride - Logic now relies solely on maxZohoRev
+// REMOVED: parseSinceRevOverride - Logic now relies solely on the checkpoint store
 
 /**
- * Computes the development limit based only on the DEV_LIMIT environment variable.
- * All other development/override flags are removed.
+ * Computes the development limit: the job param `limit` if given, else the
+ * DEV_LIMIT environment variable.
+ * @param {number} [limit] - Job param `limit`
  * @returns {number} The limit, or 0 if not set or invalid.
  */
-function computeDevLimit() {
+function computeDevLimit(limit) {
+  if (limit > 0) {
+    devLog.info(`Job param limit=${limit} → using devLimit=${limit}`);
+    return limit;
+  }
   const rawLimit = process.env.DEV_LIMIT;
   const n = Number(rawLimit);
   if (Number.isFinite(n) && n > 0) {
-    console.log(`[DEV] ENV DEV_LIMIT=${rawLimit} → using devLimit=${n}`);
+    devLog.info(`ENV DEV_LIMIT=${rawLimit} → using devLimit=${n}`);
     return n;
   }
   return 0;
 }
 
-function upper(s) {
-  return String(s || "").toUpperCase();
+/**
+ * Time fn under a run report stage, or just run it when there is no report
+ * @param {RunReport} [run]
+ * @param {string} stage
+ * @param {Function} fn - Async function
+ * @returns {Promise<any>} fn's result
+ */
+function timed(run, stage, fn) {
+  return run ? run.time(stage, fn) : fn();
 }
 
-// NEW FUNCTION: Map Affiliates by their AFFILIATES_REVNUM
-function buildAffiliateMaps(allAffRows) {
-  const affRevToAffTrader = new Map(); // AFFILIATES_REVNUM -> { affTraderId, rev }
-  const byAffTrader = new Map(); // affiliate Trader_ID -> chosen row (for upsert)
-
-  for (const row of allAffRows || []) {
-    const affRev = Number(row?.AFFILIATES_REVNUM) || 0;
-    const affTrader = upper(row?.AFFILIATES_TRDRID || "");
-    if (!affRev || !affTrader) continue;
-
-    // 1. Group by Affiliate Rev Number (for Customer linking):
-    // Choose the LATEST affiliate (by its own AFFILIATES_REVNUM) for a given AFFILIATES_REVNUM group.
-    const prevAffRev = affRevToAffTrader.get(affRev);
-    if (!prevAffRev || affRev > (prevAffRev.rev || 0)) {
-      affRevToAffTrader.set(affRev, { affTraderId: affTrader, rev: affRev });
-    }
-
-    // 2. Deduplicate for Upserting:
-    // Deduplicate affiliates by their Trader_ID (as before) to prepare for upsert.
-    const prevAff = byAffTrader.get(affTrader);
-    if (!prevAff || affRev > (Number(prevAff?.AFFILIATES_REVNUM) || 0)) {
-      byAffTrader.set(affTrader, row);
-    }
+/**
+ * Queue failed rows of one entity in the dead-letter store and resolve queued
+ * rows that succeeded this time, then persist the store.
+ *
+ * Returns the outcomes to feed the checkpoint with: row-level Zoho errors are
+ * now owned by the DLQ (replayed from there), so they no longer hold the
+ * watermark back. Transient batch failures (HTTP 429/5xx, an expired token)
+ * still do, so the next run fetches those rows again; a batch Zoho rejects
+ * with another 4xx is permanent, by the same rule (isTransientFailure) the
+ * DLQ uses to count attempts, and settles like a row-level error.
+ *
+ * @param {DeadLetterStore} deadLetters - Loaded dead-letter store.
+ * @param {string} entity - One of ENTITIES.
+ * @param {Array<Object>} outcomes - Per-record outcomes from an upsert.
+ * @param {Array<Object>} failures - Failed rows from the same upsert.
+ * @returns {Promise<{queued:number, checkpointOutcomes:Array<Object>}>}
+ */
+async function settleDeadLetters(deadLetters, entity, outcomes, failures) {
+  const queued = deadLetters.recordFailures(entity, failures);
+  const resolved = deadLetters.resolve(
+    entity,
+    (outcomes || [])
+      .filter((o) => o.ok && !o.dropped && o.key)
+      .map((o) => o.key)
+  );
+  if (queued || resolved) await deadLetters.save();
+  if (queued) {
+    dlqLog.warn(`Queued ${queued} failed ${entity} row(s).`);
+  }
+  if (resolved) {
+    dlqLog.info(`Resolved ${resolved} ${entity} row(s) that now synced.`);
   }
 
-  console.log(
-    `[AFFILIATES] Built RevNum→affiliate map: ${affRevToAffTrader.size} entries.`
+  const permanent = new Set(
+    (failures || [])
+      .filter((f) => f.key && f.transient && !isTransientFailure(f))
+      .map((f) => f.key)
   );
-  const uniqueAffRows = Array.from(byAffTrader.values());
-  console.log(
-    `[AFFILIATES] Unique affiliate rows (before batch filter): ${uniqueAffRows.length}`
+  const checkpointOutcomes = (outcomes || []).map((o) =>
+    o.ok || (o.transient && !permanent.has(o.key)) ? o : { ...o, ok: true }
   );
+  return { queued, checkpointOutcomes };
+}
 
-  if (IS_DEBUG) {
-    const sampleRevNum = Array.from(affRevToAffTrader.entries()).slice(0, 5);
-    const sampleAff = uniqueAffRows.slice(0, 5).map((r) => ({
-      AFFILIATES_TRDRID: r.AFFILIATES_TRDRID,
-      AFF_NAME: r.AFF_NAME,
-      AFFILIATES_REVNUM: r.AFFILIATES_REVNUM,
-    }));
-    console.log("[AFFILIATES] Sample RevNum→affiliate (link):", sampleRevNum);
-    console.log(
-      "[AFFILIATES] Sample unique affiliates (before filter):",
-      sampleAff
+/**
+ * Page through Galaxy contacts above the contacts checkpoint and upsert each
+ * page into Zoho Contacts, linking each one to its parent Account. After
+ * every page the checkpoint is advanced to the highest contiguously
+ * successful CONTACTS_REVNUM.
+ * In a dry run (`report` set) nothing is written to Zoho or to sync state.
+ * @param {AxiosInstance} api - Authenticated Galaxy API client.
+ * @param {{checkpoints:CheckpointStore, deadLetters:DeadLetterStore, resolver?:AccountIdResolver, report?:DryRunReport, run?:RunReport, shouldStop?:Function, onUnauthorized?:Function}} state - Loaded sync state;
+ *   `shouldStop` is checked before each Zoho batch and each page, `resolver`
+ *   finds parent Accounts not upserted in this run, `onUnauthorized`
+ *   re-authenticates Galaxy when a page gets 401/403.
+ * @param {Map<string,string>} accountIdByTraderId - Trader_ID → Zoho Account ID known from this run.
+ * @returns {Promise<{ok:boolean, contactsFetched:number, contactsSuccess:number, contactsFailed:number, contactsUnlinked:number, contactsDeadLettered:number, contactsDeferred:number, error?:string}>}
+ *   A failed page ends the contacts with `ok: false`; pages before it keep
+ *   their progress.
+ */
+async function syncContacts(
+  api,
+  {
+    checkpoints,
+    deadLetters,
+    resolver,
+    report,
+    run,
+    shouldStop,
+    onUnauthorized,
+  },
+  accountIdByTraderId
+) {
+  const sinceRev = checkpoints.get(ENTITIES.CONTACTS);
+  const totals = {
+    contactsFetched: 0,
+    contactsSuccess: 0,
+    contactsFailed: 0,
+    contactsUnlinked: 0,
+    contactsDeadLettered: 0,
+    contactsDeferred: 0,
+  };
+  const mark = new ContiguousWatermark(sinceRev);
+
+  try {
+    for await (const { page, items } of fetchContactPages(api, {
+      sinceRev,
+      onUnauthorized,
+    })) {
+      const contactUp = await upsertContacts(items, {
+        debug: cfg.IS_DEBUG,
+        accountIdByTraderId,
+        ...(resolver ? { resolver } : {}),
+        report,
+        shouldStop,
+      });
+      run?.tallyErrors(contactUp.failures);
+      totals.contactsFetched += items.length;
+      totals.contactsSuccess += contactUp.success;
+      totals.contactsFailed += contactUp.failed;
+      totals.contactsUnlinked += contactUp.unlinked;
+      totals.contactsDeferred += contactUp.deferred || 0;
+      if (!report) {
+        const settled = await settleDeadLetters(
+          deadLetters,
+          ENTITIES.CONTACTS,
+          contactUp.outcomes,
+          contactUp.failures
+        );
+        totals.contactsDeadLettered += settled.queued;
+        await checkpoints.advance(
+          ENTITIES.CONTACTS,
+          mark.record(settled.checkpointOutcomes)
+        );
+      }
+      contactsLog.info(
+        `Page ${page} done → fetched so far: ${totals.contactsFetched}, success: ${totals.contactsSuccess}, failed: ${totals.contactsFailed}`
+      );
+      // Shutdown or time budget: no next page; this one's progress is saved
+      if (shouldStop?.()) break;
+    }
+  } catch (err) {
+    // Only fetch failures carry a stage; anything else is fatal
+    if (!err?.stage) throw err;
+    contactsLog.error(`Fetch failed (${err.stage}):`, err.message);
+    return { ok: false, ...totals, error: err.message };
+  }
+
+  if (mark.blocked) {
+    stateLog.warn(
+      `Contacts checkpoint held at ${mark.value} (failed record at rev ${mark.blockedAt}).`
     );
   }
+  contactsLog.info(
+    `sinceRev=${sinceRev} → fetched ${totals.contactsFetched} row(s).`
+  );
+  return { ok: true, ...totals };
+}
 
-  return { affRevToAffTrader, uniqueAffRows };
+/**
+ * Deactivate the Zoho Accounts of customers in a chunk that Galaxy flags as
+ * inactive, and forget earlier deactivations of customers active again.
+ * @param {Array<Object>} items - Galaxy customer rows of the chunk.
+ * @param {Map<string,string>} idByTraderId - Trader_ID → Zoho ID from the upsert.
+ * @param {{ deactivations: DeactivationStore, report?: DryRunReport }} state
+ * @returns {Promise<{deactivated:number, deactivationFailed:number}>}
+ */
+async function applyChunkDeactivations(
+  items,
+  idByTraderId,
+  { deactivations, report }
+) {
+  const inactive = [];
+  const active = [];
+  for (const it of items) {
+    const trader = normId(it?.TRDRID);
+    if (trader) (isInactiveGalaxyRow(it) ? inactive : active).push(trader);
+  }
+  const targets = inactive
+    .filter((t) => !deactivations.has(t) && idByTraderId.get(t))
+    .map((t) => ({
+      id: idByTraderId.get(t),
+      Trader_ID: t,
+      reason: "inactive",
+    }));
+
+  const res = await deactivateAccounts(targets, { report });
+  if (!report) {
+    const changed =
+      deactivations.forget(active) +
+      deactivations.record(res.outcomes.filter((o) => o.ok));
+    if (changed) await deactivations.save();
+  }
+  return { deactivated: res.success, deactivationFailed: res.failed };
 }
 
-// -------- main run --------
-async function runJobOnce() {
-  console.log("[JOB] Start", new Date().toISOString());
+/**
+ * Periodic full-key comparison: deactivate Zoho Accounts whose Trader_ID is
+ * inactive in Galaxy or no longer exists there (neither as a customer nor as
+ * an affiliate of a card holder's current revision; affiliates are fetched
+ * page by page, by those revisions). Runs at most once per DEACTIVATION_SCAN_INTERVAL_HOURS and
+ * refuses to act on more than DEACTIVATION_MAX_RATIO of the Zoho Accounts,
+ * which would point to a broken or partial Galaxy read.
+ * @param {AxiosInstance} api - Authenticated Galaxy API client.
+ * @param {{checkpoints:CheckpointStore, deactivations:DeactivationStore, report?:DryRunReport}} state
+ * @param {Function} onUnauthorized - Galaxy re-auth hook.
+ * @returns {Promise<Object>} Scan summary (`ran: false` with a reason when skipped).
+ */
+async function scanDeactivations(
+  api,
+  { checkpoints, deactivations, report },
+  onUnauthorized
+) {
+  const intervalMs = cfg.deactivation.scanIntervalHours * 60 * 60 * 1000;
+  const lastScan = checkpoints.get(ENTITIES.DEACTIVATION_SCAN);
+  if (Date.now() - lastScan < intervalMs) {
+    return { ran: false, reason: "not due", lastScan };
+  }
+  deactivateLog.info("Full-key comparison with Galaxy...");
 
-  const sessionStore = new SessionStore(cfg.sessionFile);
-  if (cfg.ssPid && !sessionStore.getSsPid()) {
-    sessionStore.setAll({ ssPid: cfg.ssPid });
+  const activeKeys = new Set();
+  const inactiveKeys = new Set();
+  const affiliateKeys = new Set();
+  let zohoKeys;
+  try {
+    for await (const { items } of fetchGalaxyPages(
+      api,
+      cfg.galaxyCustomerPath,
+      { sinceRev: 0, onUnauthorized }
+    )) {
+      for (const it of items) {
+        const trader = normId(it?.TRDRID);
+        if (!trader) continue;
+        if (isInactiveGalaxyRow(it)) inactiveKeys.add(trader);
+        else activeKeys.add(trader);
+      }
+      // Affiliates of this page's card holders, fetched like the sync does
+      // (chunked In queries), so the affiliate table is never read whole
+      const { revNums } = selectCardHolders(items);
+      const affRes = await fetchAffiliatesByRevNums(api, revNums, {
+        chunkSize: cfg.affiliateFetchChunkSize,
+        concurrency: cfg.affiliateFetchConcurrency,
+        timeoutMs: cfg.timeoutMs,
+        retry: 1,
+      });
+      if (!(affRes?.status >= 200 && affRes.status < 300)) {
+        throw new Error(`HTTP ${affRes?.status || "??"} on affiliate fetch`);
+      }
+      for (const row of affRes.data?.Items || []) {
+        const trader = normId(row?.AFFILIATES_TRDRID);
+        if (trader) affiliateKeys.add(trader);
+      }
+    }
+    for (const trader of affiliateKeys) {
+      if (!inactiveKeys.has(trader)) activeKeys.add(trader);
+    }
+    zohoKeys = await listZohoAccountKeys();
+  } catch (err) {
+    deactivateLog.error("Scan aborted:", err?.message || String(err));
+    return { ran: false, reason: err?.message || String(err) };
   }
-  const api = createApiClient(() => sessionStore.getSessionId());
 
-  async function doAuthAndPersist() {
-    const currentPid = sessionStore.getSsPid();
-    const { sessionId, ssPid } = await authenticate(currentPid);
-    sessionStore.setAll({ sessionId, ssPid });
-    console.log("[AUTH] Stored sessionId" + (ssPid ? " and ssPid" : "") + ".");
+  const galaxyKeys = activeKeys.size + inactiveKeys.size;
+  if (!galaxyKeys) {
+    deactivateLog.warn("Galaxy returned no traders; scan aborted.");
+    return { ran: false, reason: "no Galaxy traders" };
   }
-  async function ensureSession() {
-    if (!sessionStore.getSessionId()) await doAuthAndPersist();
+
+  const { statusField, statusValue } = cfg.deactivation;
+  const targets = [];
+  for (const z of zohoKeys) {
+    const reason = inactiveKeys.has(z.Trader_ID)
+      ? "inactive"
+      : activeKeys.has(z.Trader_ID)
+      ? null
+      : "deleted";
+    if (!reason || deactivations.has(z.Trader_ID)) continue;
+    if (statusField && z.status === statusValue) continue; // already set
+    targets.push({ id: z.id, Trader_ID: z.Trader_ID, reason });
   }
 
-  await ensureSession();
+  const summary = {
+    ran: true,
+    galaxyKeys,
+    zohoKeys: zohoKeys.length,
+    inactive: targets.filter((t) => t.reason === "inactive").length,
+    deleted: targets.filter((t) => t.reason === "deleted").length,
+  };
+  if (targets.length > zohoKeys.length * cfg.deactivation.maxRatio) {
+    deactivateLog.error(
+      `${targets.length}/${zohoKeys.length} Accounts would be deactivated (over DEACTIVATION_MAX_RATIO=${cfg.deactivation.maxRatio}); nothing changed.`
+    );
+    return { ...summary, ran: false, reason: "over max ratio" };
+  }
 
-  // 1) Watermark from Zoho
-  const maxZohoRev = await getMaxZohoRevNumber();
-  console.log(
-    `[STATE] Max Zoho Rev_Number (COQL source of truth): ${maxZohoRev}`
+  const res = await deactivateAccounts(targets, { report });
+  if (!report) {
+    const changed =
+      deactivations.forget(Array.from(activeKeys)) +
+      deactivations.record(res.outcomes.filter((o) => o.ok));
+    if (changed) await deactivations.save();
+    await checkpoints.advance(ENTITIES.DEACTIVATION_SCAN, Date.now());
+  }
+  deactivateLog.info(
+    `Scan done → inactive: ${summary.inactive}, deleted: ${summary.deleted}, deactivated: ${res.success}, failed: ${res.failed}`
   );
+  return { ...summary, deactivated: res.success, failed: res.failed };
+}
 
-  // 2) The sinceRev is now always the Zoho watermark (or 0)
-  const sinceRev = maxZohoRev;
+/**
+ * Fetch the affiliates of a chunk's card-holders and upsert them.
+ * @param {AxiosInstance} api - Authenticated Galaxy API client.
+ * @param {Array<number>} cardHolderRevNums - From selectCardHolders().
+ * @param {{ report?: DryRunReport, run?: RunReport, shouldStop?: Function, resolver?: AccountIdResolver, afm?: AfmCheck }} [options]
+ *   - resolver: links affiliates not upserted in this chunk (failed, deferred
+ *     or synced in an earlier run) to their existing Zoho Account.
+ *   - afm: AFM validation and duplicate tracking shared by the run.
+ * @returns {Promise<{fetched:boolean, affiliatesFetched:number, affUp:Object, idByTraderId:Map<string,string>, affiliateIds:Map<string,string>, affiliatesByRev:Map<number,Array<string>>, affiliateIdByCustomerRevNum:Map<number,string>, unresolved:Array<{rev:number, affiliate:string}>, lookupFailed:Array<{rev:number, affiliate:string}>}>}
+ *   `fetched`: the Galaxy fetch succeeded (else no affiliates are known;
+ *   a failed or thrown fetch never fails the run).
+ *   `affiliatesByRev`: card-holder revision → affiliate Trader_IDs to link
+ *   (only the latest in lookup mode), with their Zoho ids in `affiliateIds`.
+ *   `unresolved`: card-holder revisions whose affiliate is not in Zoho.
+ *   `lookupFailed`: those whose affiliate's Zoho lookup failed (unknown).
+ *   `affiliateIdByCustomerRevNum` stays empty in junction mode.
+ */
+async function syncChunkAffiliates(
+  api,
+  cardHolderRevNums,
+  {
+    report,
+    run,
+    shouldStop,
+    resolver = new AccountIdResolver(),
+    afm = new AfmCheck(),
+  } = {}
+) {
+  // *** NEW STEP: Create a Set of Rev_Numbers from the Card-Holding customers (for filtering) ***
+  const batchRevNumSet = new Set(cardHolderRevNums);
 
-  const fetchGalaxyDataApi = "/api/glx/views/Customer/custom/zh_Customers_fin";
+  let affiliatesFetched = 0;
+  // Map key is the Rev_Number (the customer's THIRDPARTYREVNUM)
+  let affiliateIdByCustomerRevNum = new Map();
 
-  // 3) Fetch Galaxy customers above sinceRev
-  let res;
+  // Exactly the card-holders' revisions: chunked In queries, so the cost
+  // follows the page, not the affiliate table. A query that still throws
+  // after its retries counts as a failed fetch, like a non-2xx answer.
+  let affRes;
   try {
-    res = await fetchGalaxyData(api, fetchGalaxyDataApi, sinceRev);
+    affRes = await timed(run, "affiliates", () =>
+      fetchAffiliatesByRevNums(api, cardHolderRevNums, {
+        chunkSize: cfg.affiliateFetchChunkSize,
+        concurrency: cfg.affiliateFetchConcurrency,
+        timeoutMs: 20000,
+        retry: 1,
+      })
+    );
   } catch (err) {
-    console.error(
-      `[FETCH ERROR] Failed at stage fetch:first. Network/Connection Issue:`,
-      err
+    affLog.error("Affiliate fetch failed:", err?.message || String(err));
+  }
+  let allAff = [];
+  const fetched = affRes?.status >= 200 && affRes.status < 300;
+  if (fetched) {
+    allAff = Array.isArray(affRes.data?.Items) ? affRes.data.Items : [];
+    affiliatesFetched += allAff.length;
+    affLog.info(
+      `${batchRevNumSet.size} card-holder revision(s) → fetched ${allAff.length} row(s) in ${affRes.requests} request(s).`
     );
-    return {
-      ok: false,
-      stage: "fetch:first",
-      error: err?.message || String(err),
-    };
+  } else if (affRes) {
+    affLog.warn(`HTTP ${affRes.status || "??"} on affiliate fetch.`);
   }
 
-  const s1 = typeof res?.status === "number" ? res.status : -1;
-  if (s1 === 401 || s1 === 403) {
-    console.warn(`[AUTH] Session invalid (status ${s1}). Re-authenticating...`);
-    await doAuthAndPersist();
-    try {
-      res = await fetchGalaxyData(api, fetchGalaxyDataApi, sinceRev);
-    } catch (err) {
-      console.error(
-        `[FETCH ERROR] Failed at stage fetch:reauth. Network/Connection Issue:`,
-        err
-      );
-      return {
-        ok: false,
-        stage: "fetch:reauth",
-        error: err?.message || String(err),
-      };
+  // Build maps (affRevToAffTrader is built from ALL fetched data)
+  const { affRevToAffTrader, uniqueAffRows } = buildAffiliateMaps(allAff);
+
+  // *** FILTER: Restrict unique affiliates to only those whose RevNum matches a CardHolder's RevNum in the batch ***
+  const relevantAffiliatesToUpsert = filterAffiliatesByRevNum(
+    uniqueAffRows,
+    batchRevNumSet
+  );
+
+  affLog.info(
+    `Filtering unique affiliates from ${uniqueAffRows.length} to ${relevantAffiliatesToUpsert.length} based on batch RevNum match.`
+  );
+
+  // Upsert ONLY the filtered, relevant affiliates
+  const affUp = await timed(run, "affiliates", () =>
+    upsertAffiliates(relevantAffiliatesToUpsert, {
+      debug: cfg.IS_DEBUG,
+      report,
+      shouldStop,
+      afm,
+    })
+  );
+  const idByTraderId = affUp.idByTraderId || new Map();
+  resolver.remember(idByTraderId);
+
+  // Links to make: the latest affiliate per card-holder revision (lookup
+  // mode) or every affiliate of it (junction mode)
+  const junction = cfg.affiliateLinks.mode === "junction";
+  const affiliatesByRev = new Map();
+  if (junction) {
+    for (const [revNum, traders] of buildAffiliatePairs(allAff)) {
+      if (batchRevNumSet.has(revNum)) affiliatesByRev.set(revNum, traders);
+    }
+  } else {
+    for (const [revNum, { affTraderId }] of affRevToAffTrader) {
+      if (batchRevNumSet.has(revNum))
+        affiliatesByRev.set(revNum, [affTraderId]);
     }
   }
 
-  if (!res || typeof res.status !== "number") {
-    return {
-      ok: false,
-      stage: "fetch:bad-response",
-      error: "No/invalid response object from Galaxy",
-    };
+  // Affiliates of the chunk without an id from this upsert: look them up
+  const missing = [];
+  for (const traders of affiliatesByRev.values()) {
+    missing.push(...traders.filter((t) => !idByTraderId.has(t)));
   }
-  if (res.status < 200 || res.status >= 300) {
-    const bodyMsg = JSON.stringify(res.data) || "No response body";
-    console.error(
-      `[FETCH ERROR] Galaxy API failed. Status: ${res.status} ${res.statusText}. Response Body: ${bodyMsg}`
+  const {
+    ids: resolvedIds,
+    unresolved: unresolvedIds,
+    failed: failedIds,
+  } = await resolver.resolve(missing);
+  const unresolvedSet = new Set(unresolvedIds);
+  const failedSet = new Set(failedIds);
+  const unresolved = [];
+  const lookupFailed = [];
+  for (const [revNum, traders] of affiliatesByRev) {
+    for (const affTraderId of traders) {
+      if (unresolvedSet.has(affTraderId)) {
+        unresolved.push({ rev: revNum, affiliate: affTraderId });
+      } else if (failedSet.has(affTraderId)) {
+        lookupFailed.push({ rev: revNum, affiliate: affTraderId });
+      }
+    }
+  }
+  const affiliateIds = new Map([...resolvedIds, ...idByTraderId]);
+
+  // New Linking Step: RevNum -> Affiliate Zoho ID (upserted now or found in
+  // Zoho); junction mode links through its own module instead
+  if (!junction) {
+    affiliateIdByCustomerRevNum = linkRevNumsToAffiliateIds(
+      affRevToAffTrader,
+      affiliateIds
     );
-    return {
-      ok: false,
-      stage: "fetch:http",
-      status: res.status,
-      statusText: res.statusText,
-      message: bodyMsg,
-    };
   }
 
-  const fullItems = Array.isArray(res.data?.Items) ? res.data.Items : [];
-  console.log(`[CUSTOMERS] Received ${fullItems.length} item(s).`);
+  affLog.info(
+    `Ready for linking: Customer RevNum→affiliate ZohoID map size: ${affiliateIdByCustomerRevNum.size}`
+  );
+  if (affLog.isDebug()) {
+    const sample = Array.from(affiliateIdByCustomerRevNum.entries()).slice(
+      0,
+      5
+    );
+    affLog.debug("Sample Customer RevNum → affiliate ZohoID:", sample);
+  }
 
-  // 4) DEV slicing
-  const devLimit = computeDevLimit();
-  // Only slice if a positive limit is set. Otherwise, process all fullItems.
-  const items = devLimit > 0 ? fullItems.slice(0, devLimit) : fullItems;
-  console.log(`[DEV] Using ${items.length} item(s) after DEV_LIMIT slicing.`);
+  return {
+    fetched,
+    affiliatesFetched,
+    affUp,
+    idByTraderId,
+    affiliateIds,
+    affiliatesByRev,
+    affiliateIdByCustomerRevNum,
+    unresolved,
+    lookupFailed,
+  };
+}
 
-  if (!items.length) {
-    console.log("[CUSTOMERS] No items to process after slicing.");
+/**
+ * Junction link mode: sync the link records of a chunk's customers. Every
+ * customer of the chunk is covered, so one that lost its card (or all its
+ * affiliates) has its links removed. Customers whose upsert was deferred
+ * are left for the next run; those without a Zoho id are skipped.
+ * @param {Array<Object>} items - Galaxy customer rows of this chunk.
+ * @param {{ affiliatesByRev: Map<number,Array<string>>, affiliateIds: Map<string,string>, up: Object, resolver: AccountIdResolver, report?: DryRunReport }} options
+ *   - affiliatesByRev / affiliateIds: from syncChunkAffiliates().
+ *   - up: result of the customer upsert.
+ * @returns {Promise<{linked:number, removed:number, failed:number, linkedCustomers:number}>}
+ *   `linkedCustomers`: customers with at least one linkable affiliate.
+ */
+async function syncChunkAffiliateLinks(
+  items,
+  { affiliatesByRev, affiliateIds, up, resolver, report }
+) {
+  const deferred = new Set(
+    (up.outcomes || []).filter((o) => o.deferred).map((o) => o.key)
+  );
+  // Latest revision per customer of the chunk
+  const revByTrader = new Map();
+  for (const it of items) {
+    const trader = normId(it?.TRDRID);
+    const rev = Number(it?.THIRDPARTYREVNUM) || 0;
+    if (!trader || deferred.has(trader)) continue;
+    if (!(revByTrader.get(trader) >= rev)) revByTrader.set(trader, rev);
+  }
+
+  const upserted = up.idByTraderId || new Map();
+  const { ids: resolvedIds } = await resolver.resolve(
+    Array.from(revByTrader.keys()).filter((t) => !upserted.has(t))
+  );
+  const customers = [];
+  for (const [traderId, rev] of revByTrader) {
+    const id = upserted.get(traderId) || resolvedIds.get(traderId);
+    if (!id) continue;
+    customers.push({
+      traderId,
+      id,
+      affiliates: affiliatesByRev.get(rev) || [],
+    });
+  }
+  const linkedCustomers = customers.filter((c) =>
+    c.affiliates.some((a) => affiliateIds.has(a))
+  ).length;
+
+  try {
+    const res = await syncAffiliateLinks(customers, affiliateIds, { report });
     return {
-      ok: true,
-      processed: 0,
-      success: 0,
-      failed: 0,
-      affiliatesFetched: 0,
-      affiliatesUpserted: 0,
+      linked: res.linked,
+      removed: res.removed,
+      failed: res.failed,
+      linkedCustomers,
     };
+  } catch (err) {
+    // Listing failed: nothing was written; the links are retried when the
+    // customers change again
+    const failed = customers.reduce((n, c) => n + c.affiliates.length, 0);
+    affLog.warn(`Link sync skipped for this chunk: ${err.message}`);
+    return { linked: 0, removed: 0, failed, linkedCustomers: 0 };
   }
+}
 
+/**
+ * Process one chunk (page) of Galaxy customers end to end: fetch and upsert
+ * the affiliates of its card-holders, then upsert the customers with their
+ * Affiliate_To links (or, in junction mode, sync their link records).
+ * @param {AxiosInstance} api - Authenticated Galaxy API client.
+ * @param {Array<Object>} items - Galaxy customer rows of this chunk.
+ * @param {{ report?: DryRunReport, deactivations?: DeactivationStore, hashes?: PayloadHashStore, force?: boolean, affiliates?: boolean, resolver?: AccountIdResolver, afm?: AfmCheck, run?: RunReport, shouldStop?: Function }} [options]
+ *   - report: dry run; upserts are written to the report instead of Zoho.
+ *   - deactivations: deactivate Accounts of customers flagged inactive.
+ *   - hashes: skip customers whose mapped payload is unchanged.
+ *   - force: upsert every customer regardless of `hashes`.
+ *   - affiliates: false skips the affiliates (default true).
+ *   - resolver: Trader_ID → Zoho id resolver shared by the run; learns the
+ *     ids upserted here and links affiliates synced in earlier runs.
+ *   - afm: validates the AFMs of customers and affiliates and collects them
+ *     for the run's duplicate report; the chunk's AFMs are looked up in Zoho
+ *     after the upserts (AFM_DUPLICATE_CHECK=zoho).
+ *   - shouldStop: checked before each Zoho batch; batches not sent are
+ *     counted as `deferred` and hold the checkpoints.
+ *   - run: run report; affiliates/upsert/deactivation stages are timed and
+ *     Zoho error codes tallied.
+ * @returns {Promise<{success:number, failed:number, skippedUnchanged:number, deferred:number, affiliatesFetched:number, affiliatesUpserted:number, affiliatesFailed:number, linkedCustomers:number, affiliateLinksUpserted:number, affiliateLinksRemoved:number, affiliateLinksFailed:number, deactivated:number, deactivationFailed:number, unresolvedAffiliates:Array<{Trader_ID:string, affiliate:string}>, accountIdByTraderId:Map<string,string>, customerOutcomes:Array, customerFailures:Array, affiliateOutcomes:Array, affiliateFailures:Array}>}
+ */
+async function syncCustomerChunk(
+  api,
+  items,
+  {
+    report,
+    deactivations,
+    hashes,
+    force,
+    affiliates = true,
+    resolver = new AccountIdResolver(),
+    afm = new AfmCheck(),
+    run,
+    shouldStop,
+  } = {}
+) {
   // CRITICAL: Collect THIRDPARTYREVNUMs and full data ONLY from customers with a CardNo
-  const cardHolderRevNums = [];
-  const cardHolderCustomerSamples = [];
-  for (const it of items) {
-    if (
-      it?.ZH_CUSTOMERS_MEMBER_CARDNO != null &&
-      it.ZH_CUSTOMERS_MEMBER_CARDNO !== ""
-    ) {
-      const rev = Number(it.THIRDPARTYREVNUM);
-      if (Number.isFinite(rev) && rev > 0) {
-        cardHolderRevNums.push(rev);
-        cardHolderCustomerSamples.push(it); // Store the full object for diagnostic logging
-      }
-    }
-  }
+  const { revNums: cardHolderRevNums, cardHolders: cardHolderCustomerSamples } =
+    selectCardHolders(items);
 
-  console.log(
-    `[REV NUM] In sliced batch: ${cardHolderRevNums.length} item(s) with CardNo and RevNum.`
+  affLog.info(
+    `In chunk: ${cardHolderRevNums.length} item(s) with CardNo and RevNum.`
   );
 
   // *** DIAGNOSTIC LOGGING: Dump the data used for linking ***
   if (cardHolderCustomerSamples.length > 0) {
     // Log the full object(s) of the customer(s) the job is trying to link
-    console.log(
-      "[DIAGNOSTIC] CARD-HOLDER CUSTOMER DATA DUMP (CHECK FOR LINKING ID):",
+    affLog.debug(
+      "CARD-HOLDER CUSTOMER DATA DUMP (CHECK FOR LINKING ID):",
       cardHolderCustomerSamples.slice(0, 5)
     );
   }
 
-  // *** NEW STEP: Create a Set of Rev_Numbers from the Card-Holding customers (for filtering) ***
-  const batchRevNumSet = new Set(cardHolderRevNums);
+  // Affiliates and the RevNum → affiliate Zoho ID links (skipped when
+  // affiliates are not selected: customers keep their current link)
+  const {
+    fetched: affiliatesKnown,
+    affiliatesFetched,
+    affUp,
+    idByTraderId,
+    affiliateIds,
+    affiliatesByRev,
+    affiliateIdByCustomerRevNum,
+    unresolved,
+    lookupFailed,
+  } = affiliates
+    ? await syncChunkAffiliates(api, cardHolderRevNums, {
+        report,
+        run,
+        shouldStop,
+        resolver,
+        afm,
+      })
+    : {
+        fetched: false,
+        affiliatesFetched: 0,
+        affUp: { success: 0, failed: 0 },
+        idByTraderId: new Map(),
+        affiliateIds: new Map(),
+        affiliatesByRev: new Map(),
+        affiliateIdByCustomerRevNum: new Map(),
+        unresolved: [],
+        lookupFailed: [],
+      };
+  const junction = cfg.affiliateLinks.mode === "junction";
 
-  // 5) Affiliates: single call with minRev from card-holding customers
-  let affiliatesFetched = 0;
-  let affiliatesUpserted = 0;
-  // Map key is the Rev_Number (the customer's THIRDPARTYREVNUM)
-  let affiliateIdByCustomerRevNum = new Map();
+  // Affiliates selected but not fetched, or whose Zoho lookup failed: the
+  // card-holders' revisions hold the customers checkpoint, so their
+  // affiliates and links are fetched again next run (no dead letter:
+  // nothing failed in Zoho)
+  const heldOutcomes =
+    affiliates && !affiliatesKnown
+      ? cardHolderRevNums.map((rev) => ({ rev, ok: false, transient: true }))
+      : lookupFailed.map(({ rev }) => ({ rev, ok: false, transient: true }));
+  if (heldOutcomes.length) {
+    affLog.warn(
+      affiliatesKnown
+        ? `${lookupFailed.length} affiliate(s) not looked up in Zoho: their links and the customers checkpoint held.`
+        : `Affiliates of ${heldOutcomes.length} card-holder(s) not fetched: customers checkpoint held.`
+    );
+  }
 
-  let minRev = sinceRev; // Start with the global watermark
-  if (cardHolderRevNums.length) {
-    // Determine minRev from the current batch's card-holding customers
-    const minRevInBatch = Math.min(...cardHolderRevNums);
-    // Use the minimum of the current batch's minRev and the global watermark (sinceRev)
-    minRev =
-      sinceRev === 0 || minRevInBatch < sinceRev ? minRevInBatch : sinceRev;
+  // Card-holders whose affiliate is in Galaxy but not in Zoho: no link
+  const traderByRev = new Map(
+    cardHolderCustomerSamples.map((c) => [
+      Number(c.THIRDPARTYREVNUM),
+      normId(c.TRDRID),
+    ])
+  );
+  const unresolvedAffiliates = unresolved.map(({ rev, affiliate }) => ({
+    Trader_ID: traderByRev.get(rev),
+    affiliate,
+  }));
+  if (unresolvedAffiliates.length) {
+    affLog.warn(
+      `${unresolvedAffiliates.length} customer link(s) not made: affiliate not found in Zoho`,
+      unresolvedAffiliates.slice(0, 5)
+    );
   }
 
-  console.log(`[AFFILIATES] Determined affiliate fetch minRev: ${minRev}.`);
+  // Upsert customers with Affiliate_To lookup where available
+  zohoLog.info(`Calling upsert for ${items.length} item(s)...`);
+  const up = await timed(run, "upsert", () =>
+    upsertAccounts(items, {
+      debug: cfg.IS_DEBUG,
+      // PASSING THE CORRECT REV NUMBER MAP
+      affiliateIdByCustomerRevNum,
+      // affiliateFieldApiName: "Affiliate_To__c"
+      report,
+      hashes,
+      force,
+      shouldStop,
+      afm,
+    })
+  );
+  resolver.remember(up.idByTraderId || new Map());
+  // Accounts of other Trader_IDs holding the chunk's AFMs
+  await timed(run, "upsert", () => afm.checkZoho());
+  run?.tallyErrors(affUp.failures);
+  run?.tallyErrors(up.failures);
+  zohoLog.info(`Upsert → success: ${up.success}, failed: ${up.failed}`);
 
-  // ---- Single attempt: minRev determined by batch
-  const affRes = await fetchAffiliatesSince(api, minRev, {
-    timeoutMs: 20000,
-    retry: 1,
-  });
-  let allAff = [];
-  if (affRes?.status >= 200 && affRes.status < 300) {
-    allAff = Array.isArray(affRes.data?.Items) ? affRes.data.Items : [];
-    affiliatesFetched += allAff.length;
-    console.log(
-      `[AFFILIATES] minRev=${minRev} → fetched ${allAff.length} row(s).`
-    );
-  } else {
-    console.warn(
-      `[AFFILIATES] HTTP ${affRes?.status || "??"} on affiliate fetch.`
-    );
+  // Junction mode: every customer–affiliate pair as a link record (only
+  // when the affiliates and their ids are known, so a failed fetch or
+  // lookup never ends links)
+  const heldRevs = new Set(lookupFailed.map(({ rev }) => rev));
+  const links =
+    junction && affiliatesKnown
+      ? await timed(run, "affiliates", () =>
+          syncChunkAffiliateLinks(
+            items.filter((it) => !heldRevs.has(Number(it?.THIRDPARTYREVNUM))),
+            {
+              affiliatesByRev,
+              affiliateIds,
+              up,
+              resolver,
+              report,
+            }
+          )
+        )
+      : { linked: 0, removed: 0, failed: 0, linkedCustomers: 0 };
+
+  const { deactivated = 0, deactivationFailed = 0 } = deactivations
+    ? await timed(run, "deactivation", () =>
+        applyChunkDeactivations(items, up.idByTraderId || new Map(), {
+          deactivations,
+          report,
+        })
+      )
+    : {};
+
+  return {
+    success: up.success,
+    failed: up.failed,
+    skippedUnchanged: up.skippedUnchanged || 0,
+    deferred: (up.deferred || 0) + (affUp.deferred || 0),
+    affiliatesFetched,
+    affiliatesUpserted: affUp.success,
+    affiliatesFailed: affUp.failed || 0,
+    linkedCustomers: junction
+      ? links.linkedCustomers
+      : affiliateIdByCustomerRevNum.size,
+    affiliateLinksUpserted: links.linked,
+    affiliateLinksRemoved: links.removed,
+    affiliateLinksFailed: links.failed,
+    unresolvedAffiliates,
+    deactivated,
+    deactivationFailed,
+    // Customers and affiliates upserted in this chunk, for contact linking
+    accountIdByTraderId: new Map([
+      ...idByTraderId,
+      ...(up.idByTraderId || new Map()),
+    ]),
+    // Per-record results for checkpoint tracking
+    customerOutcomes: [...(up.outcomes || []), ...heldOutcomes],
+    customerFailures: up.failures || [],
+    affiliateOutcomes: affUp.outcomes || [],
+    affiliateFailures: affUp.failures || [],
+  };
+}
+
+/**
+ * Fetch the current Galaxy records of specific traders, as a single page
+ * shaped like fetchGalaxyPages() output (for a targeted resync).
+ * @param {AxiosInstance} api - Authenticated Galaxy API client.
+ * @param {Array<string>} traderIds - Galaxy TRDRIDs.
+ * @param {Function} onUnauthorized - Galaxy re-auth hook.
+ * @param {Array<string>} notFound - Receives the ids Galaxy does not know.
+ * @yields {{ page:number, items:Array<Object> }}
+ */
+async function* fetchTraderPages(api, traderIds, onUnauthorized, notFound) {
+  const items = [];
+  for (const traderId of traderIds) {
+    let row;
+    try {
+      row = await fetchGalaxyCustomer(api, traderId, { onUnauthorized });
+    } catch (err) {
+      err.stage = "fetch:trader";
+      throw err;
+    }
+    if (row) items.push(row);
+    else notFound.push(traderId);
   }
+  // Ascending revisions, like a regular page
+  items.sort((a, b) => Number(a.THIRDPARTYREVNUM) - Number(b.THIRDPARTYREVNUM));
+  if (items.length) yield { page: 1, items };
+}
 
-  // Build maps (affRevToAffTrader is built from ALL fetched data)
-  const { affRevToAffTrader, uniqueAffRows } = buildAffiliateMaps(allAff);
+// -------- main run --------
+/**
+ * One sync, timed and tallied into `run` (see runJobOnce for options).
+ * @param {RunReport} run - Report of this run.
+ * @param {{ catalystApp?: Object, dryRun: boolean, force: boolean, scope?: Object, entities: Array<string>, limit?: number, signal?: AbortSignal, remainingTimeMs?: Function }} options
+ * @returns {Promise<Object>} Job result summary.
+ */
+async function runSync(
+  run,
+  {
+    catalystApp,
+    dryRun,
+    force,
+    scope,
+    entities,
+    limit,
+    signal,
+    remainingTimeMs,
+  }
+) {
+  log.info("Start", new Date().toISOString());
+  if (scope) log.info("Targeted run:", scope);
+  const selected = (entity) => entities.includes(entity);
+  if (entities.length < ENTITY_NAMES.length) {
+    log.info(`Entities: ${entities.join(", ")}`);
+  }
+  // Why no new Galaxy page or Zoho batch may start: "signal" (shutdown) or
+  // "time" (execution-time budget below TIME_SAFETY_MARGIN_MS), else null
+  const stopReason = () => {
+    if (signal?.aborted) return "signal";
+    const left = remainingTimeMs?.();
+    return Number.isFinite(left) && left < cfg.timeSafetyMarginMs
+      ? "time"
+      : null;
+  };
+  const shouldStop = () => stopReason() !== null;
+  resetZohoStats();
+  configureZohoTokenStore({ catalystApp });
+  const report = dryRun ? new DryRunReport(cfg.dryRunReportFile) : null;
+  if (report) {
+    log.info(`Dry run: no Zoho writes. Report: ${cfg.dryRunReportFile}`);
+  }
+  // Attach Zoho request/credit counters and close the dry-run report (if any)
+  const finish = (result) => {
+    const zoho = getZohoStats();
+    zohoLog.info("Run API usage:", zoho);
+    if (!report) return { ...result, zoho };
+    const out = {
+      ...result,
+      zoho,
+      dryRun: true,
+      report: cfg.dryRunReportFile,
+    };
+    report.finish(out);
+    return out;
+  };
 
-  // *** FILTER: Restrict unique affiliates to only those whose RevNum matches a CardHolder's RevNum in the batch ***
-  const relevantAffiliatesToUpsert = uniqueAffRows.filter((affRow) =>
-    batchRevNumSet.has(Number(affRow.AFFILIATES_REVNUM))
-  );
+  const sessionStore = new SessionStore(cfg.sessionFile);
+  if (cfg.ssPid && !sessionStore.getSsPid()) {
+    sessionStore.setAll({ ssPid: cfg.ssPid });
+  }
+  const api = createApiClient(() => sessionStore.getSessionId());
 
-  console.log(
-    `[AFFILIATES] Filtering unique affiliates from ${uniqueAffRows.length} to ${relevantAffiliatesToUpsert.length} based on batch RevNum match.`
-  );
+  async function doAuthAndPersist() {
+    await run.time("auth", async () => {
+      const currentPid = sessionStore.getSsPid();
+      const { sessionId, ssPid } = await authenticate(currentPid);
+      sessionStore.setAll({ sessionId, ssPid });
+      authLog.info("Stored sessionId" + (ssPid ? " and ssPid" : "") + ".");
+    });
+  }
+  async function ensureSession() {
+    if (!sessionStore.getSessionId()) await doAuthAndPersist();
+  }
 
-  // Upsert ONLY the filtered, relevant affiliates
-  const affUp = await upsertAffiliates(relevantAffiliatesToUpsert, {
-    debug: IS_DEBUG,
-  });
-  affiliatesUpserted = affUp.success;
-  const idByTraderId = affUp.idByTraderId || new Map();
+  await ensureSession();
 
-  // New Linking Step: RevNum -> Affiliate Zoho ID (Only map if the affiliate was successfully upserted)
-  affiliateIdByCustomerRevNum = new Map();
-  for (const [revNum, { affTraderId }] of affRevToAffTrader.entries()) {
-    // Only map if the affiliate was successfully upserted (i.e., exists in idByTraderId)
-    const zid = idByTraderId.get(affTraderId);
-    if (zid) affiliateIdByCustomerRevNum.set(revNum, zid);
+  // 1) Per-entity watermarks from the checkpoint store
+  const checkpoints = await new CheckpointStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.checkpointFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "checkpoints",
+    })
+  ).load();
+  const deadLetters = await new DeadLetterStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.deadLetterFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "dead_letters",
+    }),
+    { maxAttempts: cfg.dlqMaxAttempts }
+  ).load();
+  const deactivations = cfg.deactivation.enabled
+    ? await new DeactivationStore(
+        createStateBackend({
+          kind: cfg.stateBackend,
+          filePath: cfg.deactivation.file,
+          catalystApp,
+          table: cfg.catalystStateTable,
+          key: "deactivations",
+        })
+      ).load()
+    : null;
+  const hashes = await new PayloadHashStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.payloadHashFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "payload_hashes",
+    })
+  ).load();
+  if (force) stateLog.info("Force: payload hashes are ignored.");
+  // Trader_ID → Zoho id for Affiliate_To and contact links across runs
+  const accountIds = await new AccountIdStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.accountIdCacheFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "account_ids",
+    }),
+    { maxAgeMs: cfg.accountIdCacheMaxAgeHours * 60 * 60 * 1000 }
+  ).load();
+  const resolver = new AccountIdResolver({ store: accountIds });
+  const afmCheck = new AfmCheck();
+
+  // One-time migration: the first run starts from an explicit seed. The old
+  // Zoho max Rev_Number watermark is not used: affiliate revisions share
+  // that field, so customers below it could be skipped for good.
+  // 2) Customers are fetched above their own checkpoint
+  let sinceRev = checkpoints.get(ENTITIES.CUSTOMERS);
+  if (scope) {
+    // Targeted runs read their own range and never move checkpoints
+    sinceRev = scope.fromRev ?? 0;
+  } else if (!checkpoints.has(ENTITIES.CUSTOMERS)) {
+    if (cfg.customersCheckpointSeed === null) {
+      const err = new Error(
+        "No customers checkpoint yet. Set CUSTOMERS_CHECKPOINT_SEED to the last Galaxy THIRDPARTYREVNUM already in Zoho (0 syncs every customer)."
+      );
+      err.stage = "checkpoint";
+      throw err;
+    }
+    sinceRev = cfg.customersCheckpointSeed;
+    stateLog.info(
+      `No customers checkpoint yet. Seeding from CUSTOMERS_CHECKPOINT_SEED: ${sinceRev}`
+    );
+    if (!report) await checkpoints.advance(ENTITIES.CUSTOMERS, sinceRev);
   }
+  stateLog.info(`Checkpoints:`, checkpoints.toJSON());
+  run.setWatermark({
+    sinceRev,
+    checkpoints: checkpoints.toJSON(),
+    ...(scope ? { scope } : {}),
+  });
+  const devLimit = computeDevLimit(limit);
+  report?.start({ sinceRev, checkpoints: checkpoints.toJSON(), devLimit });
 
-  console.log(
-    `[AFFILIATES] Ready for linking: Customer RevNum→affiliate ZohoID map size: ${affiliateIdByCustomerRevNum.size}`
+  const customerMark = new ContiguousWatermark(sinceRev);
+  const affiliateMark = new ContiguousWatermark(
+    checkpoints.get(ENTITIES.AFFILIATES)
   );
-  if (IS_DEBUG) {
-    const sample = Array.from(affiliateIdByCustomerRevNum.entries()).slice(
-      0,
-      5
+
+  const fetchGalaxyDataApi = cfg.galaxyCustomerPath;
+
+  const totals = {
+    processed: 0,
+    success: 0,
+    failed: 0,
+    skippedUnchanged: 0,
+    deferred: 0,
+    affiliatesFetched: 0,
+    affiliatesUpserted: 0,
+    affiliatesFailed: 0,
+    linkedCustomers: 0,
+    affiliateLinksUpserted: 0,
+    affiliateLinksRemoved: 0,
+    affiliateLinksFailed: 0,
+    unresolvedAffiliates: 0,
+    deadLettered: 0,
+    deactivated: 0,
+    deactivationFailed: 0,
+    pages: 0,
+  };
+  const accountIdByTraderId = new Map();
+  // Customers whose affiliate is not in Zoho (first ones, for the result)
+  const unresolvedAffiliateLinks = [];
+  const notFound = [];
+  const toRev = scope?.toRev ?? Infinity;
+  const pages = !selected(ENTITIES.CUSTOMERS)
+    ? (async function* () {})()
+    : scope?.traderIds
+    ? fetchTraderPages(api, scope.traderIds, doAuthAndPersist, notFound)
+    : fetchGalaxyPages(api, fetchGalaxyDataApi, {
+        sinceRev,
+        onUnauthorized: doAuthAndPersist,
+        // Backfill: Galaxy stops at toRev itself
+        ...(Number.isFinite(toRev)
+          ? { filter: where("THIRDPARTYREVNUM", "LessOrEqual", toRev) }
+          : {}),
+      });
+
+  // 3) Page through Galaxy customers above sinceRev; each page is fetched,
+  //    mapped and upserted before the next one is requested.
+  // Time spent waiting for the next page counts as the "fetch" stage
+  let fetchStartedAt = Date.now();
+  try {
+    for await (const { page, items: fetchedItems } of pages) {
+      run.addTiming("fetch", Date.now() - fetchStartedAt);
+      // Backfill guard for a view that ignores the filter: stop past toRev
+      const pageItems = fetchedItems.filter(
+        (it) => !(Number(it?.THIRDPARTYREVNUM) > toRev)
+      );
+      const pastRange = pageItems.length < fetchedItems.length;
+      // 4) DEV slicing across pages
+      const remaining =
+        devLimit > 0 ? devLimit - totals.processed : pageItems.length;
+      const items = pageItems.slice(0, Math.max(0, remaining));
+      if (items.length < pageItems.length) {
+        devLog.info(
+          `Using ${items.length}/${pageItems.length} item(s) of page ${page} (DEV_LIMIT=${devLimit}).`
+        );
+      }
+      if (!items.length) break;
+
+      const chunk = await syncCustomerChunk(api, items, {
+        report,
+        deactivations,
+        hashes,
+        force,
+        affiliates: selected(ENTITIES.AFFILIATES),
+        resolver,
+        afm: afmCheck,
+        run,
+        shouldStop,
+      });
+      totals.pages++;
+      totals.processed += items.length;
+      totals.success += chunk.success;
+      totals.failed += chunk.failed;
+      totals.skippedUnchanged += chunk.skippedUnchanged;
+      totals.deferred += chunk.deferred;
+      totals.affiliatesFetched += chunk.affiliatesFetched;
+      totals.affiliatesUpserted += chunk.affiliatesUpserted;
+      totals.affiliatesFailed += chunk.affiliatesFailed;
+      totals.linkedCustomers += chunk.linkedCustomers;
+      totals.affiliateLinksUpserted += chunk.affiliateLinksUpserted;
+      totals.affiliateLinksRemoved += chunk.affiliateLinksRemoved;
+      totals.affiliateLinksFailed += chunk.affiliateLinksFailed;
+      totals.unresolvedAffiliates += chunk.unresolvedAffiliates.length;
+      unresolvedAffiliateLinks.push(
+        ...chunk.unresolvedAffiliates.slice(
+          0,
+          Math.max(0, 100 - unresolvedAffiliateLinks.length)
+        )
+      );
+      totals.deactivated += chunk.deactivated;
+      totals.deactivationFailed += chunk.deactivationFailed;
+      for (const [trader, zid] of chunk.accountIdByTraderId) {
+        accountIdByTraderId.set(trader, zid);
+      }
+
+      // Dead-letter failed rows, then persist progress after every page so
+      // a later failure keeps it (skipped in a dry run)
+      if (!report) {
+        const customersSettled = await settleDeadLetters(
+          deadLetters,
+          ENTITIES.CUSTOMERS,
+          chunk.customerOutcomes,
+          chunk.customerFailures
+        );
+        const affiliatesSettled = await settleDeadLetters(
+          deadLetters,
+          ENTITIES.AFFILIATES,
+          chunk.affiliateOutcomes,
+          chunk.affiliateFailures
+        );
+        totals.deadLettered +=
+          customersSettled.queued + affiliatesSettled.queued;
+        await hashes.save();
+        await accountIds.save();
+        // Targeted runs (backfill/resync) leave the checkpoints alone
+        if (!scope) {
+          await checkpoints.advance(
+            ENTITIES.CUSTOMERS,
+            customerMark.record(customersSettled.checkpointOutcomes)
+          );
+          await checkpoints.advance(
+            ENTITIES.AFFILIATES,
+            affiliateMark.record(affiliatesSettled.checkpointOutcomes)
+          );
+        }
+      }
+      if (customerMark.blocked) {
+        stateLog.warn(
+          `Customers checkpoint held at ${customerMark.value} (failed record at rev ${customerMark.blockedAt}).`
+        );
+      }
+      customersLog.info(
+        `Page ${page} done → processed so far: ${totals.processed}, success: ${totals.success}, failed: ${totals.failed}`
+      );
+
+      if (devLimit > 0 && totals.processed >= devLimit) break;
+      if (pastRange) break;
+      // Shutdown or time budget: no next page; this one's progress is saved
+      if (shouldStop()) break;
+      fetchStartedAt = Date.now();
+    }
+  } catch (err) {
+    // Only fetch failures carry a stage; anything else is fatal as before
+    if (!err?.stage) throw err;
+    run.addTiming("fetch", Date.now() - fetchStartedAt);
+    const stage = err.stage;
+    customersLog.error(
+      `Fetch failed at stage ${stage} after ${totals.pages} page(s):`,
+      err?.body ? `${err.message}. Response Body: ${err.body}` : err
     );
-    console.log(
-      "[AFFILIATES] Sample Customer RevNum → affiliate ZohoID:",
-      sample
+    return finish({
+      ok: false,
+      stage,
+      ...(err?.status
+        ? { status: err.status, statusText: err.statusText, message: err.body }
+        : { error: err?.message || String(err) }),
+      ...totals,
+      checkpoints: checkpoints.toJSON(),
+      deadLetters: deadLetters.counts(),
+    });
+  }
+
+  if (!selected(ENTITIES.CUSTOMERS)) {
+    customersLog.info("Customers not selected: skipped.");
+  } else if (!totals.processed) {
+    customersLog.info("No items to process.");
+  }
+  if (notFound.length) {
+    customersLog.warn(`Not found in Galaxy: ${notFound.join(", ")}`);
+  }
+  const unresolvedReport = unresolvedAffiliateLinks.length
+    ? { unresolvedAffiliateLinks }
+    : {};
+  // Invalid and shared AFMs; only a full, real run writes
+  // AFM_DUPLICATES_REPORT, a targeted or dry run sees part of the customers
+  const afmReport = selected(ENTITIES.CUSTOMERS)
+    ? afmCheck.report({ write: !scope && !report })
+    : {};
+
+  // A stopped run is partial: the next run resumes from the checkpoints
+  const partial = (reason) => {
+    if (!reason) return {};
+    log.warn(
+      reason === "time"
+        ? `Execution time nearly used up (${remainingTimeMs()}ms left): partial run, the next one resumes from the checkpoints.`
+        : "Stop requested: partial run, the next one resumes from the checkpoints."
     );
+    return { partial: true, stopReason: reason };
+  };
+
+  // Targeted and stopped runs end after customers and their affiliates
+  const stoppedAfterCustomers = stopReason();
+  if (scope || stoppedAfterCustomers) {
+    return finish({
+      ok: true,
+      ...(scope ? { scope } : {}),
+      ...partial(stoppedAfterCustomers),
+      ...totals,
+      ...unresolvedReport,
+      ...afmReport,
+      ...(scope?.traderIds ? { notFound } : {}),
+      checkpoints: checkpoints.toJSON(),
+      deadLetters: deadLetters.counts(),
+    });
   }
 
-  // 6) Upsert customers with Affiliate_To lookup where available
-  console.log(`[ZOHO] Calling upsert for ${items.length} item(s)...`);
-  const up = await upsertAccounts(items, {
-    debug: IS_DEBUG,
-    // PASSING THE CORRECT REV NUMBER MAP
-    affiliateIdByCustomerRevNum,
-    // affiliateFieldApiName: "Affiliate_To__c"
+  // 5) Contacts, linked to Accounts (customers and affiliates) upserted above
+  const contacts = selected(ENTITIES.CONTACTS)
+    ? await run.time("contacts", () =>
+        syncContacts(
+          api,
+          {
+            checkpoints,
+            deadLetters,
+            resolver,
+            report,
+            run,
+            shouldStop,
+            onUnauthorized: doAuthAndPersist,
+          },
+          accountIdByTraderId
+        )
+      )
+    : { ok: true };
+  const { ok: contactsOk, error: contactsError, ...contactCounts } = contacts;
+  // Parent Accounts looked up for the contacts
+  if (!report) await accountIds.save();
+  const stoppedAfterContacts = stopReason();
+
+  // 6) Periodic full-key comparison for inactive/deleted traders
+  const deactivationScan =
+    deactivations && selected(ENTITIES.CUSTOMERS) && !stoppedAfterContacts
+      ? await run.time("deactivation", () =>
+          scanDeactivations(
+            api,
+            { checkpoints, deactivations, report },
+            doAuthAndPersist
+          )
+        )
+      : undefined;
+
+  return finish({
+    ok: contactsOk,
+    ...(contactsOk ? {} : { stage: "contacts:fetch", error: contactsError }),
+    ...totals,
+    ...unresolvedReport,
+    ...afmReport,
+    ...contactCounts,
+    ...partial(stoppedAfterContacts),
+    ...(deactivationScan ? { deactivationScan } : {}),
+    checkpoints: checkpoints.toJSON(),
+    deadLetters: deadLetters.counts(),
   });
-  console.log(`[ZOHO] Upsert → success: ${up.success}, failed: ${up.failed}`);
+}
 
+/**
+ * Per-entity counts of a sync result, for the run report
+ * @param {Object} result - Result of runSync()
+ * @returns {Object}
+ */
+function runCounts(result) {
+  const n = (v) => Number(v) || 0;
   return {
-    ok: true,
-    processed: items.length,
-    success: up.success,
-    failed: up.failed,
-    affiliatesFetched,
-    affiliatesUpserted,
-    linkedCustomers: affiliateIdByCustomerRevNum.size,
+    pages: n(result.pages),
+    customers: {
+      processed: n(result.processed),
+      success: n(result.success),
+      failed: n(result.failed),
+      skippedUnchanged: n(result.skippedUnchanged),
+      linkedToAffiliate: n(result.linkedCustomers),
+      affiliateNotInZoho: n(result.unresolvedAffiliates),
+    },
+    afm: {
+      invalid: n(result.afmInvalid),
+      duplicates: n(result.afmDuplicates),
+    },
+    affiliates: {
+      fetched: n(result.affiliatesFetched),
+      upserted: n(result.affiliatesUpserted),
+      failed: n(result.affiliatesFailed),
+      linksUpserted: n(result.affiliateLinksUpserted),
+      linksRemoved: n(result.affiliateLinksRemoved),
+      linksFailed: n(result.affiliateLinksFailed),
+    },
+    contacts: {
+      fetched: n(result.contactsFetched),
+      success: n(result.contactsSuccess),
+      failed: n(result.contactsFailed),
+      unlinked: n(result.contactsUnlinked),
+    },
+    deadLettered: n(result.deadLettered) + n(result.contactsDeadLettered),
+    // Records left for the next run by a partial run
+    deferred: n(result.deferred) + n(result.contactsDeferred),
+    deactivated: n(result.deactivated),
+    deactivationFailed: n(result.deactivationFailed),
   };
 }
 
+/**
+ * Append a run report to the run history. A failing store only logs, so it
+ * never fails the sync itself.
+ * @param {Object} doc - Report from RunReport.finish()
+ * @param {Object} [catalystApp] - Required for RUN_HISTORY=catalyst
+ */
+async function recordRun(doc, catalystApp) {
+  runLog.info(
+    `${doc.runId} ${doc.ok ? "ok" : `failed at ${doc.stage}`} in ${
+      doc.durationMs
+    }ms. Timings:`,
+    doc.timings
+  );
+  try {
+    const history = createRunHistory({
+      kind: cfg.runHistory,
+      filePath: cfg.runHistoryFile,
+      catalystApp,
+      table: cfg.runHistoryTable,
+    });
+    if (history) await history.append(doc);
+  } catch (err) {
+    runLog.warn("Could not save run report:", err?.message || err);
+  }
+}
+
+/**
+ * Run one sync and append its report to the run history.
+ * @param {{ catalystApp?: Object, dryRun?: boolean, force?: boolean, scope?: Object, entities?: Array<string>, limit?: number, params?: Object, signal?: AbortSignal, remainingTimeMs?: Function }} [options]
+ *   - catalystApp: initialized Catalyst app, required for STATE_BACKEND=catalyst,
+ *     ZOHO_TOKEN_STORE=catalyst-cache and RUN_HISTORY=catalyst.
+ *   - dryRun: run every read and mapping step, but write the would-be Zoho
+ *     batches, dropped records and planned links to the dry-run report
+ *     instead of upserting; checkpoints and the DLQ are left untouched.
+ *   - force: upsert customers even when their payload hash is unchanged.
+ *   - scope: targeted run instead of a full sync, either
+ *     `{ fromRev, toRev }` (customers in that revision range, toRev
+ *     inclusive, "backfill") or `{ traderIds }` (those customers, "resync").
+ *     Only customers and their affiliates are synced; checkpoints are not
+ *     moved, failed rows still go to the DLQ.
+ *   - entities: entities to sync, a subset of ENTITY_NAMES (default all;
+ *     customers and affiliates for a scope). Checkpoints of the others
+ *     stay where they are.
+ *   - limit: at most this many customers (overrides DEV_LIMIT).
+ *   - params: the Catalyst job params the options came from, recorded in
+ *     the run report.
+ *   - signal: AbortSignal; once aborted no new Galaxy page or Zoho batch is
+ *     started (contacts and the deactivation scan are skipped if not
+ *     reached) and the result is `partial: true, stopReason: "signal"`.
+ *     Progress up to the last batch sent is kept.
+ *   - remainingTimeMs: returns the execution time left (Catalyst
+ *     context.getRemainingExecutionTimeMs); below TIME_SAFETY_MARGIN_MS
+ *     the run stops the same way, with `stopReason: "time"`.
+ * @returns {Promise<Object>} Job result summary, with the `runId` of its report.
+ * @throws {Error} On invalid config or a fatal error; `stage` names where
+ *   the run failed (e.g. "auth").
+ */
+async function runJobOnce({
+  catalystApp,
+  dryRun = cfg.dryRun,
+  force = cfg.forceUpsert,
+  scope,
+  entities = scope ? ["customers", "affiliates"] : ENTITY_NAMES,
+  limit,
+  params,
+  signal,
+  remainingTimeMs,
+} = {}) {
+  try {
+    cfg.validateConfig();
+  } catch (err) {
+    err.stage = "config";
+    throw err;
+  }
+  const job = !scope ? "sync" : scope.traderIds ? "resync" : "backfill";
+  const run = new RunReport({ job, dryRun, force, params });
+  let result;
+  try {
+    // Every line logged during the run carries its runId
+    result = await withCorrelationId(run.runId, () =>
+      runSync(run, {
+        catalystApp,
+        dryRun,
+        force,
+        scope,
+        entities,
+        limit,
+        signal,
+        remainingTimeMs,
+      })
+    );
+  } catch (err) {
+    // Fatal errors (e.g. Galaxy auth) are recorded too, then rethrown
+    // with the stage they happened in
+    const doc = run.finish({
+      ok: false,
+      error: err?.message || String(err),
+      zoho: getZohoStats(),
+    });
+    await recordRun(doc, catalystApp);
+    if (err && typeof err === "object" && !err.stage) err.stage = doc.stage;
+    throw err;
+  }
+  await recordRun(
+    run.finish(result, { counts: runCounts(result) }),
+    catalystApp
+  );
+  return { ...result, runId: run.runId };
+}
+
 module.exports = async (params, context) => {
   try {
-    const result = await runJobOnce();
+    const catalystApp =
+      cfg.stateBackend === "catalyst" ||
+      cfg.zoho.tokenStore === "catalyst-cache" ||
+      cfg.runHistory === "catalyst"
+        ? catalyst.initialize(context)
+        : null;
+    // Catalyst job params (see utils/jobParams.js); "preview"/"dryRun" and
+    // "force" override the DRY_RUN / FORCE_UPSERT env vars
+    const options = parseJobParams(params, {
+      dryRun: cfg.dryRun,
+      force: cfg.forceUpsert,
+    });
+    if (Object.keys(options.params).length) {
+      log.info("Job params:", options.params);
+    }
+    // Catalyst ends the job at its maximum execution time: stop starting
+    // new work shortly before (see TIME_SAFETY_MARGIN_MS)
+    const remainingTimeMs =
+      typeof context?.getRemainingExecutionTimeMs === "function"
+        ? () => context.getRemainingExecutionTimeMs()
+        : undefined;
+    if (typeof context?.getMaxExecutionTimeMs === "function") {
+      log.info(
+        `Execution time limit: ${context.getMaxExecutionTimeMs()}ms (safety margin ${
+          cfg.timeSafetyMarginMs
+        }ms).`
+      );
+    }
+    const result = await runJobOnce({
+      catalystApp,
+      ...options,
+      remainingTimeMs,
+    });
     if (result.ok) {
-      console.log("[JOB] Logic successful. Signaling completion.");
+      log.info("Logic successful. Signaling completion.");
       context.closeWithSuccess();
     } else {
-      console.log(`[JOB] Logic failed at stage: ${result.stage}`);
+      log.error(`Logic failed at stage: ${result.stage}`);
       context.closeWithFailure();
     }
     return result;
   } catch (error) {
-    console.error("[JOB FATAL ERROR]", error.message);
+    log.error("Fatal error:", error.message);
     context.closeWithFailure();
-    return { ok: false, stage: "fatal", error: error.message };
+    return { ok: false, stage: error.stage || "fatal", error: error.message };
   }
 };
+module.exports.runJobOnce = runJobOnce;
+module.exports.runCounts = runCounts;
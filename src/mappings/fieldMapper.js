@@ -0,0 +1,198 @@
+// src/mappings/fieldMapper.js
+
+/**
+ * Field Mapper Module
+ * -------------------
+ * Drives the Galaxy → Zoho mappers from a declarative JSON definition
+ * (default: mappings/fieldMappings.json, override with FIELD_MAPPING_FILE).
+ *
+ * Each entity section (accounts, affiliates, contacts) is an ordered list of
+ * entries; the optional "zohoToGalaxy" section uses the same shape, with
+ * Zoho Account fields as sources and Galaxy columns as targets, and acts as
+ * the allow-list of the reverse sync (see reverseSync.js):
+ *  - target: Zoho field API name (targets starting with "__" are internal
+ *    helpers used by the sync and are stripped before sending)
+ *  - source: Galaxy column, or list of columns tried in fallback order
+ *  - normalizer: name of a helper from utils/normalize.js
+ *  - default: optional value used when no source yields a value
+ *  - required: optional; records missing a required target are dropped
+ *
+ * The definition is validated when first loaded, so unknown normalizers,
+ * duplicate targets or malformed entries fail the job at startup.
+ */
+
+const fs = require("fs");
+const cfg = require("../config");
+const normalizers = require("../utils/normalize");
+
+const ENTITY_SECTIONS = ["accounts", "affiliates", "contacts"];
+const OPTIONAL_SECTIONS = ["zohoToGalaxy"];
+const ENTRY_KEYS = new Set([
+  "target",
+  "source",
+  "normalizer",
+  "default",
+  "required",
+]);
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+/**
+ * Validate one entity section of a mapping definition
+ * @param {string} entity - Section name (for error messages)
+ * @param {Array<Object>} entries
+ * @throws {Error} Describing every problem found
+ */
+function validateSection(entity, entries) {
+  if (!Array.isArray(entries) || !entries.length) {
+    throw new Error(`Field mapping "${entity}" must be a non-empty array.`);
+  }
+
+  const problems = [];
+  const seen = new Set();
+  entries.forEach((e, i) => {
+    const at = `${entity}[${i}]${e?.target ? ` (${e.target})` : ""}`;
+    if (!e || typeof e !== "object") {
+      problems.push(`${at}: entry must be an object`);
+      return;
+    }
+    for (const k of Object.keys(e)) {
+      if (!ENTRY_KEYS.has(k)) problems.push(`${at}: unknown key "${k}"`);
+    }
+    if (typeof e.target !== "string" || !e.target) {
+      problems.push(`${at}: "target" must be a non-empty string`);
+    } else if (seen.has(e.target)) {
+      problems.push(`${at}: duplicate target "${e.target}"`);
+    } else {
+      seen.add(e.target);
+    }
+    const sources = Array.isArray(e.source) ? e.source : [e.source];
+    if (!sources.length || sources.some((s) => typeof s !== "string" || !s)) {
+      problems.push(`${at}: "source" must be a column name or list of them`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(normalizers, e.normalizer)) {
+      problems.push(
+        `${at}: unknown normalizer "${e.normalizer}" (use: ${Object.keys(
+          normalizers
+        ).join(", ")})`
+      );
+    }
+    if (e.required !== undefined && typeof e.required !== "boolean") {
+      problems.push(`${at}: "required" must be a boolean`);
+    }
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid field mapping:\n  - ${problems.join("\n  - ")}`);
+  }
+}
+
+/**
+ * Load and validate a mapping definition file
+ * @param {string} path - Path to JSON definition
+ * @returns {Object<string, Array<Object>>} Validated sections by entity
+ * @throws {Error} If the file is unreadable or invalid
+ */
+function loadFieldMappings(path) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(path, "utf-8"));
+  } catch (e) {
+    throw new Error(`Cannot read field mapping file ${path}: ${e.message}`);
+  }
+  for (const entity of ENTITY_SECTIONS) {
+    validateSection(entity, doc?.[entity]);
+  }
+  for (const section of OPTIONAL_SECTIONS) {
+    if (doc?.[section] !== undefined) validateSection(section, doc[section]);
+  }
+  return doc;
+}
+
+/**
+ * Build a mapper function from validated entries
+ * @param {Array<Object>} entries
+ * @returns {Function} (row) => mapped record, with `.requiredTargets` and
+ *   `.fields` ({ target, sources, normalize } per entry)
+ */
+function compileMapper(entries) {
+  const compiled = entries.map((e) => ({
+    target: e.target,
+    sources: Array.isArray(e.source) ? e.source : [e.source],
+    normalize: normalizers[e.normalizer],
+    hasDefault: Object.prototype.hasOwnProperty.call(e, "default"),
+    default: e.default,
+  }));
+
+  const mapper = (row) => {
+    const out = {};
+    for (const f of compiled) {
+      let value;
+      for (const col of f.sources) {
+        value = f.normalize(row?.[col]);
+        if (!isEmpty(value)) break;
+      }
+      if (isEmpty(value) && f.hasDefault) value = f.default;
+      out[f.target] = value;
+    }
+    return out;
+  };
+  mapper.fields = compiled.map(({ target, sources, normalize }) => ({
+    target,
+    sources,
+    normalize,
+  }));
+  mapper.requiredTargets = entries
+    .filter((e) => e.required)
+    .map((e) => e.target);
+  return mapper;
+}
+
+let mappers = null;
+
+/**
+ * Get the mapper of an entity, loading and validating the configured
+ * definition on first use.
+ * @param {"accounts"|"affiliates"|"contacts"|"zohoToGalaxy"} entity
+ * @returns {Function|null} (row) => mapped record; null for an optional
+ *   section that is not defined
+ */
+function getMapper(entity) {
+  if (!mappers) {
+    const doc = loadFieldMappings(cfg.fieldMappingFile);
+    mappers = {};
+    for (const name of [...ENTITY_SECTIONS, ...OPTIONAL_SECTIONS]) {
+      mappers[name] = doc[name] ? compileMapper(doc[name]) : null;
+    }
+  }
+  return mappers[entity] ?? null;
+}
+
+/**
+ * @param {Function} mapper - Mapper from getMapper()
+ * @param {Object} record - Mapped record
+ * @returns {string[]} Required targets that have no value
+ */
+function missingRequired(mapper, record) {
+  return mapper.requiredTargets.filter((t) => isEmpty(record?.[t]));
+}
+
+/**
+ * Remove internal helper fields ("__" prefix) before sending to Zoho
+ * @param {Object} record - Mapped record (modified in place)
+ * @returns {Object} The same record
+ */
+function stripInternal(record) {
+  for (const k of Object.keys(record)) {
+    if (k.startsWith("__")) delete record[k];
+  }
+  return record;
+}
+
+module.exports = {
+  loadFieldMappings,
+  compileMapper,
+  getMapper,
+  missingRequired,
+  stripInternal,
+};
@@ -0,0 +1,221 @@
+/**
+ * Dead-Letter Replay Entry Point
+ * Retries rows queued in the dead-letter store (see utils/deadLetterStore.js).
+ * Each pending row is re-mapped from its original Galaxy record with the
+ * current mappers and upserted again:
+ *  - success → item moves to "resolved"
+ *  - failure → attempt count is bumped; at DLQ_MAX_ATTEMPTS it becomes "poison"
+ *  - transient failure (HTTP 429/5xx, an expired token) → stays pending
+ *    with its attempt count unchanged, to be retried by the next replay
+ * Poison items are never retried automatically; fix the record and let the
+ * next sync pick it up, or reset its status by hand.
+ * The replay holds the sync lock (utils/runLock.js): the sync rewrites the
+ * same dead-letter document, so a replay started while a sync runs fails
+ * with stage "lock" instead of overwriting the sync's changes.
+ *
+ * Deploy as a separate Catalyst job, or run locally with `npm run replay`.
+ */
+
+// Run directly: load `.env` before config.js reads the environment
+if (require.main === module) require("dotenv").config({ quiet: true });
+
+const crypto = require("crypto");
+const catalyst = require("zcatalyst-sdk-node");
+const cfg = require("./config");
+const { ENTITIES } = require("./utils/checkpointStore");
+const { createStateBackend } = require("./utils/stateBackend");
+const { createSyncLock } = require("./utils/runLock");
+const { DeadLetterStore, STATUS } = require("./utils/deadLetterStore");
+const { getZohoStats, resetZohoStats } = require("./api/zohoClient");
+const { configureZohoTokenStore } = require("./auth/zohoAuth");
+const { upsertAccounts } = require("./accounts/pushAccountsZoho.js");
+const { upsertAffiliates } = require("./accounts/pushAffiliatesZoho.js");
+const { upsertContacts } = require("./contacts/pushContactsZoho.js");
+const { createLogger, withCorrelationId } = require("./utils/logger");
+
+const log = createLogger("DLQ REPLAY");
+
+/**
+ * Re-send the Galaxy source records of one entity through its upsert.
+ * Customer rows keep the Affiliate_To link they were originally sent with.
+ * @param {string} entity - One of ENTITIES.
+ * @param {Array<Object>} items - Pending dead-letter items of that entity.
+ * @returns {Promise<{outcomes:Array<Object>, failures:Array<Object>}>}
+ */
+async function upsertEntity(entity, items) {
+  const sources = items.map((it) => it.source);
+
+  if (entity === ENTITIES.CUSTOMERS) {
+    const affiliateIdByCustomerRevNum = new Map();
+    for (const it of items) {
+      const affId = it.payload?.Affiliate_To?.id;
+      if (affId && it.payload?.Rev_Number) {
+        affiliateIdByCustomerRevNum.set(it.payload.Rev_Number, affId);
+      }
+    }
+    return upsertAccounts(sources, {
+      debug: cfg.IS_DEBUG,
+      affiliateIdByCustomerRevNum,
+    });
+  }
+  if (entity === ENTITIES.AFFILIATES) {
+    return upsertAffiliates(sources, { debug: cfg.IS_DEBUG });
+  }
+  if (entity === ENTITIES.CONTACTS) {
+    return upsertContacts(sources, { debug: cfg.IS_DEBUG });
+  }
+  throw new Error(`Unknown dead-letter entity "${entity}"`);
+}
+
+/**
+ * Replay pending dead-letter items.
+ * @param {{ catalystApp?: Object, entity?: string, lock?: RunLock }} [options]
+ *   - catalystApp: initialized Catalyst app, required for STATE_BACKEND=catalyst
+ *     and ZOHO_TOKEN_STORE=catalyst-cache.
+ *   - entity: only replay items of this entity.
+ *   - lock: sync lock held while replaying (default createSyncLock()).
+ * @returns {Promise<Object>} Replay summary, or stage "lock" while a sync runs.
+ */
+async function replayDeadLetters({
+  catalystApp,
+  entity,
+  lock = createSyncLock(),
+} = {}) {
+  cfg.validateConfig();
+  if (!lock.acquire()) {
+    const { pid, host } = lock.read() || {};
+    log.warn(`Sync running (lock ${lock.path} held by pid ${pid} on ${host}).`);
+    return {
+      ok: false,
+      stage: "lock",
+      error: `Sync running: ${lock.path} is held by pid ${pid} on ${host}`,
+    };
+  }
+  try {
+    return await replayLocked({ catalystApp, entity });
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * replayDeadLetters() body, run while the sync lock is held
+ * @private
+ */
+async function replayLocked({ catalystApp, entity }) {
+  log.info("Start", new Date().toISOString());
+  resetZohoStats();
+  configureZohoTokenStore({ catalystApp });
+
+  const deadLetters = await new DeadLetterStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.deadLetterFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "dead_letters",
+    }),
+    { maxAttempts: cfg.dlqMaxAttempts }
+  ).load();
+
+  const pending = deadLetters
+    .list({ entity, status: STATUS.PENDING })
+    .filter((it) => it.source);
+  log.info(`${pending.length} pending item(s).`);
+
+  const byEntity = new Map();
+  for (const it of pending) {
+    if (!byEntity.has(it.entity)) byEntity.set(it.entity, []);
+    byEntity.get(it.entity).push(it);
+  }
+
+  let resolved = 0;
+  let failed = 0;
+  for (const [ent, items] of byEntity) {
+    const { outcomes = [], failures = [] } = await upsertEntity(ent, items);
+
+    resolved += deadLetters.resolve(
+      ent,
+      outcomes.filter((o) => o.ok && !o.dropped && o.key).map((o) => o.key)
+    );
+
+    // Rows the current mapper drops can never be sent; count them as failed
+    // attempts so they end up as poison instead of being retried forever.
+    const dropped = outcomes
+      .filter((o) => o.dropped && o.key)
+      .map((o) => {
+        const it = items.find((x) => x.key === o.key);
+        return {
+          key: o.key,
+          rev: o.rev,
+          source: it?.source,
+          payload: it?.payload,
+          error: {
+            code: "DROPPED",
+            message: "Record no longer maps to a valid Zoho payload",
+            details: null,
+          },
+        };
+      });
+    failed += deadLetters.recordFailures(ent, [...failures, ...dropped]);
+    log.info(
+      `${ent}: ${items.length} replayed, ${
+        failures.length + dropped.length
+      } still failing.`
+    );
+  }
+
+  const prunedResolved = deadLetters.pruneResolved(
+    30 * 24 * 60 * 60 * 1000 // keep resolved items for 30 days
+  );
+  await deadLetters.save();
+
+  const counts = deadLetters.counts();
+  log.info(`Done → resolved: ${resolved}, failed: ${failed}, queue:`, counts);
+  return {
+    ok: true,
+    attempted: pending.length,
+    resolved,
+    failed,
+    prunedResolved,
+    deadLetters: counts,
+    zoho: getZohoStats(),
+  };
+}
+
+module.exports = async (params, context) => {
+  try {
+    const catalystApp =
+      cfg.stateBackend === "catalyst" ||
+      cfg.zoho.tokenStore === "catalyst-cache"
+        ? catalyst.initialize(context)
+        : null;
+    const result = await withCorrelationId(crypto.randomUUID(), () =>
+      replayDeadLetters({ catalystApp })
+    );
+    if (result.ok) context.closeWithSuccess();
+    else context.closeWithFailure();
+    return result;
+  } catch (error) {
+    log.error("Fatal error:", error.message);
+    context.closeWithFailure();
+    return { ok: false, stage: "fatal", error: error.message };
+  }
+};
+module.exports.replayDeadLetters = replayDeadLetters;
+
+if (require.main === module) {
+  withCorrelationId(crypto.randomUUID(), () => replayDeadLetters()).then(
+    (result) => {
+      log.info("Result:", result);
+      if (!result.ok) {
+        log.error(result.error);
+        process.exitCode = 1;
+      }
+    },
+    (error) => {
+      log.error("Fatal error:", error.message);
+      process.exitCode = 1;
+    }
+  );
+}
@@ -0,0 +1,386 @@
+/**
+ * Reverse Sync Entry Point (Zoho → Galaxy)
+ * Writes selected Zoho Account edits (phones, addresses, ...) back to Galaxy,
+ * so the next Galaxy revision does not overwrite fixes made by sales reps.
+ *
+ *  - Polls Accounts modified in Zoho since the "zoho_accounts" checkpoint
+ *    (Modified_Time), ignoring edits made by the integration user
+ *  - Only fields in the "zohoToGalaxy" section of the field mapping are
+ *    written, to the Galaxy columns given there; empty Zoho values never
+ *    clear Galaxy data
+ *  - A conflict is a field that differs while its Galaxy column changed
+ *    since it was last synced into Zoho: the forward sync keeps the values
+ *    it upserted with the payload hashes (utils/payloadHashStore.js). For
+ *    records without them it falls back to Galaxy having a newer revision
+ *    than Rev_Number, which also moves for unmapped columns. It is
+ *    resolved by REVERSE_CONFLICT_POLICY and appended to REVERSE_CONFLICT_LOG:
+ *      galaxy-wins: keep Galaxy; the next forward sync overwrites Zoho
+ *      zoho-wins:   write the Zoho value to Galaxy
+ *      newest-wins: compare Zoho Modified_Time with GLX_MODIFIED_FIELD
+ *                   (Galaxy wins when its time is unknown)
+ *  - The first run only seeds the checkpoint to "now"
+ *
+ * Deploy as a separate Catalyst job, or run locally with `npm run reverse-sync`.
+ */
+
+// Run directly: load `.env` before config.js reads the environment
+if (require.main === module) require("dotenv").config({ quiet: true });
+
+const crypto = require("crypto");
+const catalyst = require("zcatalyst-sdk-node");
+const cfg = require("./config");
+const { authenticate } = require("./auth/auth.js");
+const { createApiClient } = require("./api/apiClient");
+const { getZohoStats, resetZohoStats } = require("./api/zohoClient");
+const { configureZohoTokenStore } = require("./auth/zohoAuth");
+const SessionStore = require("./utils/sessionStore");
+const {
+  CheckpointStore,
+  ContiguousWatermark,
+  ENTITIES,
+} = require("./utils/checkpointStore");
+const { createStateBackend } = require("./utils/stateBackend");
+const PayloadHashStore = require("./utils/payloadHashStore");
+const ConflictLog = require("./utils/conflictLog");
+const { normId, num } = require("./utils/normalize");
+const { getMapper } = require("./mappings/fieldMapper");
+const {
+  getZohoCurrentUserId,
+  fetchModifiedZohoAccounts,
+} = require("./accounts/fetchAccountsZoho.js");
+const {
+  fetchGalaxyCustomer,
+  updateGalaxyCustomer,
+} = require("./accounts/pushAccountsGlx.js");
+const { createLogger, withCorrelationId } = require("./utils/logger");
+
+const log = createLogger("ZOHO->GLX");
+const authLog = createLogger("AUTH");
+
+const isEmpty = (v) => v === undefined || v === null || v === "";
+
+/**
+ * Parse a Galaxy date value: ISO strings or ServiceStack "/Date(ms+zone)/"
+ * @param {any} v
+ * @returns {number|null} Epoch ms
+ */
+function parseGalaxyDate(v) {
+  if (isEmpty(v)) return null;
+  const m = /\/Date\((-?\d+)/.exec(String(v));
+  const t = m ? Number(m[1]) : Date.parse(v);
+  return Number.isFinite(t) ? t : null;
+}
+
+/**
+ * Decide who wins a field conflict under the configured policy
+ * @param {string} policy - galaxy-wins | zoho-wins | newest-wins
+ * @param {number} zohoMs - Zoho Modified_Time
+ * @param {number|null} galaxyMs - Galaxy modification time, if known
+ * @returns {"zoho"|"galaxy"}
+ */
+function resolveConflict(policy, zohoMs, galaxyMs) {
+  if (policy === "zoho-wins") return "zoho";
+  if (policy === "newest-wins") {
+    return galaxyMs !== null && zohoMs > galaxyMs ? "zoho" : "galaxy";
+  }
+  return "galaxy";
+}
+
+/**
+ * Write one modified Zoho Account back to Galaxy.
+ * @param {AxiosInstance} api - Galaxy API client.
+ * @param {Object} rec - Zoho Account from fetchModifiedZohoAccounts().
+ * @param {Object} ctx
+ * @param {Function} ctx.mapper - Compiled zohoToGalaxy mapper.
+ * @param {ConflictLog} ctx.conflictLog
+ * @param {PayloadHashStore} [ctx.hashes] - Values last synced into Zoho.
+ * @param {boolean} ctx.dryRun - Log would-be writes instead of sending them.
+ * @param {Function} ctx.onUnauthorized - Galaxy re-auth hook.
+ * @returns {Promise<{ ok:boolean, status:string, columns?:string[], conflicts:number, error?:string }>}
+ *   status: updated | unchanged | not-found | failed
+ */
+async function reverseOne(
+  api,
+  rec,
+  { mapper, conflictLog, hashes, dryRun, onUnauthorized }
+) {
+  const traderId = normId(rec.Trader_ID);
+  let gx;
+  try {
+    gx = await fetchGalaxyCustomer(api, traderId, { onUnauthorized });
+  } catch (err) {
+    return { ok: false, status: "failed", conflicts: 0, error: err.message };
+  }
+  if (!gx) {
+    // Affiliates and deleted traders may not exist in the customer view
+    return { ok: true, status: "not-found", conflicts: 0 };
+  }
+
+  const zohoValues = mapper(rec);
+  // Galaxy column values as last synced into Zoho, when the forward sync
+  // kept them; else Galaxy changed if its revision moved past Rev_Number
+  const synced = hashes?.get(traderId)?.values;
+  const syncedValues = synced ? mapper(synced) : null;
+  const revChanged =
+    (num(gx.THIRDPARTYREVNUM) || 0) > (num(rec.Rev_Number) || 0);
+  const galaxyMs = parseGalaxyDate(gx[cfg.galaxyModifiedField]);
+
+  const changes = {};
+  let conflicts = 0;
+  for (const { target: column, sources, normalize } of mapper.fields) {
+    const zohoValue = zohoValues[column];
+    const galaxyValue = normalize(gx[column]);
+    if (isEmpty(zohoValue) || String(zohoValue) === String(galaxyValue ?? "")) {
+      continue;
+    }
+    // Galaxy changed since it last reached Zoho → both sides edited
+    const galaxyChanged = syncedValues
+      ? String(syncedValues[column] ?? "") !== String(galaxyValue ?? "")
+      : revChanged;
+    if (!galaxyChanged) {
+      changes[column] = zohoValue;
+      continue;
+    }
+
+    const winner = resolveConflict(
+      cfg.reverseConflictPolicy,
+      rec.modifiedMs,
+      galaxyMs
+    );
+    conflicts++;
+    conflictLog.record({
+      Trader_ID: traderId,
+      zohoId: rec.id,
+      field: sources.join("|"),
+      column,
+      zohoValue,
+      galaxyValue: galaxyValue ?? null,
+      syncedValue: syncedValues ? syncedValues[column] ?? null : undefined,
+      zohoModifiedTime: rec.Modified_Time,
+      galaxyModifiedTime: galaxyMs ? new Date(galaxyMs).toISOString() : null,
+      zohoRev: num(rec.Rev_Number) ?? null,
+      galaxyRev: num(gx.THIRDPARTYREVNUM) ?? null,
+      policy: cfg.reverseConflictPolicy,
+      winner,
+      dryRun: dryRun || undefined,
+    });
+    if (winner === "zoho") changes[column] = zohoValue;
+  }
+
+  const columns = Object.keys(changes);
+  if (!columns.length) return { ok: true, status: "unchanged", conflicts };
+
+  if (dryRun) {
+    log.info(`Dry run: would update ${traderId}:`, JSON.stringify(changes));
+    return { ok: true, status: "updated", columns, conflicts };
+  }
+
+  const res = await updateGalaxyCustomer(api, traderId, changes, {
+    onUnauthorized,
+  });
+  return res.ok
+    ? { ok: true, status: "updated", columns, conflicts }
+    : {
+        ok: false,
+        status: "failed",
+        conflicts,
+        error: `HTTP ${res.status}`,
+      };
+}
+
+/**
+ * Run the Zoho → Galaxy sync once.
+ * @param {{ catalystApp?: Object, dryRun?: boolean }} [options]
+ *   - catalystApp: initialized Catalyst app, required for STATE_BACKEND=catalyst
+ *     and ZOHO_TOKEN_STORE=catalyst-cache.
+ *   - dryRun: detect changes and conflicts but do not write to Galaxy or move
+ *     the checkpoint.
+ * @returns {Promise<Object>} Run summary.
+ */
+async function runReverseSync({ catalystApp, dryRun = cfg.dryRun } = {}) {
+  cfg.validateConfig();
+  log.info("Start", new Date().toISOString());
+  resetZohoStats();
+  configureZohoTokenStore({ catalystApp });
+
+  const mapper = getMapper("zohoToGalaxy");
+  if (!mapper) {
+    log.info("No zohoToGalaxy section in the field mapping; nothing to do.");
+    return { ok: true, skipped: "no zohoToGalaxy mapping" };
+  }
+
+  const checkpoints = await new CheckpointStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.checkpointFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "checkpoints",
+    })
+  ).load();
+
+  // First run: start from now instead of replaying the whole Zoho history
+  if (!checkpoints.has(ENTITIES.ZOHO_ACCOUNTS)) {
+    const now = Date.now();
+    if (!dryRun) await checkpoints.advance(ENTITIES.ZOHO_ACCOUNTS, now);
+    log.info(`No checkpoint yet. Seeded at ${new Date(now).toISOString()}.`);
+    return { ok: true, seeded: true, checkpoint: now, zoho: getZohoStats() };
+  }
+  const sinceMs = checkpoints.get(ENTITIES.ZOHO_ACCOUNTS);
+  // Read only: the forward sync owns this document
+  const hashes = await new PayloadHashStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.payloadHashFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "payload_hashes",
+    })
+  ).load();
+
+  const excludeUserId =
+    cfg.zoho.integrationUserId || (await getZohoCurrentUserId());
+  if (!excludeUserId) {
+    // Without it the sync would echo its own Zoho writes back to Galaxy
+    log.error("Could not resolve the integration user.");
+    return {
+      ok: false,
+      stage: "zoho:user",
+      error: "Set ZOHO_INTEGRATION_USER_ID",
+      zoho: getZohoStats(),
+    };
+  }
+
+  const sessionStore = new SessionStore(cfg.sessionFile);
+  if (cfg.ssPid && !sessionStore.getSsPid()) {
+    sessionStore.setAll({ ssPid: cfg.ssPid });
+  }
+  const api = createApiClient(() => sessionStore.getSessionId());
+  async function doAuthAndPersist() {
+    const { sessionId, ssPid } = await authenticate(sessionStore.getSsPid());
+    sessionStore.setAll({ sessionId, ssPid });
+    authLog.info("Stored sessionId" + (ssPid ? " and ssPid" : "") + ".");
+  }
+  if (!sessionStore.getSessionId()) await doAuthAndPersist();
+
+  const conflictLog = new ConflictLog(cfg.reverseConflictLog);
+  const mark = new ContiguousWatermark(sinceMs);
+  const fields = Array.from(new Set(mapper.fields.flatMap((f) => f.sources)));
+  const totals = {
+    scanned: 0,
+    skipped: 0,
+    updated: 0,
+    unchanged: 0,
+    notFound: 0,
+    failed: 0,
+    conflicts: 0,
+  };
+  const failures = [];
+
+  try {
+    for await (const { records, skippedTimes } of fetchModifiedZohoAccounts({
+      sinceMs,
+      fields,
+      excludeUserId,
+    })) {
+      const outcomes = skippedTimes.map((rev) => ({ rev, ok: true }));
+      totals.scanned += records.length + skippedTimes.length;
+      totals.skipped += skippedTimes.length;
+
+      for (const rec of records) {
+        const r = await reverseOne(api, rec, {
+          mapper,
+          conflictLog,
+          hashes,
+          dryRun,
+          onUnauthorized: doAuthAndPersist,
+        });
+        outcomes.push({ rev: rec.modifiedMs, ok: r.ok });
+        totals.conflicts += r.conflicts;
+        if (r.status === "updated") totals.updated++;
+        else if (r.status === "unchanged") totals.unchanged++;
+        else if (r.status === "not-found") totals.notFound++;
+        else {
+          totals.failed++;
+          if (failures.length < 20) {
+            failures.push({ Trader_ID: rec.Trader_ID, error: r.error });
+          }
+        }
+      }
+
+      // A failed write holds the checkpoint, so the record is retried
+      const next = mark.record(outcomes);
+      if (!dryRun) await checkpoints.advance(ENTITIES.ZOHO_ACCOUNTS, next);
+    }
+  } catch (err) {
+    if (!err?.stage) throw err;
+    log.error(`Failed at stage ${err.stage}:`, err.message);
+    return {
+      ok: false,
+      stage: err.stage,
+      error: err.message,
+      ...totals,
+      checkpoint: checkpoints.get(ENTITIES.ZOHO_ACCOUNTS),
+      zoho: getZohoStats(),
+    };
+  }
+
+  if (mark.blocked) {
+    log.warn(
+      `Checkpoint held at ${new Date(
+        mark.value
+      ).toISOString()} (failed record modified at ${new Date(
+        mark.blockedAt
+      ).toISOString()}).`
+    );
+  }
+  log.info("Done →", totals);
+  return {
+    ok: true,
+    ...(dryRun ? { dryRun: true } : {}),
+    policy: cfg.reverseConflictPolicy,
+    ...totals,
+    ...(failures.length ? { failures } : {}),
+    ...(totals.conflicts ? { conflictLog: cfg.reverseConflictLog } : {}),
+    checkpoint: checkpoints.get(ENTITIES.ZOHO_ACCOUNTS),
+    zoho: getZohoStats(),
+  };
+}
+
+module.exports = async (params, context) => {
+  try {
+    const catalystApp =
+      cfg.stateBackend === "catalyst" ||
+      cfg.zoho.tokenStore === "catalyst-cache"
+        ? catalyst.initialize(context)
+        : null;
+    const dryRunParam = params?.getJobParam?.("dryRun");
+    const dryRun =
+      dryRunParam === undefined
+        ? cfg.dryRun
+        : ["1", "true"].includes(String(dryRunParam).toLowerCase());
+    const result = await withCorrelationId(crypto.randomUUID(), () =>
+      runReverseSync({ catalystApp, dryRun })
+    );
+    if (result.ok) context.closeWithSuccess();
+    else context.closeWithFailure();
+    return result;
+  } catch (error) {
+    log.error("Fatal error:", error.message);
+    context.closeWithFailure();
+    return { ok: false, stage: "fatal", error: error.message };
+  }
+};
+module.exports.runReverseSync = runReverseSync;
+
+if (require.main === module) {
+  withCorrelationId(crypto.randomUUID(), () => runReverseSync()).then(
+    (result) => {
+      log.info("Result:", result);
+    },
+    (error) => {
+      log.error("Fatal error:", error.message);
+      process.exitCode = 1;
+    }
+  );
+}
@@ -0,0 +1,81 @@
+// src/utils/accountIdStore.js
+
+/**
+ * AccountIdStore Module
+ * ---------------------
+ * Local cache of Zoho Account record ids by Trader_ID, so links to Accounts
+ * synced in earlier runs (Affiliate_To, a contact's parent Account) resolve
+ * without a Zoho lookup.
+ * Uses the same pluggable state backend as the checkpoint store.
+ *
+ * Each item holds:
+ *  - id: the Zoho Account record id
+ *  - at: when it was last confirmed (upsert result or Zoho lookup)
+ */
+
+/**
+ * AccountIdStore class
+ */
+class AccountIdStore {
+  /**
+   * Constructor
+   * @param {{ load: Function, save: Function }} backend - State backend
+   * @param {{ maxAgeMs?: number }} [options]
+   *   - maxAgeMs: older entries are looked up in Zoho again, in case the
+   *     record was merged or deleted there (default 24 h)
+   */
+  constructor(backend, { maxAgeMs = 24 * 60 * 60 * 1000 } = {}) {
+    this.backend = backend;
+    this.maxAgeMs = maxAgeMs;
+    this.items = {};
+    this.dirty = false;
+  }
+
+  /**
+   * Load items from the backend
+   * @returns {Promise<AccountIdStore>} this
+   */
+  async load() {
+    const doc = await this.backend.load();
+    this.items = doc?.items && typeof doc.items === "object" ? doc.items : {};
+    this.dirty = false;
+    return this;
+  }
+
+  /** Persist items if anything changed since the last load/save */
+  async save() {
+    if (!this.dirty) return;
+    await this.backend.save({ items: this.items });
+    this.dirty = false;
+  }
+
+  /**
+   * @param {string} traderId
+   * @returns {string|undefined} The cached id, unless missing or too old
+   */
+  get(traderId) {
+    const item = this.items[traderId];
+    if (!item?.id) return undefined;
+    const age = Date.now() - Date.parse(item.at);
+    return age <= this.maxAgeMs ? item.id : undefined;
+  }
+
+  /**
+   * Remember a confirmed id (not persisted until save()). Dry-run
+   * placeholders are ignored.
+   * @param {string} traderId
+   * @param {string} id - Zoho Account record id
+   */
+  set(traderId, id) {
+    if (!traderId || !id || String(id).startsWith("dry-run:")) return;
+    this.items[traderId] = { id: String(id), at: new Date().toISOString() };
+    this.dirty = true;
+  }
+
+  /** @returns {number} Number of cached ids */
+  get size() {
+    return Object.keys(this.items).length;
+  }
+}
+
+module.exports = AccountIdStore;
@@ -0,0 +1,148 @@
+// src/utils/checkpointStore.js
+
+/**
+ * CheckpointStore Module
+ * ----------------------
+ * Persists one revision watermark per synced entity (customers, affiliates,
+ * contacts, and zoho_accounts for the reverse sync, where the "revision" is
+ * the Zoho Modified_Time in epoch ms) through a pluggable state backend
+ * (file or Catalyst Data Store).
+ * Features:
+ *  - Separate watermark per entity
+ *  - Watermarks only ever move forward
+ *  - advance() re-reads the stored document and writes back only its own
+ *    entity, so the forward and reverse syncs (separate jobs, no shared
+ *    lock) do not overwrite each other's watermarks
+ *  - ContiguousWatermark helper that advances only past revisions whose
+ *    records all succeeded, so a failed record is retried on the next run
+ */
+
+/**
+ * Entities tracked by the checkpoint store
+ */
+const ENTITIES = Object.freeze({
+  CUSTOMERS: "customers",
+  AFFILIATES: "affiliates",
+  CONTACTS: "contacts",
+  ZOHO_ACCOUNTS: "zoho_accounts",
+  // Not an entity: time (epoch ms) of the last full-key deactivation scan
+  DEACTIVATION_SCAN: "deactivation_scan",
+});
+
+/**
+ * CheckpointStore class
+ */
+class CheckpointStore {
+  /**
+   * Constructor
+   * @param {{ load: Function, save: Function }} backend - State backend
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.data = {};
+  }
+
+  /**
+   * Load checkpoints from the backend
+   * @returns {Promise<CheckpointStore>} this
+   */
+  async load() {
+    const doc = await this.backend.load();
+    this.data = doc && typeof doc === "object" ? doc : {};
+    return this;
+  }
+
+  /**
+   * @param {string} entity
+   * @returns {boolean} Whether a watermark was ever stored for entity
+   */
+  has(entity) {
+    return Number.isFinite(this.data[entity]?.rev);
+  }
+
+  /**
+   * @param {string} entity
+   * @returns {number} Stored watermark for entity (0 if none)
+   */
+  get(entity) {
+    return this.has(entity) ? this.data[entity].rev : 0;
+  }
+
+  /**
+   * Move an entity's watermark forward and persist. Lower or equal values
+   * are ignored so a watermark never goes backwards. The stored document is
+   * reloaded first and only this entity is replaced, keeping watermarks
+   * other processes advanced since load().
+   * @param {string} entity
+   * @param {number} rev
+   * @returns {Promise<boolean>} True if the watermark changed
+   */
+  async advance(entity, rev) {
+    if (!Number.isFinite(rev)) return false;
+    if (this.has(entity) && rev <= this.get(entity)) return false;
+    const doc = await this.backend.load();
+    const latest = doc && typeof doc === "object" ? doc : {};
+    const stored = latest[entity]?.rev;
+    if (Number.isFinite(stored) && rev <= stored) {
+      this.data = { ...latest };
+      return false;
+    }
+    this.data = {
+      ...latest,
+      [entity]: { rev, updatedAt: new Date().toISOString() },
+    };
+    await this.backend.save(this.data);
+    return true;
+  }
+
+  /** @returns {Object} Snapshot of all checkpoints */
+  toJSON() {
+    return JSON.parse(JSON.stringify(this.data));
+  }
+}
+
+/**
+ * Tracks the highest contiguously successful revision of one entity during
+ * a run. Outcomes must be recorded in the order records were fetched
+ * (ascending revision); once a record fails, the watermark stops at the
+ * revision just before it for the rest of the run.
+ */
+class ContiguousWatermark {
+  /**
+   * @param {number} start - Watermark at the start of the run
+   */
+  constructor(start) {
+    this.value = start;
+    this.blockedAt = null;
+  }
+
+  /** @returns {boolean} Whether a failure has frozen the watermark */
+  get blocked() {
+    return this.blockedAt !== null;
+  }
+
+  /**
+   * Record per-record outcomes of one processed chunk
+   * @param {Array<{rev:number, ok:boolean}>} outcomes
+   * @returns {number} The watermark after this chunk
+   */
+  record(outcomes) {
+    // Failures sort before successes on the same revision, so a revision is
+    // only passed when every record carrying it succeeded.
+    const sorted = (outcomes || [])
+      .filter((o) => Number.isFinite(o?.rev))
+      .sort((a, b) => a.rev - b.rev || Number(a.ok) - Number(b.ok));
+
+    for (const { rev, ok } of sorted) {
+      if (this.blocked) break;
+      if (!ok) {
+        this.blockedAt = rev;
+        break;
+      }
+      if (rev > this.value) this.value = rev;
+    }
+    return this.value;
+  }
+}
+
+module.exports = { CheckpointStore, ContiguousWatermark, ENTITIES };
@@ -0,0 +1,47 @@
+// src/utils/conflictLog.js
+
+/**
+ * ConflictLog Module
+ * ------------------
+ * Appends reverse-sync conflicts (a field edited in Zoho while Galaxy also
+ * changed the record) to an NDJSON file, one JSON object per line:
+ *  - at: when the conflict was detected
+ *  - Trader_ID, zohoId: the record
+ *  - field / column: Zoho field and Galaxy column
+ *  - zohoValue / galaxyValue: the competing values
+ *  - syncedValue: the Galaxy value last synced into Zoho, when known
+ *  - zohoModifiedTime / galaxyModifiedTime: edit times, when known
+ *  - policy: conflict policy in force
+ *  - winner: "zoho" (written to Galaxy) or "galaxy" (Zoho edit discarded)
+ */
+
+const fs = require("fs");
+
+/**
+ * ConflictLog class
+ */
+class ConflictLog {
+  /**
+   * Constructor
+   * @param {string} path - Path to NDJSON log file (appended to)
+   */
+  constructor(path) {
+    this.path = path;
+    this.count = 0;
+  }
+
+  /**
+   * Append one conflict
+   * @param {Object} conflict - See module header for fields
+   */
+  record(conflict) {
+    this.count++;
+    fs.appendFileSync(
+      this.path,
+      JSON.stringify({ at: new Date().toISOString(), ...conflict }) + "\n",
+      "utf-8"
+    );
+  }
+}
+
+module.exports = ConflictLog;
@@ -0,0 +1,105 @@
+// src/utils/deactivationStore.js
+
+/**
+ * DeactivationStore Module
+ * ------------------------
+ * Log of Zoho Accounts deactivated because their Galaxy trader became
+ * inactive or was deleted. Uses the same pluggable state backend as the
+ * checkpoint store (file or Catalyst Data Store).
+ *
+ * Each item is keyed by Trader_ID and holds:
+ *  - zohoId: the deactivated Zoho Account
+ *  - reason: "inactive" | "deleted"
+ *  - deactivatedAt: when the deactivation was applied
+ *
+ * Items are removed when the trader shows up active in Galaxy again, so a
+ * later deactivation is applied (and logged) anew.
+ */
+
+const { createLogger } = require("./logger");
+
+const log = createLogger("DEACTIVATE");
+
+/**
+ * DeactivationStore class
+ */
+class DeactivationStore {
+  /**
+   * Constructor
+   * @param {{ load: Function, save: Function }} backend - State backend
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.items = {};
+  }
+
+  /**
+   * Load items from the backend
+   * @returns {Promise<DeactivationStore>} this
+   */
+  async load() {
+    const doc = await this.backend.load();
+    this.items = doc?.items && typeof doc.items === "object" ? doc.items : {};
+    return this;
+  }
+
+  /** Persist all items */
+  async save() {
+    await this.backend.save({ items: this.items });
+  }
+
+  /**
+   * @param {string} traderId
+   * @returns {boolean} Whether the trader's Account is already deactivated
+   */
+  has(traderId) {
+    return Boolean(this.items[traderId]);
+  }
+
+  /**
+   * Log applied deactivations (not persisted until save())
+   * @param {Array<{id:string, Trader_ID:string, reason:string}>} entries
+   * @returns {number} Number of entries recorded
+   */
+  record(entries) {
+    const now = new Date().toISOString();
+    let recorded = 0;
+    for (const e of entries || []) {
+      if (!e?.Trader_ID) continue;
+      this.items[e.Trader_ID] = {
+        Trader_ID: e.Trader_ID,
+        zohoId: e.id,
+        reason: e.reason,
+        deactivatedAt: now,
+      };
+      log.info(`${e.Trader_ID} (Zoho ${e.id}) deactivated: ${e.reason}.`);
+      recorded++;
+    }
+    return recorded;
+  }
+
+  /**
+   * Forget traders that are active in Galaxy again (not persisted until save())
+   * @param {string[]} traderIds
+   * @returns {number} Number of items removed
+   */
+  forget(traderIds) {
+    let removed = 0;
+    for (const t of traderIds || []) {
+      if (!this.items[t]) continue;
+      log.warn(
+        `${t} is active in Galaxy again; Zoho Account ${this.items[t].zohoId} was not reactivated automatically.`
+      );
+      delete this.items[t];
+      removed++;
+    }
+    return removed;
+  }
+
+  /** @returns {number} Number of deactivated Accounts */
+  count() {
+    return Object.keys(this.items).length;
+  }
+}
+
+module.exports = DeactivationStore;
@@ -0,0 +1,181 @@
+// src/utils/deadLetterStore.js
+
+/**
+ * DeadLetterStore Module
+ * ----------------------
+ * Persists Zoho upsert rows that failed, so they can be inspected and
+ * replayed instead of being lost after the run. Uses the same pluggable
+ * state backend as the checkpoint store (file or Catalyst Data Store).
+ *
+ * Each item is keyed by entity + record key (Trader_ID / Galaxy_Person_ID)
+ * and holds:
+ *  - source: the original Galaxy record
+ *  - payload: the mapped Zoho payload that was sent
+ *  - error: the last Zoho error { code, message, details }
+ *  - attempts: number of permanent failures so far (rejected rows, 4xx);
+ *    transient ones (HTTP 429/5xx, an expired token) are not counted, so an
+ *    outage never turns good records into poison
+ *  - transient: whether the last failure was transient
+ *  - status: "pending" | "resolved" | "poison"
+ */
+
+const STATUS = Object.freeze({
+  PENDING: "pending",
+  RESOLVED: "resolved",
+  POISON: "poison",
+});
+
+/**
+ * A failure flagged `transient` (its whole batch failed) is not counted as
+ * an attempt unless Zoho rejected the batch itself (HTTP 4xx other than
+ * 401, 408 and 429)
+ * @param {{ transient?: boolean, error?: { code?: string } }} f
+ * @returns {boolean}
+ */
+function isTransientFailure(f) {
+  if (!f?.transient) return false;
+  const m = /^HTTP_(\d{3})$/.exec(String(f.error?.code || ""));
+  const status = m ? Number(m[1]) : 0;
+  return !(status >= 400 && status < 500 && ![401, 408, 429].includes(status));
+}
+
+/**
+ * DeadLetterStore class
+ */
+class DeadLetterStore {
+  /**
+   * Constructor
+   * @param {{ load: Function, save: Function }} backend - State backend
+   * @param {{ maxAttempts?: number }} [options]
+   *   - maxAttempts: attempts after which an item is marked poison (default 5)
+   */
+  constructor(backend, { maxAttempts = 5 } = {}) {
+    this.backend = backend;
+    this.maxAttempts = maxAttempts;
+    this.items = {};
+  }
+
+  /**
+   * Load items from the backend
+   * @returns {Promise<DeadLetterStore>} this
+   */
+  async load() {
+    const doc = await this.backend.load();
+    this.items = doc?.items && typeof doc.items === "object" ? doc.items : {};
+    return this;
+  }
+
+  /** Persist all items */
+  async save() {
+    await this.backend.save({ items: this.items });
+  }
+
+  /**
+   * @param {string} entity
+   * @param {string} key
+   * @returns {string} Item id
+   */
+  static idFor(entity, key) {
+    return `${entity}:${key}`;
+  }
+
+  /**
+   * Record failed rows of one entity (not persisted until save()).
+   * A permanent failure bumps the attempt count; the row becomes poison once
+   * it reaches maxAttempts. Transient failures only update the error.
+   * @param {string} entity
+   * @param {Array<{key:string, rev?:number, source:Object, payload:Object, error:Object, transient?:boolean}>} failures
+   * @returns {number} Number of rows recorded
+   */
+  recordFailures(entity, failures) {
+    let recorded = 0;
+    const now = new Date().toISOString();
+    for (const f of failures || []) {
+      if (!f?.key) continue;
+      const id = DeadLetterStore.idFor(entity, f.key);
+      const prev = this.items[id];
+      const open = prev && prev.status !== STATUS.RESOLVED;
+      const transient = isTransientFailure(f);
+      const attempts = (open ? prev.attempts : 0) + (transient ? 0 : 1);
+      this.items[id] = {
+        id,
+        entity,
+        key: f.key,
+        rev: f.rev ?? null,
+        source: f.source ?? prev?.source ?? null,
+        payload: f.payload ?? prev?.payload ?? null,
+        error: f.error ?? null,
+        attempts,
+        transient,
+        status: attempts >= this.maxAttempts ? STATUS.POISON : STATUS.PENDING,
+        firstFailedAt: open ? prev.firstFailedAt : now,
+        lastFailedAt: now,
+        resolvedAt: null,
+      };
+      recorded++;
+    }
+    return recorded;
+  }
+
+  /**
+   * Mark queued rows of one entity as resolved (not persisted until save()).
+   * Keys without an open item are ignored.
+   * @param {string} entity
+   * @param {string[]} keys
+   * @returns {number} Number of items resolved
+   */
+  resolve(entity, keys) {
+    let resolved = 0;
+    const now = new Date().toISOString();
+    for (const key of keys || []) {
+      const item = this.items[DeadLetterStore.idFor(entity, key)];
+      if (!item || item.status === STATUS.RESOLVED) continue;
+      item.status = STATUS.RESOLVED;
+      item.resolvedAt = now;
+      resolved++;
+    }
+    return resolved;
+  }
+
+  /**
+   * @param {{ entity?: string, status?: string }} [filter]
+   * @returns {Array<Object>} Matching items
+   */
+  list({ entity, status } = {}) {
+    return Object.values(this.items).filter(
+      (it) =>
+        (!entity || it.entity === entity) && (!status || it.status === status)
+    );
+  }
+
+  /** @returns {{pending:number, resolved:number, poison:number}} Item counts by status */
+  counts() {
+    const out = { pending: 0, resolved: 0, poison: 0 };
+    for (const it of Object.values(this.items)) {
+      out[it.status] = (out[it.status] || 0) + 1;
+    }
+    return out;
+  }
+
+  /**
+   * Drop resolved items older than the given age (not persisted until save()).
+   * @param {number} maxAgeMs
+   * @returns {number} Number of items removed
+   */
+  pruneResolved(maxAgeMs) {
+    let removed = 0;
+    const cutoff = Date.now() - maxAgeMs;
+    for (const [id, it] of Object.entries(this.items)) {
+      if (
+        it.status === STATUS.RESOLVED &&
+        Date.parse(it.resolvedAt || 0) < cutoff
+      ) {
+        delete this.items[id];
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = { DeadLetterStore, STATUS, isTransientFailure };
@@ -0,0 +1,129 @@
+// src/utils/dryRunReport.js
+
+/**
+ * DryRunReport Module
+ * -------------------
+ * Collects what a sync *would* write to Zoho into an NDJSON file, one JSON
+ * object per line. Line types:
+ *  - run: run metadata (first line)
+ *  - batch: one would-be upsert request (module, duplicate check field, records)
+ *  - dropped: a record that would not be sent, with the reason
+ *  - link: a planned Affiliate_To lookup on a customer Account
+ *  - unlink: a customer–affiliate link record that would be ended or deleted
+ *  - deactivation: a Zoho Account that would be deactivated, with the reason
+ *  - summary: the job result (last line)
+ */
+
+const fs = require("fs");
+
+/**
+ * DryRunReport class
+ */
+class DryRunReport {
+  /**
+   * Constructor
+   * @param {string} path - Path to NDJSON report file (truncated on start)
+   */
+  constructor(path) {
+    this.path = path;
+    this.counts = {
+      batches: 0,
+      records: 0,
+      dropped: 0,
+      links: 0,
+      unlinks: 0,
+      deactivations: 0,
+    };
+  }
+
+  /**
+   * Append one line
+   * @private
+   */
+  _write(obj) {
+    fs.appendFileSync(this.path, JSON.stringify(obj) + "\n", "utf-8");
+  }
+
+  /**
+   * Truncate the report and write the run metadata line
+   * @param {Object} meta - Run metadata (e.g. watermarks)
+   */
+  start(meta) {
+    fs.writeFileSync(this.path, "", "utf-8");
+    this._write({ type: "run", at: new Date().toISOString(), ...meta });
+  }
+
+  /**
+   * Record a would-be upsert batch
+   * @param {string} entity - customers | affiliates | affiliateLinks | contacts
+   * @param {{ module:string, duplicateCheckField:string, batch:number, of:number }} info
+   * @param {Array<Object>} records - Exact payload records of the batch
+   */
+  batch(entity, { module, duplicateCheckField, batch, of }, records) {
+    this.counts.batches++;
+    this.counts.records += records.length;
+    this._write({
+      type: "batch",
+      entity,
+      module,
+      duplicate_check_fields: duplicateCheckField,
+      batch,
+      of,
+      size: records.length,
+      data: records,
+    });
+  }
+
+  /**
+   * Record a record that would be dropped before sending
+   * @param {string} entity
+   * @param {string} reason
+   * @param {Object} record - Mapped (or raw) record
+   */
+  dropped(entity, reason, record) {
+    this.counts.dropped++;
+    this._write({ type: "dropped", entity, reason, record });
+  }
+
+  /**
+   * Record a planned lookup link
+   * @param {Object} link - e.g. { Trader_ID, Rev_Number, Affiliate_To }
+   */
+  link(link) {
+    this.counts.links++;
+    this._write({ type: "link", ...link });
+  }
+
+  /**
+   * Record a planned removal of a link record (junction link mode)
+   * @param {Object} entry - e.g. { module, action, id, Link_Key }
+   */
+  unlink(entry) {
+    this.counts.unlinks++;
+    this._write({ type: "unlink", ...entry });
+  }
+
+  /**
+   * Record a planned deactivation
+   * @param {Object} entry - e.g. { id, Trader_ID, reason, fields, tag }
+   */
+  deactivation(entry) {
+    this.counts.deactivations++;
+    this._write({ type: "deactivation", ...entry });
+  }
+
+  /**
+   * Write the closing summary line
+   * @param {Object} summary - Job result
+   */
+  finish(summary) {
+    this._write({
+      type: "summary",
+      at: new Date().toISOString(),
+      report: this.counts,
+      ...summary,
+    });
+  }
+}
+
+module.exports = DryRunReport;
@@ -2,23 +2,224 @@
 /**
  * Filter Utility
  * --------------
- * Constructs raw Galaxy filter strings to be used in API queries.
+ * Builds Galaxy `filters` query values for API queries.
+ * Features:
+ *  - Clauses: where(field, op, ...values) for the Galaxy operators (OPS)
+ *  - and(...): clauses that must all match; nested and() groups are
+ *    flattened, null entries skipped so optional clauses can be written inline
+ *  - or(...): alternatives, nestable in and(); run through
+ *    queryAlternatives(), one query per alternative, rows merged by key
+ *  - Values: numbers bare, strings quoted (quotes, backslashes and brackets
+ *    escaped), dates in the ServiceStack form Galaxy returns them in
+ *    ("/Date(ms)/", UTC), booleans as 1/0
+ *  - withFilters(path, filter): appends the URL-encoded `filters` param
+ *
+ * Syntax: a list of `{FIELD:[...values,Op]}` objects, all of which must
+ * match. Galaxy documents no OR group, so an or() never reaches a filter
+ * string: alternatives() expands it into plain AND lists.
  * Example:
+ *   and(where("THIRDPARTYREVNUM", "Between", 100, 200),
+ *       where("ZH_CUSTOMERS_MEMBER_CARDNO", "IsNotNull"))
+ *   => `[{THIRDPARTYREVNUM:[100,200,Between]},{ZH_CUSTOMERS_MEMBER_CARDNO:[IsNotNull]}]`
  *   buildRawFilter("AFFILIATES_REVNUM", 5339779, "GreaterOrEqual")
  *   => `[{AFFILIATES_REVNUM:[5339779,GreaterOrEqual]}]`
  */
 
 /**
- * Build raw Galaxy filter string
+ * Galaxy operators → number of values they take (-1 = one or more)
+ */
+const OPS = {
+  Equal: 1,
+  NotEqual: 1,
+  Greater: 1,
+  GreaterOrEqual: 1,
+  Less: 1,
+  LessOrEqual: 1,
+  Between: 2,
+  In: -1,
+  Like: 1,
+  IsNull: 0,
+  IsNotNull: 0,
+};
+
+/**
+ * Build one clause
+ * @param {string} field - Galaxy column name
+ * @param {string} op - One of OPS
+ * @param {...(string|number|Date|boolean)} values - In takes one or more
+ *   values (or one array), Between two, IsNull/IsNotNull none
+ * @returns {{ field:string, op:string, values:Array }}
+ * @throws {Error} On an unknown operator, a bad field name or value count
+ */
+function where(field, op, ...values) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(String(field))) {
+    throw new Error(`Invalid filter field "${field}"`);
+  }
+  if (!Object.prototype.hasOwnProperty.call(OPS, op)) {
+    throw new Error(`Unknown filter operator "${op}"`);
+  }
+  const vals = op === "In" ? values.flat() : values;
+  const arity = OPS[op];
+  if (arity === -1 ? !vals.length : vals.length !== arity) {
+    throw new Error(
+      `${op} on ${field} takes ${
+        arity === -1 ? "one or more values" : `${arity} value(s)`
+      }, got ${vals.length}`
+    );
+  }
+  for (const v of vals) formatValue(v); // fail here, not at build time
+  return { field, op, values: vals };
+}
+
+/**
+ * @param {Array} nodes - Clauses and and() groups (null/undefined skipped)
+ * @returns {{ and:Array }} The clauses, all of which must match
+ */
+function and(...nodes) {
+  return {
+    and: nodes.filter(Boolean).flatMap((n) => (n.and ? n.and : [n])),
+  };
+}
+
+/**
+ * @param {Array} nodes - Clauses and groups (null/undefined skipped)
+ * @returns {{ or:Array }} One must match
+ */
+function or(...nodes) {
+  return { or: nodes.filter(Boolean) };
+}
+
+// More alternatives than this is a filter that should be written differently
+const MAX_ALTERNATIVES = 50;
+
+/**
+ * Expand a filter with or() groups into the AND lists it stands for
+ * (e.g. and(a, or(b, c)) → [and(a, b), and(a, c)])
+ * @param {Object} [filter] - From where(), and() or or()
+ * @returns {Array<{ and:Array }>} One plain filter per alternative
+ * @throws {Error} Past MAX_ALTERNATIVES alternatives
+ */
+function alternatives(filter) {
+  let alts;
+  if (!filter) alts = [[]];
+  else if (filter.or) {
+    alts = filter.or.length
+      ? filter.or.flatMap((n) => alternatives(n).map((a) => a.and))
+      : [[]];
+  } else if (filter.and) {
+    alts = [[]];
+    for (const node of filter.and) {
+      const sub = alternatives(node);
+      alts = alts.flatMap((a) => sub.map((b) => [...a, ...b.and]));
+      if (alts.length > MAX_ALTERNATIVES) break;
+    }
+  } else alts = [[filter]];
+  if (alts.length > MAX_ALTERNATIVES) {
+    throw new Error(
+      `Filter expands to more than ${MAX_ALTERNATIVES} OR alternatives`
+    );
+  }
+  return alts.map((clauses) => ({ and: clauses }));
+}
+
+/**
+ * Run a filter with or() groups as one query per alternative and merge the
+ * rows; a row matching several alternatives is kept once (first seen)
+ * @param {Object} filter - From where(), and() or or()
+ * @param {Function} fetchRows - (plainFilter) → Promise<Array<Object>>
+ * @param {{ key?: string }} [options] - key: column identifying a row
+ *   (default TRDRID); rows without it are all kept
+ * @returns {Promise<Array<Object>>} Rows in the order of the queries
+ */
+async function queryAlternatives(filter, fetchRows, { key = "TRDRID" } = {}) {
+  const byKey = new Map();
+  const keyless = [];
+  for (const alt of alternatives(filter)) {
+    for (const row of (await fetchRows(alt)) || []) {
+      const k = row?.[key];
+      if (k === undefined || k === null || k === "") keyless.push(row);
+      else if (!byKey.has(String(k))) byKey.set(String(k), row);
+    }
+  }
+  return [...byKey.values(), ...keyless];
+}
+
+/**
+ * Format a filter value
+ * @param {string|number|Date|boolean} v
+ * @returns {string}
+ * @throws {Error} On null/undefined, NaN/Infinity or an invalid date
+ */
+function formatValue(v) {
+  if (typeof v === "number") {
+    if (!Number.isFinite(v)) throw new Error(`Invalid filter value ${v}`);
+    return String(v);
+  }
+  if (typeof v === "boolean") return v ? "1" : "0";
+  if (v instanceof Date) {
+    if (Number.isNaN(v.getTime())) throw new Error("Invalid filter date");
+    return `"/Date(${v.getTime()})/"`;
+  }
+  if (v === null || v === undefined) {
+    throw new Error("Filter values cannot be null (use IsNull)");
+  }
+  return `"${String(v).replace(/[\\"[\]{}]/g, "\\$&")}"`;
+}
+
+/**
+ * @param {Object} c - Clause from where()
+ * @returns {string} `FIELD:[values...,Op]`
+ */
+function renderClause({ field, op, values }) {
+  return `${field}:[${[...values.map(formatValue), op].join(",")}]`;
+}
+
+/**
+ * Build the raw Galaxy filter string of a clause or group
+ * @param {Object} filter - From where() or and()
+ * @returns {string|null} Filter string, or null if there is nothing to filter
+ * @throws {Error} On an or() group (see queryAlternatives)
+ */
+function buildFilter(filter) {
+  const clauses = filter ? and(filter).and : [];
+  if (clauses.some((c) => c.or)) {
+    throw new Error("OR groups run as one query each (queryAlternatives)");
+  }
+  if (!clauses.length) return null;
+  return `[${clauses.map((c) => `{${renderClause(c)}}`).join(",")}]`;
+}
+
+/**
+ * Append the URL-encoded `filters` query param to a path
+ * @param {string} path - API path without a query string
+ * @param {Object} [filter] - From where() or and()
+ * @returns {string} The path, unchanged if there is nothing to filter
+ */
+function withFilters(path, filter) {
+  const raw = buildFilter(filter);
+  return raw ? `${path}?filters=${encodeURIComponent(raw)}` : path;
+}
+
+/**
+ * Build raw Galaxy filter string of a single clause
  * @param {string} field
  * @param {string|number} value
  * @param {string} op
  * @returns {string} Filter string
  */
 function buildRawFilter(field, value, op) {
-  const isNum = Number.isFinite(value);
-  const val = isNum ? value : `"${String(value)}"`;
-  return `[{${field}:[${val},${op}]}]`;
+  return buildFilter(where(field, op, value));
 }
 
-module.exports = { buildRawFilter };
+module.exports = {
+  OPS,
+  where,
+  and,
+  or,
+  alternatives,
+  queryAlternatives,
+  formatValue,
+  buildFilter,
+  withFilters,
+  buildRawFilter,
+};
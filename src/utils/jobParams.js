@@ -0,0 +1,188 @@
+// src/utils/jobParams.js
+
+/**
+ * Job Params Module
+ * -----------------
+ * Reads the Catalyst job params (JobRequest.getJobParam) into runJobOnce
+ * options, so one-off corrective runs can be started from the Catalyst
+ * console without touching env vars.
+ * Features:
+ *  - entities: which of customers, affiliates, contacts to sync; customers
+ *    without affiliates only in a targeted run (sinceRev, traderIds)
+ *  - sinceRev: customers above this revision (targeted, like a backfill)
+ *  - traderIds: only these customers (targeted, like a resync)
+ *  - limit: at most this many customers (overrides DEV_LIMIT)
+ *  - preview / dryRun, force: flags ("true"/"1" or "false"/"0")
+ *  - Unknown params and invalid values are rejected with every problem
+ *    listed (err.stage = "params")
+ */
+
+const { normId } = require("./normalize");
+
+const ENTITY_NAMES = ["customers", "affiliates", "contacts"];
+
+const PARAM_NAMES = [
+  "entities",
+  "sinceRev",
+  "traderIds",
+  "limit",
+  "preview",
+  "dryRun",
+  "force",
+];
+
+/**
+ * @param {string} raw
+ * @returns {boolean|null} null if not a recognized flag value
+ */
+function parseFlag(raw) {
+  const v = String(raw).trim().toLowerCase();
+  if (["1", "true", "yes"].includes(v)) return true;
+  if (["0", "false", "no", ""].includes(v)) return false;
+  return null;
+}
+
+/**
+ * @param {string} raw
+ * @returns {number|null} Non-negative integer, or null if invalid
+ */
+function parseCount(raw) {
+  const s = String(raw).trim();
+  return /^\d+$/.test(s) ? Number(s) : null;
+}
+
+/**
+ * Read and validate the job params
+ * @param {Object} [params] - Catalyst JobRequest (getJobParam, getAllJobParams)
+ * @param {{ dryRun?: boolean, force?: boolean }} [defaults] - Values without a param
+ * @returns {{ dryRun:boolean, force:boolean, scope?:Object, entities:Array<string>, limit?:number, params:Object }}
+ *   runJobOnce options; `params` holds the params that were set, normalized,
+ *   for the run report.
+ * @throws {Error} With `stage: "params"` on unknown params or invalid values.
+ */
+function parseJobParams(params, { dryRun = false, force = false } = {}) {
+  const errors = [];
+  const given = {};
+
+  const all = params?.getAllJobParams?.();
+  for (const name of Object.keys(all || {})) {
+    if (!PARAM_NAMES.includes(name)) errors.push(`unknown param "${name}"`);
+  }
+  const get = (name) => {
+    const v = params?.getJobParam?.(name);
+    return v === undefined || v === null ? undefined : String(v);
+  };
+
+  const flag = (name) => {
+    const raw = get(name);
+    if (raw === undefined) return undefined;
+    const v = parseFlag(raw);
+    if (v === null) errors.push(`${name} must be true or false, got "${raw}"`);
+    else given[name] = v;
+    return v ?? undefined;
+  };
+  const preview = flag("preview");
+  const dryRunParam = flag("dryRun");
+  const forceParam = flag("force");
+
+  const rawEntities = get("entities");
+  let entities = null;
+  if (rawEntities !== undefined) {
+    entities = [
+      ...new Set(
+        rawEntities
+          .split(",")
+          .map((s) => s.trim().toLowerCase())
+          .filter(Boolean)
+      ),
+    ];
+    const unknown = entities.filter((e) => !ENTITY_NAMES.includes(e));
+    if (unknown.length) {
+      errors.push(
+        `entities: unknown ${unknown.join(", ")} (use ${ENTITY_NAMES.join(
+          ", "
+        )})`
+      );
+    } else if (!entities.length) {
+      errors.push("entities is empty");
+    } else if (
+      entities.includes("affiliates") &&
+      !entities.includes("customers")
+    ) {
+      // Affiliates are found through the card-holders of each customer page
+      errors.push("entities: affiliates are only synced with customers");
+    } else {
+      given.entities = entities;
+    }
+  }
+
+  const rawSince = get("sinceRev");
+  let sinceRev;
+  if (rawSince !== undefined) {
+    sinceRev = parseCount(rawSince);
+    if (sinceRev === null) {
+      errors.push(`sinceRev must be a non-negative integer, got "${rawSince}"`);
+    } else given.sinceRev = sinceRev;
+  }
+
+  const rawIds = get("traderIds");
+  let traderIds;
+  if (rawIds !== undefined) {
+    traderIds = [...new Set(rawIds.split(",").map(normId).filter(Boolean))];
+    if (!traderIds.length) errors.push("traderIds is empty");
+    else given.traderIds = traderIds;
+  }
+
+  const rawLimit = get("limit");
+  let limit;
+  if (rawLimit !== undefined) {
+    limit = parseCount(rawLimit);
+    if (!limit) {
+      errors.push(`limit must be a positive integer, got "${rawLimit}"`);
+    } else given.limit = limit;
+  }
+
+  const targeted = given.sinceRev !== undefined || given.traderIds;
+  if (given.sinceRev !== undefined && given.traderIds) {
+    errors.push("use either sinceRev or traderIds, not both");
+  }
+  if (
+    !targeted &&
+    given.entities?.includes("customers") &&
+    !given.entities.includes("affiliates")
+  ) {
+    // The run moves the customers checkpoint, and affiliates are only found
+    // through the customer pages it reads: they would never be synced
+    errors.push(
+      "entities: customers without affiliates need sinceRev or traderIds"
+    );
+  }
+  if (targeted && entities?.includes("contacts")) {
+    // Contacts follow their own checkpoint, not a customer range
+    errors.push("contacts cannot be synced with sinceRev or traderIds");
+  }
+
+  if (errors.length) {
+    const err = new Error(`Invalid job params: ${errors.join("; ")}`);
+    err.stage = "params";
+    throw err;
+  }
+
+  const scope = given.traderIds
+    ? { traderIds }
+    : given.sinceRev !== undefined
+    ? { fromRev: sinceRev }
+    : undefined;
+  return {
+    dryRun: preview ?? dryRunParam ?? dryRun,
+    force: forceParam ?? force,
+    ...(scope ? { scope } : {}),
+    entities:
+      given.entities ||
+      (scope ? ["customers", "affiliates"] : [...ENTITY_NAMES]),
+    ...(limit ? { limit } : {}),
+    params: given,
+  };
+}
+
+module.exports = { parseJobParams, ENTITY_NAMES, PARAM_NAMES };
@@ -0,0 +1,234 @@
+// src/utils/logger.js
+
+/**
+ * Logger Module
+ * -------------
+ * Leveled logger used by every module instead of console.*.
+ * Features:
+ *  - Levels: error, warn, info, debug (LOG_LEVEL; DEBUG=1 implies debug)
+ *  - Text output (default) or one JSON object per line (LOG_FORMAT=json)
+ *  - Component tag per logger: createLogger("ZOHO") logs as [ZOHO]
+ *  - Per-run correlation id, carried through async calls by
+ *    withCorrelationId() and added to every line logged inside it
+ *  - Secret redaction in messages, URLs, objects and errors: credentials,
+ *    Galaxy session ids (ss-id / ss-pid), OAuth tokens and client secrets,
+ *    plus any value passed to registerSecret()
+ */
+
+const util = require("util");
+const { AsyncLocalStorage } = require("async_hooks");
+const cfg = require("../config");
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const REDACTED = "[REDACTED]";
+
+// Object keys whose string values are always secret
+const SECRET_KEY =
+  /pass(word)?|secret|token|authorization|cookie|session_?id|^ss-?p?id$|api_?key/i;
+// Secrets inside free text: cookies, query/form params, auth headers, JSON
+const SECRET_PATTERNS = [
+  /\b(ss-(?:id|pid|opt)=)[^;,\s&"']+/gi,
+  /\b((?:username|password|access_token|refresh_token|client_secret|api_key)=)[^&\s"']+/gi,
+  /\b((?:Zoho-oauthtoken|Bearer|Basic)\s+)[\w.~+/=-]+/gi,
+  /("(?:password|access_token|refresh_token|client_secret|sessionId|ssPid|BearerToken|RefreshToken)"\s*:\s*")[^"]*/gi,
+];
+// Values shorter than this are not registered (too likely to match by accident)
+const MIN_SECRET_LENGTH = 6;
+
+const secrets = new Set();
+const context = new AsyncLocalStorage();
+let currentLevel = LEVELS[cfg.logLevel] ?? LEVELS.info;
+
+/**
+ * Redact a known secret value wherever it appears in later log output
+ * (e.g. a Galaxy session id or Zoho access token obtained at runtime)
+ * @param {string} value
+ */
+function registerSecret(value) {
+  if (typeof value === "string" && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+[
+  cfg.password,
+  cfg.ssPid,
+  cfg.zoho.clientSecret,
+  cfg.zoho.refreshToken,
+  cfg.admin.apiKey,
+  cfg.admin.password,
+  cfg.admin.sessionSecret,
+].forEach(registerSecret);
+
+/**
+ * @param {string} s
+ * @returns {string} s with secrets replaced by [REDACTED]
+ */
+function redactString(s) {
+  let out = String(s);
+  for (const secret of secrets) {
+    if (out.includes(secret)) out = out.split(secret).join(REDACTED);
+  }
+  for (const re of SECRET_PATTERNS) {
+    out = out.replace(re, `$1${REDACTED}`);
+  }
+  return out;
+}
+
+/**
+ * Deep-copy a value with secrets redacted. Errors become plain objects
+ * (name, message, code, status, stage, stack).
+ * @param {any} value
+ * @param {number} [depth=0]
+ * @param {WeakSet} [seen]
+ * @returns {any}
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") return redactString(value);
+  if (!value || typeof value !== "object") return value;
+  if (seen.has(value)) return "[Circular]";
+  if (depth > 6) return "[Object]";
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const out = { name: value.name, message: redactString(value.message) };
+    for (const k of ["code", "status", "stage"]) {
+      if (value[k] !== undefined) out[k] = redact(value[k], depth + 1, seen);
+    }
+    if (value.stack) out.stack = redactString(value.stack);
+    return out;
+  }
+  if (value instanceof Map) {
+    return redact(Object.fromEntries(value), depth, seen);
+  }
+  if (value instanceof Set) return redact(Array.from(value), depth, seen);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) {
+    return value.map((v) => redact(v, depth + 1, seen));
+  }
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] =
+      typeof v === "string" && SECRET_KEY.test(k)
+        ? REDACTED
+        : redact(v, depth + 1, seen);
+  }
+  return out;
+}
+
+/**
+ * Run fn with a correlation id attached to everything it logs, including
+ * async work it starts
+ * @param {string} correlationId - e.g. the run id
+ * @param {Function} fn
+ * @returns {any} fn's result
+ */
+function withCorrelationId(correlationId, fn) {
+  return context.run({ correlationId }, fn);
+}
+
+/** @returns {string|null} Correlation id of the current async context */
+function getCorrelationId() {
+  return context.getStore()?.correlationId || null;
+}
+
+/**
+ * Change the log level at runtime (e.g. from a CLI flag)
+ * @param {string} level - error | warn | info | debug
+ */
+function setLogLevel(level) {
+  if (!(level in LEVELS)) {
+    throw new Error(
+      `Invalid log level "${level}". Use: ${Object.keys(LEVELS).join(", ")}.`
+    );
+  }
+  currentLevel = LEVELS[level];
+}
+
+/**
+ * @param {string} level
+ * @returns {boolean} Whether lines of this level are written
+ */
+function isLevelEnabled(level) {
+  return LEVELS[level] <= currentLevel;
+}
+
+/**
+ * Format and write one line
+ * @private
+ */
+function write(level, component, args) {
+  if (!isLevelEnabled(level)) return;
+  const sink =
+    level === "error"
+      ? console.error
+      : level === "warn"
+      ? console.warn
+      : console.log;
+  const correlationId = getCorrelationId();
+  const safe = args.map((a) => redact(a));
+
+  if (cfg.logFormat === "json") {
+    const [first, ...rest] = safe;
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      component,
+      ...(correlationId ? { correlationId } : {}),
+      msg: typeof first === "string" ? first : "",
+    };
+    const data = typeof first === "string" ? rest : safe;
+    const errors = args
+      .map((a, i) => (a instanceof Error ? safe[i] : null))
+      .filter(Boolean);
+    const plain = data.filter((d) => !errors.includes(d));
+    if (errors.length) line.error = errors[0];
+    if (plain.length) line.data = plain.length === 1 ? plain[0] : plain;
+    sink(JSON.stringify(line));
+    return;
+  }
+
+  const prefix =
+    `${new Date().toISOString()} ${level.toUpperCase()} [${component}]` +
+    (correlationId ? ` (${correlationId.slice(0, 8)})` : "");
+  // Error objects were turned into plain objects; print their stack instead
+  const text = safe.map((a, i) =>
+    args[i] instanceof Error ? a.stack || `${a.name}: ${a.message}` : a
+  );
+  sink(
+    redactString(`${prefix} ${util.formatWithOptions({ depth: 4 }, ...text)}`)
+  );
+}
+
+/**
+ * Create a logger for one component
+ * @param {string} component - Tag shown on every line (e.g. "ZOHO")
+ * @returns {{ component:string, error:Function, warn:Function, info:Function, debug:Function, isDebug:Function, child:Function }}
+ *   Level methods take console-style arguments (message, ...values).
+ */
+function createLogger(component) {
+  return {
+    component,
+    error: (...args) => write("error", component, args),
+    warn: (...args) => write("warn", component, args),
+    info: (...args) => write("info", component, args),
+    debug: (...args) => write("debug", component, args),
+    /** @returns {boolean} Whether debug lines are written */
+    isDebug: () => isLevelEnabled("debug"),
+    /** @param {string} sub @returns Logger tagged `component:sub` */
+    child: (sub) => createLogger(`${component}:${sub}`),
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  withCorrelationId,
+  getCorrelationId,
+  setLogLevel,
+  isLevelEnabled,
+  registerSecret,
+  redact,
+  redactString,
+};
@@ -0,0 +1,63 @@
+// src/utils/normalize.js
+
+/**
+ * Normalization Helpers
+ * ---------------------
+ * Sanitize and standardize Galaxy values before mapping them to Zoho fields.
+ * These are the normalizers a field mapping can reference by name
+ * (see mappings/fieldMappings.json).
+ *  - Strings: trim, uppercase, or undefined
+ *  - Digits: strip non-numeric
+ *  - AFM (Greek tax id): drop an EL/GR VAT prefix and separators
+ *  - Numbers: parse or undefined
+ *  - Phone: strict validation (E.164-like, 8–15 digits)
+ *  - Email: lowercase, basic shape check
+ */
+
+const normStr = (v) => (v == null ? undefined : String(v).trim());
+const normId = (v) => {
+  const s = normStr(v);
+  return s ? s.toUpperCase() : undefined;
+};
+const normDigits = (v) => {
+  if (v == null) return undefined;
+  const s = String(v).replace(/\D+/g, "");
+  return s.length ? s : undefined;
+};
+const normAfm = (v) => {
+  const s = normStr(v);
+  if (!s) return undefined;
+  const afm = s
+    .toUpperCase()
+    .replace(/[\s./-]+/g, "")
+    .replace(/^(EL|GR)/, "");
+  return afm.length ? afm : undefined;
+};
+const num = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+};
+const normPhone = (v) => {
+  if (!v) return null;
+  let s = String(v)
+    .trim()
+    .replace(/[.\-\s()]/g, "");
+  if (!/^\+?\d{8,15}$/.test(s)) return null;
+  return s;
+};
+const normEmail = (v) => {
+  const s = normStr(v);
+  if (!s) return null;
+  const lower = s.toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(lower) ? lower : null;
+};
+
+module.exports = {
+  normStr,
+  normId,
+  normDigits,
+  normAfm,
+  num,
+  normPhone,
+  normEmail,
+};
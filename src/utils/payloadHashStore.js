@@ -0,0 +1,107 @@
+// src/utils/payloadHashStore.js
+
+/**
+ * PayloadHashStore Module
+ * -----------------------
+ * Remembers a content hash of the last Zoho payload successfully upserted per
+ * record key (Trader_ID), so records whose mapped payload did not change can
+ * be skipped even when their Galaxy revision moved (THIRDPARTYREVNUM also
+ * bumps for columns that are not mapped).
+ * Uses the same pluggable state backend as the checkpoint store.
+ *
+ * Each item holds:
+ *  - hash: sha256 of the payload, keys sorted, undefined values dropped
+ *  - id: the Zoho record id the payload was written to
+ *  - at: when it was stored
+ *  - values: the payload's values of the fields the reverse sync writes back
+ *    (zohoToGalaxy sources), so it can detect Galaxy changes per column
+ */
+
+const crypto = require("crypto");
+
+/**
+ * JSON with object keys sorted at every level, so equal payloads always
+ * serialize the same way
+ * @param {any} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => stableStringify(v ?? null)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * PayloadHashStore class
+ */
+class PayloadHashStore {
+  /**
+   * Constructor
+   * @param {{ load: Function, save: Function }} backend - State backend
+   */
+  constructor(backend) {
+    this.backend = backend;
+    this.items = {};
+    this.dirty = false;
+  }
+
+  /**
+   * @param {Object} payload - Mapped Zoho payload
+   * @returns {string} Stable content hash
+   */
+  static hashOf(payload) {
+    return crypto
+      .createHash("sha256")
+      .update(stableStringify(payload))
+      .digest("hex");
+  }
+
+  /**
+   * Load items from the backend
+   * @returns {Promise<PayloadHashStore>} this
+   */
+  async load() {
+    const doc = await this.backend.load();
+    this.items = doc?.items && typeof doc.items === "object" ? doc.items : {};
+    this.dirty = false;
+    return this;
+  }
+
+  /** Persist items if anything changed since the last load/save */
+  async save() {
+    if (!this.dirty) return;
+    await this.backend.save({ items: this.items });
+    this.dirty = false;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {{hash:string, id:string, at:string, values?:Object}|undefined}
+   */
+  get(key) {
+    return this.items[key];
+  }
+
+  /**
+   * Remember the payload hash of a successful upsert (not persisted until save())
+   * @param {string} key
+   * @param {string} hash
+   * @param {string} id - Zoho record id
+   * @param {Object} [values] - Payload values kept for the reverse sync
+   */
+  set(key, hash, id, values) {
+    this.items[key] = { hash, id, at: new Date().toISOString(), values };
+    this.dirty = true;
+  }
+}
+
+module.exports = PayloadHashStore;
@@ -0,0 +1,332 @@
+// src/utils/runHistory.js
+
+/**
+ * Run History Module
+ * ------------------
+ * Structured reports of sync runs and the store they are appended to.
+ *
+ * RunReport collects, while a run is in progress:
+ *  - stage timings in ms (auth, fetch, affiliates, upsert, contacts, ...),
+ *    summed over all pages
+ *  - the watermark the run started from
+ *  - a tally of Zoho error codes over all rejected rows
+ * and turns the job result into one report document on finish().
+ *
+ * Stores (same async interface: append(report), recent(limit)):
+ *  - file: NDJSON file on local disk, one report per line
+ *  - catalyst: one row per run in a Catalyst Data Store table with columns
+ *    RUN_ID, JOB, STARTED_AT (text), OK (boolean), STAGE (text) and
+ *    REPORT (text, JSON)
+ *
+ * summarizeFailures() / failureTrends() turn the last N reports into failure
+ * counts by stage, day and Zoho error code.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { createLogger, redact } = require("./logger");
+
+const log = createLogger("RunHistory");
+
+// ZCQL returns at most 300 rows per query
+const ZCQL_MAX_ROWS = 300;
+
+/**
+ * RunReport class
+ */
+class RunReport {
+  /**
+   * Constructor
+   * @param {{ job?: string, dryRun?: boolean, force?: boolean, params?: Object }} [options]
+   *   - params: Catalyst job params of the run
+   */
+  constructor({ job = "sync", dryRun = false, force = false, params } = {}) {
+    this.runId = crypto.randomUUID();
+    this.job = job;
+    this.dryRun = Boolean(dryRun);
+    this.force = Boolean(force);
+    this.params = params && Object.keys(params).length ? params : null;
+    this.startedAt = new Date();
+    this.watermark = null;
+    this.timings = {};
+    this.zohoErrors = {};
+    this.failedStage = null;
+  }
+
+  /**
+   * Add elapsed time to a stage
+   * @param {string} stage
+   * @param {number} ms
+   */
+  addTiming(stage, ms) {
+    this.timings[stage] = (this.timings[stage] || 0) + ms;
+  }
+
+  /**
+   * Run fn and add its duration to a stage. If it throws, the stage is
+   * remembered as the one the run failed in.
+   * @param {string} stage
+   * @param {Function} fn - Async function to time
+   * @returns {Promise<any>} fn's result
+   */
+  async time(stage, fn) {
+    const t0 = Date.now();
+    try {
+      return await fn();
+    } catch (err) {
+      this.failedStage = this.failedStage || stage;
+      throw err;
+    } finally {
+      this.addTiming(stage, Date.now() - t0);
+    }
+  }
+
+  /**
+   * @param {Object} watermark - Where the run started (e.g. sinceRev and checkpoints)
+   */
+  setWatermark(watermark) {
+    this.watermark = watermark;
+  }
+
+  /**
+   * Count the Zoho error codes of failed rows
+   * @param {Array<{error?:{code?:string}}>} failures - Failed rows from an upsert
+   */
+  tallyErrors(failures) {
+    for (const f of failures || []) {
+      const code = f?.error?.code || "UNKNOWN";
+      this.zohoErrors[code] = (this.zohoErrors[code] || 0) + 1;
+    }
+  }
+
+  /**
+   * Build the report document of the finished run
+   * @param {Object} result - Job result (ok, stage, error, checkpoints, deadLetters, zoho).
+   *   Without a stage, a failed run is attributed to the stage that threw in
+   *   time(), else to "fatal".
+   * @param {{ counts?: Object }} [extra]
+   *   - counts: per-entity counts
+   * @returns {Object} Run report, with secrets redacted as in the logs
+   */
+  finish(result, { counts = {} } = {}) {
+    const finishedAt = new Date();
+    const ok = Boolean(result?.ok);
+    return redact({
+      runId: this.runId,
+      job: this.job,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      ok,
+      partial: Boolean(result?.partial),
+      stopReason: result?.stopReason ?? null,
+      stage: ok ? null : result?.stage || this.failedStage || "fatal",
+      error: ok ? null : result?.error || result?.message || null,
+      dryRun: this.dryRun,
+      force: this.force,
+      params: this.params,
+      watermark: this.watermark,
+      checkpoints: result?.checkpoints ?? null,
+      timings: this.timings,
+      counts,
+      zohoErrors: this.zohoErrors,
+      deadLetters: result?.deadLetters ?? null,
+      zoho: result?.zoho ?? null,
+    });
+  }
+}
+
+/**
+ * NDJSON file run history
+ */
+class FileRunHistory {
+  /**
+   * @param {string} path - Path to NDJSON file (appended to)
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  /** @param {Object} report - Run report to append */
+  async append(report) {
+    fs.appendFileSync(this.path, JSON.stringify(report) + "\n", "utf-8");
+  }
+
+  /**
+   * @param {number} [limit=20]
+   * @returns {Promise<Array<Object>>} Last `limit` reports, newest first
+   */
+  async recent(limit = 20) {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.path, "utf-8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const out = [];
+    const lines = raw.split("\n");
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      if (!lines[i].trim()) continue;
+      try {
+        out.push(JSON.parse(lines[i]));
+      } catch {
+        log.warn(`Skipping invalid line ${i + 1}.`);
+      }
+    }
+    return out;
+  }
+}
+
+/**
+ * Catalyst Data Store run history
+ */
+class CatalystRunHistory {
+  /**
+   * @param {Object} catalystApp - App from zcatalyst-sdk-node initialize(context)
+   * @param {{ table: string }} options
+   */
+  constructor(catalystApp, { table }) {
+    if (!catalystApp) {
+      throw new Error(
+        "RUN_HISTORY=catalyst requires a Catalyst app (run inside Catalyst)."
+      );
+    }
+    this.app = catalystApp;
+    this.table = table;
+  }
+
+  /** @param {Object} report - Run report to append */
+  async append(report) {
+    await this.app
+      .datastore()
+      .table(this.table)
+      .insertRow({
+        RUN_ID: report.runId,
+        JOB: report.job,
+        STARTED_AT: report.startedAt,
+        OK: report.ok,
+        STAGE: report.stage,
+        REPORT: JSON.stringify(report),
+      });
+  }
+
+  /**
+   * @param {number} [limit=20]
+   * @returns {Promise<Array<Object>>} Last `limit` reports, newest first
+   */
+  async recent(limit = 20) {
+    const out = [];
+    for (let offset = 0; out.length < limit; offset += ZCQL_MAX_ROWS) {
+      const count = Math.min(ZCQL_MAX_ROWS, limit - out.length);
+      const rows = await this.app
+        .zcql()
+        .executeZCQLQuery(
+          `SELECT REPORT FROM ${this.table} ORDER BY CREATEDTIME DESC LIMIT ${offset}, ${count}`
+        );
+      for (const r of rows || []) {
+        try {
+          out.push(JSON.parse(r?.[this.table]?.REPORT || "null"));
+        } catch (err) {
+          log.warn(`Invalid report JSON: ${err.message}`);
+        }
+      }
+      if (!rows || rows.length < count) break;
+    }
+    return out.filter(Boolean);
+  }
+}
+
+/**
+ * Create the run history store for the configured kind
+ * @param {{ kind?: string, filePath: string, catalystApp?: Object, table?: string }} options
+ * @returns {FileRunHistory|CatalystRunHistory|null} null when kind is "off"
+ */
+function createRunHistory({ kind = "file", filePath, catalystApp, table }) {
+  if (kind === "off") return null;
+  if (kind === "catalyst")
+    return new CatalystRunHistory(catalystApp, { table });
+  if (kind !== "file") {
+    throw new Error(`Unknown run history "${kind}". Use: file, catalyst, off.`);
+  }
+  return new FileRunHistory(filePath);
+}
+
+/**
+ * Summarize failures over a list of run reports
+ * @param {Array<Object>} reports - Run reports, newest first (as from recent())
+ * @returns {{ runs:number, failed:number, failureRate:number, consecutiveFailures:number, lastSuccessAt:string|null, lastFailure:Object|null, byStage:Object<string,number>, byDay:Object<string,{runs:number, failed:number}>, zohoErrors:Object<string,number>, avgDurationMs:number }}
+ *   consecutiveFailures counts failed runs since the latest success;
+ *   zohoErrors sums the row-level error codes of all runs.
+ */
+function summarizeFailures(reports) {
+  const list = Array.isArray(reports) ? reports : [];
+  const byStage = {};
+  const byDay = {};
+  const zohoErrors = {};
+  let failed = 0;
+  let consecutiveFailures = 0;
+  let streakOpen = true;
+  let lastSuccessAt = null;
+  let lastFailure = null;
+  let totalMs = 0;
+
+  for (const r of list) {
+    const day = String(r.startedAt || "").slice(0, 10) || "unknown";
+    byDay[day] = byDay[day] || { runs: 0, failed: 0 };
+    byDay[day].runs++;
+    totalMs += Number(r.durationMs) || 0;
+    for (const [code, n] of Object.entries(r.zohoErrors || {})) {
+      zohoErrors[code] = (zohoErrors[code] || 0) + n;
+    }
+
+    if (r.ok) {
+      streakOpen = false;
+      lastSuccessAt = lastSuccessAt || r.startedAt;
+      continue;
+    }
+    failed++;
+    byDay[day].failed++;
+    if (streakOpen) consecutiveFailures++;
+    const stage = r.stage || "unknown";
+    byStage[stage] = (byStage[stage] || 0) + 1;
+    lastFailure = lastFailure || {
+      runId: r.runId,
+      startedAt: r.startedAt,
+      stage,
+      error: r.error,
+    };
+  }
+
+  return {
+    runs: list.length,
+    failed,
+    failureRate: list.length ? failed / list.length : 0,
+    consecutiveFailures,
+    lastSuccessAt,
+    lastFailure,
+    byStage,
+    byDay,
+    zohoErrors,
+    avgDurationMs: list.length ? Math.round(totalMs / list.length) : 0,
+  };
+}
+
+/**
+ * Failure trends over the last N runs of a run history store
+ * @param {FileRunHistory|CatalystRunHistory} history
+ * @param {number} [limit=50]
+ * @returns {Promise<Object>} See summarizeFailures()
+ */
+async function failureTrends(history, limit = 50) {
+  return summarizeFailures(await history.recent(limit));
+}
+
+module.exports = {
+  RunReport,
+  FileRunHistory,
+  CatalystRunHistory,
+  createRunHistory,
+  summarizeFailures,
+  failureTrends,
+};
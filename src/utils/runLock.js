@@ -0,0 +1,214 @@
+// src/utils/runLock.js
+
+/**
+ * RunLock Module
+ * --------------
+ * Cross-process lock file, so two processes on the same host (or sharing a
+ * volume) never run the sync at the same time.
+ * Features:
+ *  - Atomic create (O_EXCL); the file records pid, host and a heartbeat
+ *  - Heartbeat refreshed while held
+ *  - Stale lock takeover after a crash: the owner pid is gone (same host)
+ *    or the heartbeat is older than staleMs
+ *  - release() only removes a lock this instance owns
+ *  - createSyncLock(): the lock every process that runs the sync takes
+ *    (daemon, admin server), from DAEMON_LOCK_FILE / DAEMON_STALE_LOCK_MINUTES
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const cfg = require("../config");
+const { createLogger } = require("./logger");
+
+const log = createLogger("LOCK");
+
+/**
+ * @param {number} pid
+ * @returns {boolean} Whether a process with this pid exists
+ */
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: exists, but owned by another user
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * RunLock class
+ */
+class RunLock {
+  /**
+   * Constructor
+   * @param {string} path - Lock file path
+   * @param {{ staleMs?: number }} [options]
+   *   - staleMs: heartbeat age after which the lock is taken over (default 10 min)
+   */
+  constructor(path, { staleMs = 10 * 60 * 1000 } = {}) {
+    this.path = path;
+    this.staleMs = staleMs;
+    this.token = null;
+    this.timer = null;
+  }
+
+  /** @returns {boolean} Whether this instance holds the lock */
+  get held() {
+    return this.token !== null;
+  }
+
+  /**
+   * Read the current lock file
+   * @returns {Object|null} Its content, `{}` if unreadable, null if absent
+   */
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.path, "utf-8"));
+    } catch (err) {
+      return err.code === "ENOENT" ? null : {};
+    }
+  }
+
+  /**
+   * Why a lock file can be taken over
+   * @param {Object} lock - From read()
+   * @returns {string|null} The reason, or null while it is live
+   */
+  staleReason(lock) {
+    if (lock.host === os.hostname() && lock.pid && !pidAlive(lock.pid)) {
+      return `owner pid ${lock.pid} is gone`;
+    }
+    const beat = Date.parse(lock.heartbeatAt);
+    let age = Number.isFinite(beat) ? Date.now() - beat : null;
+    if (age === null) {
+      // Unreadable lock: go by the file time
+      try {
+        age = Date.now() - fs.statSync(this.path).mtimeMs;
+      } catch {
+        return null;
+      }
+    }
+    return age > this.staleMs ? `no heartbeat for ${age}ms` : null;
+  }
+
+  /** @private */
+  _write(flag) {
+    const now = new Date().toISOString();
+    const doc = {
+      token: this.token,
+      pid: process.pid,
+      host: os.hostname(),
+      acquiredAt: this.acquiredAt,
+      heartbeatAt: now,
+    };
+    fs.writeFileSync(this.path, JSON.stringify(doc, null, 2), {
+      encoding: "utf-8",
+      flag,
+    });
+  }
+
+  /**
+   * Take the lock if it is free or stale
+   * @returns {boolean} true if acquired, false if another live process holds it
+   */
+  acquire() {
+    if (this.held) return true;
+    for (let attempt = 0; attempt < 2; attempt++) {
+      this.token = crypto.randomUUID();
+      this.acquiredAt = new Date().toISOString();
+      try {
+        this._write("wx");
+        this._startHeartbeat();
+        return true;
+      } catch (err) {
+        this.token = null;
+        if (err.code !== "EEXIST") throw err;
+      }
+      const lock = this.read();
+      if (!lock) continue; // released in between
+      const reason = this.staleReason(lock);
+      if (!reason || !this._takeOver(lock)) break;
+      log.warn(`Took over stale lock ${this.path} (${reason}).`);
+    }
+    return false;
+  }
+
+  /**
+   * Move a stale lock aside. Renaming is atomic, so of two processes taking
+   * over the same lock only one wins; the moved file is checked to be the
+   * stale one and put back otherwise.
+   * @private
+   * @param {Object} lock - The stale lock as read
+   * @returns {boolean} Whether the stale lock was removed
+   */
+  _takeOver(lock) {
+    const aside = `${this.path}.${process.pid}.stale`;
+    try {
+      fs.renameSync(this.path, aside);
+    } catch (err) {
+      return err.code === "ENOENT";
+    }
+    let moved = {};
+    try {
+      moved = JSON.parse(fs.readFileSync(aside, "utf-8"));
+    } catch {
+      // Unreadable: matches an unreadable stale lock
+    }
+    if (moved.token !== lock.token) {
+      // Someone else took it over first and we moved their live lock
+      try {
+        fs.linkSync(aside, this.path);
+      } catch {
+        // A third process holds the path now; theirs wins
+      }
+      fs.rmSync(aside, { force: true });
+      return false;
+    }
+    fs.rmSync(aside, { force: true });
+    return true;
+  }
+
+  /** @private */
+  _startHeartbeat() {
+    const every = Math.max(1000, Math.floor(this.staleMs / 3));
+    this.timer = setInterval(() => {
+      if (this.read()?.token !== this.token) {
+        log.warn(`Lock ${this.path} was taken over by another process.`);
+        return;
+      }
+      try {
+        this._write("w");
+      } catch (err) {
+        log.warn(`Could not refresh lock ${this.path}:`, err.message);
+      }
+    }, every);
+    this.timer.unref();
+  }
+
+  /** Release the lock if this instance holds it */
+  release() {
+    if (!this.held) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.read()?.token === this.token) {
+      fs.rmSync(this.path, { force: true });
+    }
+    this.token = null;
+  }
+}
+
+/**
+ * The sync's lock, shared by every process that starts runs
+ * @param {{ lockFile:string, staleLockMinutes:number }} [settings=cfg.daemon]
+ * @returns {RunLock}
+ */
+function createSyncLock(settings = cfg.daemon) {
+  return new RunLock(settings.lockFile, {
+    staleMs: settings.staleLockMinutes * 60 * 1000,
+  });
+}
+
+module.exports = RunLock;
+module.exports.createSyncLock = createSyncLock;
@@ -11,6 +11,9 @@
  */
 
 const fs = require("fs");
+const { createLogger, registerSecret } = require("./logger");
+
+const log = createLogger("SessionStore");
 
 /**
  * SessionStore class
@@ -37,12 +40,12 @@ class SessionStore {
       const parsed = JSON.parse(raw);
       this.data.sessionId = parsed?.sessionId || null;
       this.data.ssPid = parsed?.ssPid || null;
+      registerSecret(this.data.sessionId);
+      registerSecret(this.data.ssPid);
     } catch (err) {
       if (err.code !== "ENOENT") {
         // Only ignore "File Not Found"
-        console.warn(
-          `[SessionStore] Could not load session file: ${err.message}`
-        );
+        log.warn(`Could not load session file: ${err.message}`);
       }
     }
   }
@@ -64,10 +67,12 @@ class SessionStore {
   setAll({ sessionId = this.data.sessionId, ssPid = this.data.ssPid } = {}) {
     this.data.sessionId = sessionId;
     this.data.ssPid = ssPid;
+    registerSecret(sessionId);
+    registerSecret(ssPid);
     try {
       fs.writeFileSync(this.path, JSON.stringify(this.data, null, 2), "utf-8");
     } catch (err) {
-      console.warn("Could not persist session file:", err.message);
+      log.warn("Could not persist session file:", err.message);
     }
   }
 
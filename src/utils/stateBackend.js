@@ -0,0 +1,283 @@
+// src/utils/stateBackend.js
+
+/**
+ * State Backend Module
+ * --------------------
+ * Pluggable persistence for small JSON state documents (e.g. sync checkpoints).
+ * Backends:
+ *  - file: JSON file on local disk (default, for local runs)
+ *  - catalyst: a Catalyst Data Store table with columns STATE_KEY (text)
+ *    and STATE_VALUE (text, JSON), one row per entry of a document:
+ *    "<key>/<field>" per top-level field, and "<key>/items/<id>" per entry
+ *    of an `items` map (payload hashes, account ids, dead letters), so no
+ *    cell holds a whole document and a save writes only changed entries
+ *  - catalyst-cache: one key in a Catalyst Cache segment; entries expire, so
+ *    only for state that can be rebuilt (e.g. OAuth access tokens)
+ *
+ * Both expose the same async interface: load() → object|null, save(object).
+ */
+
+const fs = require("fs");
+const { createLogger } = require("./logger");
+
+const log = createLogger("StateBackend");
+
+// Keyed map the stores keep their entries in; sharded one row per entry
+const ITEMS_FIELD = "items";
+// ZCQL returns at most 300 rows per query
+const ZCQL_MAX_ROWS = 300;
+// Rows per Data Store bulk insert/update/delete call
+const BULK_MAX_ROWS = 200;
+
+/**
+ * File-backed JSON document
+ */
+class FileStateBackend {
+  /**
+   * @param {string} path - Path to JSON file
+   */
+  constructor(path) {
+    this.path = path;
+  }
+
+  /** @returns {Promise<Object|null>} Parsed document, or null if missing */
+  async load() {
+    try {
+      const raw = fs.readFileSync(this.path, "utf-8");
+      return JSON.parse(raw);
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        log.warn(`Could not load state file ${this.path}: ${err.message}`);
+      }
+      return null;
+    }
+  }
+
+  /** @param {Object} doc - Document to persist */
+  async save(doc) {
+    // Write then rename so a crash never leaves a half-written file
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2), "utf-8");
+    fs.renameSync(tmp, this.path);
+  }
+}
+
+/**
+ * Catalyst Data Store-backed JSON document, one row per entry
+ */
+class CatalystStateBackend {
+  /**
+   * @param {Object} catalystApp - App from zcatalyst-sdk-node initialize(context)
+   * @param {{ table: string, key: string }} options
+   */
+  constructor(catalystApp, { table, key }) {
+    if (!catalystApp) {
+      throw new Error(
+        "STATE_BACKEND=catalyst requires a Catalyst app (run inside Catalyst)."
+      );
+    }
+    this.app = catalystApp;
+    this.table = table;
+    this.key = key;
+    this.rows = new Map(); // STATE_KEY → { ROWID, STATE_VALUE } as stored
+  }
+
+  /**
+   * Split a document into its rows
+   * @param {Object} doc
+   * @returns {Map<string,string>} STATE_KEY → STATE_VALUE
+   */
+  entries(doc) {
+    const out = new Map();
+    for (const [field, value] of Object.entries(doc || {})) {
+      if (value === undefined) continue;
+      if (field === ITEMS_FIELD && value && typeof value === "object") {
+        for (const [id, item] of Object.entries(value)) {
+          if (item === undefined) continue;
+          out.set(`${this.key}/${ITEMS_FIELD}/${id}`, JSON.stringify(item));
+        }
+      } else {
+        out.set(`${this.key}/${field}`, JSON.stringify(value));
+      }
+    }
+    return out;
+  }
+
+  /** @returns {Promise<Object|null>} Parsed document, or null if missing */
+  async load() {
+    const safeKey = String(this.key).replace(/'/g, "''");
+    this.rows = new Map();
+    for (let offset = 0; ; offset += ZCQL_MAX_ROWS) {
+      const rows = await this.app
+        .zcql()
+        .executeZCQLQuery(
+          `SELECT ROWID, STATE_KEY, STATE_VALUE FROM ${this.table}` +
+            ` WHERE STATE_KEY = '${safeKey}' OR STATE_KEY LIKE '${safeKey}/*'` +
+            ` ORDER BY ROWID LIMIT ${offset}, ${ZCQL_MAX_ROWS}`
+        );
+      for (const r of rows || []) {
+        const row = r?.[this.table];
+        if (row?.STATE_KEY) this.rows.set(row.STATE_KEY, row);
+      }
+      if (!rows || rows.length < ZCQL_MAX_ROWS) break;
+    }
+    if (!this.rows.size) return null;
+
+    const parse = (stateKey) => {
+      try {
+        return JSON.parse(this.rows.get(stateKey).STATE_VALUE || "null");
+      } catch (err) {
+        log.warn(`Invalid JSON in ${this.table}/${stateKey}: ${err.message}`);
+        return undefined;
+      }
+    };
+    // A row holding the whole document (older versions) is the base; it is
+    // replaced by entry rows on the next save()
+    const legacy = this.rows.has(this.key) ? parse(this.key) : null;
+    const doc = legacy && typeof legacy === "object" ? legacy : {};
+    const itemsPrefix = `${this.key}/${ITEMS_FIELD}/`;
+    for (const stateKey of this.rows.keys()) {
+      if (stateKey === this.key) continue;
+      const value = parse(stateKey);
+      if (value === undefined) continue;
+      if (stateKey.startsWith(itemsPrefix)) {
+        if (!doc[ITEMS_FIELD] || typeof doc[ITEMS_FIELD] !== "object") {
+          doc[ITEMS_FIELD] = {};
+        }
+        doc[ITEMS_FIELD][stateKey.slice(itemsPrefix.length)] = value;
+      } else {
+        doc[stateKey.slice(this.key.length + 1)] = value;
+      }
+    }
+    return doc;
+  }
+
+  /**
+   * Persist a document: only rows whose value changed since load()/save()
+   * are written, rows of removed entries are deleted
+   * @param {Object} doc - Document to persist
+   */
+  async save(doc) {
+    const table = this.app.datastore().table(this.table);
+    const next = this.entries(doc);
+    const inserts = [];
+    const updates = [];
+    for (const [stateKey, value] of next) {
+      const row = this.rows.get(stateKey);
+      if (!row) inserts.push({ STATE_KEY: stateKey, STATE_VALUE: value });
+      else if (row.STATE_VALUE !== value) {
+        updates.push({
+          ROWID: row.ROWID,
+          STATE_KEY: stateKey,
+          STATE_VALUE: value,
+        });
+      }
+    }
+    const deletes = [...this.rows]
+      .filter(([stateKey]) => !next.has(stateKey))
+      .map(([, row]) => row.ROWID);
+
+    for (let i = 0; i < updates.length; i += BULK_MAX_ROWS) {
+      const chunk = updates.slice(i, i + BULK_MAX_ROWS);
+      await table.updateRows(chunk);
+      for (const row of chunk) this.rows.set(row.STATE_KEY, row);
+    }
+    for (let i = 0; i < inserts.length; i += BULK_MAX_ROWS) {
+      const chunk = inserts.slice(i, i + BULK_MAX_ROWS);
+      const saved = await table.insertRows(chunk);
+      chunk.forEach((row, j) =>
+        this.rows.set(row.STATE_KEY, { ...row, ROWID: saved?.[j]?.ROWID })
+      );
+    }
+    // Deletes last: a save cut short leaves stale rows, never a gap
+    for (let i = 0; i < deletes.length; i += BULK_MAX_ROWS) {
+      await table.deleteRows(deletes.slice(i, i + BULK_MAX_ROWS));
+    }
+    for (const stateKey of [...this.rows.keys()]) {
+      if (!next.has(stateKey)) this.rows.delete(stateKey);
+    }
+  }
+}
+
+/**
+ * Catalyst Cache-backed JSON document (entries expire)
+ */
+class CatalystCacheStateBackend {
+  /**
+   * @param {Object} catalystApp - App from zcatalyst-sdk-node initialize(context)
+   * @param {{ key: string, segment?: string, expiryHours?: number }} options
+   *   - segment: cache segment id (default segment if omitted)
+   *   - expiryHours: entry lifetime in hours (Catalyst default if omitted)
+   */
+  constructor(catalystApp, { key, segment, expiryHours }) {
+    if (!catalystApp) {
+      throw new Error(
+        "The catalyst-cache backend requires a Catalyst app (run inside Catalyst)."
+      );
+    }
+    this.app = catalystApp;
+    this.key = key;
+    this.segment = segment;
+    this.expiryHours = expiryHours;
+  }
+
+  /** @private */
+  _segment() {
+    return this.app.cache().segment(this.segment || undefined);
+  }
+
+  /** @returns {Promise<Object|null>} Parsed document, or null if missing/expired */
+  async load() {
+    try {
+      const raw = await this._segment().getValue(this.key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      log.warn(`Could not load cache key ${this.key}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /** @param {Object} doc - Document to persist */
+  async save(doc) {
+    await this._segment().put(this.key, JSON.stringify(doc), this.expiryHours);
+  }
+}
+
+/**
+ * Create a state backend for the configured kind
+ * @param {{ kind?: string, filePath: string, catalystApp?: Object, table?: string, key: string, segment?: string, expiryHours?: number }} options
+ * @returns {FileStateBackend|CatalystStateBackend|CatalystCacheStateBackend}
+ */
+function createStateBackend({
+  kind = "file",
+  filePath,
+  catalystApp,
+  table,
+  key,
+  segment,
+  expiryHours,
+}) {
+  if (kind === "catalyst") {
+    return new CatalystStateBackend(catalystApp, { table, key });
+  }
+  if (kind === "catalyst-cache") {
+    return new CatalystCacheStateBackend(catalystApp, {
+      key,
+      segment,
+      expiryHours,
+    });
+  }
+  if (kind !== "file") {
+    throw new Error(
+      `Unknown state backend "${kind}". Use: file, catalyst, catalyst-cache.`
+    );
+  }
+  return new FileStateBackend(filePath);
+}
+
+module.exports = {
+  FileStateBackend,
+  CatalystStateBackend,
+  CatalystCacheStateBackend,
+  createStateBackend,
+};
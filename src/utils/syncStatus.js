@@ -0,0 +1,124 @@
+// src/utils/syncStatus.js
+
+/**
+ * Sync Status Module
+ * ------------------
+ * Read-only view of the sync state, shared by the CLI `status` command and
+ * the admin server.
+ * Features:
+ *  - Open the checkpoint store, dead-letter store and run history with the
+ *    configured backends
+ *  - Galaxy session state from SessionStore (presence only, never the ids)
+ *  - Status snapshot: checkpoints, DLQ counts, session and last run
+ */
+
+const fs = require("fs");
+const cfg = require("../config");
+const { CheckpointStore } = require("./checkpointStore");
+const { DeadLetterStore } = require("./deadLetterStore");
+const { createStateBackend } = require("./stateBackend");
+const { createRunHistory } = require("./runHistory");
+const SessionStore = require("./sessionStore");
+
+/**
+ * @param {Object} [catalystApp] - Required for STATE_BACKEND=catalyst
+ * @returns {Promise<CheckpointStore>} Loaded checkpoint store
+ */
+function loadCheckpoints(catalystApp) {
+  return new CheckpointStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.checkpointFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "checkpoints",
+    })
+  ).load();
+}
+
+/**
+ * @param {Object} [catalystApp] - Required for STATE_BACKEND=catalyst
+ * @returns {Promise<DeadLetterStore>} Loaded dead-letter store
+ */
+function loadDeadLetters(catalystApp) {
+  return new DeadLetterStore(
+    createStateBackend({
+      kind: cfg.stateBackend,
+      filePath: cfg.deadLetterFile,
+      catalystApp,
+      table: cfg.catalystStateTable,
+      key: "dead_letters",
+    }),
+    { maxAttempts: cfg.dlqMaxAttempts }
+  ).load();
+}
+
+/**
+ * @param {Object} [catalystApp] - Required for RUN_HISTORY=catalyst
+ * @returns {FileRunHistory|CatalystRunHistory|null} null when RUN_HISTORY=off
+ */
+function openRunHistory(catalystApp) {
+  return createRunHistory({
+    kind: cfg.runHistory,
+    filePath: cfg.runHistoryFile,
+    catalystApp,
+    table: cfg.runHistoryTable,
+  });
+}
+
+/**
+ * Galaxy session state, without the session keys themselves
+ * @returns {{ sessionStored:boolean, ssPidStored:boolean, updatedAt:string|null }}
+ */
+function galaxySessionState() {
+  const store = new SessionStore(cfg.sessionFile);
+  let updatedAt = null;
+  try {
+    updatedAt = fs.statSync(cfg.sessionFile).mtime.toISOString();
+  } catch {
+    // No session file yet
+  }
+  return {
+    sessionStored: Boolean(store.getSessionId()),
+    ssPidStored: Boolean(store.getSsPid()),
+    updatedAt,
+  };
+}
+
+/**
+ * Short form of a run report
+ * @param {Object} report - From RunReport.finish()
+ * @returns {Object}
+ */
+function summarizeRun(report) {
+  const { runId, job, startedAt, durationMs, ok, stage, error, counts } =
+    report;
+  return { runId, job, startedAt, durationMs, ok, stage, error, counts };
+}
+
+/**
+ * Snapshot of the sync state
+ * @param {{ catalystApp?: Object }} [options]
+ * @returns {Promise<{ checkpoints:Object, deadLetters:Object, galaxySession:Object, lastRun:Object|null }>}
+ */
+async function getSyncStatus({ catalystApp } = {}) {
+  const checkpoints = await loadCheckpoints(catalystApp);
+  const deadLetters = await loadDeadLetters(catalystApp);
+  const history = openRunHistory(catalystApp);
+  const [lastRun] = history ? await history.recent(1) : [];
+  return {
+    checkpoints: checkpoints.toJSON(),
+    deadLetters: deadLetters.counts(),
+    galaxySession: galaxySessionState(),
+    lastRun: lastRun ? summarizeRun(lastRun) : null,
+  };
+}
+
+module.exports = {
+  loadCheckpoints,
+  loadDeadLetters,
+  openRunHistory,
+  galaxySessionState,
+  summarizeRun,
+  getSyncStatus,
+};
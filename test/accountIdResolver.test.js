@@ -0,0 +1,203 @@
+// test/accountIdResolver.test.js
+
+/**
+ * Trader_ID → Zoho id resolution: the resolver on its own, then the job
+ * handler against the mocks linking customers to affiliates that were not
+ * upserted in the run.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "resolver-test-"));
+let mocks;
+
+test.before(async () => {
+  mocks = await startMocks({
+    // Both affiliate upserts fail; only AF00003 already exists in Zoho
+    failTraderIds: ["AF00003", "AF00006"],
+    zohoRecords: {
+      Accounts: [
+        { id: "9001", Trader_ID: "AF00003", Account_Name: "Affiliate of 3" },
+      ],
+    },
+  });
+  Object.assign(process.env, {
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+  });
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** In-memory state backend */
+function memoryBackend(doc = null) {
+  return {
+    doc,
+    load: async function () {
+      return this.doc;
+    },
+    save: async function (d) {
+      this.doc = d;
+    },
+  };
+}
+
+test("resolves from this run, then the cache, then Zoho", async () => {
+  const AccountIdStore = require("../src/utils/accountIdStore");
+  const { AccountIdResolver } = require("../src/accounts/accountIdResolver");
+  const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+  const store = await new AccountIdStore(
+    memoryBackend({
+      items: {
+        C1: { id: "c1", at: new Date().toISOString() },
+        STALE: { id: "old", at: old },
+      },
+    }),
+    { maxAgeMs: 60 * 60 * 1000 }
+  ).load();
+  const asked = [];
+  const resolver = new AccountIdResolver({
+    store,
+    lookup: async (ids) => {
+      asked.push(ids);
+      return {
+        ids: new Map([
+          ["Z1", "z1"],
+          ["STALE", "new"],
+        ]),
+        failed: [],
+      };
+    },
+  });
+  resolver.remember(new Map([["R1", "r1"]]));
+
+  const { ids, unresolved } = await resolver.resolve([
+    "R1",
+    "C1",
+    "Z1",
+    "STALE",
+    "NOPE",
+    "Z1",
+  ]);
+  assert.deepEqual(Object.fromEntries(ids), {
+    R1: "r1",
+    C1: "c1",
+    Z1: "z1",
+    STALE: "new",
+  });
+  assert.deepEqual(unresolved, ["NOPE"]);
+  assert.deepEqual(asked, [["Z1", "STALE", "NOPE"]]);
+  assert.equal(store.items.STALE.id, "new");
+
+  // Found ids are remembered: no second lookup
+  await resolver.resolve(["Z1", "R1"]);
+  assert.equal(asked.length, 1);
+  assert.deepEqual(resolver.stats, {
+    known: 3,
+    cached: 1,
+    zoho: 2,
+    unresolved: 1,
+    failed: 0,
+  });
+});
+
+test("ids of a failed Zoho lookup are neither unresolved nor cached", async () => {
+  const AccountIdStore = require("../src/utils/accountIdStore");
+  const { AccountIdResolver } = require("../src/accounts/accountIdResolver");
+  const store = new AccountIdStore(memoryBackend());
+  let fail = true;
+  const resolver = new AccountIdResolver({
+    store,
+    lookup: async (ids) =>
+      fail
+        ? { ids: new Map(), failed: ids }
+        : { ids: new Map([["A1", "a1"]]), failed: [] },
+  });
+
+  assert.deepEqual(await resolver.resolve(["A1", "B1"]), {
+    ids: new Map(),
+    unresolved: [],
+    failed: ["A1", "B1"],
+  });
+  assert.equal(store.size, 0);
+
+  fail = false;
+  const { ids, unresolved, failed } = await resolver.resolve(["A1", "B1"]);
+  assert.deepEqual(Object.fromEntries(ids), { A1: "a1" });
+  assert.deepEqual(unresolved, ["B1"]);
+  assert.deepEqual(failed, []);
+  assert.equal(resolver.stats.failed, 2);
+});
+
+test("a failed COQL lookup holds the links and the checkpoint", async () => {
+  const handler = require("../src/index");
+  mocks.zoho.state.coqlStatus = 500;
+  let res;
+  try {
+    res = await handler(
+      {
+        getJobParam: (name) =>
+          name === "entities" ? "customers,affiliates" : undefined,
+      },
+      { closeWithSuccess() {}, closeWithFailure() {} }
+    );
+  } finally {
+    mocks.zoho.state.coqlStatus = null;
+  }
+  assert.equal(res.ok, true);
+  // Not reported as missing from Zoho: the lookup did not answer
+  assert.equal(res.unresolvedAffiliates, 0);
+  const accounts = Array.from(mocks.zoho.state.modules.Accounts.values());
+  const byTrader = (t) => accounts.find((a) => a.Trader_ID === t);
+  assert.equal(byTrader("TR00003").Affiliate_To, undefined);
+  assert.ok(byTrader("TR00009").Affiliate_To?.id);
+  // Held below TR00003 (rev 1003), the first customer without its link
+  assert.equal(res.checkpoints.customers.rev, 1002);
+});
+
+test("dry-run placeholders are not cached", async () => {
+  const AccountIdStore = require("../src/utils/accountIdStore");
+  const store = new AccountIdStore(memoryBackend());
+  store.set("A", "dry-run:A");
+  assert.equal(store.size, 0);
+  assert.equal(store.dirty, false);
+});
+
+test("customers link to affiliates in Zoho; the others are reported", async () => {
+  const handler = require("../src/index");
+  const res = await handler(
+    {},
+    { closeWithSuccess() {}, closeWithFailure() {} }
+  );
+  assert.equal(res.ok, true);
+  assert.equal(res.affiliatesFailed, 2);
+  assert.equal(res.unresolvedAffiliates, 1);
+  assert.deepEqual(res.unresolvedAffiliateLinks, [
+    { Trader_ID: "TR00006", affiliate: "AF00006" },
+  ]);
+
+  const accounts = Array.from(mocks.zoho.state.modules.Accounts.values());
+  const byTrader = (t) => accounts.find((a) => a.Trader_ID === t);
+  assert.deepEqual(byTrader("TR00003").Affiliate_To, { id: "9001" });
+  assert.equal(byTrader("TR00006").Affiliate_To, undefined);
+  assert.ok(byTrader("TR00009").Affiliate_To?.id);
+
+  // The cache now holds the ids of this run and the one found in Zoho
+  const cached = JSON.parse(
+    fs.readFileSync(path.join(dir, "account-ids.json"), "utf-8")
+  ).items;
+  assert.equal(cached.AF00003.id, "9001");
+  assert.equal(cached.AF00006, undefined);
+  assert.equal(cached.TR00001.id, byTrader("TR00001").id);
+});
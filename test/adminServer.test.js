@@ -0,0 +1,262 @@
+// test/adminServer.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "admin-test-"));
+Object.assign(process.env, {
+  LOG_LEVEL: "error",
+  RUN_HISTORY: "off",
+  CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+  DLQ_FILE: path.join(dir, "dead-letters.json"),
+  SESSION_FILE: path.join(dir, "session.json"),
+  DAEMON_LOCK_FILE: path.join(dir, "sync.lock"),
+});
+
+const {
+  createAdminServer,
+  validateAdminSettings,
+} = require("../src/adminServer");
+const RunLock = require("../src/utils/runLock");
+
+const settings = {
+  host: "127.0.0.1",
+  port: 0,
+  apiKey: "test-key",
+  username: "admin",
+  password: "pw",
+  sessionSecret: "secret",
+  sessionTtlMinutes: 5,
+};
+
+/**
+ * Start an admin app on a free port
+ * @returns {Promise<{ url:string, app:Object, close:Function }>}
+ */
+function start(runJob) {
+  const app = createAdminServer({ runJob, settings });
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () =>
+      resolve({
+        app,
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+          server.closeAllConnections();
+          return new Promise((r) => server.close(r));
+        },
+      })
+    );
+  });
+}
+
+const withKey = { "x-api-key": "test-key", "content-type": "application/json" };
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("validateAdminSettings requires an API key or a full login", () => {
+  assert.throws(() => validateAdminSettings({ port: 3000 }), /ADMIN_API_KEY/);
+  assert.throws(
+    () => validateAdminSettings({ port: 3000, username: "a", password: "b" }),
+    /ADMIN_SESSION_SECRET/
+  );
+  assert.throws(
+    () => validateAdminSettings({ port: 3000, apiKey: "k", username: "a" }),
+    /both ADMIN_USERNAME and ADMIN_PASSWORD/
+  );
+  assert.doesNotThrow(() => validateAdminSettings({ port: 3000, apiKey: "k" }));
+});
+
+test("routes other than /health need an API key or a session", async (t) => {
+  const srv = await start(async () => ({ ok: true }));
+  t.after(srv.close);
+
+  assert.equal((await fetch(`${srv.url}/health`)).status, 200);
+  assert.equal((await fetch(`${srv.url}/status`)).status, 401);
+  const wrong = await fetch(`${srv.url}/status`, {
+    headers: { "x-api-key": "nope" },
+  });
+  assert.equal(wrong.status, 401);
+  const bearer = await fetch(`${srv.url}/status`, {
+    headers: { authorization: "Bearer test-key" },
+  });
+  assert.equal(bearer.status, 200);
+  const status = await bearer.json();
+  assert.deepEqual(status.galaxySession, {
+    sessionStored: false,
+    ssPidStored: false,
+    updatedAt: null,
+  });
+  assert.equal(status.running, null);
+});
+
+test("login sets a session cookie that authorizes requests", async (t) => {
+  const srv = await start(async () => ({ ok: true }));
+  t.after(srv.close);
+  const json = { "content-type": "application/json" };
+
+  const bad = await fetch(`${srv.url}/login`, {
+    method: "POST",
+    headers: json,
+    body: JSON.stringify({ username: "admin", password: "wrong" }),
+  });
+  assert.equal(bad.status, 401);
+
+  const ok = await fetch(`${srv.url}/login`, {
+    method: "POST",
+    headers: json,
+    body: JSON.stringify({ username: "admin", password: "pw" }),
+  });
+  assert.equal(ok.status, 200);
+  const cookie = ok.headers.get("set-cookie").split(";")[0];
+  assert.match(ok.headers.get("set-cookie"), /HttpOnly/);
+
+  const res = await fetch(`${srv.url}/watermarks`, { headers: { cookie } });
+  assert.equal(res.status, 200);
+  assert.ok((await res.json()).checkpoints);
+
+  await fetch(`${srv.url}/logout`, { method: "POST", headers: { cookie } });
+  const after = await fetch(`${srv.url}/watermarks`, { headers: { cookie } });
+  assert.equal(after.status, 401);
+});
+
+test("a trigger while a run is active gets 409", async (t) => {
+  let finish;
+  const calls = [];
+  const srv = await start((options) => {
+    calls.push(options);
+    return new Promise((resolve) => (finish = resolve));
+  });
+  t.after(srv.close);
+
+  const first = await fetch(`${srv.url}/sync`, {
+    method: "POST",
+    headers: withKey,
+    body: JSON.stringify({ dryRun: true }),
+  });
+  assert.equal(first.status, 202);
+  assert.equal((await first.json()).job, "sync");
+
+  const second = await fetch(`${srv.url}/resync`, {
+    method: "POST",
+    headers: withKey,
+    body: JSON.stringify({ traderIds: ["t1"] }),
+  });
+  assert.equal(second.status, 409);
+  assert.equal((await second.json()).running.job, "sync");
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].dryRun, true);
+
+  finish({ ok: true });
+  await srv.app.locals.runGuard.active.done;
+  const pending = fetch(`${srv.url}/resync?wait=1`, {
+    method: "POST",
+    headers: withKey,
+    body: JSON.stringify({ traderIds: "t1, T2,t1" }),
+  });
+  while (calls.length < 2) await new Promise((r) => setImmediate(r));
+  finish({ ok: true, customers: 2 });
+  const third = await pending;
+  assert.equal(third.status, 200);
+  assert.deepEqual(await third.json(), { ok: true, customers: 2 });
+  assert.deepEqual(calls[1].scope, { traderIds: ["T1", "T2"] });
+  assert.equal(calls[1].force, true);
+});
+
+test("a failed run frees the guard and is reported", async (t) => {
+  const srv = await start(async () => {
+    throw Object.assign(new Error("boom"), { stage: "auth" });
+  });
+  t.after(srv.close);
+
+  const res = await fetch(`${srv.url}/sync?wait=1`, {
+    method: "POST",
+    headers: withKey,
+  });
+  assert.equal(res.status, 500);
+  assert.deepEqual(await res.json(), {
+    ok: false,
+    stage: "auth",
+    error: "boom",
+  });
+  assert.equal(srv.app.locals.runGuard.active, null);
+});
+
+test("a trigger while another process holds the sync lock gets 409", async (t) => {
+  const calls = [];
+  const srv = await start(async (options) => {
+    calls.push(options);
+    return { ok: true };
+  });
+  t.after(srv.close);
+  const other = new RunLock(process.env.DAEMON_LOCK_FILE);
+  assert.equal(other.acquire(), true);
+
+  const res = await fetch(`${srv.url}/sync`, {
+    method: "POST",
+    headers: withKey,
+  });
+  assert.equal(res.status, 409);
+  const body = await res.json();
+  assert.equal(body.lock.pid, process.pid);
+  assert.equal(calls.length, 0);
+
+  other.release();
+  const free = await fetch(`${srv.url}/sync?wait=1`, {
+    method: "POST",
+    headers: withKey,
+  });
+  assert.equal(free.status, 200);
+  assert.equal(calls.length, 1);
+  assert.equal(fs.existsSync(process.env.DAEMON_LOCK_FILE), false);
+});
+
+test("/resync needs trader ids", async (t) => {
+  const srv = await start(async () => ({ ok: true }));
+  t.after(srv.close);
+  const res = await fetch(`${srv.url}/resync`, {
+    method: "POST",
+    headers: withKey,
+    body: JSON.stringify({ traderIds: [] }),
+  });
+  assert.equal(res.status, 400);
+});
+
+test("/failed-rows lists dead letters by status and entity", async (t) => {
+  const { DeadLetterStore } = require("../src/utils/deadLetterStore");
+  const { createStateBackend } = require("../src/utils/stateBackend");
+  const store = await new DeadLetterStore(
+    createStateBackend({ kind: "file", filePath: process.env.DLQ_FILE })
+  ).load();
+  store.recordFailures("customers", [
+    {
+      key: "T1",
+      payload: { Trader_ID: "T1" },
+      error: { code: "INVALID_DATA" },
+    },
+  ]);
+  await store.save();
+
+  const srv = await start(async () => ({ ok: true }));
+  t.after(srv.close);
+
+  const res = await fetch(`${srv.url}/failed-rows?entity=customers`, {
+    headers: withKey,
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.total, 1);
+  assert.equal(body.items[0].key, "T1");
+
+  const none = await fetch(`${srv.url}/failed-rows?entity=contacts`, {
+    headers: withKey,
+  });
+  assert.equal((await none.json()).total, 0);
+
+  const bad = await fetch(`${srv.url}/failed-rows?status=bogus`, {
+    headers: withKey,
+  });
+  assert.equal(bad.status, 400);
+});
@@ -0,0 +1,71 @@
+// test/affiliateFetch.test.js
+
+/**
+ * Affiliate fetch failures against the mocks: an In query that throws
+ * (after its retries) is handled like a failed fetch. The run goes on, no
+ * links are made and the customers checkpoint stays below the page's
+ * card-holders, so the next run fetches their affiliates again.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+const { buildFixtures } = require("../mock/fixtures");
+const { parseGalaxyFilter } = require("../mock/galaxyMock");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "affiliate-fetch-test-"));
+let mocks;
+
+test.before(async () => {
+  // Card holders TR00003, TR00006, TR00009 (revisions 1003, 1006, 1009)
+  mocks = await startMocks({ fixtures: buildFixtures({ customers: 9 }) });
+  Object.assign(process.env, {
+    GLX_PAGE_SIZE: "10",
+    AFFILIATE_FETCH_CHUNK_SIZE: "1",
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+  });
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const handler = () =>
+  require("../src/index")({}, { closeWithSuccess() {}, closeWithFailure() {} });
+const affiliateTo = (trader) =>
+  Array.from(mocks.zoho.state.modules.Accounts.values()).find(
+    (a) => a.Trader_ID === trader
+  )?.Affiliate_To;
+
+test("one In query that throws holds the page's links and checkpoint", async () => {
+  // The query for revision 1006 loses its connection on every attempt
+  mocks.galaxy.state.dropRequest = (req) => {
+    if (!req.path.endsWith("/ZH_AFFILIATE")) return false;
+    const [cond] = parseGalaxyFilter(req.query.filters);
+    return cond.values.includes(1006);
+  };
+  const first = await handler();
+  assert.equal(first.ok, true);
+  assert.equal(first.success, 9);
+  assert.equal(first.affiliatesFetched, 0);
+  assert.equal(first.linkedCustomers, 0);
+  assert.equal(affiliateTo("TR00003"), undefined);
+  // Held below the first card holder of the page
+  assert.equal(first.checkpoints.customers.rev, 1002);
+
+  mocks.galaxy.state.dropRequest = null;
+  const second = await handler();
+  assert.equal(second.ok, true);
+  assert.equal(second.affiliatesFetched, 3);
+  assert.equal(second.linkedCustomers, 3);
+  assert.ok(affiliateTo("TR00006"));
+  assert.equal(second.checkpoints.customers.rev, 1009);
+});
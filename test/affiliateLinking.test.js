@@ -0,0 +1,121 @@
+// test/affiliateLinking.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  selectCardHolders,
+  buildAffiliateMaps,
+  buildAffiliatePairs,
+  filterAffiliatesByRevNum,
+  linkRevNumsToAffiliateIds,
+} = require("../src/accounts/affiliateLinking");
+
+const aff = (trader, rev, name = trader) => ({
+  AFFILIATES_TRDRID: trader,
+  AFF_NAME: name,
+  AFFILIATES_REVNUM: rev,
+});
+
+test("selectCardHolders keeps customers with a card and a revision", () => {
+  const { revNums, cardHolders } = selectCardHolders([
+    { TRDRID: "A", ZH_CUSTOMERS_MEMBER_CARDNO: "C1", THIRDPARTYREVNUM: 10 },
+    { TRDRID: "B", ZH_CUSTOMERS_MEMBER_CARDNO: "", THIRDPARTYREVNUM: 11 },
+    { TRDRID: "C", ZH_CUSTOMERS_MEMBER_CARDNO: null, THIRDPARTYREVNUM: 12 },
+    { TRDRID: "D", THIRDPARTYREVNUM: 13 },
+    { TRDRID: "E", ZH_CUSTOMERS_MEMBER_CARDNO: 0, THIRDPARTYREVNUM: "14" },
+    { TRDRID: "F", ZH_CUSTOMERS_MEMBER_CARDNO: "C6", THIRDPARTYREVNUM: 0 },
+    { TRDRID: "G", ZH_CUSTOMERS_MEMBER_CARDNO: "C7", THIRDPARTYREVNUM: "x" },
+    null,
+  ]);
+  assert.deepEqual(revNums, [10, 14]);
+  assert.deepEqual(
+    cardHolders.map((c) => c.TRDRID),
+    ["A", "E"]
+  );
+});
+
+test("buildAffiliateMaps dedupes by Trader_ID keeping the latest revision", () => {
+  const { uniqueAffRows } = buildAffiliateMaps([
+    aff("af1", 5, "old"),
+    aff("AF1", 9, "new"),
+    aff("AF1", 7, "middle"),
+    aff("AF2", 3),
+  ]);
+  assert.equal(uniqueAffRows.length, 2);
+  const af1 = uniqueAffRows.find(
+    (r) => r.AFFILIATES_TRDRID.toUpperCase() === "AF1"
+  );
+  assert.equal(af1.AFF_NAME, "new");
+});
+
+test("buildAffiliateMaps maps each revision to its affiliate", () => {
+  const { affRevToAffTrader } = buildAffiliateMaps([
+    aff("af1", 5),
+    aff("AF2", 6),
+    aff("AF3", 6),
+  ]);
+  assert.deepEqual(affRevToAffTrader.get(5), { affTraderId: "AF1", rev: 5 });
+  // Same revision twice: the first row is kept
+  assert.deepEqual(affRevToAffTrader.get(6), { affTraderId: "AF2", rev: 6 });
+});
+
+test("buildAffiliateMaps ignores rows without revision or Trader_ID", () => {
+  const { affRevToAffTrader, uniqueAffRows } = buildAffiliateMaps([
+    aff("", 5),
+    aff("AF1", 0),
+    aff("AF2", "abc"),
+    null,
+  ]);
+  assert.equal(affRevToAffTrader.size, 0);
+  assert.equal(uniqueAffRows.length, 0);
+  assert.equal(buildAffiliateMaps(undefined).uniqueAffRows.length, 0);
+});
+
+test("filterAffiliatesByRevNum keeps affiliates of the chunk's card holders", () => {
+  const rows = [aff("AF1", 10), aff("AF2", "11"), aff("AF3", 12)];
+  assert.deepEqual(
+    filterAffiliatesByRevNum(rows, new Set([10, 11])).map(
+      (r) => r.AFFILIATES_TRDRID
+    ),
+    ["AF1", "AF2"]
+  );
+});
+
+test("a customer links to the affiliate sharing its revision number", () => {
+  const items = [
+    { TRDRID: "C1", ZH_CUSTOMERS_MEMBER_CARDNO: "X", THIRDPARTYREVNUM: 100 },
+    { TRDRID: "C2", ZH_CUSTOMERS_MEMBER_CARDNO: "Y", THIRDPARTYREVNUM: 101 },
+    { TRDRID: "C3", THIRDPARTYREVNUM: 102 },
+  ];
+  const fetched = [aff("AF100", 100), aff("AF101", 101), aff("AF999", 999)];
+
+  const { revNums } = selectCardHolders(items);
+  const { affRevToAffTrader, uniqueAffRows } = buildAffiliateMaps(fetched);
+  const toUpsert = filterAffiliatesByRevNum(uniqueAffRows, new Set(revNums));
+  assert.deepEqual(
+    toUpsert.map((r) => r.AFFILIATES_TRDRID),
+    ["AF100", "AF101"]
+  );
+
+  // AF101 failed to upsert, so it has no Zoho ID and C2 stays unlinked
+  const links = linkRevNumsToAffiliateIds(
+    affRevToAffTrader,
+    new Map([["AF100", "z-100"]])
+  );
+  assert.deepEqual(Array.from(links), [[100, "z-100"]]);
+});
+
+test("buildAffiliatePairs keeps every affiliate of a revision", () => {
+  const pairs = buildAffiliatePairs([
+    aff("af2", 100),
+    aff("AF1", 100),
+    aff("AF2", 100),
+    aff("AF3", 200),
+    aff("", 200),
+    aff("AF4", 0),
+  ]);
+  assert.deepEqual(Array.from(pairs), [
+    [100, ["AF1", "AF2"]],
+    [200, ["AF3"]],
+  ]);
+});
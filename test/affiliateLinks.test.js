@@ -0,0 +1,153 @@
+// test/affiliateLinks.test.js
+
+/**
+ * Junction link mode (AFFILIATE_LINK_MODE=junction) against the mocks:
+ * every customer–affiliate pair becomes a link record, links gone from
+ * Galaxy are ended (or deleted), and Affiliate_To is left alone.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+const { buildFixtures } = require("../mock/fixtures");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "links-test-"));
+const MODULE = "Customer_Affiliates";
+const today = () => new Date().toISOString().slice(0, 10);
+let mocks;
+let fixtures;
+
+test.before(async () => {
+  // Card holders TR00003, TR00006, TR00009; TR00003 gets a second affiliate
+  fixtures = buildFixtures({ customers: 9 });
+  fixtures.affiliates.push({
+    AFFILIATES_TRDRID: "AF90003",
+    AFF_NAME: "Second affiliate of 3",
+    AFF_TIN: "990000003",
+    AFFILIATES_REVNUM: 1003,
+  });
+  mocks = await startMocks({
+    fixtures,
+    zohoRecords: {
+      [MODULE]: [
+        // Gone from Galaxy: ended by the run
+        {
+          id: "7001",
+          Link_Key: "TR00006:AFOLD",
+          Customer_Trader_ID: "TR00006",
+          Affiliate_Trader_ID: "AFOLD",
+          Start_Date: "2020-01-01",
+          End_Date: null,
+        },
+        // Still in Galaxy: kept as it is
+        {
+          id: "7002",
+          Link_Key: "TR00009:AF00009",
+          Customer_Trader_ID: "TR00009",
+          Affiliate_Trader_ID: "AF00009",
+          Start_Date: "2020-01-01",
+          End_Date: null,
+        },
+      ],
+    },
+  });
+  Object.assign(process.env, {
+    AFFILIATE_LINK_MODE: "junction",
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+  });
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const links = () =>
+  new Map(
+    Array.from(mocks.zoho.state.modules[MODULE].values()).map((l) => [
+      l.Link_Key,
+      l,
+    ])
+  );
+const accountId = (trader) =>
+  Array.from(mocks.zoho.state.modules.Accounts.values()).find(
+    (a) => a.Trader_ID === trader
+  )?.id;
+const handler = () =>
+  require("../src/index")({}, { closeWithSuccess() {}, closeWithFailure() {} });
+
+test("every pair is linked and links gone from Galaxy are ended", async () => {
+  const res = await handler();
+  assert.equal(res.ok, true);
+  assert.equal(res.affiliateLinksUpserted, 3);
+  assert.equal(res.affiliateLinksRemoved, 1);
+  assert.equal(res.affiliateLinksFailed, 0);
+  assert.equal(res.linkedCustomers, 3);
+
+  const byKey = links();
+  for (const key of ["TR00003:AF00003", "TR00003:AF90003", "TR00006:AF00006"]) {
+    const l = byKey.get(key);
+    assert.ok(l, key);
+    assert.equal(l.Start_Date, today());
+    assert.equal(l.End_Date, null);
+    const [customer, affiliate] = key.split(":");
+    assert.deepEqual(l.Customer, { id: accountId(customer) });
+    assert.deepEqual(l.Affiliate, { id: accountId(affiliate) });
+  }
+  assert.equal(byKey.get("TR00006:AFOLD").End_Date, today());
+  assert.equal(byKey.get("TR00009:AF00009").Start_Date, "2020-01-01");
+  assert.equal(byKey.get("TR00009:AF00009").End_Date, null);
+
+  // The single lookup is not written in this mode
+  assert.equal(
+    Array.from(mocks.zoho.state.modules.Accounts.values()).filter(
+      (a) => a.Affiliate_To
+    ).length,
+    0
+  );
+});
+
+test("a customer that lost an affiliate has that link ended next time", async () => {
+  // TR00003 changes (new revision) and keeps only AF00003
+  const customer = fixtures.customers.find((c) => c.TRDRID === "TR00003");
+  customer.THIRDPARTYREVNUM = 2000;
+  fixtures.affiliates = fixtures.affiliates.filter(
+    (a) => a.AFFILIATES_TRDRID !== "AF90003"
+  );
+  fixtures.affiliates.find(
+    (a) => a.AFFILIATES_TRDRID === "AF00003"
+  ).AFFILIATES_REVNUM = 2000;
+
+  const res = await handler();
+  assert.equal(res.ok, true);
+  assert.equal(res.processed, 1);
+  assert.equal(res.affiliateLinksUpserted, 0);
+  assert.equal(res.affiliateLinksRemoved, 1);
+  const byKey = links();
+  assert.equal(byKey.get("TR00003:AF90003").End_Date, today());
+  assert.equal(byKey.get("TR00003:AF00003").End_Date, null);
+});
+
+test("AFFILIATE_LINK_ON_REMOVE=delete deletes the link records", async () => {
+  const { syncAffiliateLinks } = require("../src/accounts/affiliateLinksZoho");
+  const res = await syncAffiliateLinks(
+    [{ traderId: "TR00006", id: accountId("TR00006"), affiliates: [] }],
+    new Map(),
+    { onRemove: "delete" }
+  );
+  assert.deepEqual(
+    { linked: res.linked, removed: res.removed, failed: res.failed },
+    { linked: 0, removed: 1, failed: 0 }
+  );
+  const byKey = links();
+  assert.equal(byKey.has("TR00006:AF00006"), false);
+  // Ended links are history, not live links: left alone
+  assert.equal(byKey.get("TR00006:AFOLD").End_Date, today());
+});
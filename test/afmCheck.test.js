@@ -0,0 +1,175 @@
+// test/afmCheck.test.js
+
+/**
+ * AFM validation and duplicate detection: the checker on its own, then the
+ * job handler against the mocks with invalid and shared AFMs.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+const { buildFixtures, validAfm } = require("../mock/fixtures");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "afm-test-"));
+const reportFile = path.join(dir, "afm-duplicates.ndjson");
+let mocks;
+
+test.before(async () => {
+  const fixtures = buildFixtures({ customers: 6 });
+  const tin = (trader) =>
+    fixtures.customers.find((c) => c.TRDRID === trader).TIN;
+  // TR00002 is the same company as TR00001; TR00004 has a bad checksum
+  fixtures.customers.find((c) => c.TRDRID === "TR00002").TIN = `EL ${tin(
+    "TR00001"
+  )}`;
+  const bad =
+    tin("TR00004").slice(0, 8) + ((Number(tin("TR00004")[8]) + 1) % 10);
+  fixtures.customers.find((c) => c.TRDRID === "TR00004").TIN = bad;
+  mocks = await startMocks({
+    fixtures,
+    zohoRecords: {
+      // An Account created by hand (no Trader_ID) with TR00005's AFM
+      Accounts: [
+        {
+          id: "8001",
+          Account_Name: "Manual entry",
+          Account_AFM: tin("TR00005"),
+        },
+      ],
+    },
+  });
+  Object.assign(process.env, {
+    AFM_INVALID_FIELD: "AFM_Invalid",
+    AFM_DUPLICATES_REPORT: reportFile,
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+    DRY_RUN_REPORT: path.join(dir, "dry-run.ndjson"),
+  });
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("isValidAfm runs the Greek checksum", () => {
+  const { isValidAfm } = require("../src/accounts/afmCheck");
+  assert.equal(isValidAfm("094019245"), true);
+  assert.equal(isValidAfm(validAfm(12345678)), true);
+  assert.equal(isValidAfm("094019246"), false);
+  assert.equal(isValidAfm("94019245"), false);
+  assert.equal(isValidAfm("000000000"), false);
+  assert.equal(isValidAfm("EL094019245"), false);
+  assert.equal(isValidAfm(undefined), false);
+});
+
+test("invalid AFMs move to the flag field; shared ones are reported", async () => {
+  const { AfmCheck } = require("../src/accounts/afmCheck");
+  const asked = [];
+  const afm = new AfmCheck({
+    invalidField: "AFM_Invalid",
+    duplicateCheck: "zoho",
+    lookup: async (afms) => {
+      asked.push(afms);
+      return [
+        { id: "z1", Trader_ID: "A", Account_AFM: "094019245" },
+        { id: "z9", Trader_ID: "Z", Account_AFM: "EL 094019245" },
+      ];
+    },
+  });
+
+  const good = { Trader_ID: "A", Account_AFM: "094019245" };
+  const same = { Trader_ID: "B", Account_AFM: "094019245" };
+  const wrong = { Trader_ID: "C", Account_AFM: "123" };
+  const none = { Trader_ID: "D" };
+  assert.equal(afm.check(good, "customers"), true);
+  assert.equal(afm.check(same, "affiliates"), true);
+  assert.equal(afm.check(wrong, "customers"), false);
+  assert.equal(afm.check(none, "customers"), true);
+  assert.deepEqual(wrong, { Trader_ID: "C", AFM_Invalid: "123" });
+  assert.equal(good.AFM_Invalid, null);
+  assert.equal(none.AFM_Invalid, null);
+
+  await afm.checkZoho();
+  await afm.checkZoho(); // nothing new: no second lookup
+  assert.deepEqual(asked, [["094019245"]]);
+  assert.deepEqual(afm.duplicates(), [
+    {
+      afm: "094019245",
+      accounts: [
+        { Trader_ID: "A", entity: "customers", id: "z1" },
+        { Trader_ID: "B", entity: "affiliates" },
+        { Trader_ID: "Z", entity: "zoho", id: "z9" },
+      ],
+    },
+  ]);
+  assert.equal(afm.stats.invalid, 1);
+});
+
+test("duplicate tracking can be turned off", () => {
+  const { AfmCheck } = require("../src/accounts/afmCheck");
+  const afm = new AfmCheck({ duplicateCheck: "off" });
+  afm.check({ Trader_ID: "A", Account_AFM: "094019245" }, "customers");
+  afm.check({ Trader_ID: "B", Account_AFM: "094019245" }, "customers");
+  assert.deepEqual(afm.duplicates(), []);
+});
+
+test("the job flags invalid AFMs and reports shared ones", async () => {
+  const handler = require("../src/index");
+  const res = await handler(
+    {},
+    { closeWithSuccess() {}, closeWithFailure() {} }
+  );
+  assert.equal(res.ok, true);
+  assert.equal(res.failed, 0);
+  assert.equal(res.afmInvalid, 1);
+  assert.deepEqual(
+    res.invalidAfms.map((i) => i.Trader_ID),
+    ["TR00004"]
+  );
+  assert.equal(res.afmDuplicates, 2);
+
+  const accounts = Array.from(mocks.zoho.state.modules.Accounts.values());
+  const byTrader = (t) => accounts.find((a) => a.Trader_ID === t);
+  assert.equal(byTrader("TR00004").Account_AFM, undefined);
+  assert.match(byTrader("TR00004").AFM_Invalid, /^\d{9}$/);
+  assert.equal(byTrader("TR00001").AFM_Invalid, null);
+  assert.equal(
+    byTrader("TR00002").Account_AFM,
+    byTrader("TR00001").Account_AFM
+  );
+
+  const lines = fs
+    .readFileSync(reportFile, "utf-8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  const traders = (d) => d.accounts.map((a) => a.Trader_ID || a.id);
+  assert.deepEqual(lines.map(traders), [
+    ["TR00001", "TR00002"],
+    ["TR00005", "8001"],
+  ]);
+  assert.equal(lines[1].accounts[1].entity, "zoho");
+});
+
+test("targeted and dry runs leave the duplicates report alone", async () => {
+  const { runJobOnce } = require("../src/index");
+  const before = fs.readFileSync(reportFile, "utf-8");
+
+  // TR00003 shares no AFM: a full run would remove the report
+  const resync = await runJobOnce({ scope: { traderIds: ["TR00003"] } });
+  assert.equal(resync.ok, true);
+  assert.equal(resync.afmDuplicates, 0);
+  assert.equal(fs.readFileSync(reportFile, "utf-8"), before);
+
+  fs.writeFileSync(reportFile, "stale\n");
+  const dry = await runJobOnce({ dryRun: true });
+  assert.equal(dry.ok, true);
+  assert.equal(fs.readFileSync(reportFile, "utf-8"), "stale\n");
+});
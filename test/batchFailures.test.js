@@ -0,0 +1,56 @@
+// test/batchFailures.test.js
+
+/**
+ * Whole-batch Zoho failures against the mocks: the checkpoint uses the rule
+ * the dead-letter store counts attempts by. A batch Zoho rejects (HTTP 400)
+ * is permanent and settles like row-level errors; an outage (HTTP 503)
+ * holds the checkpoint so the next run fetches the rows again.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+const { buildFixtures } = require("../mock/fixtures");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-failure-test-"));
+let mocks;
+
+test.before(async () => {
+  mocks = await startMocks({ fixtures: buildFixtures({ customers: 5 }) });
+  Object.assign(process.env, {
+    ZOHO_MAX_RETRIES: "0",
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+  });
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const handler = () =>
+  require("../src/index")({}, { closeWithSuccess() {}, closeWithFailure() {} });
+
+test("an outage holds the checkpoint, a rejected batch does not", async () => {
+  mocks.zoho.state.upsertStatus = 503;
+  const outage = await handler();
+  assert.equal(outage.failed, 5);
+  assert.equal(outage.checkpoints.customers.rev, 0);
+
+  mocks.zoho.state.upsertStatus = 400;
+  const rejected = await handler();
+  assert.equal(rejected.failed, 5);
+  assert.equal(rejected.checkpoints.customers.rev, 1005);
+  const dlq = JSON.parse(fs.readFileSync(process.env.DLQ_FILE, "utf-8"));
+  const attempts = Object.values(dlq.items)
+    .filter((it) => it.entity === "customers")
+    .map((it) => it.attempts);
+  assert.deepEqual(attempts, [1, 1, 1, 1, 1]);
+});
@@ -0,0 +1,104 @@
+// test/checkpointStore.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  CheckpointStore,
+  ContiguousWatermark,
+  ENTITIES,
+} = require("../src/utils/checkpointStore");
+
+/** In-memory state backend */
+function memoryBackend(doc = null) {
+  return {
+    doc,
+    load: async function () {
+      return this.doc && JSON.parse(JSON.stringify(this.doc));
+    },
+    save: async function (d) {
+      this.doc = JSON.parse(JSON.stringify(d));
+    },
+  };
+}
+
+test("advance keeps watermarks another process saved since load", async () => {
+  const backend = memoryBackend();
+  const forward = await new CheckpointStore(backend).load();
+  const reverse = await new CheckpointStore(backend).load();
+
+  await forward.advance(ENTITIES.CUSTOMERS, 1010);
+  await reverse.advance(ENTITIES.ZOHO_ACCOUNTS, 1714521600000);
+  await forward.advance(ENTITIES.CUSTOMERS, 1020);
+
+  assert.equal(backend.doc.customers.rev, 1020);
+  assert.equal(backend.doc.zoho_accounts.rev, 1714521600000);
+  assert.equal(forward.get(ENTITIES.ZOHO_ACCOUNTS), 1714521600000);
+});
+
+test("advance never moves a watermark below the stored one", async () => {
+  const backend = memoryBackend();
+  const a = await new CheckpointStore(backend).load();
+  const b = await new CheckpointStore(backend).load();
+
+  assert.equal(await a.advance(ENTITIES.CUSTOMERS, 1020), true);
+  assert.equal(await b.advance(ENTITIES.CUSTOMERS, 1010), false);
+  assert.equal(backend.doc.customers.rev, 1020);
+  assert.equal(b.get(ENTITIES.CUSTOMERS), 1020);
+  assert.equal(await a.advance(ENTITIES.CUSTOMERS, 1020), false);
+  assert.equal(await a.advance(ENTITIES.CUSTOMERS, NaN), false);
+});
+
+test("a new store has no watermarks and reads missing ones as 0", async () => {
+  const store = await new CheckpointStore(memoryBackend()).load();
+  assert.equal(store.has(ENTITIES.CUSTOMERS), false);
+  assert.equal(store.get(ENTITIES.CUSTOMERS), 0);
+  await store.advance(ENTITIES.CUSTOMERS, 0);
+  assert.equal(store.has(ENTITIES.CUSTOMERS), true);
+  assert.deepEqual(Object.keys(store.toJSON()), ["customers"]);
+});
+
+test("the watermark passes out-of-order outcomes in revision order", () => {
+  const mark = new ContiguousWatermark(100);
+  assert.equal(
+    mark.record([
+      { rev: 103, ok: true },
+      { rev: 101, ok: true },
+      { rev: 102, ok: true },
+    ]),
+    103
+  );
+  // Outcomes without a revision (dropped rows without one) are ignored
+  assert.equal(mark.record([{ ok: true }, { rev: 99, ok: true }]), 103);
+  assert.equal(mark.blocked, false);
+  assert.equal(mark.blockedAt, null);
+});
+
+test("a failure holds the watermark for the rest of the run", () => {
+  const mark = new ContiguousWatermark(100);
+  assert.equal(
+    mark.record([
+      { rev: 104, ok: true },
+      { rev: 102, ok: false },
+      { rev: 101, ok: true },
+    ]),
+    101
+  );
+  assert.equal(mark.blocked, true);
+  assert.equal(mark.blockedAt, 102);
+  // Later chunks no longer move it
+  assert.equal(mark.record([{ rev: 110, ok: true }]), 101);
+  assert.equal(mark.blockedAt, 102);
+});
+
+test("a revision is passed only when all of its records succeeded", () => {
+  const mark = new ContiguousWatermark(0);
+  assert.equal(
+    mark.record([
+      { rev: 1, ok: true },
+      { rev: 2, ok: true },
+      { rev: 2, ok: false },
+    ]),
+    1
+  );
+  assert.equal(mark.blockedAt, 2);
+});
@@ -0,0 +1,92 @@
+// test/cli.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RunLock = require("../src/utils/runLock");
+const { main, parseArgs, stageExitCode, EXIT_CODES } = require("../src/cli");
+
+test("parseArgs reads the command, flags and value options", () => {
+  assert.deepEqual(
+    parseArgs(["backfill", "--from-rev", "10", "--to-rev=20", "--dry-run"]),
+    {
+      command: "backfill",
+      options: { "from-rev": ["10"], "to-rev": ["20"], "dry-run": true },
+    }
+  );
+});
+
+test("parseArgs collects repeated value options", () => {
+  const { options } = parseArgs([
+    "resync",
+    "--trader-id",
+    "A,B",
+    "--trader-id=C",
+  ]);
+  assert.deepEqual(options["trader-id"], ["A,B", "C"]);
+});
+
+test("parseArgs rejects unknown and incomplete options", () => {
+  assert.throws(() => parseArgs(["run", "--nope"]), /Unknown option --nope/);
+  assert.throws(() => parseArgs(["backfill", "--from-rev"]), /needs a value/);
+  assert.throws(
+    () => parseArgs(["backfill", "--from-rev", "--dry-run"]),
+    /needs a value/
+  );
+  assert.throws(() => parseArgs(["run", "extra"]), /Unexpected argument/);
+  assert.throws(() => parseArgs(["run", "--force=yes"]), /takes no value/);
+});
+
+test("stageExitCode maps failed stages to exit codes", () => {
+  assert.equal(stageExitCode("config"), EXIT_CODES.CONFIG);
+  assert.equal(stageExitCode("checkpoint"), EXIT_CODES.CONFIG);
+  assert.equal(stageExitCode("auth"), EXIT_CODES.AUTH);
+  assert.equal(stageExitCode("fetch:page"), EXIT_CODES.FETCH);
+  assert.equal(stageExitCode("fetch:reauth"), EXIT_CODES.FETCH);
+  assert.equal(stageExitCode("contacts:fetch"), EXIT_CODES.CONTACTS);
+  assert.equal(stageExitCode("lock"), EXIT_CODES.LOCKED);
+  assert.equal(stageExitCode("fatal"), EXIT_CODES.FATAL);
+  assert.equal(stageExitCode(undefined), EXIT_CODES.FATAL);
+});
+
+test("run commands are refused while another process holds the sync lock", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cfg = require("../src/config");
+  Object.assign(cfg, {
+    baseURL: "http://127.0.0.1:1",
+    username: "u",
+    password: "p",
+  });
+  cfg.daemon.lockFile = path.join(dir, "sync.lock");
+  const other = new RunLock(cfg.daemon.lockFile);
+  assert.equal(other.acquire(), true);
+  t.after(() => other.release());
+
+  for (const argv of [
+    ["run"],
+    ["backfill", "--from-rev", "1"],
+    ["resync", "--trader-id", "T1"],
+    ["preview"],
+  ]) {
+    assert.equal(await main(argv), EXIT_CODES.LOCKED);
+  }
+  assert.equal(other.read().token, other.token);
+});
+
+test("main returns usage and config exit codes", async (t) => {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+  assert.equal(await main([]), EXIT_CODES.USAGE);
+  assert.equal(await main(["--help"]), EXIT_CODES.OK);
+  assert.equal(await main(["bogus"]), EXIT_CODES.USAGE);
+  assert.equal(await main(["run", "--log-level", "loud"]), EXIT_CODES.USAGE);
+
+  // No BASE_URL in this process
+  delete process.env.BASE_URL;
+  require("../src/config").baseURL = "";
+  assert.equal(await main(["status"]), EXIT_CODES.CONFIG);
+});
@@ -0,0 +1,93 @@
+// test/config.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// This file runs in its own process: set the env before the first import
+for (const k of ["BASE_URL", "AUTH_USERNAME", "AUTH_PASSWORD", "LOG_LEVEL"]) {
+  delete process.env[k];
+}
+
+test("importing config (and modules using it) does not validate", () => {
+  assert.doesNotThrow(() => require("../src/config"));
+  assert.doesNotThrow(() => require("../src/accounts/pushAccountsZoho"));
+  assert.doesNotThrow(() => require("../src/index"));
+});
+
+test("validateConfig reports missing and invalid settings", () => {
+  const cfg = require("../src/config");
+  assert.throws(() => cfg.validateConfig(), /Missing BASE_URL/);
+
+  cfg.baseURL = "not a url";
+  assert.throws(() => cfg.validateConfig(), /Invalid BASE_URL/);
+
+  cfg.baseURL = "https://galaxy.example.com";
+  assert.throws(() => cfg.validateConfig(), /AUTH_USERNAME/);
+
+  cfg.username = "user";
+  cfg.password = "secret";
+  assert.doesNotThrow(() => cfg.validateConfig());
+
+  cfg.affiliateLinks.mode = "many";
+  assert.throws(() => cfg.validateConfig(), /Invalid AFFILIATE_LINK_MODE/);
+  cfg.affiliateLinks.mode = "junction";
+  cfg.affiliateLinks.onRemove = "archive";
+  assert.throws(() => cfg.validateConfig(), /Invalid AFFILIATE_LINK_ON_REMOVE/);
+  cfg.affiliateLinks.onRemove = "delete";
+  assert.doesNotThrow(() => cfg.validateConfig());
+
+  cfg.afm.duplicateCheck = "all";
+  assert.throws(() => cfg.validateConfig(), /Invalid AFM_DUPLICATE_CHECK/);
+  cfg.afm.duplicateCheck = "run";
+  cfg.afm.invalidField = "AFM Invalid";
+  assert.throws(() => cfg.validateConfig(), /Invalid AFM_INVALID_FIELD/);
+  cfg.afm.invalidField = "AFM_Invalid";
+  assert.doesNotThrow(() => cfg.validateConfig());
+
+  cfg.zohoMaxRetries = NaN;
+  assert.throws(() => cfg.validateConfig(), /Invalid ZOHO_MAX_RETRIES/);
+  cfg.zohoMaxRetries = 2;
+  cfg.zohoRetryBaseMs = -1;
+  assert.throws(() => cfg.validateConfig(), /Invalid ZOHO_RETRY_BASE_MS/);
+  cfg.zohoRetryBaseMs = 500;
+  cfg.zohoMaxRetryWaitMs = 1.5;
+  assert.throws(() => cfg.validateConfig(), /Invalid ZOHO_MAX_RETRY_WAIT_MS/);
+  cfg.zohoMaxRetryWaitMs = 0;
+  assert.doesNotThrow(() => cfg.validateConfig());
+
+  cfg.dlqMaxAttempts = 0;
+  assert.throws(() => cfg.validateConfig(), /Invalid DLQ_MAX_ATTEMPTS/);
+  cfg.dlqMaxAttempts = 3;
+
+  cfg.customersCheckpointSeed = -1;
+  assert.throws(
+    () => cfg.validateConfig(),
+    /Invalid CUSTOMERS_CHECKPOINT_SEED/
+  );
+  cfg.customersCheckpointSeed = 1000;
+  assert.doesNotThrow(() => cfg.validateConfig());
+
+  // e.g. DEACTIVATION_MAX_RATIO=20%
+  cfg.deactivation.maxRatio = NaN;
+  assert.throws(() => cfg.validateConfig(), /Invalid DEACTIVATION_MAX_RATIO/);
+  cfg.deactivation.maxRatio = 1.5;
+  assert.throws(() => cfg.validateConfig(), /Invalid DEACTIVATION_MAX_RATIO/);
+  cfg.deactivation.maxRatio = 1;
+  cfg.deactivation.scanIntervalHours = NaN;
+  assert.throws(
+    () => cfg.validateConfig(),
+    /Invalid DEACTIVATION_SCAN_INTERVAL_HOURS/
+  );
+  cfg.deactivation.scanIntervalHours = 0;
+  assert.doesNotThrow(() => cfg.validateConfig());
+
+  cfg.logFormat = "xml";
+  assert.throws(() => cfg.validateConfig(), /Invalid LOG_FORMAT/);
+});
+
+test("runJobOnce validates the config before doing anything", async () => {
+  const cfg = require("../src/config");
+  const { runJobOnce } = require("../src/index");
+  cfg.baseURL = "";
+  await assert.rejects(runJobOnce(), /Missing BASE_URL/);
+});
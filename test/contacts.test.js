@@ -0,0 +1,63 @@
+// test/contacts.test.js
+
+/**
+ * Contacts against the mocks: they are paged like customers (GLX_PAGE_SIZE
+ * rows in CONTACTS_REVNUM order) and an expired Galaxy session mid-way is
+ * renewed instead of failing the contacts.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+const { buildFixtures } = require("../mock/fixtures");
+const { parseGalaxyFilter } = require("../mock/galaxyMock");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "contacts-test-"));
+let mocks;
+
+test.before(async () => {
+  mocks = await startMocks({ fixtures: buildFixtures({ customers: 5 }) });
+  Object.assign(process.env, {
+    GLX_PAGE_SIZE: "2",
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+  });
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("contacts are paged and survive an expired session", async () => {
+  const cursors = [];
+  mocks.galaxy.state.dropRequest = (req) => {
+    if (!req.path.endsWith("/ZH_CONTACTS")) return false;
+    const [cond] = parseGalaxyFilter(req.query.filters || "[]");
+    const cursor = cond ? cond.values[0] : 0;
+    // The second page finds its session gone, once
+    if (cursors.length === 1) mocks.galaxy.state.expireSessions();
+    cursors.push(cursor);
+    return false;
+  };
+  const logins = mocks.galaxy.state.logins;
+
+  const res = await require("../src/index")(
+    {},
+    { closeWithSuccess() {}, closeWithFailure() {} }
+  );
+  assert.equal(res.ok, true);
+  assert.equal(res.contactsFetched, 5);
+  assert.equal(res.contactsSuccess, 5);
+  assert.equal(res.checkpoints.contacts.rev, 1005);
+  assert.equal(mocks.galaxy.state.logins, logins + 2);
+  // Page 2 asked twice (before and after re-authenticating), then the
+  // last, short page
+  assert.deepEqual(cursors, [0, 1002, 1002, 1004]);
+});
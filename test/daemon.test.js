@@ -0,0 +1,129 @@
+// test/daemon.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+const { createScheduler, validateDaemonSettings } = require("../src/daemon");
+
+/** In-memory stand-in for RunLock */
+function fakeLock({ free = true } = {}) {
+  return {
+    path: "fake.lock",
+    held: false,
+    acquire() {
+      if (!free || this.held) return false;
+      this.held = true;
+      return true;
+    },
+    release() {
+      this.held = false;
+    },
+  };
+}
+
+/** runJob whose runs finish when the test says so */
+function controlledJob() {
+  const runs = [];
+  const runJob = ({ signal }) =>
+    new Promise((resolve) => runs.push({ signal, resolve }));
+  const settle = async () => {
+    // let the scheduler start the next queued run, if any
+    for (let i = 0; i < 5; i++) await new Promise((r) => setImmediate(r));
+  };
+  return { runs, runJob, settle };
+}
+
+test("validateDaemonSettings checks CRON and the overlap policy", () => {
+  const ok = { cronExpr: "*/5 * * * *", overlap: "skip", staleLockMinutes: 10 };
+  assert.doesNotThrow(() => validateDaemonSettings(ok));
+  assert.throws(
+    () => validateDaemonSettings({ ...ok, cronExpr: "nope" }),
+    /Invalid CRON/
+  );
+  assert.throws(
+    () => validateDaemonSettings({ ...ok, overlap: "parallel" }),
+    /DAEMON_OVERLAP/
+  );
+  assert.throws(
+    () => validateDaemonSettings({ ...ok, staleLockMinutes: 0 }),
+    /DAEMON_STALE_LOCK_MINUTES/
+  );
+});
+
+test("skip: ticks during a run do nothing", async () => {
+  const job = controlledJob();
+  const lock = fakeLock();
+  const s = createScheduler({ runJob: job.runJob, lock, overlap: "skip" });
+
+  const active = s.tick();
+  assert.ok(active);
+  assert.equal(s.tick(), null);
+  assert.equal(s.tick(), null);
+  assert.equal(job.runs.length, 1);
+  assert.equal(lock.held, true);
+
+  job.runs[0].resolve({ ok: true });
+  await active;
+  assert.equal(s.running, false);
+  assert.equal(lock.held, false);
+  await job.settle();
+  assert.equal(job.runs.length, 1);
+});
+
+test("queue: ticks during a run add one follow-up run", async () => {
+  const job = controlledJob();
+  const lock = fakeLock();
+  const s = createScheduler({ runJob: job.runJob, lock, overlap: "queue" });
+
+  const active = s.tick();
+  s.tick();
+  s.tick();
+  job.runs[0].resolve({ ok: true });
+  await job.settle();
+  assert.equal(job.runs.length, 2);
+  assert.equal(lock.held, true);
+  job.runs[1].resolve({ ok: true });
+  await active;
+  assert.equal(job.runs.length, 2);
+  assert.equal(lock.held, false);
+});
+
+test("a lock held by another process skips the tick", () => {
+  const job = controlledJob();
+  const s = createScheduler({
+    runJob: job.runJob,
+    lock: fakeLock({ free: false }),
+  });
+  assert.equal(s.tick(), null);
+  assert.equal(job.runs.length, 0);
+});
+
+test("a failing run releases the lock", async () => {
+  const lock = fakeLock();
+  const s = createScheduler({
+    runJob: async () => {
+      throw Object.assign(new Error("down"), { stage: "auth" });
+    },
+    lock,
+  });
+  await s.tick();
+  assert.equal(lock.held, false);
+  assert.equal(s.running, false);
+});
+
+test("stop aborts the active run, waits for it and stops ticking", async () => {
+  const job = controlledJob();
+  const lock = fakeLock();
+  const s = createScheduler({ runJob: job.runJob, lock, overlap: "queue" });
+
+  s.tick();
+  s.tick(); // queued
+  const stopped = s.stop();
+  assert.equal(job.runs[0].signal.aborted, true);
+  job.runs[0].resolve({ ok: true, partial: true, stopReason: "signal" });
+  await stopped;
+  assert.equal(job.runs.length, 1); // the queued run is dropped
+  assert.equal(lock.held, false);
+  assert.equal(s.tick(), null);
+});
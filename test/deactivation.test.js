@@ -0,0 +1,78 @@
+// test/deactivation.test.js
+
+/**
+ * Deactivation scan against the mocks: Zoho Accounts whose Trader_ID is
+ * neither a Galaxy customer nor an affiliate of a card holder are
+ * deactivated; affiliates are read page by page, by card-holder revision.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+const { buildFixtures } = require("../mock/fixtures");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deactivation-test-"));
+let mocks;
+
+test.before(async () => {
+  // Card holders TR00003, TR00006, TR00009
+  const fixtures = buildFixtures({ customers: 9 });
+  // An affiliate row of no current card-holder revision
+  fixtures.affiliates.push({
+    AFFILIATES_TRDRID: "AFSTALE",
+    AFF_NAME: "Stale affiliate",
+    AFFILIATES_REVNUM: 1,
+  });
+  mocks = await startMocks({
+    fixtures,
+    zohoRecords: {
+      Accounts: [
+        { id: "9001", Trader_ID: "GONE1", Account_Name: "Deleted trader" },
+        { id: "9002", Trader_ID: "AFSTALE", Account_Name: "Stale affiliate" },
+      ],
+    },
+  });
+  Object.assign(process.env, {
+    DEACTIVATION: "1",
+    DEACTIVATE_STATUS_FIELD: "Account_Status",
+    DEACTIVATION_MAX_RATIO: "0.5",
+    GLX_PAGE_SIZE: "4",
+    AFFILIATE_FETCH_CHUNK_SIZE: "1",
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+    DEACTIVATION_FILE: path.join(dir, "deactivations.json"),
+  });
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("the scan keeps card holders' affiliates and deactivates the rest", async () => {
+  const handler = require("../src/index");
+  const res = await handler(
+    {},
+    { closeWithSuccess() {}, closeWithFailure() {} }
+  );
+  assert.equal(res.ok, true);
+  assert.equal(res.deactivationScan.ran, true);
+  // 9 customers + their 3 affiliates; the stale row is never read
+  assert.equal(res.deactivationScan.galaxyKeys, 12);
+  assert.equal(res.deactivationScan.deleted, 2);
+  assert.equal(res.deactivationScan.deactivated, 2);
+
+  const accounts = Array.from(mocks.zoho.state.modules.Accounts.values());
+  const status = (t) => accounts.find((a) => a.Trader_ID === t).Account_Status;
+  assert.equal(status("GONE1"), "Inactive");
+  assert.equal(status("AFSTALE"), "Inactive");
+  for (const t of ["TR00001", "TR00003", "AF00003", "AF00009"]) {
+    assert.equal(status(t), undefined, t);
+  }
+});
@@ -0,0 +1,66 @@
+// test/deadLetterStore.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DeadLetterStore, STATUS } = require("../src/utils/deadLetterStore");
+
+/** In-memory state backend */
+function memoryBackend(doc = null) {
+  return {
+    doc,
+    load: async function () {
+      return this.doc;
+    },
+    save: async function (d) {
+      this.doc = d;
+    },
+  };
+}
+
+const rejected = { key: "T1", error: { code: "INVALID_DATA" } };
+const outage = {
+  key: "T1",
+  transient: true,
+  error: { code: "HTTP_503", message: "Batch request failed" },
+};
+
+test("only permanent failures count towards poison", async () => {
+  const store = await new DeadLetterStore(memoryBackend(), {
+    maxAttempts: 2,
+  }).load();
+
+  // An outage, however long, leaves the row pending
+  for (let i = 0; i < 5; i++) store.recordFailures("customers", [outage]);
+  let item = store.list()[0];
+  assert.equal(item.attempts, 0);
+  assert.equal(item.transient, true);
+  assert.equal(item.status, STATUS.PENDING);
+
+  store.recordFailures("customers", [rejected]);
+  item = store.list()[0];
+  assert.equal(item.attempts, 1);
+  assert.equal(item.transient, false);
+  assert.equal(item.status, STATUS.PENDING);
+
+  store.recordFailures("customers", [outage]);
+  assert.equal(store.list()[0].attempts, 1);
+  store.recordFailures("customers", [rejected]);
+  assert.equal(store.list()[0].status, STATUS.POISON);
+});
+
+test("a batch Zoho rejects with a 4xx is a permanent failure", async () => {
+  const store = await new DeadLetterStore(memoryBackend()).load();
+  store.recordFailures("customers", [
+    { ...outage, key: "A", error: { code: "HTTP_400" } },
+    { ...outage, key: "B", error: { code: "HTTP_429" } },
+    { ...outage, key: "C", error: { code: "HTTP_401" } },
+  ]);
+  assert.deepEqual(
+    store.list().map((it) => [it.key, it.attempts]),
+    [
+      ["A", 1],
+      ["B", 0],
+      ["C", 0],
+    ]
+  );
+});
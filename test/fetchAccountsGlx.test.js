@@ -0,0 +1,98 @@
+// test/fetchAccountsGlx.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+
+const {
+  fetchGalaxyPages,
+  maxThirdPartyRevNum,
+} = require("../src/accounts/fetchAccountsGlx");
+const { galaxyClient } = require("./helpers");
+
+const VIEW = "/api/glx/views/Customer/custom/zh_Customers_fin";
+
+test("maxThirdPartyRevNum returns the highest revision", () => {
+  assert.equal(
+    maxThirdPartyRevNum([
+      { THIRDPARTYREVNUM: 5 },
+      { THIRDPARTYREVNUM: "12" },
+      { THIRDPARTYREVNUM: 7 },
+    ]),
+    12
+  );
+});
+
+test("maxThirdPartyRevNum is null without usable revisions", () => {
+  assert.equal(maxThirdPartyRevNum([]), null);
+  assert.equal(maxThirdPartyRevNum(null), null);
+  assert.equal(maxThirdPartyRevNum([{}, { THIRDPARTYREVNUM: "abc" }]), null);
+});
+
+test("maxThirdPartyRevNum skips rows that are not numbers", () => {
+  assert.equal(
+    maxThirdPartyRevNum([
+      null,
+      { THIRDPARTYREVNUM: "x" },
+      { THIRDPARTYREVNUM: 3 },
+    ]),
+    3
+  );
+});
+
+test("maxThirdPartyRevNum handles negative and zero revisions", () => {
+  assert.equal(maxThirdPartyRevNum([{ THIRDPARTYREVNUM: -2 }]), -2);
+  assert.equal(
+    maxThirdPartyRevNum([{ THIRDPARTYREVNUM: 0 }, { THIRDPARTYREVNUM: -1 }]),
+    0
+  );
+});
+
+/**
+ * Page through the mock view
+ * @returns {Promise<Array<{ids:Array<string>, cursor:number}>>}
+ */
+async function pages(api, options) {
+  const out = [];
+  for await (const { items, cursor } of fetchGalaxyPages(api, VIEW, options)) {
+    out.push({ ids: items.map((it) => it.TRDRID), cursor });
+  }
+  return out;
+}
+
+test("rows sharing a revision across a page boundary are all fetched", async (t) => {
+  // Revisions 1, 2, 2, 2, 3, 4, 4: page 1 would end inside revision 2
+  const revs = [1, 2, 2, 2, 3, 4, 4];
+  const rows = revs.map((rev, i) => ({
+    TRDRID: `T${i + 1}`,
+    THIRDPARTYREVNUM: rev,
+  }));
+  const { api, close } = await galaxyClient({ customers: rows });
+  t.after(close);
+
+  assert.deepEqual(await pages(api, { sinceRev: 0, pageSize: 3 }), [
+    { ids: ["T1"], cursor: 1 },
+    { ids: ["T2", "T3", "T4"], cursor: 2 },
+    { ids: ["T5", "T6", "T7"], cursor: 4 },
+  ]);
+});
+
+test("a revision group larger than a page is fetched whole", async (t) => {
+  const revs = [5, 5, 5, 5, 5, 6];
+  const rows = revs.map((rev, i) => ({
+    TRDRID: `T${i + 1}`,
+    THIRDPARTYREVNUM: rev,
+  }));
+  const { api, close } = await galaxyClient({ customers: rows });
+  t.after(close);
+
+  assert.deepEqual(await pages(api, { sinceRev: 0, pageSize: 2 }), [
+    { ids: ["T1", "T2", "T3", "T4", "T5"], cursor: 5 },
+    { ids: ["T6"], cursor: 6 },
+  ]);
+  // The group query asks for that revision only, without a page size
+  const group = decodeURIComponent(api.calls[1]);
+  assert.match(group, /THIRDPARTYREVNUM:\[5,Equal\]/);
+  assert.doesNotMatch(group, /take=/);
+});
@@ -0,0 +1,113 @@
+// test/fetchAffiliatesGlx.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+
+const {
+  fetchAffiliatesByRevNums,
+} = require("../src/accounts/fetchAffiliatesGlx");
+const { parseGalaxyFilter } = require("../mock/galaxyMock");
+
+const table = Array.from({ length: 50 }, (_, i) => ({
+  AFFILIATES_TRDRID: `AF${i + 1}`,
+  AFFILIATES_REVNUM: i + 1,
+}));
+
+/**
+ * Fake Galaxy client answering AFFILIATES_REVNUM In queries from `table`
+ * @param {{ failOn?: number, delayMs?: number }} [options]
+ *   - failOn: answer 503 to the request with this number (1-based)
+ */
+function fakeApi({ failOn, delayMs = 5 } = {}) {
+  const api = { calls: [], inFlight: 0, maxInFlight: 0 };
+  api.get = async (url) => {
+    api.calls.push(url);
+    const n = api.calls.length;
+    api.inFlight++;
+    api.maxInFlight = Math.max(api.maxInFlight, api.inFlight);
+    // Later requests answer sooner, to mix up completion order
+    await new Promise((r) => setTimeout(r, delayMs * (10 - (n % 10))));
+    api.inFlight--;
+    if (n === failOn) return { status: 503, statusText: "Unavailable" };
+    const [cond] = parseGalaxyFilter(
+      decodeURIComponent(url.split("?filters=")[1])
+    );
+    assert.equal(cond.op, "In");
+    return {
+      status: 200,
+      data: {
+        Items: table.filter((r) => cond.values.includes(r.AFFILIATES_REVNUM)),
+      },
+    };
+  };
+  return api;
+}
+
+test("fetches exactly the given revisions in chunks", async () => {
+  const api = fakeApi();
+  const revs = [40, 3, 3, 7, 12, 99, 25, 8, 0, NaN];
+  const res = await fetchAffiliatesByRevNums(api, revs, {
+    chunkSize: 2,
+    concurrency: 2,
+    retry: 0,
+  });
+  assert.equal(res.status, 200);
+  // 3, 7, 8, 12, 25, 40, 99 → 4 queries; 99 is not in the table
+  assert.equal(api.calls.length, 4);
+  assert.equal(res.requests, 4);
+  assert.deepEqual(
+    res.data.Items.map((r) => r.AFFILIATES_REVNUM),
+    [3, 7, 8, 12, 25, 40]
+  );
+});
+
+test("keeps at most `concurrency` queries in flight", async () => {
+  const api = fakeApi();
+  const revs = table.map((r) => r.AFFILIATES_REVNUM);
+  const res = await fetchAffiliatesByRevNums(api, revs, {
+    chunkSize: 5,
+    concurrency: 3,
+    retry: 0,
+  });
+  assert.equal(api.calls.length, 10);
+  assert.equal(api.maxInFlight, 3);
+  assert.equal(res.data.Items.length, 50);
+});
+
+test("no revisions, no request", async () => {
+  const api = fakeApi();
+  const res = await fetchAffiliatesByRevNums(api, []);
+  assert.equal(api.calls.length, 0);
+  assert.deepEqual(res.data.Items, []);
+  assert.equal(res.status, 200);
+});
+
+test("a failed query fails the fetch and stops the remaining ones", async () => {
+  const api = fakeApi({ failOn: 2 });
+  const revs = table.map((r) => r.AFFILIATES_REVNUM);
+  const res = await fetchAffiliatesByRevNums(api, revs, {
+    chunkSize: 5,
+    concurrency: 2,
+    retry: 0,
+  });
+  assert.equal(res.status, 503);
+  assert.deepEqual(res.data.Items, []);
+  assert.ok(api.calls.length < 10);
+});
+
+test("a thrown error is rethrown after the retries", async () => {
+  let calls = 0;
+  const api = {
+    get: async () => {
+      calls++;
+      throw new Error("socket hang up");
+    },
+  };
+  await assert.rejects(
+    fetchAffiliatesByRevNums(api, [1, 2, 3], { chunkSize: 1, retry: 0 }),
+    /socket hang up/
+  );
+  assert.ok(calls >= 1 && calls <= 3);
+});
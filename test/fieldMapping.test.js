@@ -0,0 +1,79 @@
+// test/fieldMapping.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mapGalaxyToZohoAccount } = require("../src/accounts/pushAccountsZoho");
+const { getMapper, missingRequired } = require("../src/mappings/fieldMapper");
+
+test("mapGalaxyToZohoAccount maps and normalizes a customer", () => {
+  const m = mapGalaxyToZohoAccount({
+    TRDRID: " tr001 ",
+    TRDRNAME: "  ACME S.A. ",
+    TIN: "EL 094-019-245",
+    TRDSPHONE1: "+30 210 123 4567",
+    TRDSSTREET: "Odos 1",
+    BALANCE: "1500.50",
+    THIRDPARTYREVNUM: "42",
+  });
+  assert.equal(m.Trader_ID, "TR001");
+  assert.equal(m.Account_Name, "ACME S.A.");
+  assert.equal(m.Account_AFM, "094019245");
+  assert.equal(m.Phone, "+302101234567");
+  assert.equal(m.Billing_Street, "Odos 1");
+  assert.equal(m.Shipping_Street, "Odos 1");
+  assert.equal(m.Credit_Limit, 1500.5);
+  assert.equal(m.Rev_Number, 42);
+});
+
+test("Account_Name falls back through its source columns", () => {
+  const name = (gx) =>
+    mapGalaxyToZohoAccount({ TRDRID: "T", ...gx }).Account_Name;
+  assert.equal(name({ COMPTITLE: "Title" }), "Title");
+  assert.equal(name({ CUSTCODE: "CUST" }), "CUST");
+  assert.equal(name({ TRDRCODE: "TRD" }), "TRD");
+  assert.equal(name({ TRDRNAME: "Name", COMPTITLE: "Title" }), "Name");
+});
+
+test("Turnover_LY also reads the misspelt TURVOVER_LY column", () => {
+  assert.equal(
+    mapGalaxyToZohoAccount({ TRDRID: "T", TURVOVER_LY: "7" }).Turnover_LY,
+    7
+  );
+});
+
+test("invalid values are left out rather than sent", () => {
+  const m = mapGalaxyToZohoAccount({
+    TRDRID: "T",
+    TRDRNAME: "N",
+    TRDSPHONE1: "123",
+    BALANCE: "n/a",
+    TIN: "-",
+  });
+  assert.ok(!m.Phone);
+  assert.equal(m.Credit_Limit, undefined);
+  assert.equal(m.Account_AFM, undefined);
+});
+
+test("records without required fields are reported as missing", () => {
+  const mapper = getMapper("accounts");
+  assert.deepEqual(missingRequired(mapper, mapGalaxyToZohoAccount({})), [
+    "Trader_ID",
+    "Account_Name",
+  ]);
+  assert.deepEqual(
+    missingRequired(
+      mapper,
+      mapGalaxyToZohoAccount({ TRDRID: "T", TRDRNAME: "  " })
+    ),
+    ["Account_Name"]
+  );
+});
+
+test("contacts take Last_Name from the first name when missing", () => {
+  const m = getMapper("contacts")({
+    CONTACTS_PRSNID: "p1",
+    CNT_FIRSTNAME: "Maria",
+  });
+  assert.equal(m.Galaxy_Person_ID, "P1");
+  assert.equal(m.Last_Name, "Maria");
+});
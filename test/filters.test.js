@@ -0,0 +1,222 @@
+// test/filters.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+
+const {
+  where,
+  and,
+  or,
+  alternatives,
+  queryAlternatives,
+  buildFilter,
+  withFilters,
+  buildRawFilter,
+} = require("../src/utils/filters");
+const { createGalaxyMock, parseGalaxyFilter } = require("../mock/galaxyMock");
+const { galaxyClient } = require("./helpers");
+
+test("buildRawFilter leaves numbers unquoted", () => {
+  assert.equal(
+    buildRawFilter("AFFILIATES_REVNUM", 5339779, "GreaterOrEqual"),
+    "[{AFFILIATES_REVNUM:[5339779,GreaterOrEqual]}]"
+  );
+  assert.equal(buildRawFilter("X", 0, "Equal"), "[{X:[0,Equal]}]");
+});
+
+test("buildRawFilter quotes strings, including numeric strings", () => {
+  assert.equal(
+    buildRawFilter("TRDRID", "TR1", "Equal"),
+    '[{TRDRID:["TR1",Equal]}]'
+  );
+  assert.equal(
+    buildRawFilter("TRDRID", "42", "Equal"),
+    '[{TRDRID:["42",Equal]}]'
+  );
+});
+
+test("buildRawFilter output is understood by the Galaxy mock", () => {
+  assert.deepEqual(
+    parseGalaxyFilter(buildRawFilter("THIRDPARTYREVNUM", 100, "Greater")),
+    [{ field: "THIRDPARTYREVNUM", op: "Greater", values: [100] }]
+  );
+});
+
+test("and() lists, multi-value and value-less operators", () => {
+  assert.equal(
+    buildFilter(
+      and(
+        where("THIRDPARTYREVNUM", "Between", 100, 200),
+        where("ZH_CUSTOMERS_MEMBER_CARDNO", "IsNotNull"),
+        null,
+        and(where("TRDRID", "In", ["A", "B"]), where("TRDRNAME", "Like", "X%"))
+      )
+    ),
+    "[{THIRDPARTYREVNUM:[100,200,Between]},{ZH_CUSTOMERS_MEMBER_CARDNO:[IsNotNull]}," +
+      '{TRDRID:["A","B",In]},{TRDRNAME:["X%",Like]}]'
+  );
+  assert.equal(buildFilter(and()), null);
+  assert.equal(buildFilter(and(null, and())), null);
+  assert.equal(buildFilter(undefined), null);
+});
+
+test("strings are escaped, dates in the ServiceStack form", () => {
+  assert.equal(
+    buildFilter(where("TRDRNAME", "Equal", 'Say "hi" [ok] {x} \\')),
+    '[{TRDRNAME:["Say \\"hi\\" \\[ok\\] \\{x\\} \\\\",Equal]}]'
+  );
+  assert.equal(
+    buildFilter(where("UPDDATE", "Greater", new Date(Date.UTC(2024, 4, 1)))),
+    '[{UPDDATE:["/Date(1714521600000)/",Greater]}]'
+  );
+  assert.throws(
+    () => where("UPDDATE", "Greater", new Date("nope")),
+    /Invalid filter date/
+  );
+  assert.equal(
+    buildFilter(where("ACTIVE", "Equal", true)),
+    "[{ACTIVE:[1,Equal]}]"
+  );
+});
+
+test("or() groups expand into one AND list per alternative", () => {
+  const a = where("A", "Equal", 1);
+  const b = where("B", "Equal", 2);
+  const c = where("C", "IsNull");
+  assert.deepEqual(alternatives(and(a, or(b, c))), [
+    { and: [a, b] },
+    { and: [a, c] },
+  ]);
+  assert.deepEqual(alternatives(or(and(a, b), or(c), null)), [
+    { and: [a, b] },
+    { and: [c] },
+  ]);
+  assert.deepEqual(alternatives(a), [{ and: [a] }]);
+  assert.deepEqual(alternatives(undefined), [{ and: [] }]);
+  assert.throws(() => buildFilter(and(a, or(b, c))), /queryAlternatives/);
+  const wide = or(
+    ...Array.from({ length: 8 }, (_, i) => where("A", "Equal", i))
+  );
+  assert.throws(() => alternatives(and(wide, wide)), /more than 50/);
+});
+
+test("queryAlternatives runs each alternative against Galaxy and merges rows", async (t) => {
+  const day = (d) => `/Date(${Date.UTC(2024, 0, d)}+0200)/`;
+  const { api, close } = await galaxyClient({
+    customers: [
+      { TRDRID: "T1", THIRDPARTYREVNUM: 1, UPDDATE: day(1), TRDRNAME: "Alpha" },
+      { TRDRID: "T2", THIRDPARTYREVNUM: 2, UPDDATE: day(5), TRDRNAME: "Beta" },
+      { TRDRID: "T3", THIRDPARTYREVNUM: 3, UPDDATE: day(9), TRDRNAME: "Alma" },
+    ],
+  });
+  t.after(close);
+  const path = "/api/glx/views/Customer/custom/zh_Customers_fin";
+  const fetchRows = async (filter) =>
+    (await api.get(withFilters(path, filter))).data.Items;
+
+  const rows = await queryAlternatives(
+    and(
+      where("THIRDPARTYREVNUM", "Greater", 0),
+      or(
+        where("TRDRNAME", "Like", "Al%"),
+        where("UPDDATE", "GreaterOrEqual", new Date(Date.UTC(2024, 0, 5)))
+      )
+    ),
+    fetchRows
+  );
+  // T3 matches both alternatives and is kept once
+  assert.deepEqual(
+    rows.map((r) => r.TRDRID),
+    ["T1", "T3", "T2"]
+  );
+  assert.equal(api.calls.length, 2);
+});
+
+test("where() rejects bad operators, fields and value counts", () => {
+  assert.throws(() => where("A", "Bogus", 1), /Unknown filter operator/);
+  assert.throws(() => where("A]", "Equal", 1), /Invalid filter field/);
+  assert.throws(() => where("A", "Between", 1), /takes 2 value/);
+  assert.throws(() => where("A", "In", []), /one or more/);
+  assert.throws(() => where("A", "IsNull", 1), /takes 0 value/);
+  assert.throws(() => where("A", "Equal", null), /IsNull/);
+  assert.throws(() => where("A", "Equal", NaN), /Invalid filter value/);
+});
+
+test("withFilters URL-encodes the filter and round-trips", () => {
+  const filter = and(
+    where("TRDRNAME", "Like", "A&B %"),
+    where("TRDRID", "In", "x#1", "y+2")
+  );
+  const url = withFilters("/api/view", filter);
+  assert.match(url, /^\/api\/view\?filters=[^[\]{}"&# +]+$/);
+  const raw = decodeURIComponent(url.split("?filters=")[1]);
+  assert.equal(raw, buildFilter(filter));
+  assert.deepEqual(parseGalaxyFilter(raw), [
+    { field: "TRDRNAME", op: "Like", values: ["A&B %"] },
+    { field: "TRDRID", op: "In", values: ["x#1", "y+2"] },
+  ]);
+  assert.equal(withFilters("/api/view", and()), "/api/view");
+});
+
+test("the Galaxy mock applies compound filters server-side", async (t) => {
+  const rows = [
+    { TRDRID: "T1", THIRDPARTYREVNUM: 1, ZH_CUSTOMERS_MEMBER_CARDNO: "C1" },
+    { TRDRID: "T2", THIRDPARTYREVNUM: 2, ZH_CUSTOMERS_MEMBER_CARDNO: "" },
+    { TRDRID: "T3", THIRDPARTYREVNUM: 3, ZH_CUSTOMERS_MEMBER_CARDNO: "C3" },
+    { TRDRID: 'T"4]', THIRDPARTYREVNUM: 4, ZH_CUSTOMERS_MEMBER_CARDNO: "C4" },
+    { TRDRID: "T5", THIRDPARTYREVNUM: 9, ZH_CUSTOMERS_MEMBER_CARDNO: "C5" },
+  ];
+  const app = createGalaxyMock({
+    data: { customers: rows, affiliates: [], contacts: [] },
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => new Promise((r) => server.close(r)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const login = await fetch(`${base}/auth/credentials`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ username: "mock", password: "mock" }),
+  });
+  const cookie = login.headers
+    .getSetCookie()
+    .map((c) => c.split(";")[0])
+    .join("; ");
+  // Minimal stand-in for the axios client
+  const api = {
+    get: async (url, { params } = {}) => {
+      const qs = params ? `&${new URLSearchParams(params)}` : "";
+      const res = await fetch(
+        `${base}${url}${url.includes("?") ? qs : qs.replace("&", "?")}`,
+        { headers: { cookie } }
+      );
+      return { status: res.status, data: await res.json() };
+    },
+  };
+  const { fetchGalaxyPages } = require("../src/accounts/fetchAccountsGlx");
+  const ids = async (filter) => {
+    const out = [];
+    for await (const { items } of fetchGalaxyPages(
+      api,
+      "/api/glx/views/Customer/custom/zh_Customers_fin",
+      { sinceRev: 0, pageSize: 2, filter }
+    )) {
+      out.push(...items.map((it) => it.TRDRID));
+    }
+    return out;
+  };
+
+  // Revision in range AND has a card number
+  assert.deepEqual(
+    await ids(
+      and(
+        where("THIRDPARTYREVNUM", "Between", 1, 4),
+        where("ZH_CUSTOMERS_MEMBER_CARDNO", "IsNotNull")
+      )
+    ),
+    ["T1", "T3", 'T"4]']
+  );
+});
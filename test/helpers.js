@@ -0,0 +1,81 @@
+// test/helpers.js
+
+/**
+ * Test Helpers
+ * ------------
+ * Shared setup for tests that talk to the mock servers (see mock/).
+ * Features:
+ *  - startMocks(): starts the Galaxy and Zoho mocks on free ports and points
+ *    the config at them. Call it before requiring any src/ module, since
+ *    config.js reads the environment once, on first import.
+ *  - Quiet logs, in-memory Zoho tokens and no Zoho retries in tests
+ *  - galaxyClient(): a Galaxy mock app served on a free port, behind a
+ *    logged-in stand-in for the axios client
+ */
+
+const { startMockServers } = require("../mock/server");
+const { createGalaxyMock } = require("../mock/galaxyMock");
+
+/**
+ * @param {Object} [options] - Passed to startMockServers()
+ * @returns {Promise<Object>} The started mocks (see mock/server.js)
+ */
+async function startMocks(options) {
+  const mocks = await startMockServers(options);
+  Object.assign(process.env, mocks.env, {
+    LOG_LEVEL: process.env.TEST_LOG_LEVEL || "error",
+    ZOHO_TOKEN_STORE: "memory",
+    ZOHO_MAX_RETRIES: "0",
+    RUN_HISTORY: "off",
+  });
+  return mocks;
+}
+
+/**
+ * Galaxy customer rows with consecutive revisions
+ * @param {number} count
+ * @param {number} [firstRev=1]
+ * @returns {Array<Object>}
+ */
+function customers(count, firstRev = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    TRDRID: `T${firstRev + i}`,
+    TRDRNAME: `Customer ${firstRev + i}`,
+    THIRDPARTYREVNUM: firstRev + i,
+  }));
+}
+
+/**
+ * Serve a Galaxy mock over `data` and log in to it
+ * @param {{customers:Array, affiliates?:Array, contacts?:Array}} data
+ * @returns {Promise<{ api: { get: Function, calls: Array<string> }, app: Object, close: Function }>}
+ *   `api.get(url, { params })` answers like the axios client
+ *   (`{ status, data }`); `api.calls` records the requested URLs.
+ */
+async function galaxyClient(data) {
+  const app = createGalaxyMock({
+    data: { affiliates: [], contacts: [], ...data },
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const login = await fetch(`${base}/auth?username=mock&password=mock`);
+  const cookie = login.headers
+    .getSetCookie()
+    .map((c) => c.split(";")[0])
+    .join("; ");
+  const api = {
+    calls: [],
+    get: async (url, { params } = {}) => {
+      const qs = params ? new URLSearchParams(params).toString() : "";
+      const full = qs ? `${url}${url.includes("?") ? "&" : "?"}${qs}` : url;
+      api.calls.push(full);
+      const res = await fetch(`${base}${full}`, { headers: { cookie } });
+      return { status: res.status, data: await res.json() };
+    },
+  };
+  return { api, app, close: () => new Promise((r) => server.close(r)) };
+}
+
+module.exports = { startMocks, customers, galaxyClient };
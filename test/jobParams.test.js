@@ -0,0 +1,93 @@
+// test/jobParams.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseJobParams } = require("../src/utils/jobParams");
+
+/** Catalyst JobRequest stand-in */
+function jobRequest(values) {
+  return {
+    getJobParam: (name) => values[name],
+    getAllJobParams: () => ({ ...values }),
+  };
+}
+
+test("no params: full sync of every entity with the defaults", () => {
+  assert.deepEqual(parseJobParams(jobRequest({}), { dryRun: true }), {
+    dryRun: true,
+    force: false,
+    entities: ["customers", "affiliates", "contacts"],
+    params: {},
+  });
+  assert.equal(parseJobParams(undefined).dryRun, false);
+});
+
+test("flags, entities and limit are normalized", () => {
+  const options = parseJobParams(
+    jobRequest({
+      preview: "TRUE",
+      force: "1",
+      entities: "Contacts, customers,AFFILIATES",
+      limit: "50",
+    })
+  );
+  assert.deepEqual(options, {
+    dryRun: true,
+    force: true,
+    entities: ["contacts", "customers", "affiliates"],
+    limit: 50,
+    params: {
+      preview: true,
+      force: true,
+      entities: ["contacts", "customers", "affiliates"],
+      limit: 50,
+    },
+  });
+});
+
+test("sinceRev and traderIds become a targeted scope", () => {
+  assert.deepEqual(parseJobParams(jobRequest({ sinceRev: "0" })).scope, {
+    fromRev: 0,
+  });
+  const resync = parseJobParams(jobRequest({ traderIds: "tr1, TR2,tr1" }));
+  assert.deepEqual(resync.scope, { traderIds: ["TR1", "TR2"] });
+  assert.deepEqual(resync.entities, ["customers", "affiliates"]);
+  const only = parseJobParams(
+    jobRequest({ sinceRev: "5", entities: "customers" })
+  );
+  assert.deepEqual(only.entities, ["customers"]);
+});
+
+test("invalid params are rejected with every problem listed", () => {
+  assert.throws(
+    () =>
+      parseJobParams(
+        jobRequest({
+          sincerev: "1",
+          limit: "0",
+          preview: "maybe",
+          entities: "customers,leads",
+        })
+      ),
+    (err) => {
+      assert.equal(err.stage, "params");
+      assert.match(err.message, /unknown param "sincerev"/);
+      assert.match(err.message, /limit must be a positive integer/);
+      assert.match(err.message, /preview must be true or false/);
+      assert.match(err.message, /unknown leads/);
+      return true;
+    }
+  );
+});
+
+test("conflicting params are rejected", () => {
+  const rejects = (values, pattern) =>
+    assert.throws(() => parseJobParams(jobRequest(values)), pattern);
+  rejects({ sinceRev: "5", traderIds: "A" }, /either sinceRev or traderIds/);
+  rejects({ traderIds: "A", entities: "customers,contacts" }, /contacts/);
+  rejects({ entities: "affiliates" }, /only synced with customers/);
+  rejects({ entities: "customers" }, /customers without affiliates/);
+  rejects({ entities: "customers,contacts" }, /customers without affiliates/);
+  rejects({ sinceRev: "-1" }, /non-negative integer/);
+  rejects({ traderIds: " , " }, /traderIds is empty/);
+});
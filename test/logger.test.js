@@ -0,0 +1,63 @@
+// test/logger.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createLogger,
+  registerSecret,
+  redact,
+  redactString,
+  setLogLevel,
+} = require("../src/utils/logger");
+
+test("secrets in text are redacted", () => {
+  assert.equal(
+    redactString("Cookie: ss-id=abc123; ss-pid=def456"),
+    "Cookie: ss-id=[REDACTED]; ss-pid=[REDACTED]"
+  );
+  assert.equal(
+    redactString("/auth?username=u&password=hunter2&x=1"),
+    "/auth?username=[REDACTED]&password=[REDACTED]&x=1"
+  );
+  assert.equal(
+    redactString("Authorization: Zoho-oauthtoken 1000.abc.def"),
+    "Authorization: Zoho-oauthtoken [REDACTED]"
+  );
+  assert.equal(
+    redactString('{"refresh_token":"1000.r","scope":"ZohoCRM"}'),
+    '{"refresh_token":"[REDACTED]","scope":"ZohoCRM"}'
+  );
+});
+
+test("registered values and secret keys are redacted in objects and errors", () => {
+  registerSecret("session-value-42");
+  registerSecret("short"); // too short to register
+  const err = new Error("login failed for session-value-42");
+  err.stage = "auth";
+  const out = redact({
+    headers: { Authorization: "Bearer xyz", Accept: "application/json" },
+    sessionId: "anything",
+    note: "id session-value-42, short",
+    nested: [new Map([["access_token", "t"]])],
+    err,
+  });
+  assert.equal(out.headers.Authorization, "[REDACTED]");
+  assert.equal(out.headers.Accept, "application/json");
+  assert.equal(out.sessionId, "[REDACTED]");
+  assert.equal(out.note, "id [REDACTED], short");
+  assert.deepEqual(out.nested, [{ access_token: "[REDACTED]" }]);
+  assert.equal(out.err.message, "login failed for [REDACTED]");
+  assert.equal(out.err.stage, "auth");
+  assert.doesNotMatch(out.err.stack, /session-value-42/);
+});
+
+test("written lines never carry a registered secret", (t) => {
+  const lines = [];
+  t.mock.method(console, "log", (line) => lines.push(line));
+  setLogLevel("info");
+  registerSecret("zoho-access-token-99");
+  createLogger("TEST").info("token", { value: "zoho-access-token-99" });
+  assert.equal(lines.length, 1);
+  assert.match(lines[0], /\[TEST\] token/);
+  assert.doesNotMatch(lines[0], /zoho-access-token-99/);
+});
@@ -0,0 +1,79 @@
+// test/normalize.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normStr,
+  normId,
+  normDigits,
+  normAfm,
+  num,
+  normPhone,
+  normEmail,
+} = require("../src/utils/normalize");
+
+test("normPhone strips separators and keeps a leading +", () => {
+  assert.equal(normPhone("+30 210-123.4567"), "+302101234567");
+  assert.equal(normPhone("(210) 123 4567"), "2101234567");
+});
+
+test("normPhone accepts 8 to 15 digits only", () => {
+  assert.equal(normPhone("12345678"), "12345678");
+  assert.equal(normPhone("123456789012345"), "123456789012345");
+  assert.equal(normPhone("1234567"), null);
+  assert.equal(normPhone("1234567890123456"), null);
+});
+
+test("normPhone rejects empty values and letters", () => {
+  assert.equal(normPhone(""), null);
+  assert.equal(normPhone(null), null);
+  assert.equal(normPhone(undefined), null);
+  assert.equal(normPhone("210 ABC 4567"), null);
+  assert.equal(normPhone("++302101234567"), null);
+});
+
+test("normPhone accepts numbers", () => {
+  assert.equal(normPhone(2101234567), "2101234567");
+});
+
+test("normStr trims and keeps empty strings", () => {
+  assert.equal(normStr("  a b "), "a b");
+  assert.equal(normStr(""), "");
+  assert.equal(normStr(null), undefined);
+  assert.equal(normStr(0), "0");
+});
+
+test("normId trims and uppercases; blank is undefined", () => {
+  assert.equal(normId(" tr001 "), "TR001");
+  assert.equal(normId("   "), undefined);
+  assert.equal(normId(null), undefined);
+});
+
+test("normDigits keeps digits only", () => {
+  assert.equal(normDigits("EL 094-019-245"), "094019245");
+  assert.equal(normDigits("n/a"), undefined);
+  assert.equal(normDigits(null), undefined);
+});
+
+test("num parses finite numbers only", () => {
+  assert.equal(num("12.5"), 12.5);
+  assert.equal(num(0), 0);
+  assert.equal(num("abc"), undefined);
+  assert.equal(num(Infinity), undefined);
+});
+
+test("normEmail lowercases valid addresses", () => {
+  assert.equal(normEmail(" Info@Example.COM "), "info@example.com");
+  assert.equal(normEmail("no-at-sign.example.com"), null);
+  assert.equal(normEmail("a@b"), null);
+  assert.equal(normEmail(""), null);
+});
+
+test("normAfm drops the EL/GR prefix and separators", () => {
+  assert.equal(normAfm("EL 094-019-245"), "094019245");
+  assert.equal(normAfm("gr094.019.245"), "094019245");
+  assert.equal(normAfm(" 094019245 "), "094019245");
+  assert.equal(normAfm("n/a"), "NA");
+  assert.equal(normAfm("-"), undefined);
+  assert.equal(normAfm(null), undefined);
+});
@@ -0,0 +1,43 @@
+// test/replay.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-test-"));
+Object.assign(process.env, {
+  LOG_LEVEL: "error",
+  BASE_URL: "http://127.0.0.1:1",
+  AUTH_USERNAME: "u",
+  AUTH_PASSWORD: "p",
+  DLQ_FILE: path.join(dir, "dead-letters.json"),
+  DAEMON_LOCK_FILE: path.join(dir, "sync.lock"),
+});
+
+const { replayDeadLetters } = require("../src/replay");
+const RunLock = require("../src/utils/runLock");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("replay is refused while a sync holds the lock", async () => {
+  const queue = JSON.stringify({
+    items: {
+      "customers:T1": { entity: "customers", key: "T1", status: "pending" },
+    },
+  });
+  fs.writeFileSync(process.env.DLQ_FILE, queue);
+  const sync = new RunLock(process.env.DAEMON_LOCK_FILE);
+  assert.equal(sync.acquire(), true);
+  try {
+    const result = await replayDeadLetters();
+    assert.equal(result.ok, false);
+    assert.equal(result.stage, "lock");
+    assert.match(result.error, /Sync running/);
+    assert.equal(sync.read().token, sync.token);
+    assert.equal(fs.readFileSync(process.env.DLQ_FILE, "utf-8"), queue);
+  } finally {
+    sync.release();
+  }
+});
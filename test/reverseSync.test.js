@@ -0,0 +1,98 @@
+// test/reverseSync.test.js
+
+/**
+ * Reverse sync against the mocks: a conflict needs the Galaxy column itself
+ * to have changed since it reached Zoho. A revision bump for unmapped
+ * columns (skipped by the payload hash, so Rev_Number stays behind) is not
+ * a conflict.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+const { buildFixtures } = require("../mock/fixtures");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "reverse-sync-test-"));
+let mocks;
+
+test.before(async () => {
+  mocks = await startMocks({ fixtures: buildFixtures({ customers: 5 }) });
+  Object.assign(process.env, {
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+    REVERSE_CONFLICT_LOG: path.join(dir, "conflicts.ndjson"),
+  });
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const forward = () =>
+  require("../src/index")({}, { closeWithSuccess() {}, closeWithFailure() {} });
+const galaxyRow = (trader) =>
+  mocks.galaxy.state.data.customers.find((c) => c.TRDRID === trader);
+const nextRev = () =>
+  Math.max(
+    ...mocks.galaxy.state.data.customers.map((c) => c.THIRDPARTYREVNUM)
+  ) + 1;
+
+/** Edit an Account's Phone in Zoho as a sales rep, after the checkpoint */
+function zohoEdit(trader, phone) {
+  const rec = Array.from(mocks.zoho.state.modules.Accounts.values()).find(
+    (a) => a.Trader_ID === trader
+  );
+  Object.assign(rec, {
+    Phone: phone,
+    Modified_Time: new Date(Date.now() + 60000)
+      .toISOString()
+      .replace(/\.\d{3}Z$/, "+00:00"),
+    Modified_By: { id: "200000000000000002", name: "Sales Rep" },
+  });
+  return rec;
+}
+
+test("only columns Galaxy changed since the last sync conflict", async () => {
+  const { runReverseSync } = require("../src/reverseSync");
+  assert.equal((await forward()).success, 5);
+
+  // A change to an unmapped column moves the revision, not the payload
+  Object.assign(galaxyRow("TR00001"), {
+    TRDRNOTES: "unmapped",
+    THIRDPARTYREVNUM: nextRev(),
+  });
+  const second = await forward();
+  assert.equal(second.skippedUnchanged, 1);
+  assert.equal(zohoEdit("TR00001", "+302109999991").Rev_Number, 1001);
+
+  assert.equal((await runReverseSync()).seeded, true);
+  // Galaxy edits the phone that Zoho edits too: a real conflict
+  Object.assign(galaxyRow("TR00002"), {
+    TRDSPHONE1: "+302108888882",
+    THIRDPARTYREVNUM: nextRev(),
+  });
+  zohoEdit("TR00002", "+302109999992");
+
+  const res = await runReverseSync();
+  assert.equal(res.ok, true);
+  assert.equal(res.updated, 1);
+  assert.equal(res.conflicts, 1);
+  assert.equal(galaxyRow("TR00001").TRDSPHONE1, "+302109999991");
+  assert.equal(galaxyRow("TR00002").TRDSPHONE1, "+302108888882");
+  const [conflict] = fs
+    .readFileSync(process.env.REVERSE_CONFLICT_LOG, "utf-8")
+    .trim()
+    .split("\n")
+    .map((l) => JSON.parse(l));
+  assert.equal(conflict.Trader_ID, "TR00002");
+  assert.equal(conflict.galaxyValue, "+302108888882");
+  assert.equal(conflict.syncedValue, "+302101000002");
+  assert.equal(conflict.winner, "galaxy");
+});
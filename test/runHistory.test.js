@@ -0,0 +1,77 @@
+// test/runHistory.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  RunReport,
+  FileRunHistory,
+  failureTrends,
+} = require("../src/utils/runHistory");
+
+const report = (startedAt, ok, extra = {}) => ({
+  runId: startedAt,
+  startedAt,
+  durationMs: 1000,
+  ok,
+  stage: ok ? null : "fetch:page",
+  error: ok ? null : "HTTP 503",
+  zohoErrors: {},
+  ...extra,
+});
+
+test("failure trends over the stored run history", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-history-test-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const history = new FileRunHistory(path.join(dir, "runs.ndjson"));
+  assert.equal((await failureTrends(history)).runs, 0);
+
+  for (const r of [
+    report("2026-03-01T10:00:00.000Z", false, { stage: "auth" }),
+    report("2026-03-01T11:00:00.000Z", true, {
+      zohoErrors: { INVALID_DATA: 2 },
+    }),
+    report("2026-03-02T10:00:00.000Z", false, {
+      zohoErrors: { INVALID_DATA: 1, DUPLICATE_DATA: 1 },
+    }),
+    report("2026-03-02T11:00:00.000Z", false),
+  ]) {
+    await history.append(r);
+  }
+
+  const trends = await failureTrends(history);
+  assert.equal(trends.runs, 4);
+  assert.equal(trends.failed, 3);
+  assert.equal(trends.failureRate, 0.75);
+  assert.equal(trends.consecutiveFailures, 2);
+  assert.equal(trends.lastSuccessAt, "2026-03-01T11:00:00.000Z");
+  assert.equal(trends.lastFailure.runId, "2026-03-02T11:00:00.000Z");
+  assert.deepEqual(trends.byStage, { "fetch:page": 2, auth: 1 });
+  assert.deepEqual(trends.byDay, {
+    "2026-03-02": { runs: 2, failed: 2 },
+    "2026-03-01": { runs: 2, failed: 1 },
+  });
+  assert.deepEqual(trends.zohoErrors, { INVALID_DATA: 3, DUPLICATE_DATA: 1 });
+  assert.equal(trends.avgDurationMs, 1000);
+
+  // Only the last `limit` runs count
+  assert.equal((await failureTrends(history, 2)).failed, 2);
+});
+
+test("a failed run is attributed to the stage that threw", async () => {
+  const run = new RunReport({ job: "sync" });
+  await run.time("auth", async () => {});
+  await assert.rejects(
+    run.time("fetch", async () => {
+      throw new Error("boom");
+    })
+  );
+  run.tallyErrors([{ error: { code: "INVALID_DATA" } }, {}]);
+  const doc = run.finish({ ok: false, error: "boom" });
+  assert.equal(doc.stage, "fetch");
+  assert.deepEqual(Object.keys(doc.timings), ["auth", "fetch"]);
+  assert.deepEqual(doc.zohoErrors, { INVALID_DATA: 1, UNKNOWN: 1 });
+  assert.equal(run.finish({ ok: true }).stage, null);
+});
@@ -0,0 +1,66 @@
+// test/runLock.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LOG_LEVEL = "error";
+const RunLock = require("../src/utils/runLock");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lock-test-"));
+let n = 0;
+const lockPath = () => path.join(dir, `sync-${++n}.lock`);
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("only one holder at a time; release frees the lock", () => {
+  const file = lockPath();
+  const a = new RunLock(file);
+  const b = new RunLock(file);
+  assert.equal(a.acquire(), true);
+  assert.equal(b.acquire(), false);
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf-8")).pid, process.pid);
+  a.release();
+  assert.equal(fs.existsSync(file), false);
+  assert.equal(b.acquire(), true);
+  b.release();
+});
+
+test("release leaves a lock owned by someone else alone", () => {
+  const file = lockPath();
+  const a = new RunLock(file);
+  a.acquire();
+  fs.writeFileSync(file, JSON.stringify({ token: "other", pid: process.pid }));
+  a.release();
+  assert.equal(fs.existsSync(file), true);
+});
+
+test("a lock whose owner pid is gone is taken over", () => {
+  const file = lockPath();
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      token: "crashed",
+      pid: 2 ** 22 + 1, // above Linux pid_max
+      host: os.hostname(),
+      heartbeatAt: new Date().toISOString(),
+    })
+  );
+  const lock = new RunLock(file);
+  assert.equal(lock.acquire(), true);
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf-8")).token, lock.token);
+  lock.release();
+});
+
+test("a lock without a recent heartbeat is taken over", () => {
+  const file = lockPath();
+  const old = new Date(Date.now() - 60_000).toISOString();
+  const foreign = { token: "x", pid: 1, host: "elsewhere", heartbeatAt: old };
+  fs.writeFileSync(file, JSON.stringify(foreign));
+  assert.equal(new RunLock(file, { staleMs: 120_000 }).acquire(), false);
+  const lock = new RunLock(file, { staleMs: 30_000 });
+  assert.equal(lock.acquire(), true);
+  lock.release();
+});
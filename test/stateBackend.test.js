@@ -0,0 +1,109 @@
+// test/stateBackend.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CatalystStateBackend } = require("../src/utils/stateBackend");
+
+/**
+ * Stand-in Catalyst app over one in-memory Data Store table; `calls` records
+ * the write calls and their row counts
+ */
+function catalystApp(table = "SyncState") {
+  const rows = new Map(); // ROWID → row
+  let nextId = 1;
+  const calls = [];
+  const app = {
+    rows,
+    calls,
+    zcql: () => ({
+      executeZCQLQuery: async (query) => {
+        const key = /STATE_KEY = '((?:[^']|'')*)'/.exec(query)[1];
+        const [, offset, count] = /LIMIT (\d+), (\d+)/.exec(query).map(Number);
+        return [...rows.values()]
+          .filter(
+            (r) => r.STATE_KEY === key || r.STATE_KEY.startsWith(`${key}/`)
+          )
+          .slice(offset, offset + count)
+          .map((r) => ({ [table]: { ...r } }));
+      },
+    }),
+    datastore: () => ({
+      table: () => ({
+        insertRows: async (list) => {
+          calls.push(["insert", list.length]);
+          return list.map((r) => {
+            const row = { ...r, ROWID: String(nextId++) };
+            rows.set(row.ROWID, row);
+            return row;
+          });
+        },
+        updateRows: async (list) => {
+          calls.push(["update", list.length]);
+          for (const r of list) Object.assign(rows.get(r.ROWID), r);
+          return list;
+        },
+        deleteRows: async (ids) => {
+          calls.push(["delete", ids.length]);
+          for (const id of ids) rows.delete(id);
+        },
+      }),
+    }),
+  };
+  return app;
+}
+
+const backend = (app) =>
+  new CatalystStateBackend(app, { table: "SyncState", key: "payload_hashes" });
+
+test("catalyst state is stored one row per entry", async () => {
+  const app = catalystApp();
+  const doc = { items: { T1: { hash: "a" }, T2: { hash: "b" } }, v: 1 };
+  const writer = backend(app);
+  await writer.load();
+  await writer.save(doc);
+  assert.deepEqual([...app.rows.values()].map((r) => r.STATE_KEY).sort(), [
+    "payload_hashes/items/T1",
+    "payload_hashes/items/T2",
+    "payload_hashes/v",
+  ]);
+  assert.deepEqual(await backend(app).load(), doc);
+});
+
+test("catalyst saves write only the entries that changed", async () => {
+  const app = catalystApp();
+  const store = backend(app);
+  await store.load();
+  await store.save({ items: { T1: { hash: "a" }, T2: { hash: "b" } } });
+  app.calls.length = 0;
+
+  await store.save({ items: { T1: { hash: "c" }, T3: { hash: "d" } } });
+  assert.deepEqual(app.calls, [
+    ["update", 1],
+    ["insert", 1],
+    ["delete", 1],
+  ]);
+  app.calls.length = 0;
+  await store.save({ items: { T1: { hash: "c" }, T3: { hash: "d" } } });
+  assert.deepEqual(app.calls, []);
+  assert.deepEqual(await backend(app).load(), {
+    items: { T1: { hash: "c" }, T3: { hash: "d" } },
+  });
+});
+
+test("a whole-document row is read and replaced by entry rows", async () => {
+  const app = catalystApp();
+  app.rows.set("0", {
+    ROWID: "0",
+    STATE_KEY: "payload_hashes",
+    STATE_VALUE: JSON.stringify({ items: { T1: { hash: "a" } } }),
+  });
+  const store = backend(app);
+  const doc = await store.load();
+  assert.deepEqual(doc, { items: { T1: { hash: "a" } } });
+  await store.save(doc);
+  assert.deepEqual(
+    [...app.rows.values()].map((r) => r.STATE_KEY),
+    ["payload_hashes/items/T1"]
+  );
+  assert.equal(await backend(catalystApp()).load(), null);
+});
@@ -0,0 +1,91 @@
+// test/timeBudget.test.js
+
+/**
+ * Execution-time budget: the job handler against the mocks with a Catalyst
+ * context whose remaining time runs out.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "budget-test-"));
+let mocks;
+let handler;
+
+test.before(async () => {
+  mocks = await startMocks();
+  Object.assign(process.env, {
+    GLX_PAGE_SIZE: "10",
+    TIME_SAFETY_MARGIN_MS: "1000",
+    CHECKPOINT_FILE: path.join(dir, "checkpoints.json"),
+    DLQ_FILE: path.join(dir, "dead-letters.json"),
+    SESSION_FILE: path.join(dir, "session.json"),
+    PAYLOAD_HASH_FILE: path.join(dir, "hashes.json"),
+    ACCOUNT_ID_CACHE_FILE: path.join(dir, "account-ids.json"),
+  });
+  handler = require("../src/index");
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Catalyst context whose remaining time drops below the margin after
+ * `checks` calls
+ */
+function context(checks) {
+  let calls = 0;
+  return {
+    closeWithSuccess() {},
+    closeWithFailure() {},
+    getMaxExecutionTimeMs: () => 900000,
+    getRemainingExecutionTimeMs: () => (calls++ < checks ? 600000 : 500),
+  };
+}
+
+test("the first run needs an explicit customers checkpoint seed", async () => {
+  const cfg = require("../src/config");
+  cfg.customersCheckpointSeed = null;
+  try {
+    const res = await handler({}, context(Infinity));
+    assert.equal(res.ok, false);
+    assert.equal(res.stage, "checkpoint");
+    assert.match(res.error, /CUSTOMERS_CHECKPOINT_SEED/);
+  } finally {
+    cfg.customersCheckpointSeed = 0;
+  }
+});
+
+test("a Zoho batch not sent holds the checkpoint", async () => {
+  // Affiliates of page 1 go out, its customers do not
+  const res = await handler({}, context(1));
+  assert.equal(res.partial, true);
+  assert.equal(res.success, 0);
+  assert.equal(res.deferred, 10);
+  assert.equal(res.deadLettered, 0);
+  assert.equal(res.checkpoints.customers.rev, 0);
+});
+
+test("a run low on time stops and the next one resumes", async () => {
+  // Enough checks for the first page's affiliate and customer batches
+  const first = await handler({}, context(2));
+  assert.equal(first.ok, true);
+  assert.equal(first.partial, true);
+  assert.equal(first.stopReason, "time");
+  assert.equal(first.processed, 10);
+  assert.equal(first.contactsFetched, undefined);
+  assert.equal(first.checkpoints.customers.rev, 1010);
+
+  const second = await handler({}, context(Infinity));
+  assert.equal(second.ok, true);
+  assert.equal(second.partial, undefined);
+  assert.equal(second.processed, 15);
+  assert.equal(second.checkpoints.customers.rev, 1025);
+  assert.equal(second.contactsFetched, 25);
+});
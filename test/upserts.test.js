@@ -0,0 +1,187 @@
+// test/upserts.test.js
+
+/**
+ * Upserts against the Zoho mock (mock/zohoMock.js): batching at the
+ * 100-record limit, per-row error aggregation and payload-hash skipping.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startMocks, customers } = require("./helpers");
+
+let mocks;
+let upsertAccounts;
+let upsertAffiliates;
+let upsertContacts;
+
+test.before(async () => {
+  mocks = await startMocks({ failTraderIds: ["T3", "AF2"] });
+  // Required only now: config reads the mock URLs on first import
+  ({ upsertAccounts } = require("../src/accounts/pushAccountsZoho"));
+  ({ upsertAffiliates } = require("../src/accounts/pushAffiliatesZoho"));
+  ({ upsertContacts } = require("../src/contacts/pushContactsZoho"));
+});
+
+test.after(() => mocks.close());
+
+test.beforeEach(() => {
+  mocks.zoho.state.upsertBatches.length = 0;
+});
+
+const batchSizes = (module) =>
+  mocks.zoho.state.upsertBatches
+    .filter((b) => b.module === module)
+    .map((b) => b.size);
+
+test("100 records go out in a single batch", async () => {
+  const res = await upsertAccounts(customers(100, 1000));
+  assert.deepEqual(batchSizes("Accounts"), [100]);
+  assert.equal(res.success, 100);
+  assert.equal(res.failed, 0);
+});
+
+test("101 records are split into batches of 100 and 1", async () => {
+  const res = await upsertAccounts(customers(101, 2000));
+  assert.deepEqual(batchSizes("Accounts"), [100, 1]);
+  assert.equal(res.success, 101);
+  assert.equal(res.idByTraderId.size, 101);
+  assert.equal(res.outcomes.length, 101);
+});
+
+test("dropped records are not sent and do not count as batches", async () => {
+  const res = await upsertAccounts([
+    ...customers(2, 3000),
+    { TRDRID: "", TRDRNAME: "No id", THIRDPARTYREVNUM: 3002 },
+  ]);
+  assert.deepEqual(batchSizes("Accounts"), [2]);
+  const dropped = res.outcomes.filter((o) => o.dropped);
+  assert.equal(dropped.length, 1);
+  assert.equal(dropped[0].ok, true);
+});
+
+test("per-row errors are counted and kept with source and payload", async () => {
+  const rows = customers(5, 1); // T3 is rejected by the mock
+  const res = await upsertAccounts(rows);
+  assert.equal(res.success, 4);
+  assert.equal(res.failed, 1);
+
+  assert.equal(res.failures.length, 1);
+  const [f] = res.failures;
+  assert.equal(f.key, "T3");
+  assert.equal(f.rev, 3);
+  assert.equal(f.error.code, "DUPLICATE_DATA");
+  assert.equal(f.source, rows[2]);
+  assert.equal(f.payload.Trader_ID, "T3");
+  assert.ok(!f.transient);
+
+  const t3 = res.outcomes.find((o) => o.key === "T3");
+  assert.deepEqual(t3, { key: "T3", rev: 3, ok: false });
+  assert.equal(res.details.filter((d) => d.status === "error").length, 1);
+  assert.ok(!res.idByTraderId.has("T3"));
+});
+
+test("affiliates: deduped by Trader_ID, per-row errors reported", async () => {
+  const res = await upsertAffiliates([
+    { AFFILIATES_TRDRID: "AF1", AFF_NAME: "One", AFFILIATES_REVNUM: 1 },
+    { AFFILIATES_TRDRID: "af1", AFF_NAME: "One v2", AFFILIATES_REVNUM: 5 },
+    { AFFILIATES_TRDRID: "AF2", AFF_NAME: "Two", AFFILIATES_REVNUM: 2 },
+  ]);
+  assert.deepEqual(batchSizes("Accounts"), [2]);
+  assert.equal(res.success, 1);
+  assert.equal(res.failed, 1);
+  assert.equal(res.failures[0].key, "AF2");
+  assert.equal(res.failures[0].error.code, "DUPLICATE_DATA");
+
+  const stored = Array.from(mocks.zoho.state.modules.Accounts.values()).find(
+    (a) => a.Trader_ID === "AF1"
+  );
+  assert.equal(stored.Account_Name, "One v2");
+  assert.equal(res.idByTraderId.get("AF1"), stored.id);
+});
+
+test("contacts: Zoho row errors are aggregated per row", async () => {
+  const accountId = Array.from(mocks.zoho.state.modules.Accounts.values())[0]
+    .id;
+  const res = await upsertContacts(
+    [
+      {
+        CONTACTS_PRSNID: "P1",
+        CNT_LASTNAME: "Linked",
+        CONTACTS_TRDRID: "KNOWN",
+        CONTACTS_REVNUM: 1,
+      },
+      {
+        CONTACTS_PRSNID: "P2",
+        CNT_LASTNAME: "Bad link",
+        CONTACTS_TRDRID: "STALE",
+        CONTACTS_REVNUM: 2,
+      },
+    ],
+    {
+      accountIdByTraderId: new Map([
+        ["KNOWN", accountId],
+        // An id Zoho does not know: rejected as INVALID_DATA
+        ["STALE", "999"],
+      ]),
+    }
+  );
+  assert.deepEqual(batchSizes("Contacts"), [2]);
+  assert.equal(res.success, 1);
+  assert.equal(res.failed, 1);
+  assert.equal(res.failures[0].key, "P2");
+  assert.equal(res.failures[0].error.code, "INVALID_DATA");
+});
+
+test("shouldStop defers the remaining batches without failing them", async () => {
+  let batches = 0;
+  const res = await upsertAccounts(customers(150, 4000), {
+    shouldStop: () => batches++ >= 1,
+  });
+  assert.deepEqual(batchSizes("Accounts"), [100]);
+  assert.equal(res.success, 100);
+  assert.equal(res.deferred, 50);
+  assert.equal(res.failures.length, 0);
+  const deferred = res.outcomes.filter((o) => o.deferred);
+  assert.equal(deferred.length, 50);
+  assert.ok(deferred.every((o) => !o.ok && o.transient));
+  assert.equal(deferred[0].rev, 4100);
+});
+
+test("unchanged payloads are skipped by hash, whatever their revision", async () => {
+  const PayloadHashStore = require("../src/utils/payloadHashStore");
+  const backend = { load: async () => null, save: async () => {} };
+  const hashes = await new PayloadHashStore(backend).load();
+  const rows = customers(3, 5000);
+
+  const first = await upsertAccounts(rows, { hashes });
+  assert.equal(first.success, 3);
+  assert.equal(first.skippedUnchanged, 0);
+  const id = hashes.get("T5000").id;
+  assert.ok(id);
+
+  // Only the revision moved for T5000, T5001 got a new name
+  const bumped = rows.map((r) => ({
+    ...r,
+    THIRDPARTYREVNUM: r.THIRDPARTYREVNUM + 10,
+  }));
+  bumped[1].TRDRNAME = "Renamed";
+  mocks.zoho.state.upsertBatches.length = 0;
+  const second = await upsertAccounts(bumped, { hashes });
+  assert.deepEqual(batchSizes("Accounts"), [1]);
+  assert.equal(second.success, 1);
+  assert.equal(second.skippedUnchanged, 2);
+  assert.equal(second.idByTraderId.get("T5000"), id);
+  const skipped = second.outcomes.filter((o) => o.skipped);
+  assert.deepEqual(
+    skipped.map((o) => [o.key, o.rev, o.ok]),
+    [
+      ["T5000", 5010, true],
+      ["T5002", 5012, true],
+    ]
+  );
+
+  mocks.zoho.state.upsertBatches.length = 0;
+  const forced = await upsertAccounts(bumped, { hashes, force: true });
+  assert.deepEqual(batchSizes("Accounts"), [3]);
+  assert.equal(forced.skippedUnchanged, 0);
+});
@@ -0,0 +1,95 @@
+// test/zohoAuth.test.js
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startMocks } = require("./helpers");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zoho-auth-test-"));
+let mocks;
+let cfg;
+
+test.before(async () => {
+  mocks = await startMocks();
+  cfg = require("../src/config");
+});
+
+test.after(async () => {
+  await mocks.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** zohoAuth as a new process sees it: no token in memory */
+function freshZohoAuth() {
+  delete require.cache[require.resolve("../src/auth/zohoAuth")];
+  return require("../src/auth/zohoAuth");
+}
+
+test("every Zoho DC and domain alias maps to its URLs", (t) => {
+  const { dc, accountsUrl, apiUrl } = cfg.zoho;
+  t.after(() => Object.assign(cfg.zoho, { dc, accountsUrl, apiUrl }));
+  Object.assign(cfg.zoho, { accountsUrl: null, apiUrl: null });
+  const { zohoDomains, getZohoBaseUrl } = freshZohoAuth();
+
+  assert.deepEqual(zohoDomains("us"), {
+    accounts: "https://accounts.zoho.com",
+    api: "https://www.zohoapis.com",
+  });
+  assert.deepEqual(zohoDomains(" EU "), zohoDomains("eu"));
+  assert.deepEqual(zohoDomains("com"), zohoDomains("us"));
+  assert.deepEqual(zohoDomains(".com.au"), zohoDomains("au"));
+  assert.equal(
+    zohoDomains("zohocloud").accounts,
+    "https://accounts.zohocloud.ca"
+  );
+  for (const dc of ["in", "jp", "ca", "uk", "cn", "sa"]) {
+    assert.match(zohoDomains(dc).api, /^https:\/\/www\.zohoapis\./);
+  }
+  assert.equal(zohoDomains("xx"), undefined);
+
+  cfg.zoho.dc = "xx";
+  assert.throws(() => getZohoBaseUrl(), /Invalid ZOHO_DC "xx"/);
+  cfg.zoho.apiUrl = "https://sandbox.zohoapis.eu/";
+  assert.equal(getZohoBaseUrl(), "https://sandbox.zohoapis.eu");
+  assert.equal(zohoDomains("jp").accounts, "https://accounts.zoho.jp");
+});
+
+test("a stored access token is reused across runs until Zoho rejects it", async (t) => {
+  const { tokenStore, tokenFile } = cfg.zoho;
+  t.after(() => Object.assign(cfg.zoho, { tokenStore, tokenFile }));
+  Object.assign(cfg.zoho, {
+    tokenStore: "file",
+    tokenFile: path.join(dir, "token.json"),
+  });
+  const refreshes = () => mocks.zoho.state.tokenRefreshes;
+  const start = refreshes();
+
+  let auth = freshZohoAuth();
+  auth.configureZohoTokenStore();
+  const token = await auth.getZohoAccessToken();
+  assert.equal(refreshes(), start + 1);
+  const stored = JSON.parse(fs.readFileSync(cfg.zoho.tokenFile, "utf-8"));
+  assert.equal(stored.accessToken, token);
+  assert.equal(stored.owner, `${cfg.zoho.clientId}@${mocks.urls.zoho}`);
+
+  // Next run: read from the store, no refresh
+  auth = freshZohoAuth();
+  auth.configureZohoTokenStore();
+  assert.equal(await auth.getZohoAccessToken(), token);
+  assert.equal(refreshes(), start + 1);
+
+  // Rejected by Zoho: the stored copy is skipped and replaced
+  auth.invalidateZohoAccessToken();
+  const next = await auth.getZohoAccessToken();
+  assert.notEqual(next, token);
+  assert.equal(refreshes(), start + 2);
+
+  // "memory" keeps nothing between runs
+  cfg.zoho.tokenStore = "memory";
+  auth = freshZohoAuth();
+  auth.configureZohoTokenStore();
+  await auth.getZohoAccessToken();
+  assert.equal(refreshes(), start + 3);
+});
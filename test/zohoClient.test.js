@@ -0,0 +1,99 @@
+// test/zohoClient.test.js
+
+/**
+ * Zoho client retries: tokens come from the Zoho mock, API calls go to a
+ * scripted server that answers each request with the next queued response.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startMocks } = require("./helpers");
+
+let mocks;
+let server;
+let zohoApi;
+let getZohoStats;
+let resetZohoStats;
+const replies = []; // { status, headers?, body? } per request, in order
+let requests = 0;
+
+test.before(async () => {
+  mocks = await startMocks();
+  server = http.createServer((req, res) => {
+    requests++;
+    const {
+      status,
+      headers = {},
+      body = {},
+    } = replies.shift() || {
+      status: 200,
+    };
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  Object.assign(process.env, {
+    ZOHO_API_URL: `http://127.0.0.1:${server.address().port}`,
+    ZOHO_MAX_RETRIES: "2",
+    ZOHO_RETRY_BASE_MS: "1",
+  });
+  ({
+    zohoApi,
+    getZohoStats,
+    resetZohoStats,
+  } = require("../src/api/zohoClient"));
+});
+
+test.after(async () => {
+  await new Promise((r) => server.close(r));
+  await mocks.close();
+});
+
+test.beforeEach(() => {
+  replies.length = 0;
+  requests = 0;
+  resetZohoStats();
+});
+
+test("a 429 waits for Retry-After, then retries", async () => {
+  replies.push({ status: 429, headers: { "Retry-After": "1" } });
+  const res = await zohoApi("GET", "/crm/v8/Accounts");
+  assert.equal(res.status, 200);
+  assert.equal(requests, 2);
+  const stats = getZohoStats();
+  assert.equal(stats.throttled, 1);
+  assert.equal(stats.retries, 1);
+  assert.ok(stats.waitedMs > 500 && stats.waitedMs <= 1000, stats.waitedMs);
+});
+
+test("5xx is retried up to ZOHO_MAX_RETRIES, then returned", async () => {
+  replies.push({ status: 503 }, { status: 502 }, { status: 500 });
+  const res = await zohoApi("POST", "/crm/v8/Accounts/upsert", { data: [] });
+  assert.equal(res.status, 500);
+  assert.equal(requests, 3);
+  assert.equal(getZohoStats().serverErrors, 3);
+  assert.equal(getZohoStats().retries, 2);
+});
+
+test("INVALID_TOKEN refreshes the token once without using a retry", async () => {
+  const refreshes = mocks.zoho.state.tokenRefreshes;
+  replies.push(
+    { status: 401, body: { code: "INVALID_TOKEN" } },
+    { status: 401, body: { code: "INVALID_TOKEN" } }
+  );
+  const res = await zohoApi("GET", "/crm/v8/Accounts");
+  assert.equal(res.status, 401);
+  assert.equal(requests, 2);
+  assert.equal(mocks.zoho.state.tokenRefreshes, refreshes + 1);
+  assert.equal(getZohoStats().tokenRefreshes, 1);
+  assert.equal(getZohoStats().retries, 0);
+});
+
+test("other 4xx answers are returned at once", async () => {
+  replies.push({ status: 400, body: { code: "INVALID_DATA" } });
+  const res = await zohoApi("GET", "/crm/v8/Accounts");
+  assert.equal(res.status, 400);
+  assert.equal(res.data.code, "INVALID_DATA");
+  assert.equal(requests, 1);
+});